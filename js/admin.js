@@ -1,8 +1,13 @@
 // Admin Panel Functionality with API integration
 // localStorage code kept as backup
+
+// Service length used to preview how many start times opening hours give
+const PREVIEW_SERVICE_MINUTES = 45;
+
 class AdminPanel {
     constructor() {
         this.appointments = [];
+        this.archivedAppointments = []; // Deleted appointments for the Archived filter, loaded when it's opened
         this.availability = {};
         this.currentFilter = 'all';
         this.currentTab = 'appointments';
@@ -18,6 +23,24 @@ class AdminPanel {
         this.currentWeekStart = null; // Track current week start date for weekly schedule
         this.currentScheduleView = 'weekOverview'; // Track current schedule view: 'weekOverview' or 'dayDetail'
         this.selectedDayDate = null; // Track selected day date when in detail view
+        this.isAuthenticated = false; // Track whether the admin session is valid
+        this.hasStarted = false; // Track whether panel listeners/timers have been set up
+        this.services = []; // Services catalog for the Services tab
+        this.isSavingService = false; // Track saving state for the service form
+        this.templates = []; // Weekly availability templates
+        this.isSavingTemplate = false; // Track saving state for the weekly hours form
+        this.waitlist = []; // Open waitlist entries, shown on the availability calendar
+        this.messageTemplates = []; // Text message templates for the Messages tab
+        this.editingTemplateKey = null; // Key of the message template open in the editor
+        this.smsOptOuts = []; // Numbers that texted STOP, for the Messages tab
+        this.customers = []; // Client directory for the Clients tab
+        this.selectedCustomer = null; // Profile open in the Clients tab, with appointments and possible duplicates
+        this.customerSearchTimer = null; // Debounce for the client search box
+        this.templatePreviewTimer = null; // Debounce timer for the message preview
+        this.isSavingMessageTemplate = false; // Track saving state for the message editor
+        this.checkoutAppointmentId = null; // Appointment open in the checkout modal
+        this.checkoutItems = []; // Line items being entered at checkout: [{ name, amount }]
+        this.isSavingCheckout = false; // Track saving state for the checkout modal
         
         this.init();
     }
@@ -38,7 +61,7 @@ class AdminPanel {
         this.showAppointmentsLoadingState();
 
         try {
-            const response = await fetch('/api/appointments');
+            const response = await this.apiFetch('/api/appointments');
             
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
@@ -53,26 +76,13 @@ class AdminPanel {
             }
             
             // Ensure all appointments have customer object in frontend format
-            const formattedAppointments = data.map(apt => {
-                // Handle both frontend format (customer object) and backend format (flat fields)
-                if (apt.customer && typeof apt.customer === 'object') {
-                    return apt; // Already in frontend format
-                } else {
-                    // Convert from backend format to frontend format
-                    return {
-                        ...apt,
-                        customer: {
-                            name: apt.customer_name || apt.customer?.name || 'Unknown',
-                            email: apt.customer_email || apt.customer?.email || '',
-                            phone: apt.customer_phone || apt.customer?.phone || ''
-                        },
-                        includeInAnalytics: apt.include_in_analytics !== false
-                    };
-                }
-            });
-            
-            return formattedAppointments;
+            return data.map(apt => this.formatAppointmentFromAPI(apt));
         } catch (error) {
+            // Session expired - keep what we have, the login screen is already showing
+            if (!this.isAuthenticated) {
+                return this.appointments;
+            }
+
             // Only show error if it's a real connection issue, not just empty data
             if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
                 // Fallback to localStorage
@@ -99,6 +109,24 @@ class AdminPanel {
         }
     }
 
+    // Handle both frontend format (customer object) and backend format (flat fields)
+    formatAppointmentFromAPI(apt) {
+        if (apt.customer && typeof apt.customer === 'object') {
+            return apt; // Already in frontend format
+        }
+
+        // Convert from backend format to frontend format
+        return {
+            ...apt,
+            customer: {
+                name: apt.customer_name || apt.customer?.name || 'Unknown',
+                email: apt.customer_email || apt.customer?.email || '',
+                phone: apt.customer_phone || apt.customer?.phone || ''
+            },
+            includeInAnalytics: apt.include_in_analytics !== false
+        };
+    }
+
     // Save appointments to localStorage (backup only)
     saveAppointments() {
         localStorage.setItem('bookedAppointments', JSON.stringify(this.appointments));
@@ -246,6 +274,40 @@ class AdminPanel {
         }, 5000);
     }
 
+    // Show success/error messages at the top of any tab
+    showTabMessage(tabName, message, type = 'success') {
+        const existingMsg = document.querySelector(`#${tabName}-tab > .tab-message`);
+        if (existingMsg) {
+            existingMsg.remove();
+        }
+
+        const messageEl = document.createElement('div');
+        messageEl.className = `tab-message ${type}`;
+        messageEl.textContent = message;
+        messageEl.style.cssText = `
+            padding: 15px;
+            margin: 20px 0;
+            border-radius: 5px;
+            background: ${type === 'success' ? '#4caf50' : '#f44336'};
+            color: white;
+            text-align: center;
+            font-weight: 500;
+            font-family: 'Inter', sans-serif;
+        `;
+
+        const tab = document.getElementById(`${tabName}-tab`);
+        if (tab) {
+            tab.insertBefore(messageEl, tab.firstChild);
+        }
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (messageEl.parentNode) {
+                messageEl.remove();
+            }
+        }, 5000);
+    }
+
     // Show loading state for appointments list
     showAppointmentsLoadingState() {
         const appointmentsList = document.getElementById('appointmentsList');
@@ -269,6 +331,7 @@ class AdminPanel {
     }
 
     // Save/update availability via API
+    // Only the dates passed in are saved - they become overrides of the weekly hours
     async saveAvailability(availabilityData) {
         if (this.isSavingAvailability) {
             return { success: false, message: 'Save already in progress. Please wait.' };
@@ -276,8 +339,8 @@ class AdminPanel {
 
         if (!this.useAPI) {
             // Backup: Save to localStorage
-            this.availability = availabilityData;
-            localStorage.setItem('availability', JSON.stringify(availabilityData));
+            Object.assign(this.availability, availabilityData);
+            localStorage.setItem('availability', JSON.stringify(this.availability));
             return { success: true, message: 'Availability saved locally' };
         }
 
@@ -285,7 +348,7 @@ class AdminPanel {
         this.setSaveButtonsLoading(true);
 
         try {
-            const response = await fetch('/api/availability', {
+            const response = await this.apiFetch('/api/availability', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -307,7 +370,7 @@ class AdminPanel {
             }
 
             // Update local availability with server response
-            this.availability = result.availability;
+            Object.assign(this.availability, result.availability);
             const savedCount = Object.keys(result.availability || {}).length;
             
             return { 
@@ -325,8 +388,8 @@ class AdminPanel {
             errorMessage += 'Data saved locally as backup.';
             
             // Fallback to localStorage
-            this.availability = availabilityData;
-            localStorage.setItem('availability', JSON.stringify(availabilityData));
+            Object.assign(this.availability, availabilityData);
+            localStorage.setItem('availability', JSON.stringify(this.availability));
             
             return { 
                 success: false, 
@@ -370,12 +433,12 @@ class AdminPanel {
             // Backup: Save to localStorage
             this.saveAppointments();
             this.updatingAppointmentIds.delete(id);
-            this.showAppointmentsMessage(`Appointment ${status} successfully.`, 'success');
+            this.showAppointmentsMessage(`Appointment ${this.formatStatusLabel(status)} successfully.`, 'success');
             return true;
         }
 
         try {
-            const response = await fetch(`/api/appointments/${id}`, {
+            const response = await this.apiFetch(`/api/appointments/${id}`, {
                 method: 'PATCH',
                 headers: {
                     'Content-Type': 'application/json'
@@ -406,13 +469,17 @@ class AdminPanel {
                 }
                 updatedAppointment.status = result.status || status;
                 updatedAppointment.includeInAnalytics = result.includeInAnalytics !== false;
+                // Transition timestamps, and the deposit in case it was refunded or kept
+                ['acceptedAt', 'declinedAt', 'cancelledAt', 'completedAt', 'noShowAt', 'deposit'].forEach(field => {
+                    if (field in result) updatedAppointment[field] = result[field];
+                });
             }
 
             this.updateStats();
             this.renderAppointments();
             this.updatingAppointmentIds.delete(id);
             
-            this.showAppointmentsMessage(`Appointment ${status} successfully!`, 'success');
+            this.showAppointmentsMessage(`Appointment ${this.formatStatusLabel(status)} successfully!`, 'success');
             return true;
         } catch (error) {
             // Revert on error
@@ -502,10 +569,41 @@ class AdminPanel {
     }
 
     async init() {
+        this.setupLoginForm();
+
+        // Backup mode has no server session to check
+        if (!this.useAPI) {
+            this.isAuthenticated = true;
+            await this.startPanel();
+            return;
+        }
+
+        // Show the panel only if we already have a valid session
+        const authenticated = await this.checkSession();
+        if (authenticated) {
+            await this.startPanel();
+        } else {
+            this.showLoginScreen();
+        }
+    }
+
+    // Load data and set up the panel (listeners and timers are only set up once)
+    async startPanel() {
+        this.showAdminPanel();
+
         // Load data from API
         this.appointments = await this.loadAppointments();
         await this.fetchAvailability();
+
+        if (this.hasStarted) {
+            // Returning after a re-login - just refresh the current view
+            this.updateStats();
+            this.renderAppointments();
+            this.switchTab(this.currentTab);
+            return;
+        }
         
+        this.hasStarted = true;
         this.setupTabs();
         this.updateStats();
         this.renderAppointments();
@@ -515,13 +613,168 @@ class AdminPanel {
         this.setupServerReconnectionSync();
     }
 
+    // ============================================
+    // AUTHENTICATION METHODS
+    // ============================================
+
+    // Check whether the current session cookie is still valid
+    async checkSession() {
+        try {
+            const response = await fetch('/api/admin/session', { credentials: 'same-origin' });
+            this.isAuthenticated = response.ok;
+        } catch (error) {
+            this.isAuthenticated = false;
+        }
+        return this.isAuthenticated;
+    }
+
+    // Wrapper around fetch for admin-only routes - handles expired sessions
+    async apiFetch(url, options = {}) {
+        const response = await fetch(url, { credentials: 'same-origin', ...options });
+
+        if (response.status === 401) {
+            const errorData = await response.clone().json().catch(() => ({}));
+            this.handleSessionExpired(errorData.sessionExpired
+                ? 'Your session has expired. Please sign in again.'
+                : 'Please sign in to continue.');
+            throw new Error(errorData.error || 'Authentication required');
+        }
+
+        return response;
+    }
+
+    // Called when the server rejects our session
+    handleSessionExpired(message) {
+        if (!this.isAuthenticated) return; // Already showing login screen
+        this.isAuthenticated = false;
+        this.updatingAppointmentIds.clear();
+        this.showLoginScreen(message, 'info');
+    }
+
+    // Show the login screen and hide the panel
+    showLoginScreen(message = '', type = 'error') {
+        const loginSection = document.getElementById('adminLoginSection');
+        const adminSection = document.getElementById('adminSection');
+        if (adminSection) adminSection.style.display = 'none';
+        if (loginSection) loginSection.style.display = 'block';
+
+        this.showLoginMessage(message, type);
+
+        const passwordInput = document.getElementById('adminPassword');
+        if (passwordInput) passwordInput.value = '';
+        const usernameInput = document.getElementById('adminUsername');
+        if (usernameInput) usernameInput.focus();
+    }
+
+    // Show the panel and hide the login screen
+    showAdminPanel() {
+        const loginSection = document.getElementById('adminLoginSection');
+        const adminSection = document.getElementById('adminSection');
+        if (loginSection) loginSection.style.display = 'none';
+        if (adminSection) adminSection.style.display = 'block';
+        this.showLoginMessage('');
+    }
+
+    // Show or clear the message above the login form
+    showLoginMessage(message, type = 'error') {
+        const messageEl = document.getElementById('adminLoginMessage');
+        if (!messageEl) return;
+
+        if (!message) {
+            messageEl.style.display = 'none';
+            messageEl.textContent = '';
+            return;
+        }
+
+        messageEl.className = `admin-login-message ${type}`;
+        messageEl.textContent = message;
+        messageEl.style.display = 'block';
+    }
+
+    // Setup login form and sign-out button
+    setupLoginForm() {
+        const loginForm = document.getElementById('adminLoginForm');
+        if (loginForm) {
+            loginForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.login();
+            });
+        }
+
+        const logoutBtn = document.getElementById('adminLogoutBtn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => this.logout());
+        }
+    }
+
+    // Sign in with the username/password from the login form
+    async login() {
+        const usernameInput = document.getElementById('adminUsername');
+        const passwordInput = document.getElementById('adminPassword');
+        const submitBtn = document.querySelector('#adminLoginForm .btn-login');
+
+        const username = usernameInput ? usernameInput.value.trim() : '';
+        const password = passwordInput ? passwordInput.value : '';
+
+        if (!username || !password) {
+            this.showLoginMessage('Please enter your username and password.');
+            return;
+        }
+
+        if (submitBtn) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Signing in...';
+        }
+
+        try {
+            const response = await fetch('/api/admin/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({ username, password })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.isAuthenticated = true;
+            if (passwordInput) passwordInput.value = '';
+            await this.startPanel();
+        } catch (error) {
+            const errorMessage = error.message.includes('Failed to fetch') || error.message.includes('NetworkError')
+                ? 'Cannot connect to server. Please try again.'
+                : error.message;
+            this.showLoginMessage(errorMessage);
+        } finally {
+            if (submitBtn) {
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Sign In';
+            }
+        }
+    }
+
+    // Sign out and return to the login screen
+    async logout() {
+        try {
+            await fetch('/api/admin/logout', { method: 'POST', credentials: 'same-origin' });
+        } catch (error) {
+            // Cookie will still expire on its own
+        }
+        this.isAuthenticated = false;
+        this.showLoginScreen('You have been signed out.', 'info');
+    }
+
     // Sync localStorage with server when connection is restored
     setupServerReconnectionSync() {
         if (!this.useAPI) return;
 
         // Check if we have pending localStorage data
         const checkAndSync = async () => {
-            if (!navigator.onLine) return;
+            if (!navigator.onLine || !this.isAuthenticated) return;
 
             try {
                 // Sync appointments
@@ -536,13 +789,13 @@ class AdminPanel {
                                 method: 'POST',
                                 headers: { 'Content-Type': 'application/json' },
                                 body: JSON.stringify({
+                                    serviceId: appointment.serviceId,
                                     service: appointment.service,
-                                    price: appointment.price,
-                                    duration: appointment.duration,
                                     date: appointment.date,
                                     time: appointment.time,
                                     customer: appointment.customer,
-                                    status: appointment.status
+                                    notificationChannel: appointment.notificationChannel,
+                                    smsConsent: appointment.smsConsent
                                 })
                             });
 
@@ -566,7 +819,7 @@ class AdminPanel {
                 if (storedAvailability) {
                     try {
                         const localAvailability = JSON.parse(storedAvailability);
-                        const response = await fetch('/api/availability', {
+                        const response = await this.apiFetch('/api/availability', {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify({ availability: localAvailability })
@@ -636,8 +889,8 @@ class AdminPanel {
 
     // Refresh appointments from API/localStorage and update display
     async refreshAppointments() {
-        // Don't refresh if we're currently updating an appointment or loading
-        if (this.updatingAppointmentIds.size > 0 || this.isLoadingAppointments) {
+        // Don't refresh if signed out, or if we're currently updating an appointment or loading
+        if (!this.isAuthenticated || this.updatingAppointmentIds.size > 0 || this.isLoadingAppointments) {
             return;
         }
         
@@ -699,7 +952,6 @@ class AdminPanel {
                     window.analyticsPanel = new AnalyticsPanel();
                 } else if (window.analyticsPanel) {
                     // Refresh with latest data
-                    window.analyticsPanel.appointments = this.appointments;
                     window.analyticsPanel.render();
                 }
             }, 100);
@@ -707,6 +959,9 @@ class AdminPanel {
 
         // Initialize availability tab
         if (tabName === 'availability') {
+            this.loadTemplates();
+            this.loadWaitlist();
+
             // Fetch latest availability and render calendar
             this.fetchAvailability().then(() => {
                 // Always render calendar after fetch completes (even if it failed and used cache)
@@ -723,6 +978,22 @@ class AdminPanel {
         if (tabName === 'schedule') {
             this.setupWeeklyScheduleTab();
         }
+
+        // Load services catalog
+        if (tabName === 'services') {
+            this.loadServices();
+        }
+
+        // Load the client directory
+        if (tabName === 'clients') {
+            this.loadCustomers();
+        }
+
+        // Load text message templates and the opt-out list
+        if (tabName === 'messages') {
+            this.loadMessageTemplates();
+            this.loadSmsOptOuts();
+        }
     }
 
     updateStats() {
@@ -743,9 +1014,15 @@ class AdminPanel {
 
         let filteredAppointments = this.appointments;
         
-        if (this.currentFilter === 'past') {
+        if (this.currentFilter === 'archived') {
+            // Copy so sorting doesn't reorder the loaded list
+            filteredAppointments = [...this.archivedAppointments];
+        } else if (this.currentFilter === 'past') {
             // Show only past appointments
             filteredAppointments = this.appointments.filter(apt => this.isPastAppointment(apt));
+        } else if (this.currentFilter === 'completed' || this.currentFilter === 'no_show') {
+            // Outcomes are only ever set on past appointments
+            filteredAppointments = this.appointments.filter(apt => apt.status === this.currentFilter);
         } else if (this.currentFilter !== 'all') {
             // Filter by status, but exclude past appointments from other filters
             filteredAppointments = this.appointments.filter(apt => {
@@ -771,7 +1048,9 @@ class AdminPanel {
         });
 
         if (filteredAppointments.length === 0) {
-            container.innerHTML = '<div class="no-appointments">No appointments found.</div>';
+            container.innerHTML = this.currentFilter === 'archived'
+                ? '<div class="no-appointments">No archived appointments.</div>'
+                : '<div class="no-appointments">No appointments found.</div>';
             return;
         }
 
@@ -781,12 +1060,21 @@ class AdminPanel {
         });
     }
 
-    async deleteAppointment(id) {
-        if (!confirm('Are you sure you want to delete this appointment? This action cannot be undone.')) {
-            return;
-        }
+    // Mirrors getDeleteError in server/services/appointmentArchiveService.js: an upcoming appointment
+    // still holds its time, so it has to be declined first (which tells the customer)
+    canDeleteAppointment(appointment) {
+        if (!['awaiting_payment', 'pending', 'accepted'].includes(appointment.status)) return true;
+        const [year, month, day] = appointment.date.split('-').map(Number);
+        const [hours, minutes] = appointment.time.split(':').map(Number);
+        return new Date(year, month - 1, day, hours, minutes) <= new Date();
+    }
 
+    async deleteAppointment(id) {
         if (!this.useAPI) {
+            if (!confirm('Are you sure you want to delete this appointment? This action cannot be undone.')) {
+                return;
+            }
+
             // Backup: Remove from localStorage
             this.appointments = this.appointments.filter(apt => apt.id !== id);
             this.saveAppointments();
@@ -795,43 +1083,185 @@ class AdminPanel {
             return;
         }
 
+        if (!confirm('Delete this appointment? It will move to Archived, where you can restore it for a while before it is removed for good.')) {
+            return;
+        }
+
         try {
-            const response = await fetch(`/api/appointments/${id}`, {
+            const response = await this.apiFetch(`/api/appointments/${id}`, {
                 method: 'DELETE'
             });
 
             if (!response.ok) {
-                throw new Error('Failed to delete appointment');
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
             }
 
-            // Remove from local array
+            const archived = await response.json();
+
+            // Move it from the list to the archive
             this.appointments = this.appointments.filter(apt => apt.id !== id);
+            this.archivedAppointments = [this.formatAppointmentFromAPI(archived), ...this.archivedAppointments.filter(apt => apt.id !== id)];
             this.updateStats();
             this.renderAppointments();
+            this.showAppointmentsMessage('Appointment moved to Archived.', 'success');
         } catch (error) {
-            // Fallback: Remove from localStorage
-            this.appointments = this.appointments.filter(apt => apt.id !== id);
-            this.saveAppointments();
+            // Session expired - leave the appointment alone, the login screen is already showing
+            if (!this.isAuthenticated) return;
+
+            this.showAppointmentsMessage(`Failed to delete appointment: ${error.message}`, 'error');
+        }
+    }
+
+    // Load deleted appointments for the Archived filter
+    async loadArchivedAppointments() {
+        if (!this.useAPI) {
+            // Deleting from the localStorage backup removes the appointment for good
+            this.archivedAppointments = [];
+            this.renderAppointments();
+            return;
+        }
+
+        this.showAppointmentsLoadingState();
+
+        try {
+            const response = await this.apiFetch('/api/appointments?archived=true');
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.archivedAppointments = Array.isArray(data) ? data.map(apt => this.formatAppointmentFromAPI(apt)) : [];
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showAppointmentsMessage(`Error loading archived appointments: ${error.message}`, 'error');
+        } finally {
+            this.hideAppointmentsLoadingState();
+        }
+
+        // The admin may have switched filters while this was loading
+        if (this.currentFilter === 'archived') {
+            this.renderAppointments();
+        }
+    }
+
+    async restoreAppointment(id) {
+        if (this.updatingAppointmentIds.has(id)) {
+            return;
+        }
+        this.updatingAppointmentIds.add(id);
+        this.renderAppointments();
+
+        try {
+            const response = await this.apiFetch(`/api/appointments/${id}/restore`, {
+                method: 'POST'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const restored = await response.json();
+
+            // Move it from the archive back to the list
+            this.archivedAppointments = this.archivedAppointments.filter(apt => apt.id !== id);
+            this.appointments = [...this.appointments.filter(apt => apt.id !== id), this.formatAppointmentFromAPI(restored)];
             this.updateStats();
+            this.showAppointmentsMessage('Appointment restored.', 'success');
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showAppointmentsMessage(`Failed to restore appointment: ${error.message}`, 'error');
+        } finally {
+            this.updatingAppointmentIds.delete(id);
             this.renderAppointments();
         }
     }
 
-    toggleAnalytics(id, include) {
+    // "Jan 15, 2:30 PM"
+    formatArchiveDate(iso) {
+        return new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    // Saved on the appointment (include_in_analytics), so every machine's analytics leave it out
+    async toggleAnalytics(id, include) {
         const appointment = this.appointments.find(apt => apt.id === id);
-        if (appointment) {
-            appointment.includeInAnalytics = include;
+        if (!appointment) return;
+
+        const previous = appointment.includeInAnalytics;
+        appointment.includeInAnalytics = include;
+
+        if (!this.useAPI) {
+            // Backup: Save to localStorage
             this.saveAppointments();
+        } else {
+            try {
+                const response = await this.apiFetch(`/api/appointments/${id}`, {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ includeInAnalytics: include })
+                });
+
+                if (!response.ok) {
+                    const errorData = await response.json().catch(() => ({}));
+                    throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+                }
+
+                const result = await response.json();
+                appointment.includeInAnalytics = result.includeInAnalytics !== false;
+            } catch (error) {
+                // Put the switch back
+                appointment.includeInAnalytics = previous;
+                this.renderAppointments();
+
+                if (!this.isAuthenticated) return;
+                this.showAppointmentsMessage(`Failed to update analytics setting: ${error.message}`, 'error');
+                return;
+            }
+        }
+
         // Refresh analytics if on analytics tab
         if (this.currentTab === 'analytics' && window.analyticsPanel) {
-            setTimeout(() => window.analyticsPanel.refresh(), 100);
+            window.analyticsPanel.refresh();
+        }
+    }
+
+    // Short label for the deposit badge on an appointment card
+    formatDepositStatus(deposit) {
+        const labels = {
+            awaiting_payment: 'Deposit due',
+            paid: 'Deposit paid',
+            refunded: 'Deposit refunded',
+            forfeited: 'Deposit kept',
+            refund_failed: 'Refund failed'
+        };
+        return labels[deposit.status] || deposit.status;
+    }
+
+    // "$10.00 paid Jan 15, 2:30 PM" / "$10.00 refunded Jan 16, 9:00 AM"
+    formatDepositDetail(deposit) {
+        const formatWhen = (iso) => new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+        if (deposit.status === 'refunded') {
+            return `$${deposit.refundedAmount} of $${deposit.amount} refunded${deposit.refundedAt ? ` ${formatWhen(deposit.refundedAt)}` : ''}`;
         }
+        if (deposit.status === 'refund_failed') {
+            return `$${deposit.amount} - refund failed, refund it from the payment dashboard`;
         }
+        if (deposit.status === 'forfeited') {
+            return `$${deposit.amount} kept (late cancellation)`;
+        }
+        return `$${deposit.amount} ${deposit.paidAt ? `paid ${formatWhen(deposit.paidAt)}` : 'not paid yet'}`;
     }
 
     createAppointmentCard(appointment) {
+        const isArchived = Boolean(appointment.deletedAt);
         const card = document.createElement('div');
-        card.className = `appointment-card ${appointment.status}`;
+        card.className = `appointment-card ${appointment.status}${isArchived ? ' archived' : ''}`;
         
         // Parse date string to avoid timezone issues
         // Ensure date is a string in YYYY-MM-DD format
@@ -850,27 +1280,31 @@ class AdminPanel {
         const formattedTime = this.formatTime(appointment.time);
         const isPast = this.isPastAppointment(appointment);
         const isUpdating = this.updatingAppointmentIds.has(appointment.id);
+        const statusChangedAt = this.formatStatusChange(appointment);
 
         // Ensure customer object exists and is in correct format
         const customer = appointment.customer || {};
         const customerName = customer.name || appointment.customer_name || 'Unknown';
         const customerEmail = customer.email || appointment.customer_email || '';
-        const customerPhone = customer.phone || appointment.customer_phone || '';
+        const customerPhone = Phone.formatPhone(customer.phone || appointment.customer_phone || '');
 
         // Ensure includeInAnalytics field exists (default to true for old appointments)
         if (appointment.includeInAnalytics === undefined) {
             appointment.includeInAnalytics = true;
         }
 
-        // Determine if buttons should be disabled
-        const buttonsDisabled = isUpdating || isPast;
+        // Upcoming bookings have to be declined before they can be deleted
+        const canDelete = this.canDeleteAppointment(appointment);
 
         card.innerHTML = `
             <div class="appointment-info">
                 <div class="appointment-header">
                     <span class="appointment-customer">${customerName}</span>
-                    <span class="appointment-status ${appointment.status}">${appointment.status}</span>
+                    <span class="appointment-status ${appointment.status}">${this.formatStatusLabel(appointment.status)}</span>
+                    ${appointment.customerConfirmedAt ? '<span class="appointment-status confirmed" title="Customer replied CONFIRM">Confirmed by text</span>' : ''}
+                    ${appointment.deposit ? `<span class="appointment-status deposit-${appointment.deposit.status}">${this.formatDepositStatus(appointment.deposit)}</span>` : ''}
                     ${isPast ? '<span class="appointment-status past">Past</span>' : ''}
+                    ${isArchived ? '<span class="appointment-status archived">Archived</span>' : ''}
                     ${isUpdating ? '<span class="appointment-status updating">Updating...</span>' : ''}
                 </div>
                 <div class="appointment-details">
@@ -894,6 +1328,26 @@ class AdminPanel {
                         <strong>Price:</strong>
                         <span>$${appointment.price}</span>
                     </div>
+                    ${statusChangedAt ? `
+                    <div class="appointment-detail">
+                        <strong>Status Updated:</strong>
+                        <span>${statusChangedAt}</span>
+                    </div>` : ''}
+                    ${appointment.deposit ? `
+                    <div class="appointment-detail">
+                        <strong>Deposit:</strong>
+                        <span>${this.formatDepositDetail(appointment.deposit)}</span>
+                    </div>` : ''}
+                    ${appointment.checkout ? `
+                    <div class="appointment-detail">
+                        <strong>Paid:</strong>
+                        <span>${this.formatCheckoutDetail(appointment.checkout)}</span>
+                    </div>` : ''}
+                    ${isArchived ? `
+                    <div class="appointment-detail">
+                        <strong>Archived:</strong>
+                        <span>${this.formatArchiveDate(appointment.deletedAt)}, removed for good ${this.formatArchiveDate(appointment.purgeAt)}</span>
+                    </div>` : ''}
                     <div class="appointment-detail">
                         <strong>Email:</strong>
                         <span>${customerEmail}</span>
@@ -907,42 +1361,77 @@ class AdminPanel {
                         <label class="toggle-switch">
                             <input type="checkbox" ${appointment.includeInAnalytics ? 'checked' : ''} 
                                    onchange="adminPanel.toggleAnalytics('${appointment.id}', this.checked)"
-                                   ${buttonsDisabled ? 'disabled' : ''}>
+                                   ${isUpdating || isArchived ? 'disabled' : ''}>
                             <span class="toggle-slider"></span>
                         </label>
                     </div>
                 </div>
             </div>
             <div class="appointment-actions">
+                ${isArchived ? `
+                <button class="btn-accept ${isUpdating ? 'btn-loading' : ''}" onclick="adminPanel.restoreAppointment('${appointment.id}')"
+                        ${isUpdating ? 'disabled aria-busy="true"' : ''}>
+                    ${isUpdating ? 'Updating...' : 'Restore'}
+                </button>` : `
                 <button class="btn-delete" onclick="adminPanel.deleteAppointment('${appointment.id}')" 
-                        title="Delete appointment" ${buttonsDisabled ? 'disabled' : ''}>×</button>
-                ${!isPast ? (appointment.status === 'pending' ? `
-                    <button class="btn-accept ${isUpdating ? 'btn-loading' : ''}" 
-                            onclick="adminPanel.acceptAppointment('${appointment.id}')"
-                            ${isUpdating ? 'disabled' : ''}
-                            ${isUpdating ? 'aria-busy="true"' : ''}>
-                        ${isUpdating ? 'Updating...' : 'Accept'}
-                    </button>
-                    <button class="btn-decline ${isUpdating ? 'btn-loading' : ''}" 
-                            onclick="adminPanel.declineAppointment('${appointment.id}')"
-                            ${isUpdating ? 'disabled' : ''}
-                            ${isUpdating ? 'aria-busy="true"' : ''}>
-                        ${isUpdating ? 'Updating...' : 'Decline'}
-                    </button>
-                ` : appointment.status === 'accepted' ? `
-                    <button class="btn-decline ${isUpdating ? 'btn-loading' : ''}" 
-                            onclick="adminPanel.declineAppointment('${appointment.id}')"
-                            ${isUpdating ? 'disabled' : ''}
-                            ${isUpdating ? 'aria-busy="true"' : ''}>
-                        ${isUpdating ? 'Updating...' : 'Decline'}
-                    </button>
-                ` : '') : ''}
+                        title="${canDelete ? 'Delete appointment' : 'Decline this appointment before deleting it'}"
+                        ${isUpdating || !canDelete ? 'disabled' : ''}>×</button>
+                ${this.renderStatusButtons(appointment, isPast, isUpdating)}`}
             </div>
         `;
 
         return card;
     }
 
+    // Buttons for the status changes the server allows (see server/services/appointmentStatusService.js)
+    // Upcoming requests can be accepted or declined; once an accepted appointment has started it can be
+    // checked out or marked completed or a no-show, and those two can be swapped to fix a mistake
+    renderStatusButtons(appointment, isPast, isUpdating) {
+        const [year, month, day] = appointment.date.split('-').map(Number);
+        const [hours, minutes] = appointment.time.split(':').map(Number);
+        const hasStarted = new Date(year, month - 1, day, hours, minutes) <= new Date();
+
+        const button = (className, method, label) => `
+                    <button class="${className} ${isUpdating ? 'btn-loading' : ''}" 
+                            onclick="adminPanel.${method}('${appointment.id}')"
+                            ${isUpdating ? 'disabled' : ''}
+                            ${isUpdating ? 'aria-busy="true"' : ''}>
+                        ${isUpdating ? 'Updating...' : label}
+                    </button>`;
+
+        const buttons = [];
+        if (appointment.status === 'pending' && !isPast) {
+            buttons.push(button('btn-accept', 'acceptAppointment', 'Accept'));
+            buttons.push(button('btn-decline', 'declineAppointment', 'Decline'));
+        } else if (appointment.status === 'accepted' && hasStarted) {
+            buttons.push(button('btn-accept', 'openCheckout', 'Check Out'));
+            buttons.push(button('btn-accept', 'completeAppointment', 'Completed'));
+            buttons.push(button('btn-decline', 'markNoShow', 'No-Show'));
+        } else if (appointment.status === 'accepted' && !isPast) {
+            buttons.push(button('btn-decline', 'declineAppointment', 'Decline'));
+        } else if (appointment.status === 'completed') {
+            buttons.push(button('btn-accept', 'openCheckout', appointment.checkout ? 'Edit Checkout' : 'Check Out'));
+            buttons.push(button('btn-decline', 'markNoShow', 'Mark No-Show'));
+        } else if (appointment.status === 'no_show') {
+            buttons.push(button('btn-accept', 'completeAppointment', 'Mark Completed'));
+        }
+
+        return buttons.join('');
+    }
+
+    // When the appointment reached its current status, e.g. "Jan 15, 2:30 PM" (empty for pending or older rows)
+    formatStatusChange(appointment) {
+        const fields = { accepted: 'acceptedAt', declined: 'declinedAt', cancelled: 'cancelledAt', completed: 'completedAt', no_show: 'noShowAt' };
+        const changedAt = appointment[fields[appointment.status]];
+        if (!changedAt) return '';
+        return new Date(changedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    // "no_show" -> "no show"
+    formatStatusLabel(status) {
+        return String(status).replace('_', ' ');
+    }
+
     isPastAppointment(appointment) {
         // Parse date and time to avoid timezone issues
         const [year, month, day] = appointment.date.split('-').map(Number);
@@ -970,20 +1459,237 @@ class AdminPanel {
         await this.updateAppointmentStatus(id, 'declined');
     }
 
-    // Setup availability tab functionality
-    setupAvailabilityTab() {
-        // This will be called when switching to availability tab
-        // Render availability calendar
-        this.renderAvailabilityCalendar();
-        this.setupAvailabilityNavigation();
+    async completeAppointment(id) {
+        // Prevent double-clicks
+        if (this.updatingAppointmentIds.has(id)) {
+            return;
+        }
+        await this.updateAppointmentStatus(id, 'completed');
     }
 
-    // Setup month navigation for availability calendar
-    // Navigation buttons are hidden since we always show today + 30 days
-    setupAvailabilityNavigation() {
-        // Navigation buttons are hidden - no event listeners needed
-        // Calendar always shows today + 30 days forward
-    }
+    async markNoShow(id) {
+        // Prevent double-clicks
+        if (this.updatingAppointmentIds.has(id)) {
+            return;
+        }
+        const appointment = this.appointments.find(apt => apt.id === id);
+        if (appointment && appointment.deposit && appointment.deposit.status === 'paid' &&
+            !confirm(`Mark as a no-show? The $${appointment.deposit.amount} deposit will be kept.`)) {
+            return;
+        }
+        await this.updateAppointmentStatus(id, 'no_show');
+    }
+
+    // "$47.00 by card, $5.00 tip"
+    formatCheckoutDetail(checkout) {
+        const methods = { cash: 'cash', card: 'card', other: 'other payment' };
+        const tip = parseFloat(checkout.tip) > 0 ? `, $${checkout.tip} tip` : '';
+        return `$${checkout.total} by ${methods[checkout.paymentMethod] || checkout.paymentMethod}${tip}`;
+    }
+
+    // Open the checkout for an appointment: the booked service to start with, or what was recorded last time
+    openCheckout(id) {
+        const appointment = this.appointments.find(apt => apt.id === id);
+        if (!appointment || this.updatingAppointmentIds.has(id)) return;
+
+        this.checkoutAppointmentId = id;
+        this.checkoutItems = appointment.checkout
+            ? appointment.checkout.items.map(item => ({ name: item.name, amount: item.amount }))
+            : [{ name: appointment.service, amount: parseFloat(appointment.price) ? parseFloat(appointment.price).toFixed(2) : '' }];
+
+        document.getElementById('checkoutTitle').textContent = `Check Out ${appointment.customer?.name || ''}`.trim();
+        document.getElementById('checkoutTip').value = appointment.checkout && parseFloat(appointment.checkout.tip) > 0 ? appointment.checkout.tip : '';
+        document.getElementById('checkoutPaymentMethod').value = appointment.checkout ? appointment.checkout.paymentMethod : 'card';
+        document.getElementById('checkoutError').style.display = 'none';
+
+        // Add-ons are picked from the services catalog
+        if (this.useAPI && this.services.length === 0) {
+            this.loadServices().then(() => this.updateCheckoutItemOptions());
+        }
+        this.updateCheckoutItemOptions();
+
+        this.renderCheckoutItems();
+        document.getElementById('checkoutModal').style.display = 'flex';
+    }
+
+    closeCheckoutModal() {
+        document.getElementById('checkoutModal').style.display = 'none';
+        this.checkoutAppointmentId = null;
+        this.checkoutItems = [];
+    }
+
+    // Suggestions for item names: every active service, plus a discount
+    updateCheckoutItemOptions() {
+        const options = document.getElementById('checkoutItemOptions');
+        if (!options) return;
+
+        options.innerHTML = '';
+        [...this.services.filter(service => service.active !== false).map(service => service.name), 'Discount'].forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            options.appendChild(option);
+        });
+    }
+
+    renderCheckoutItems() {
+        const container = document.getElementById('checkoutItems');
+
+        container.innerHTML = this.checkoutItems.map((item, index) => `
+            <div class="checkout-item">
+                <input type="text" class="filter-input" list="checkoutItemOptions" placeholder="Item, e.g. Beard trim" maxlength="100"
+                       oninput="adminPanel.updateCheckoutItem(${index}, 'name', this.value)">
+                <input type="number" class="filter-input checkout-item-amount" id="checkoutItemAmount${index}" placeholder="0.00" step="0.01"
+                       oninput="adminPanel.updateCheckoutItem(${index}, 'amount', this.value)">
+                <button type="button" class="btn-clear-filter" onclick="adminPanel.removeCheckoutItem(${index})"
+                        title="Remove item" ${this.checkoutItems.length === 1 ? 'disabled' : ''}>×</button>
+            </div>
+        `).join('');
+
+        // Values are set on the inputs rather than written into the markup, so names with quotes survive
+        container.querySelectorAll('.checkout-item').forEach((row, index) => {
+            const [nameInput, amountInput] = row.querySelectorAll('input');
+            nameInput.value = this.checkoutItems[index].name;
+            amountInput.value = this.checkoutItems[index].amount;
+        });
+
+        this.updateCheckoutSummary();
+    }
+
+    addCheckoutItem(name = '', amount = '') {
+        this.checkoutItems.push({ name, amount: amount === '' ? '' : Number(amount).toFixed(2) });
+        this.renderCheckoutItems();
+    }
+
+    removeCheckoutItem(index) {
+        if (this.checkoutItems.length === 1) return;
+        this.checkoutItems.splice(index, 1);
+        this.renderCheckoutItems();
+    }
+
+    updateCheckoutItem(index, field, value) {
+        const item = this.checkoutItems[index];
+        if (!item) return;
+        item[field] = value;
+
+        // Picking a service fills in its price
+        if (field === 'name' && item.amount === '') {
+            const service = this.services.find(s => s.name.toLowerCase() === value.trim().toLowerCase());
+            if (service) {
+                item.amount = service.price;
+                document.getElementById(`checkoutItemAmount${index}`).value = service.price;
+            }
+        }
+
+        this.updateCheckoutSummary();
+    }
+
+    // Running total - the server works it out the same way (items + tip)
+    updateCheckoutSummary() {
+        const appointment = this.appointments.find(apt => apt.id === this.checkoutAppointmentId);
+        const itemsTotal = this.checkoutItems.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+        const tip = parseFloat(document.getElementById('checkoutTip').value) || 0;
+        const total = itemsTotal + tip;
+
+        const lines = [
+            `<span>Items: <strong>$${itemsTotal.toFixed(2)}</strong> + tip <strong>$${tip.toFixed(2)}</strong> = <strong>$${total.toFixed(2)}</strong></span>`
+        ];
+        if (appointment && appointment.deposit && appointment.deposit.status === 'paid') {
+            const deposit = parseFloat(appointment.deposit.amount);
+            lines.push(`<span>Deposit paid online: $${deposit.toFixed(2)} - collect <strong>$${Math.max(0, total - deposit).toFixed(2)}</strong> now</span>`);
+        }
+
+        document.getElementById('checkoutSummary').innerHTML = lines.join('');
+    }
+
+    async saveCheckout() {
+        const id = this.checkoutAppointmentId;
+        const appointment = this.appointments.find(apt => apt.id === id);
+        if (!appointment || this.isSavingCheckout) return;
+
+        const body = {
+            items: this.checkoutItems.map(item => ({ name: item.name, amount: item.amount })),
+            tip: document.getElementById('checkoutTip').value || 0,
+            paymentMethod: document.getElementById('checkoutPaymentMethod').value
+        };
+        const errorEl = document.getElementById('checkoutError');
+        errorEl.style.display = 'none';
+
+        if (!this.useAPI) {
+            // Backup: Save to localStorage
+            const tip = parseFloat(body.tip) || 0;
+            const itemsTotal = body.items.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+            appointment.checkout = {
+                items: body.items.map(item => ({ name: item.name, amount: (parseFloat(item.amount) || 0).toFixed(2) })),
+                tip: tip.toFixed(2),
+                total: (itemsTotal + tip).toFixed(2),
+                paymentMethod: body.paymentMethod,
+                checkedOutAt: new Date().toISOString()
+            };
+            appointment.status = 'completed';
+            this.saveAppointments();
+            this.closeCheckoutModal();
+            this.updateStats();
+            this.renderAppointments();
+            this.showAppointmentsMessage(`Checked out: ${this.formatCheckoutDetail(appointment.checkout)}.`, 'success');
+            return;
+        }
+
+        const saveBtn = document.getElementById('checkoutSaveBtn');
+        this.isSavingCheckout = true;
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+
+        try {
+            const response = await this.apiFetch(`/api/appointments/${id}/checkout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            ['status', 'completedAt', 'noShowAt', 'deposit', 'checkout'].forEach(field => {
+                if (field in result) appointment[field] = result[field];
+            });
+
+            this.closeCheckoutModal();
+            this.updateStats();
+            this.renderAppointments();
+            this.showAppointmentsMessage(`Checked out: ${this.formatCheckoutDetail(appointment.checkout)}.`, 'success');
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            // Keep the modal open so the items can be fixed
+            errorEl.textContent = `Failed to save checkout: ${error.message}`;
+            errorEl.style.display = 'block';
+        } finally {
+            this.isSavingCheckout = false;
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save Checkout';
+        }
+    }
+
+    // Setup availability tab functionality
+    setupAvailabilityTab() {
+        // This will be called when switching to availability tab
+        // Render availability calendar
+        this.renderAvailabilityCalendar();
+        this.setupAvailabilityNavigation();
+        this.loadTemplates();
+        this.loadWaitlist();
+    }
+
+    // Setup month navigation for availability calendar
+    // Navigation buttons are hidden since we always show today + 30 days
+    setupAvailabilityNavigation() {
+        // Navigation buttons are hidden - no event listeners needed
+        // Calendar always shows today + 30 days forward
+    }
 
     // Render availability calendar for admin - Today + 30 Days View
     renderAvailabilityCalendar() {
@@ -1098,6 +1804,16 @@ class AdminPanel {
                 originalContentWrapper.appendChild(closedBadgeEl);
             }
 
+            // People waiting for a time to open up on this day
+            const waitingCount = this.getWaitlistForDate(dateStr).length;
+            if (waitingCount > 0) {
+                const waitlistEl = document.createElement('div');
+                waitlistEl.className = 'calendar-day-waitlist';
+                waitlistEl.textContent = `${waitingCount} waiting`;
+                waitlistEl.title = `${waitingCount} on the waitlist`;
+                originalContentWrapper.appendChild(waitlistEl);
+            }
+
             // Month indicator (only show on first day of each month)
             const isFirstDayOfMonth = date.getDate() === 1 || i === 0;
             if (isFirstDayOfMonth) {
@@ -1190,6 +1906,11 @@ class AdminPanel {
         const formattedDate = this.formatDateDisplay(date);
         const dayInfo = this.availability[dateStr] || { available: true, timeSlots: [], closed: false };
         const timeSlots = dayInfo.timeSlots || [];
+        const ranges = dayInfo.ranges || [];
+        const breaks = dayInfo.breaks || [];
+        // Days saved before opening hours existed keep their fixed list of start times
+        const hasFixedSlots = ranges.length === 0 && timeSlots.length > 0;
+        const waitlistEntries = this.getWaitlistForDate(dateStr);
 
         // Remove any existing editor content first (in case we're refreshing)
         const existingEditor = dayCell.querySelector('.day-editor-expanded-content');
@@ -1208,12 +1929,17 @@ class AdminPanel {
             <div class="expanded-editor-content">
                 <div class="expanded-editor-header">
                     <h4>Edit Availability: ${formattedDate}</h4>
+                    <p class="day-editor-source">${dayInfo.source === 'override' ? 'Custom hours for this date' : (dayInfo.source === 'template' ? 'From your weekly hours' : 'No weekly hours on this day')}</p>
                 </div>
                 <div class="expanded-editor-body">
+                    ${this.renderDayRangeSection(dateStr, 'ranges', ranges)}
+                    ${this.renderDayRangeSection(dateStr, 'breaks', breaks)}
+                    ${ranges.length > 0 ? `<p class="day-editor-preview">${timeSlots.length} start time${timeSlots.length !== 1 ? 's' : ''} for a ${PREVIEW_SERVICE_MINUTES}-min service. Shorter and longer services get their own times.</p>` : ''}
+                    ${hasFixedSlots ? `
                     <div id="timeSlotsSection">
-                        <h5>Time Slots</h5>
+                        <h5>Fixed Start Times</h5>
+                        <p class="copy-times-hint">This day uses a fixed list of times. Add opening hours to have start times worked out for each service instead.</p>
                         <div id="timeSlotsList">
-                            ${timeSlots.length === 0 ? '<p class="no-slots">No time slots. Click "Add Time Slot" to add one.</p>' : ''}
                             ${timeSlots.map(slot => `
                                 <div class="time-slot-item">
                                     <span class="time">${this.formatTime(slot)}</span>
@@ -1223,7 +1949,8 @@ class AdminPanel {
                         </div>
                         <button class="btn-add-time-slot" onclick="adminPanel.addTimeSlot('${dateStr}')">+ Add Time Slot</button>
                     </div>
-                    ${timeSlots.length > 0 ? `
+                    ` : ''}
+                    ${ranges.length > 0 || hasFixedSlots ? `
                     <div class="copy-times-section">
                         <h5>Copy to Other Days</h5>
                         <p class="copy-times-hint">Select days to copy these time slots to:</p>
@@ -1237,9 +1964,21 @@ class AdminPanel {
                         </div>
                     </div>
                     ` : ''}
+                    ${waitlistEntries.length > 0 ? `
+                    <div class="day-waitlist-section">
+                        <h5>Waitlist (${waitlistEntries.length})</h5>
+                        ${waitlistEntries.map(entry => `
+                            <div class="time-slot-item waitlist-item">
+                                <span class="time">${this.formatWaitlistEntry(entry)}</span>
+                                <button class="btn-remove-time" title="Remove from waitlist" onclick="adminPanel.removeWaitlistEntry('${entry.id}')">×</button>
+                            </div>
+                        `).join('')}
+                    </div>
+                    ` : ''}
                     <div class="editor-actions">
                         <button class="btn-save-day" onclick="adminPanel.saveDayAvailability('${dateStr}')">Save Changes</button>
                         <button class="btn-reset-day" onclick="adminPanel.cancelDayEditor()">Cancel</button>
+                        ${dayInfo.source === 'override' && this.useAPI ? `<button class="btn-use-template" onclick="adminPanel.resetDayToTemplate('${dateStr}')">Use Weekly Hours</button>` : ''}
                     </div>
                 </div>
             </div>
@@ -1269,12 +2008,86 @@ class AdminPanel {
         editorContainer.offsetHeight;
         editorContainer.classList.add('animating');
         
-        // Render copy days checkboxes if time slots exist
-        if (timeSlots.length > 0) {
+        // Render copy days checkboxes if there are hours to copy
+        if (ranges.length > 0 || hasFixedSlots) {
             this.renderCopyDaysCheckboxes(dateStr);
         }
     }
 
+    // Opening hours or breaks list for the day editor, with inputs to add another
+    renderDayRangeSection(dateStr, kind, items) {
+        const isBreaks = kind === 'breaks';
+        const emptyText = isBreaks ? 'No breaks.' : 'No opening hours. Add the hours you are open this day.';
+        const defaults = isBreaks ? ['12:00', '12:30'] : ['09:00', '17:00'];
+
+        return `
+            <div class="day-range-section">
+                <h5>${isBreaks ? 'Breaks' : 'Opening Hours'}</h5>
+                <div class="day-range-list">
+                    ${items.length === 0 ? `<p class="no-slots">${emptyText}</p>` : ''}
+                    ${items.map((item, index) => `
+                        <div class="time-slot-item">
+                            <span class="time">${this.formatTime(item.start)} - ${this.formatTime(item.end)}${item.step ? ` (every ${item.step} min)` : ''}</span>
+                            <button class="btn-remove-time" onclick="adminPanel.removeDayRange('${dateStr}', '${kind}', ${index})">×</button>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="day-range-inputs">
+                    <input type="time" class="day-range-time" id="${kind}Start-${dateStr}" value="${defaults[0]}">
+                    <span>to</span>
+                    <input type="time" class="day-range-time" id="${kind}End-${dateStr}" value="${defaults[1]}">
+                    <button class="btn-add-time-slot" onclick="adminPanel.addDayRange('${dateStr}', '${kind}')">+ Add ${isBreaks ? 'Break' : 'Hours'}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Add opening hours or a break to a day from the editor inputs
+    addDayRange(dateStr, kind) {
+        const start = document.getElementById(`${kind}Start-${dateStr}`).value;
+        const end = document.getElementById(`${kind}End-${dateStr}`).value;
+
+        if (!start || !end || end <= start) {
+            this.showMessage('End time must be after start time.', 'error');
+            return;
+        }
+
+        const dayInfo = this.availability[dateStr] || { available: true, timeSlots: [] };
+        const items = [...(dayInfo[kind] || []), { start, end }].sort((a, b) => a.start.localeCompare(b.start));
+        this.updateDayHours(dateStr, kind === 'ranges' ? items : dayInfo.ranges || [], kind === 'breaks' ? items : dayInfo.breaks || []);
+    }
+
+    // Remove opening hours or a break from a day
+    removeDayRange(dateStr, kind, index) {
+        const dayInfo = this.availability[dateStr] || { available: true, timeSlots: [] };
+        const items = (dayInfo[kind] || []).filter((item, i) => i !== index);
+        this.updateDayHours(dateStr, kind === 'ranges' ? items : dayInfo.ranges || [], kind === 'breaks' ? items : dayInfo.breaks || []);
+    }
+
+    // Store edited hours locally until the day is saved, refreshing the slot preview
+    updateDayHours(dateStr, ranges, breaks) {
+        const dayInfo = this.availability[dateStr] || { available: true, timeSlots: [] };
+        const hadRanges = (dayInfo.ranges || []).length > 0;
+
+        let timeSlots = dayInfo.timeSlots || [];
+        if (ranges.length > 0) {
+            timeSlots = this.previewRangeSlots(ranges, breaks, PREVIEW_SERVICE_MINUTES);
+        } else if (hadRanges) {
+            // The preview came from the ranges that were just removed
+            timeSlots = [];
+        }
+
+        this.availability[dateStr] = {
+            ...dayInfo,
+            available: true,
+            ranges,
+            breaks,
+            timeSlots
+        };
+        this.expandedDate = dateStr;
+        this.renderAvailabilityCalendar();
+    }
+
     // Hide day editor - removes content from expanded day cell
     hideDayEditor() {
         // Find any expanded day cell
@@ -1427,14 +2240,16 @@ class AdminPanel {
             return;
         }
 
-        // Get source day time slots
+        // Get source day hours (opening ranges, or a fixed list of times on older days)
         const sourceDayInfo = this.availability[sourceDateStr];
-        if (!sourceDayInfo || !sourceDayInfo.timeSlots || sourceDayInfo.timeSlots.length === 0) {
+        const rangesToCopy = (sourceDayInfo && sourceDayInfo.ranges) || [];
+        if (!sourceDayInfo || (rangesToCopy.length === 0 && (!sourceDayInfo.timeSlots || sourceDayInfo.timeSlots.length === 0))) {
             this.showMessage('No time slots to copy from this day.', 'error');
             return;
         }
 
-        const timeSlotsToCopy = [...sourceDayInfo.timeSlots]; // Copy array
+        const timeSlotsToCopy = [...(sourceDayInfo.timeSlots || [])]; // Copy array
+        const breaksToCopy = sourceDayInfo.breaks || [];
 
         // Prevent multiple submissions
         if (this.isSavingAvailability) {
@@ -1459,17 +2274,20 @@ class AdminPanel {
         });
 
         try {
-            // Update availability for each selected day
+            // Build availability for each selected day
+            const copiedDays = {};
             selectedDays.forEach(targetDateStr => {
-                this.availability[targetDateStr] = {
+                copiedDays[targetDateStr] = {
                     available: true,
-                    timeSlots: [...timeSlotsToCopy], // Copy array to avoid reference issues
+                    ranges: rangesToCopy.map(range => ({ ...range })), // Copy to avoid reference issues
+                    breaks: breaksToCopy.map(b => ({ ...b })),
+                    timeSlots: [...timeSlotsToCopy],
                     closed: false
                 };
             });
 
             // Save all changes atomically
-            const result = await this.saveAvailability(this.availability);
+            const result = await this.saveAvailability(copiedDays);
 
             if (result.success) {
                 const dayCount = selectedDays.length;
@@ -1604,8 +2422,9 @@ class AdminPanel {
         timeSlots.push(time24);
         timeSlots.sort();
 
-        // Update availability
+        // Update availability (keeps track of whether the day came from weekly hours)
         this.availability[this.pendingTimeSlotDate] = {
+            ...dayInfo,
             available: true,
             timeSlots: timeSlots
         };
@@ -1633,23 +2452,13 @@ class AdminPanel {
         // Remove the time slot
         timeSlots = timeSlots.filter(slot => slot !== timeSlot);
 
-        // Update availability
-        if (timeSlots.length === 0) {
-            delete this.availability[dateStr];
-            // If we removed the last time slot and this was the expanded day, collapse it
-            if (this.expandedDate === dateStr) {
-                this.expandedDate = null;
-            }
-        } else {
-            this.availability[dateStr] = {
-                available: true,
-                timeSlots: timeSlots
-            };
-            // Maintain expanded state if this was the expanded day
-            if (this.expandedDate === dateStr) {
-                // Keep it expanded - will be restored by renderAvailabilityCalendar()
-            }
-        }
+        // Update availability - an empty day is kept so saving it can override the weekly hours
+        this.availability[dateStr] = {
+            ...dayInfo,
+            available: true,
+            timeSlots: timeSlots
+        };
+        // Expanded state is restored by renderAvailabilityCalendar()
         // Refresh calendar to update badge and restore expanded state
         this.renderAvailabilityCalendar();
     }
@@ -1662,16 +2471,9 @@ class AdminPanel {
             return;
         }
 
-        const dayInfo = this.availability[dateStr];
-        
-        // If day is closed, keep the closed flag but don't require time slots
-        if (dayInfo && dayInfo.closed === true) {
-            // Day is closed - keep it in availability with closed flag
-            // Time slots can exist but won't be used
-        } else if (!dayInfo || !dayInfo.timeSlots || dayInfo.timeSlots.length === 0) {
-            // Remove availability if no time slots and not closed
-            delete this.availability[dateStr];
-        }
+        // Saved as an override for this date - an empty list means no bookings that day,
+        // even if the weekly hours would normally open it
+        const dayInfo = this.availability[dateStr] || { available: true, timeSlots: [], closed: false };
 
         // Show saving state immediately
         const saveBtn = document.querySelector('.btn-save-day');
@@ -1682,7 +2484,14 @@ class AdminPanel {
         }
 
         // Save to API (this will handle loading state)
-        const result = await this.saveAvailability(this.availability);
+        const result = await this.saveAvailability({
+            [dateStr]: {
+                ranges: dayInfo.ranges || [],
+                breaks: dayInfo.breaks || [],
+                timeSlots: dayInfo.timeSlots || [],
+                closed: dayInfo.closed === true
+            }
+        });
         
         // Restore button text
         if (saveBtn) {
@@ -1816,7 +2625,1242 @@ class AdminPanel {
                 e.target.classList.add('active');
                 this.currentFilter = e.target.getAttribute('data-filter');
                 this.renderAppointments();
+                if (this.currentFilter === 'archived') {
+                    this.loadArchivedAppointments();
+                }
+            });
+        });
+
+        // Services form
+        const serviceForm = document.getElementById('serviceForm');
+        if (serviceForm) {
+            serviceForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveService();
+            });
+        }
+
+        const serviceFormCancel = document.getElementById('serviceFormCancel');
+        if (serviceFormCancel) {
+            serviceFormCancel.addEventListener('click', () => this.resetServiceForm());
+        }
+
+        // Weekly hours form
+        const templateForm = document.getElementById('templateForm');
+        if (templateForm) {
+            templateForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveTemplate();
+            });
+        }
+
+        const templateFormCancel = document.getElementById('templateFormCancel');
+        if (templateFormCancel) {
+            templateFormCancel.addEventListener('click', () => this.resetTemplateForm());
+        }
+
+        // Client directory
+        const clientSearch = document.getElementById('clientSearch');
+        if (clientSearch) {
+            clientSearch.addEventListener('input', () => {
+                clearTimeout(this.customerSearchTimer);
+                this.customerSearchTimer = setTimeout(() => this.loadCustomers(), 300);
+            });
+        }
+
+        const clientProfileForm = document.getElementById('clientProfileForm');
+        if (clientProfileForm) {
+            clientProfileForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveCustomer();
+            });
+            document.getElementById('clientProfileClose').addEventListener('click', () => this.closeCustomerProfile());
+        }
+
+        // Message template editor
+        const messageTemplateForm = document.getElementById('messageTemplateForm');
+        if (messageTemplateForm) {
+            messageTemplateForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveMessageTemplate();
+            });
+            document.getElementById('messageTemplateBody').addEventListener('input', () => this.scheduleTemplatePreview());
+            document.getElementById('messageTemplateTest').addEventListener('click', () => this.sendTestMessage());
+            document.getElementById('messageTemplateReset').addEventListener('click', () => this.resetMessageTemplate());
+            document.getElementById('messageTemplateCancel').addEventListener('click', () => this.closeMessageTemplateEditor());
+        }
+    }
+
+    // ============================================
+    // WEEKLY HOURS (AVAILABILITY TEMPLATES) METHODS
+    // ============================================
+
+    // Load weekly templates from the API
+    async loadTemplates() {
+        const container = document.getElementById('templatesList');
+        if (!container) return;
+
+        if (!this.useAPI) {
+            container.innerHTML = '<p class="no-templates">Weekly hours need the server. Edit individual days below.</p>';
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/availability/templates');
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.templates = Array.isArray(data) ? data : [];
+            this.renderTemplates();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            container.innerHTML = '';
+            this.showMessage(`Error loading weekly hours: ${error.message}`, 'error');
+        }
+    }
+
+    // Render the weekly templates list
+    renderTemplates() {
+        const container = document.getElementById('templatesList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.templates.length === 0) {
+            container.innerHTML = '<p class="no-templates">No weekly hours yet. Add the days and times you usually work.</p>';
+            return;
+        }
+
+        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+        this.templates.forEach(template => {
+            const slotCount = this.countTemplateSlots(template);
+            const stepText = template.interval ? `every ${template.interval} min` : 'follows service length';
+            const breakText = (template.breaks || []).map(b => ` · break ${this.formatTime(b.start)} - ${this.formatTime(b.end)}`).join('');
+            const card = document.createElement('div');
+            card.className = 'template-card';
+            if (!template.active) {
+                card.style.opacity = '0.6';
+            }
+            card.innerHTML = `
+                <div class="template-info">
+                    <h4>${dayNames[template.dayOfWeek]}${template.active ? '' : ' (paused)'}</h4>
+                    <p class="template-dates">${this.formatTime(template.startTime)} - ${this.formatTime(template.endTime)}${breakText} · ${stepText} · ${slotCount} slot${slotCount !== 1 ? 's' : ''}${template.interval ? '' : ` for a ${PREVIEW_SERVICE_MINUTES}-min service`}</p>
+                </div>
+                <div class="template-card-actions">
+                    <button class="btn-edit-template" onclick="adminPanel.editTemplate('${template.id}')">Edit</button>
+                    <button class="btn-duplicate-template" onclick="adminPanel.toggleTemplateActive('${template.id}', ${!template.active})">${template.active ? 'Pause' : 'Resume'}</button>
+                    <button class="btn-delete-template" onclick="adminPanel.deleteTemplate('${template.id}')">Delete</button>
+                </div>
+            `;
+            container.appendChild(card);
+        });
+    }
+
+    // Number of slots a template creates (a slot must finish by the end time and not cross a break)
+    countTemplateSlots(template) {
+        const range = { start: template.startTime, end: template.endTime, step: template.interval };
+        const duration = template.interval || PREVIEW_SERVICE_MINUTES;
+        return this.previewRangeSlots([range], template.breaks || [], duration).length;
+    }
+
+    // Start times that opening ranges give for a service of the given length, with breaks cut out
+    // Mirrors generateDaySlots() on the server so unsaved edits show the right slot count
+    previewRangeSlots(ranges, breaks, duration) {
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+
+        let windows = ranges.map(range => ({
+            start: toMinutes(range.start),
+            end: toMinutes(range.end),
+            step: range.step || duration
+        }));
+
+        breaks.forEach(b => {
+            const breakStart = toMinutes(b.start);
+            const breakEnd = toMinutes(b.end);
+            windows = windows.flatMap(window => {
+                if (breakEnd <= window.start || breakStart >= window.end) return [window];
+                const pieces = [];
+                if (breakStart > window.start) pieces.push({ ...window, end: breakStart });
+                if (breakEnd < window.end) pieces.push({ ...window, start: breakEnd });
+                return pieces;
+            });
+        });
+
+        const slots = new Set();
+        windows.forEach(window => {
+            for (let start = window.start; start + duration <= window.end; start += window.step) {
+                slots.add(`${String(Math.floor(start / 60)).padStart(2, '0')}:${String(start % 60).padStart(2, '0')}`);
+            }
+        });
+
+        return [...slots].sort();
+    }
+
+    // Fill the form with a template for editing
+    editTemplate(id) {
+        const template = this.templates.find(t => t.id === id);
+        if (!template) return;
+
+        document.getElementById('templateFormId').value = template.id;
+        document.getElementById('templateFormDay').value = String(template.dayOfWeek);
+        document.getElementById('templateFormStart').value = template.startTime;
+        document.getElementById('templateFormEnd').value = template.endTime;
+
+        // The form edits one break per template
+        const firstBreak = (template.breaks || [])[0];
+        document.getElementById('templateFormBreakStart').value = firstBreak ? firstBreak.start : '';
+        document.getElementById('templateFormBreakEnd').value = firstBreak ? firstBreak.end : '';
+
+        // Add the interval as an option if it isn't one of the presets
+        const intervalSelect = document.getElementById('templateFormInterval');
+        const intervalValue = template.interval ? String(template.interval) : '';
+        if (!Array.from(intervalSelect.options).some(option => option.value === intervalValue)) {
+            const option = document.createElement('option');
+            option.value = intervalValue;
+            option.textContent = `Every ${template.interval} min`;
+            intervalSelect.appendChild(option);
+        }
+        intervalSelect.value = intervalValue;
+
+        document.getElementById('templateFormSubmit').textContent = 'Save Weekly Hours';
+        document.getElementById('templateFormCancel').style.display = '';
+    }
+
+    // Clear the form back to "add" mode
+    resetTemplateForm() {
+        const form = document.getElementById('templateForm');
+        if (form) form.reset();
+        document.getElementById('templateFormId').value = '';
+        document.getElementById('templateFormSubmit').textContent = 'Add Weekly Hours';
+        document.getElementById('templateFormCancel').style.display = 'none';
+    }
+
+    // Create or update a template from the form
+    async saveTemplate() {
+        if (this.isSavingTemplate) return;
+
+        const id = document.getElementById('templateFormId').value;
+        const intervalValue = document.getElementById('templateFormInterval').value;
+        const breakStart = document.getElementById('templateFormBreakStart').value;
+        const breakEnd = document.getElementById('templateFormBreakEnd').value;
+        const templateData = {
+            dayOfWeek: parseInt(document.getElementById('templateFormDay').value),
+            startTime: document.getElementById('templateFormStart').value,
+            endTime: document.getElementById('templateFormEnd').value,
+            interval: intervalValue ? parseInt(intervalValue) : null,
+            breaks: breakStart || breakEnd ? [{ start: breakStart, end: breakEnd }] : []
+        };
+
+        if (!templateData.startTime || !templateData.endTime || templateData.endTime <= templateData.startTime) {
+            this.showMessage('End time must be after start time.', 'error');
+            return;
+        }
+        if (templateData.breaks.length > 0 && (!breakStart || !breakEnd || breakEnd <= breakStart)) {
+            this.showMessage('A break needs a start and an end time, with the end after the start.', 'error');
+            return;
+        }
+
+        const submitBtn = document.getElementById('templateFormSubmit');
+        const originalText = submitBtn.textContent;
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Saving...';
+        this.isSavingTemplate = true;
+
+        try {
+            const response = await this.apiFetch(id ? `/api/availability/templates/${id}` : '/api/availability/templates', {
+                method: id ? 'PATCH' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(templateData)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showMessage(id ? 'Weekly hours updated!' : 'Weekly hours added!', 'success');
+            this.resetTemplateForm();
+            await this.refreshAfterTemplateChange();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showMessage(`Failed to save weekly hours: ${error.message}`, 'error');
+        } finally {
+            this.isSavingTemplate = false;
+            submitBtn.disabled = false;
+            if (submitBtn.textContent === 'Saving...') {
+                submitBtn.textContent = originalText;
+            }
+        }
+    }
+
+    // Pause or resume a template without deleting it
+    async toggleTemplateActive(id, active) {
+        try {
+            const response = await this.apiFetch(`/api/availability/templates/${id}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ active })
             });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showMessage(active ? 'Weekly hours resumed.' : 'Weekly hours paused.', 'success');
+            await this.refreshAfterTemplateChange();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showMessage(`Failed to update weekly hours: ${error.message}`, 'error');
+        }
+    }
+
+    // Delete a template
+    async deleteTemplate(id) {
+        if (!confirm('Delete these weekly hours? Days you edited individually keep their custom times.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/availability/templates/${id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showMessage('Weekly hours deleted.', 'success');
+            await this.refreshAfterTemplateChange();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showMessage(`Failed to delete weekly hours: ${error.message}`, 'error');
+        }
+    }
+
+    // Reload templates and the calendar after weekly hours change
+    async refreshAfterTemplateChange() {
+        await this.loadTemplates();
+        await this.fetchAvailability();
+        this.renderAvailabilityCalendar();
+    }
+
+    // Remove a date's custom hours so it follows the weekly hours again
+    async resetDayToTemplate(dateStr) {
+        try {
+            const response = await this.apiFetch(`/api/availability/${dateStr}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            delete this.availability[dateStr];
+            Object.assign(this.availability, result.availability || {});
+
+            this.showMessage('This day now follows your weekly hours.', 'success');
+            this.cancelDayEditor();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showMessage(`Failed to reset day: ${error.message}`, 'error');
+        }
+    }
+
+    // ============================================
+    // WAITLIST METHODS
+    // ============================================
+
+    // Load open waitlist entries and show them on the availability calendar
+    async loadWaitlist() {
+        if (!this.useAPI) return;
+
+        try {
+            const response = await this.apiFetch('/api/waitlist');
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.waitlist = Array.isArray(data) ? data : [];
+            this.renderAvailabilityCalendar();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showMessage(`Error loading waitlist: ${error.message}`, 'error');
+        }
+    }
+
+    // Entries waiting on a date, in the order they'll be offered a freed-up time
+    getWaitlistForDate(dateStr) {
+        return this.waitlist.filter(entry => (entry.dates || []).includes(dateStr));
+    }
+
+    // One-line summary of a waitlist entry for the day editor (customer details are escaped)
+    formatWaitlistEntry(entry) {
+        let text = `${this.escapeHtml(entry.customer.name)} · ${this.escapeHtml(entry.customer.phone)} · ${this.escapeHtml(entry.service)}`;
+        if (entry.status === 'offered' && entry.offeredTime) {
+            const expires = new Date(entry.offerExpiresAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+            text += ` · offered ${this.formatTime(entry.offeredTime)} on ${entry.offeredDate} until ${expires}`;
+        }
+        return text;
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    // Take someone off the waitlist
+    async removeWaitlistEntry(id) {
+        const entry = this.waitlist.find(e => e.id === id);
+        if (!confirm(`Remove ${entry ? entry.customer.name : 'this customer'} from the waitlist?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/waitlist/${id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.waitlist = this.waitlist.filter(e => e.id !== id);
+            this.showMessage('Removed from the waitlist.', 'success');
+            this.renderAvailabilityCalendar();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showMessage(`Failed to remove from waitlist: ${error.message}`, 'error');
+        }
+    }
+
+    // ============================================
+    // SERVICES CATALOG METHODS
+    // ============================================
+
+    // Load all services (including hidden ones) from the API
+    async loadServices() {
+        const container = document.getElementById('adminServicesList');
+        if (container && this.services.length === 0) {
+            container.innerHTML = '<div class="appointments-loading"><span class="loading-spinner"></span><span>Loading services...</span></div>';
+        }
+
+        try {
+            const response = await this.apiFetch('/api/services?includeInactive=true');
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.services = Array.isArray(data) ? data : [];
+            this.renderServices();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            if (container) container.innerHTML = '';
+            this.showTabMessage('services', `Error loading services: ${error.message}`, 'error');
+        }
+    }
+
+    // Render the services list
+    renderServices() {
+        const container = document.getElementById('adminServicesList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.services.length === 0) {
+            container.innerHTML = '<div class="no-appointments">No services yet. Add your first service above.</div>';
+            return;
+        }
+
+        this.services.forEach(service => {
+            const card = document.createElement('div');
+            card.className = `admin-service-card ${service.active ? '' : 'inactive'}`;
+
+            const info = document.createElement('div');
+            info.className = 'admin-service-info';
+
+            const header = document.createElement('div');
+            header.className = 'appointment-header';
+            const name = document.createElement('span');
+            name.className = 'appointment-customer';
+            name.textContent = service.name;
+            header.appendChild(name);
+            if (!service.active) {
+                const hiddenBadge = document.createElement('span');
+                hiddenBadge.className = 'appointment-status past';
+                hiddenBadge.textContent = 'Hidden';
+                header.appendChild(hiddenBadge);
+            }
+            info.appendChild(header);
+
+            const meta = document.createElement('div');
+            meta.className = 'admin-service-meta';
+            const deposit = parseFloat(service.depositAmount) > 0 ? ` · $${service.depositAmount} deposit` : '';
+            meta.textContent = `$${service.price}${deposit} · ${service.duration} minutes · Order ${service.sortOrder}`;
+            info.appendChild(meta);
+
+            if (service.description) {
+                const description = document.createElement('p');
+                description.className = 'admin-service-description';
+                description.textContent = service.description;
+                info.appendChild(description);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'appointment-actions';
+            actions.innerHTML = `
+                <button class="btn-accept" onclick="adminPanel.editService('${service.id}')">Edit</button>
+                <button class="btn-decline" onclick="adminPanel.toggleServiceActive('${service.id}', ${!service.active})">
+                    ${service.active ? 'Hide' : 'Show'}
+                </button>
+                <button class="btn-delete" onclick="adminPanel.deleteService('${service.id}')" title="Delete service">×</button>
+            `;
+
+            card.appendChild(info);
+            card.appendChild(actions);
+            container.appendChild(card);
+        });
+    }
+
+    // Fill the form with a service for editing
+    editService(id) {
+        const service = this.services.find(s => s.id === id);
+        if (!service) return;
+
+        document.getElementById('serviceFormId').value = service.id;
+        document.getElementById('serviceFormName').value = service.name;
+        document.getElementById('serviceFormDescription').value = service.description || '';
+        document.getElementById('serviceFormPrice').value = service.price;
+        document.getElementById('serviceFormDeposit').value = parseFloat(service.depositAmount) > 0 ? service.depositAmount : '';
+        document.getElementById('serviceFormDuration').value = service.duration;
+        document.getElementById('serviceFormSortOrder').value = service.sortOrder;
+        document.getElementById('serviceFormSubmit').textContent = 'Save Changes';
+        document.getElementById('serviceFormCancel').style.display = '';
+
+        document.getElementById('serviceForm').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    // Clear the form back to "add" mode
+    resetServiceForm() {
+        const form = document.getElementById('serviceForm');
+        if (form) form.reset();
+        document.getElementById('serviceFormId').value = '';
+        document.getElementById('serviceFormSortOrder').value = '0';
+        document.getElementById('serviceFormSubmit').textContent = 'Add Service';
+        document.getElementById('serviceFormCancel').style.display = 'none';
+    }
+
+    // Create or update a service from the form
+    async saveService() {
+        if (this.isSavingService) return;
+
+        const id = document.getElementById('serviceFormId').value;
+        const serviceData = {
+            name: document.getElementById('serviceFormName').value.trim(),
+            description: document.getElementById('serviceFormDescription').value.trim(),
+            price: document.getElementById('serviceFormPrice').value,
+            depositAmount: document.getElementById('serviceFormDeposit').value || 0,
+            duration: document.getElementById('serviceFormDuration').value,
+            sortOrder: document.getElementById('serviceFormSortOrder').value || 0
+        };
+
+        if (!serviceData.name || serviceData.price === '' || !serviceData.duration) {
+            this.showTabMessage('services', 'Please enter a name, price and duration.', 'error');
+            return;
+        }
+
+        const submitBtn = document.getElementById('serviceFormSubmit');
+        const originalText = submitBtn.textContent;
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Saving...';
+        this.isSavingService = true;
+
+        try {
+            const response = await this.apiFetch(id ? `/api/services/${id}` : '/api/services', {
+                method: id ? 'PATCH' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(serviceData)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showTabMessage('services', id ? 'Service updated successfully!' : 'Service added successfully!', 'success');
+            this.resetServiceForm();
+            await this.loadServices();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showTabMessage('services', `Failed to save service: ${error.message}`, 'error');
+        } finally {
+            this.isSavingService = false;
+            submitBtn.disabled = false;
+            if (submitBtn.textContent === 'Saving...') {
+                submitBtn.textContent = originalText;
+            }
+        }
+    }
+
+    // Show or hide a service on the booking site
+    async toggleServiceActive(id, active) {
+        try {
+            const response = await this.apiFetch(`/api/services/${id}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ active })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showTabMessage('services', active ? 'Service is now visible on the site.' : 'Service hidden from the site.', 'success');
+            await this.loadServices();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showTabMessage('services', `Failed to update service: ${error.message}`, 'error');
+        }
+    }
+
+    // Permanently delete a service
+    async deleteService(id) {
+        const service = this.services.find(s => s.id === id);
+        if (!service) return;
+
+        if (!confirm(`Delete "${service.name}"? Existing appointments keep their service name. To hide it temporarily, use Hide instead.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/services/${id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showTabMessage('services', 'Service deleted.', 'success');
+            await this.loadServices();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showTabMessage('services', `Failed to delete service: ${error.message}`, 'error');
+        }
+    }
+
+    // ============================================
+    // CLIENT DIRECTORY METHODS
+    // ============================================
+
+    // Load clients from the API, filtered by the search box
+    async loadCustomers() {
+        const container = document.getElementById('clientDirectoryList');
+        if (container && this.customers.length === 0) {
+            container.innerHTML = '<div class="appointments-loading"><span class="loading-spinner"></span><span>Loading clients...</span></div>';
+        }
+
+        try {
+            const search = document.getElementById('clientSearch')?.value.trim() || '';
+            const response = await this.apiFetch(`/api/customers${search ? `?search=${encodeURIComponent(search)}` : ''}`);
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.customers = Array.isArray(data) ? data : [];
+            this.renderCustomers();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            if (container) container.innerHTML = '';
+            this.showTabMessage('clients', `Error loading clients: ${error.message}`, 'error');
+        }
+    }
+
+    // "3 visits · $105.00 spent · 1 no-show · last visit Mar 4, 2024"
+    formatCustomerStats(stats) {
+        const parts = [
+            `${stats.visitCount} visit${stats.visitCount === 1 ? '' : 's'}`,
+            `$${stats.totalSpend} spent`
+        ];
+        if (stats.noShowCount > 0) {
+            parts.push(`${stats.noShowCount} no-show${stats.noShowCount === 1 ? '' : 's'}`);
+        }
+        if (stats.lastVisit) {
+            const [year, month, day] = stats.lastVisit.split('-').map(Number);
+            parts.push(`last visit ${new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`);
+        }
+        return parts.join(' · ');
+    }
+
+    // Render the client list
+    renderCustomers() {
+        const container = document.getElementById('clientDirectoryList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.customers.length === 0) {
+            container.innerHTML = '<div class="no-appointments">No clients found.</div>';
+            return;
+        }
+
+        this.customers.forEach(customer => {
+            const card = document.createElement('div');
+            card.className = 'admin-service-card';
+
+            const info = document.createElement('div');
+            info.className = 'admin-service-info';
+
+            const header = document.createElement('div');
+            header.className = 'appointment-header';
+            const name = document.createElement('span');
+            name.className = 'appointment-customer';
+            name.textContent = customer.name;
+            header.appendChild(name);
+            if (customer.stats.upcomingCount > 0) {
+                const badge = document.createElement('span');
+                badge.className = 'appointment-status accepted';
+                badge.textContent = 'Booked';
+                header.appendChild(badge);
+            }
+            if (customer.possibleDuplicateCount > 0) {
+                const badge = document.createElement('span');
+                badge.className = 'appointment-status pending';
+                badge.textContent = 'Possible duplicate';
+                header.appendChild(badge);
+            }
+            info.appendChild(header);
+
+            const meta = document.createElement('div');
+            meta.className = 'admin-service-meta';
+            meta.textContent = [Phone.formatPhone(customer.phone), customer.email, this.formatCustomerStats(customer.stats)].filter(Boolean).join(' · ');
+            info.appendChild(meta);
+
+            if (customer.notes) {
+                const notes = document.createElement('p');
+                notes.className = 'admin-service-description';
+                notes.textContent = customer.notes;
+                info.appendChild(notes);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'appointment-actions';
+            actions.innerHTML = `<button class="btn-accept" onclick="adminPanel.openCustomer('${customer.id}')">View</button>`;
+
+            card.appendChild(info);
+            card.appendChild(actions);
+            container.appendChild(card);
+        });
+    }
+
+    // Open a client's profile with their history and possible duplicates
+    async openCustomer(id) {
+        try {
+            const response = await this.apiFetch(`/api/customers/${id}`);
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.selectedCustomer = await response.json();
+            this.renderCustomerProfile();
+
+            const form = document.getElementById('clientProfileForm');
+            form.style.display = '';
+            form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showTabMessage('clients', `Error loading client: ${error.message}`, 'error');
+        }
+    }
+
+    // Fill the profile form, duplicates and visit history for the open client
+    renderCustomerProfile() {
+        const customer = this.selectedCustomer;
+        if (!customer) return;
+
+        document.getElementById('clientProfileName').textContent = customer.name;
+        const otherNumbers = customer.alternatePhones.length > 0 ? ` · also texts from ${customer.alternatePhones.map(phone => Phone.formatPhone(phone)).join(', ')}` : '';
+        document.getElementById('clientProfileSummary').textContent = `${this.formatCustomerStats(customer.stats)}${otherNumbers}`;
+        document.getElementById('clientFormName').value = customer.name;
+        document.getElementById('clientFormEmail').value = customer.email;
+        document.getElementById('clientFormPhone').value = Phone.formatPhone(customer.phone);
+        document.getElementById('clientFormNotes').value = customer.notes;
+
+        const duplicates = document.getElementById('clientDuplicates');
+        duplicates.innerHTML = '';
+        if (customer.possibleDuplicates.length > 0) {
+            duplicates.innerHTML = '<h5>Possible duplicates</h5>';
+            customer.possibleDuplicates.forEach(duplicate => {
+                const row = document.createElement('div');
+                row.className = 'client-profile-row';
+                row.innerHTML = `
+                    <span>${this.escapeHtml(duplicate.name)} · ${this.escapeHtml(Phone.formatPhone(duplicate.phone) || 'no phone')} · ${this.escapeHtml(duplicate.email || 'no email')} (${this.escapeHtml(duplicate.reason)})</span>
+                    <span>
+                        <button type="button" class="btn-cancel-service" onclick="adminPanel.openCustomer('${duplicate.id}')">View</button>
+                        <button type="button" class="btn-save-service" onclick="adminPanel.mergeCustomer('${duplicate.id}')">Merge into this profile</button>
+                    </span>
+                `;
+                duplicates.appendChild(row);
+            });
+        }
+
+        const history = document.getElementById('clientHistory');
+        history.innerHTML = `<h5>Appointments (${customer.appointments.length})</h5>`;
+        if (customer.appointments.length === 0) {
+            history.innerHTML += '<div class="client-profile-row">No appointments yet.</div>';
+        }
+        customer.appointments.forEach(appointment => {
+            const [year, month, day] = appointment.date.split('-').map(Number);
+            const date = new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+            const row = document.createElement('div');
+            row.className = 'client-profile-row';
+            row.innerHTML = `
+                <span>${date} at ${this.formatTime(appointment.time)} · ${this.escapeHtml(appointment.service)} · $${this.escapeHtml(appointment.price)}</span>
+                <span class="appointment-status ${appointment.status}">${this.formatStatusLabel(appointment.status)}</span>
+            `;
+            history.appendChild(row);
+        });
+    }
+
+    closeCustomerProfile() {
+        this.selectedCustomer = null;
+        document.getElementById('clientProfileForm').style.display = 'none';
+    }
+
+    // Save the open client's details and notes
+    async saveCustomer() {
+        const customer = this.selectedCustomer;
+        if (!customer) return;
+
+        const submitBtn = document.getElementById('clientFormSubmit');
+        submitBtn.disabled = true;
+
+        try {
+            const response = await this.apiFetch(`/api/customers/${customer.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: document.getElementById('clientFormName').value,
+                    email: document.getElementById('clientFormEmail').value,
+                    phone: document.getElementById('clientFormPhone').value,
+                    notes: document.getElementById('clientFormNotes').value
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showTabMessage('clients', 'Client saved.', 'success');
+            await Promise.all([this.openCustomer(customer.id), this.loadCustomers()]);
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showTabMessage('clients', `Failed to save client: ${error.message}`, 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    // Merge a duplicate profile into the open one
+    async mergeCustomer(duplicateId) {
+        const customer = this.selectedCustomer;
+        const duplicate = customer && customer.possibleDuplicates.find(d => d.id === duplicateId);
+        if (!duplicate) return;
+
+        if (!confirm(`Merge ${duplicate.name} into ${customer.name}? Their appointments, number and notes move to this profile and the other profile is deleted.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/customers/${customer.id}/merge`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ duplicateIds: [duplicateId] })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showTabMessage('clients', 'Profiles merged.', 'success');
+            await Promise.all([this.openCustomer(customer.id), this.loadCustomers()]);
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showTabMessage('clients', `Failed to merge profiles: ${error.message}`, 'error');
+        }
+    }
+
+    // ============================================
+    // MESSAGE TEMPLATE METHODS
+    // ============================================
+
+    // Load text message templates from the API
+    async loadMessageTemplates() {
+        const container = document.getElementById('messageTemplatesList');
+        if (container && this.messageTemplates.length === 0) {
+            container.innerHTML = '<div class="appointments-loading"><span class="loading-spinner"></span><span>Loading messages...</span></div>';
+        }
+
+        try {
+            const response = await this.apiFetch('/api/message-templates');
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.messageTemplates = Array.isArray(data) ? data : [];
+            this.renderMessageTemplates();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            if (container) container.innerHTML = '';
+            this.showTabMessage('messages', `Error loading messages: ${error.message}`, 'error');
+        }
+    }
+
+    // "142 characters · 1 text (GSM-7)"
+    formatSegmentCount(count) {
+        return `${count.length} characters · ${count.segments} text${count.segments === 1 ? '' : 's'} (${count.encoding})`;
+    }
+
+    // Render the message templates list
+    renderMessageTemplates() {
+        const container = document.getElementById('messageTemplatesList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        this.messageTemplates.forEach(template => {
+            const card = document.createElement('div');
+            card.className = 'admin-service-card';
+
+            const info = document.createElement('div');
+            info.className = 'admin-service-info';
+
+            const header = document.createElement('div');
+            header.className = 'appointment-header';
+            const name = document.createElement('span');
+            name.className = 'appointment-customer';
+            name.textContent = template.label;
+            header.appendChild(name);
+            if (template.customized) {
+                const badge = document.createElement('span');
+                badge.className = 'appointment-status accepted';
+                badge.textContent = 'Edited';
+                header.appendChild(badge);
+            }
+            info.appendChild(header);
+
+            const meta = document.createElement('div');
+            meta.className = 'admin-service-meta';
+            meta.textContent = `${template.description} · ${this.formatSegmentCount(template.preview)}`;
+            info.appendChild(meta);
+
+            const preview = document.createElement('p');
+            preview.className = 'admin-service-description';
+            preview.textContent = template.preview.text;
+            info.appendChild(preview);
+
+            const actions = document.createElement('div');
+            actions.className = 'appointment-actions';
+            actions.innerHTML = `<button class="btn-accept" onclick="adminPanel.editMessageTemplate('${template.key}')">Edit</button>`;
+
+            card.appendChild(info);
+            card.appendChild(actions);
+            container.appendChild(card);
+        });
+    }
+
+    // Open a template in the editor
+    editMessageTemplate(key) {
+        const template = this.messageTemplates.find(t => t.key === key);
+        if (!template) return;
+
+        this.editingTemplateKey = key;
+        document.getElementById('messageTemplateLabel').textContent = template.label;
+        document.getElementById('messageTemplateDescription').textContent = template.description;
+        document.getElementById('messageTemplateBody').value = template.body;
+        document.getElementById('messageTemplateReset').style.display = template.customized ? '' : 'none';
+
+        const variables = document.getElementById('messageTemplateVariables');
+        variables.innerHTML = '';
+        template.variables.forEach(variable => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'message-template-variable';
+            button.textContent = `{${variable}}`;
+            button.title = 'Insert at the cursor';
+            button.addEventListener('click', () => this.insertTemplateVariable(variable));
+            variables.appendChild(button);
+        });
+
+        const form = document.getElementById('messageTemplateForm');
+        form.style.display = '';
+        this.showTemplatePreview(template.preview, []);
+        form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    closeMessageTemplateEditor() {
+        this.editingTemplateKey = null;
+        clearTimeout(this.templatePreviewTimer);
+        document.getElementById('messageTemplateForm').style.display = 'none';
+    }
+
+    // Insert a {placeholder} where the cursor is
+    insertTemplateVariable(variable) {
+        const textarea = document.getElementById('messageTemplateBody');
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const text = `{${variable}}`;
+
+        textarea.value = textarea.value.slice(0, start) + text + textarea.value.slice(end);
+        textarea.focus();
+        textarea.selectionStart = textarea.selectionEnd = start + text.length;
+        this.scheduleTemplatePreview();
+    }
+
+    // Refresh the preview shortly after typing stops
+    scheduleTemplatePreview() {
+        clearTimeout(this.templatePreviewTimer);
+        this.templatePreviewTimer = setTimeout(() => this.previewMessageTemplate(), 300);
+    }
+
+    async previewMessageTemplate() {
+        const key = this.editingTemplateKey;
+        if (!key) return;
+
+        try {
+            const response = await this.apiFetch(`/api/message-templates/${key}/preview`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ body: document.getElementById('messageTemplateBody').value })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const preview = await response.json();
+            // Ignore a late response for a template that's no longer open
+            if (this.editingTemplateKey === key) {
+                this.showTemplatePreview(preview, preview.unknownVariables);
+            }
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            document.getElementById('messageTemplateCount').textContent = `Preview unavailable: ${error.message}`;
+        }
+    }
+
+    showTemplatePreview(preview, unknownVariables) {
+        document.getElementById('messageTemplatePreview').textContent = preview.text;
+
+        const count = document.getElementById('messageTemplateCount');
+        count.className = 'message-template-count';
+        if (unknownVariables.length > 0) {
+            count.classList.add('error');
+            count.textContent = `Unknown placeholder${unknownVariables.length > 1 ? 's' : ''}: ${unknownVariables.map(name => `{${name}}`).join(', ')}`;
+            return;
+        }
+
+        count.textContent = this.formatSegmentCount(preview);
+        if (preview.segments > 1) {
+            count.classList.add('warning');
+            count.textContent += ' - each text is billed separately';
+        }
+    }
+
+    // Save the wording in the editor
+    async saveMessageTemplate() {
+        const key = this.editingTemplateKey;
+        if (!key || this.isSavingMessageTemplate) return;
+
+        const submitBtn = document.getElementById('messageTemplateSave');
+        const originalText = submitBtn.textContent;
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Saving...';
+        this.isSavingMessageTemplate = true;
+
+        try {
+            const response = await this.apiFetch(`/api/message-templates/${key}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ body: document.getElementById('messageTemplateBody').value })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showTabMessage('messages', 'Message saved. New texts will use this wording.', 'success');
+            this.closeMessageTemplateEditor();
+            await this.loadMessageTemplates();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showTabMessage('messages', `Failed to save message: ${error.message}`, 'error');
+        } finally {
+            this.isSavingMessageTemplate = false;
+            submitBtn.disabled = false;
+            submitBtn.textContent = originalText;
+        }
+    }
+
+    // Record the editor's wording in the local outbox - nothing reaches a real phone
+    async sendTestMessage() {
+        const key = this.editingTemplateKey;
+        if (!key) return;
+
+        try {
+            const response = await this.apiFetch(`/api/message-templates/${key}/test`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ body: document.getElementById('messageTemplateBody').value })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            this.showTabMessage('messages', `Test message recorded in the outbox for ${result.to} (${this.formatSegmentCount(result)}).`, 'success');
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showTabMessage('messages', `Failed to send test: ${error.message}`, 'error');
+        }
+    }
+
+    // Go back to the built-in wording
+    async resetMessageTemplate() {
+        const key = this.editingTemplateKey;
+        const template = this.messageTemplates.find(t => t.key === key);
+        if (!template) return;
+
+        if (!confirm(`Reset "${template.label}" to the default wording? Your edits will be lost.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/message-templates/${key}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showTabMessage('messages', 'Message reset to the default wording.', 'success');
+            this.closeMessageTemplateEditor();
+            await this.loadMessageTemplates();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showTabMessage('messages', `Failed to reset message: ${error.message}`, 'error');
+        }
+    }
+
+    // Load the numbers that have opted out of texts
+    async loadSmsOptOuts() {
+        try {
+            const response = await this.apiFetch('/api/sms-consent?status=opted_out');
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.smsOptOuts = Array.isArray(data) ? data : [];
+            this.renderSmsOptOuts();
+        } catch (error) {
+            if (!this.isAuthenticated) return;
+            this.showTabMessage('messages', `Error loading opt-outs: ${error.message}`, 'error');
+        }
+    }
+
+    // Render the opt-out list - who texted STOP and when
+    renderSmsOptOuts() {
+        const container = document.getElementById('smsOptOutList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.smsOptOuts.length === 0) {
+            container.innerHTML = '<p class="no-appointments">Nobody has opted out of texts.</p>';
+            return;
+        }
+
+        this.smsOptOuts.forEach(record => {
+            const card = document.createElement('div');
+            card.className = 'admin-service-card';
+
+            const info = document.createElement('div');
+            info.className = 'admin-service-info';
+
+            const header = document.createElement('div');
+            header.className = 'appointment-header';
+            const name = document.createElement('span');
+            name.className = 'appointment-customer';
+            name.textContent = record.customerName ? `${record.customerName} · ${record.phone}` : record.phone;
+            header.appendChild(name);
+            const badge = document.createElement('span');
+            badge.className = 'appointment-status declined';
+            badge.textContent = 'Opted out';
+            header.appendChild(badge);
+            info.appendChild(header);
+
+            const meta = document.createElement('div');
+            meta.className = 'admin-service-meta';
+            const optedOutAt = record.optedOutAt ? new Date(record.optedOutAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : 'unknown';
+            meta.textContent = `Texted STOP on ${optedOutAt}${record.optedInAt ? ` · last opted in ${new Date(record.optedInAt).toLocaleDateString('en-US', { dateStyle: 'medium' })}` : ''}`;
+            info.appendChild(meta);
+
+            card.appendChild(info);
+            container.appendChild(card);
         });
     }
 
@@ -2227,7 +4271,7 @@ class AdminPanel {
         }
 
         try {
-            const response = await fetch(`/api/appointments/${id}`, {
+            const response = await this.apiFetch(`/api/appointments/${id}`, {
                 method: 'PATCH',
                 headers: {
                     'Content-Type': 'application/json'
@@ -1,119 +1,364 @@
 // Analytics Panel Functionality
 class AnalyticsPanel {
     constructor() {
-        this.appointments = [];
         this.currentView = 'time-slots';
         this.charts = {};
-        this.expenses = parseFloat(localStorage.getItem('analyticsExpenses') || '0');
+        this.expenses = []; // The expense ledger from /api/expenses, most recent first
+        this.expenseCategories = { rent: 'Rent', products: 'Products', tools: 'Tools', utilities: 'Utilities', marketing: 'Marketing', other: 'Other' };
         this.fakeDataMode = false;
-        this.fakeAppointments = [];
+        this.fakeSeed = ''; // Picks the numbers fake data mode shows (see getFakeData)
+        this.fakeClients = [];
+        this.clients = []; // Options for the client filter: [{ key, name, phone }]
+        this.exclusions = []; // Rules that leave bookings by a phone number or in a date range out of analytics
         this.selectedClient = '';
         this.clientSearchQuery = '';
+        this.clientSearchTimer = null; // Debounce for the client search box
         this.dateRange = 'last-30'; // Default to last 30 days
         this.customStartDate = null;
         this.customEndDate = null;
+        this.renderCount = 0; // Lets a render drop its results when a newer one has started
         
         this.init();
     }
 
-    loadAppointments() {
-        const stored = localStorage.getItem('bookedAppointments');
-        return stored ? JSON.parse(stored) : [];
-    }
-
-    saveExpenses() {
-        localStorage.setItem('analyticsExpenses', this.expenses.toString());
-    }
-
-    getAnalyticsAppointments() {
-        // Use fake data if mode is enabled, otherwise use real data
-        let sourceData = this.fakeDataMode ? this.fakeAppointments : this.appointments;
-        
-        // Filter by includeInAnalytics
-        sourceData = sourceData.filter(apt => apt.includeInAnalytics !== false);
-        
-        // Filter by client if selected (using normalized phone)
-        if (this.selectedClient) {
-            sourceData = sourceData.filter(apt => 
-                this.normalizePhone(apt.customer.phone) === this.normalizePhone(this.selectedClient)
-            );
-        }
-        
-        // Filter by client search query
-        if (this.clientSearchQuery) {
-            const query = this.clientSearchQuery.toLowerCase();
-            sourceData = sourceData.filter(apt => 
-                apt.customer.name.toLowerCase().includes(query) ||
-                apt.customer.email.toLowerCase().includes(query)
-            );
-        }
-        
-        // Filter by date range
-        sourceData = this.filterByDateRange(sourceData);
-        
-        return sourceData;
+    // Filters sent with every /api/analytics request
+    getFilters() {
+        return {
+            ...this.getDateRange(),
+            client: this.selectedClient,
+            search: this.clientSearchQuery
+        };
     }
 
-    filterByDateRange(appointments) {
-        if (!this.dateRange) {
-            return appointments; // No filter
-        }
-
+    // { startDate, endDate } as "YYYY-MM-DD" for the selected date range, or {} for all time
+    getDateRange() {
         const today = new Date();
-        today.setHours(23, 59, 59, 999);
-        
         let startDate, endDate;
         
         switch(this.dateRange) {
             case 'this-week':
                 startDate = new Date(today);
                 startDate.setDate(today.getDate() - today.getDay()); // Start of week (Sunday)
-                startDate.setHours(0, 0, 0, 0);
                 endDate = new Date(startDate);
                 endDate.setDate(endDate.getDate() + 6);
-                endDate.setHours(23, 59, 59, 999);
                 break;
             case 'this-month':
                 startDate = new Date(today.getFullYear(), today.getMonth(), 1);
-                startDate.setHours(0, 0, 0, 0);
                 endDate = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-                endDate.setHours(23, 59, 59, 999);
                 break;
             case 'last-30':
                 startDate = new Date(today);
                 startDate.setDate(startDate.getDate() - 30);
-                startDate.setHours(0, 0, 0, 0);
-                endDate = new Date(today);
-                endDate.setHours(23, 59, 59, 999);
+                endDate = today;
                 break;
             case 'custom':
                 if (this.customStartDate && this.customEndDate) {
-                    // Parse date strings to avoid timezone issues
-                    const [startYear, startMonth, startDay] = this.customStartDate.split('-').map(Number);
-                    startDate = new Date(startYear, startMonth - 1, startDay); // month is 0-indexed
-                    startDate.setHours(0, 0, 0, 0);
-                    const [endYear, endMonth, endDay] = this.customEndDate.split('-').map(Number);
-                    endDate = new Date(endYear, endMonth - 1, endDay); // month is 0-indexed
-                    endDate.setHours(23, 59, 59, 999);
-                } else {
-                    return appointments; // No custom range set, return all
+                    return { startDate: this.customStartDate, endDate: this.customEndDate };
                 }
-                break;
+                return {}; // No custom range set
             default:
-                return appointments; // No filter
+                return {}; // No filter
         }
         
-        return appointments.filter(apt => {
-            // Parse date string to avoid timezone issues
-            const [year, month, day] = apt.date.split('-').map(Number);
-            const aptDate = new Date(year, month - 1, day); // month is 0-indexed
-            aptDate.setHours(0, 0, 0, 0);
-            return aptDate >= startDate && aptDate <= endDate;
+        return { startDate: this.formatLocalDate(startDate), endDate: this.formatLocalDate(endDate) };
+    }
+
+    // "YYYY-MM-DD" in local time (toISOString would shift late evenings to the next day)
+    formatLocalDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // GET /api/analytics/<path> with the given query parameters (empty ones are left out)
+    async fetchAnalytics(path, params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value) query.set(key, value);
         });
+
+        const response = await adminPanel.apiFetch(`/api/analytics/${path}${query.toString() ? `?${query}` : ''}`);
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    // Data for a view from the server, or made up in fake data mode
+    loadViewData(view, filters) {
+        const params = { ...filters };
+        const load = (path, query) => this.fakeDataMode ? Promise.resolve(this.getFakeData(path, query)) : this.fetchAnalytics(path, query);
+
+        if (view === 'revenue') {
+            // Dates picked in the revenue view override the global range
+            const revenueStartDate = document.getElementById('revenueStartDate')?.value;
+            const revenueEndDate = document.getElementById('revenueEndDate')?.value;
+            if (revenueStartDate && revenueEndDate) {
+                params.startDate = revenueStartDate;
+                params.endDate = revenueEndDate;
+            }
+            params.period = document.getElementById('revenuePeriod')?.value || 'day';
+
+            // Profit & Loss is for the whole shop, over the same dates
+            const profitLossParams = {
+                startDate: params.startDate,
+                endDate: params.endDate,
+                period: document.getElementById('profitLossPeriod')?.value || 'month'
+            };
+            return Promise.all([load('revenue', params), load('profit-loss', profitLossParams)])
+                .then(([revenue, profitLoss]) => ({ ...revenue, profitLoss }));
+        }
+
+        return load(view, params);
+    }
+
+    // Fake data mode: a made-up response for an /api/analytics route, in the shape the server returns
+    // Nothing is worked out from bookings - each day's numbers are picked from this.fakeSeed, so they stay
+    // the same between renders until Regenerate picks a new seed
+    getFakeData(view, filters) {
+        if (view === 'clients') {
+            return this.fakeClients.map(({ key, name, phone }) => ({ key, name, phone }));
+        }
+
+        const search = (filters.search || '').toLowerCase();
+        const clients = this.fakeClients.filter(client =>
+            (!filters.client || client.key === filters.client) &&
+            (!search || client.name.toLowerCase().includes(search) || client.email.toLowerCase().includes(search))
+        );
+        // Narrowing down to some clients scales the shop's numbers by their share
+        const share = clients.length / this.fakeClients.length;
+        const dates = this.getFakeDates(filters);
+        const days = dates.map(date => this.getFakeDay(date, share));
+        const toAmount = (value) => Math.round(value * 100) / 100;
+
+        // Adds the days up per period, as { start, ...totals of the given fields }
+        const byPeriod = (entries, fields) => {
+            const periods = new Map();
+            entries.forEach(entry => {
+                const start = this.getPeriodStart(entry.date, filters.period);
+                const totals = periods.get(start) || Object.fromEntries([['start', start], ...fields.map(field => [field, 0])]);
+                fields.forEach(field => { totals[field] = toAmount(totals[field] + entry[field]); });
+                periods.set(start, totals);
+            });
+            return [...periods.values()];
+        };
+
+        switch (view) {
+            case 'time-slots': {
+                const byDayOfWeek = [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, bookings: 0 }));
+                days.forEach(day => { byDayOfWeek[this.parseDate(day.date).getDay()].bookings += day.visits; });
+                const total = byDayOfWeek.reduce((sum, day) => sum + day.bookings, 0);
+
+                // Afternoons and evenings, 1 PM to 8 PM, with a few hours busier than the rest
+                const weights = [13, 14, 15, 16, 17, 18, 19, 20].map(hour => [hour, 0.5 + this.fakeRandom('hour', hour)]);
+                const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+                const byHour = weights.map(([hour, weight]) => ({ hour, bookings: Math.floor(total * weight / totalWeight) }));
+                byHour[0].bookings += total - byHour.reduce((sum, entry) => sum + entry.bookings, 0);
+
+                return { total, byHour: byHour.filter(entry => entry.bookings > 0), byDayOfWeek };
+            }
+
+            case 'revenue': {
+                const periods = byPeriod(days.filter(day => day.visits > 0), ['visits', 'revenue']);
+                const collected = byPeriod(days.filter(day => day.checkouts > 0), ['checkouts', 'collected', 'tips']);
+                const byPaymentMethod = { cash: 0, card: 0, other: 0, deposit: 0 };
+                days.forEach(day => {
+                    Object.keys(day.byPaymentMethod).forEach(method => {
+                        byPaymentMethod[method] = toAmount(byPaymentMethod[method] + day.byPaymentMethod[method]);
+                    });
+                });
+
+                return {
+                    period: filters.period,
+                    visits: periods.reduce((sum, entry) => sum + entry.visits, 0),
+                    totalRevenue: toAmount(periods.reduce((sum, entry) => sum + entry.revenue, 0)),
+                    periods,
+                    collected: {
+                        checkouts: collected.reduce((sum, entry) => sum + entry.checkouts, 0),
+                        total: toAmount(collected.reduce((sum, entry) => sum + entry.collected, 0)),
+                        tips: toAmount(collected.reduce((sum, entry) => sum + entry.tips, 0)),
+                        byPaymentMethod,
+                        periods: collected
+                    }
+                };
+            }
+
+            case 'profit-loss': {
+                // Rent on the 1st, products on the 5th and 19th, utilities on the 10th and tools on the 15th some months
+                const expenses = [];
+                dates.forEach(date => {
+                    const dayOfMonth = this.parseDate(date).getDate();
+                    if (dayOfMonth === 1) expenses.push({ date, category: 'rent', amount: 1200 });
+                    if (dayOfMonth === 5 || dayOfMonth === 19) expenses.push({ date, category: 'products', amount: Math.round(80 + this.fakeRandom(date, 'products') * 170) });
+                    if (dayOfMonth === 10) expenses.push({ date, category: 'utilities', amount: Math.round(120 + this.fakeRandom(date, 'utilities') * 60) });
+                    if (dayOfMonth === 15 && this.fakeRandom(date, 'tools') < 0.5) expenses.push({ date, category: 'tools', amount: Math.round(40 + this.fakeRandom(date, 'tools amount') * 160) });
+                });
+
+                const periods = new Map(byPeriod(days, ['revenue']).map(entry => [entry.start, { ...entry, expenses: 0, profit: 0, byCategory: {} }]));
+                const byCategory = {};
+                expenses.forEach(expense => {
+                    const entry = periods.get(this.getPeriodStart(expense.date, filters.period));
+                    entry.byCategory[expense.category] = (entry.byCategory[expense.category] || 0) + expense.amount;
+                    entry.expenses += expense.amount;
+                    byCategory[expense.category] = (byCategory[expense.category] || 0) + expense.amount;
+                });
+                const sorted = [...periods.values()].filter(entry => entry.revenue > 0 || entry.expenses > 0);
+                sorted.forEach(entry => { entry.profit = toAmount(entry.revenue - entry.expenses); });
+
+                const revenue = toAmount(sorted.reduce((sum, entry) => sum + entry.revenue, 0));
+                const totalExpenses = sorted.reduce((sum, entry) => sum + entry.expenses, 0);
+                return { period: filters.period, revenue, expenses: totalExpenses, profit: toAmount(revenue - totalExpenses), byCategory, periods: sorted };
+            }
+
+            case 'retention': {
+                // Each client comes in at their own pace, for as much of the range as there is
+                const list = clients.map(client => {
+                    const visits = Math.floor(dates.length / 90 * (1 + 9 * this.fakeRandom(client.key, 'visits')) + this.fakeRandom(client.key, 'round'));
+                    if (visits === 0) return null;
+                    const first = Math.floor(this.fakeRandom(client.key, 'first') * dates.length / 3);
+                    const last = visits > 1 ? dates.length - 1 - Math.floor(this.fakeRandom(client.key, 'last') * dates.length / 3) : first;
+                    const appointments = Array.from({ length: visits }, (_, i) =>
+                        this.getFakeAppointment(client, dates[first + Math.round((last - first) * i / Math.max(visits - 1, 1))], 'completed'));
+                    return {
+                        key: client.key,
+                        name: client.name,
+                        email: client.email,
+                        phone: client.phone,
+                        visits,
+                        totalSpent: appointments.reduce((sum, apt) => sum + apt.price, 0),
+                        firstVisit: appointments[0].date,
+                        lastVisit: appointments[visits - 1].date,
+                        avgDaysBetween: visits > 1 ? Math.round((last - first) / (visits - 1) * 10) / 10 : null,
+                        isReturning: visits > 1,
+                        appointments
+                    };
+                }).filter(Boolean).sort((a, b) => b.visits - a.visits || a.name.localeCompare(b.name));
+
+                const returningClients = list.filter(client => client.isReturning).length;
+                const result = {
+                    totalClients: list.length,
+                    returningClients,
+                    newClients: list.length - returningClients,
+                    retentionRate: list.length > 0 ? Math.round(returningClients / list.length * 1000) / 10 : 0,
+                    clients: list.map(({ appointments, ...client }) => client)
+                };
+                if (filters.client) {
+                    result.appointments = list.flatMap(client => client.appointments);
+                }
+                return result;
+            }
+
+            case 'no-shows': {
+                const byDate = days
+                    .filter(day => day.noShows > 0 || day.cancellations > 0)
+                    .map(({ date, noShows, cancellations }) => ({ date, noShows, cancellations }));
+                const appointments = byDate.flatMap(({ date, noShows, cancellations }) => [
+                    ...Array.from({ length: noShows }, (_, i) => ['no_show', i]),
+                    ...Array.from({ length: cancellations }, (_, i) => ['cancelled', i])
+                ].map(([status, i]) => {
+                    const client = clients[Math.floor(this.fakeRandom(date, status, i) * clients.length)];
+                    return this.getFakeAppointment(client, date, status, i);
+                })).sort((a, b) => `${b.date} ${b.time}`.localeCompare(`${a.date} ${a.time}`));
+
+                return {
+                    noShows: byDate.reduce((sum, day) => sum + day.noShows, 0),
+                    cancellations: byDate.reduce((sum, day) => sum + day.cancellations, 0),
+                    byDate,
+                    appointments
+                };
+            }
+        }
+    }
+
+    // The last 90 days, up to today, that fall in the filters' date range
+    getFakeDates(filters) {
+        const dates = [];
+        const date = new Date();
+        date.setDate(date.getDate() - 89);
+        for (let i = 0; i < 90; i++, date.setDate(date.getDate() + 1)) {
+            const dateStr = this.formatLocalDate(date);
+            if ((!filters.startDate || dateStr >= filters.startDate) && (!filters.endDate || dateStr <= filters.endDate)) {
+                dates.push(dateStr);
+            }
+        }
+        return dates;
     }
 
-    formatDate(date) {
-        return date.toISOString().split('T')[0];
+    // One made-up day: visits and their revenue, what was collected at checkout, no-shows and cancellations
+    // share is the part of the clients being looked at (1 for the whole shop)
+    getFakeDay(date, share) {
+        const count = (expected, part) => Math.floor(expected * share + this.fakeRandom(date, part));
+        const isPast = date < this.formatLocalDate(new Date());
+        const visits = count(4 + 8 * this.fakeRandom(date, 'busy'), 'visits');
+        // Haircuts are $30, $35 with a design and $40 with a beard
+        const revenue = visits * 30 + 5 * Math.round(visits * 2 * this.fakeRandom(date, 'services'));
+
+        // Most past visits are checked out, most of them with a tip, and paid by card more often than cash
+        const checkouts = isPast ? Math.floor(visits * 0.8 + this.fakeRandom(date, 'checkouts')) : 0;
+        const tips = Math.round(checkouts * 5 * this.fakeRandom(date, 'tips'));
+        const collected = visits > 0 ? Math.round(revenue * checkouts / visits) + tips : 0;
+        const card = Math.round(collected * (0.45 + 0.2 * this.fakeRandom(date, 'card')));
+        const other = Math.round(collected * 0.05 * this.fakeRandom(date, 'other'));
+
+        return {
+            date,
+            visits,
+            revenue,
+            checkouts,
+            collected,
+            tips,
+            byPaymentMethod: { cash: collected - card - other, card, other },
+            noShows: isPast ? count(0.4, 'no-shows') : 0,
+            cancellations: count(0.5, 'cancellations')
+        };
+    }
+
+    // A made-up appointment for a client on a date, in the shape of the analytics appointment lists
+    getFakeAppointment(client, date, status, index = 0) {
+        const services = [['Haircut', 30], ['Haircut & Design', 35], ['Haircut & Beard', 40]];
+        const [service, price] = services[Math.floor(this.fakeRandom(client.key, date, 'service') * services.length)];
+        const hour = 13 + Math.floor(this.fakeRandom(client.key, date, status, index, 'hour') * 8);
+        return {
+            id: `fake_${client.key}_${date}_${status}_${index}`,
+            clientKey: client.key,
+            customer: { name: client.name, email: client.email, phone: client.phone },
+            service,
+            price,
+            date,
+            time: `${String(hour).padStart(2, '0')}:${this.fakeRandom(client.key, date, 'half') < 0.5 ? '00' : '30'}`,
+            status
+        };
+    }
+
+    // A number from 0 to 1 for the given parts - the same parts give the same number until the seed changes
+    fakeRandom(...parts) {
+        let hash = 2166136261;
+        for (const char of `${this.fakeSeed}|${parts.join('|')}`) {
+            hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+        }
+        hash = Math.imul(hash ^ (hash >>> 15), 2246822507);
+        hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+        return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+    }
+
+    // First day of the day/week/month/quarter a date falls in, as "YYYY-MM-DD" (weeks start on Monday, like the server)
+    getPeriodStart(dateStr, period) {
+        const date = this.parseDate(dateStr);
+        if (period === 'week') {
+            date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+        } else if (period === 'month') {
+            date.setDate(1);
+        } else if (period === 'quarter') {
+            date.setMonth(date.getMonth() - date.getMonth() % 3, 1);
+        }
+        return this.formatLocalDate(date);
+    }
+
+    // "YYYY-MM-DD" as a local Date - parses the parts by hand to avoid timezone issues
+    parseDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day); // month is 0-indexed
     }
 
     formatDateDisplay(date) {
@@ -129,26 +374,21 @@ class AnalyticsPanel {
         return `${displayHour}:${minutes} ${ampm}`;
     }
 
-    // Normalize phone number to digits only for comparison
-    normalizePhone(phone) {
-        if (!phone) return '';
-        return phone.replace(/\D/g, ''); // Remove all non-digit characters
-    }
-
     init() {
-        this.appointments = this.loadAppointments();
         this.generateFakeData();
         this.setupEventListeners();
         this.updateFakeDataUI();
-        this.updateClientDropdown();
+        this.resetExpenseForm();
+        this.loadExclusions();
+        this.loadExpenses();
         this.render();
         
         // Make available globally for admin panel to refresh
         window.analyticsPanel = this;
     }
 
+    // Pick a new seed for fake data mode, and the clients it shows
     generateFakeData() {
-        // Generate fake appointments for testing
         const fakeNames = [
             'John Smith', 'Michael Johnson', 'David Williams', 'James Brown', 'Robert Jones',
             'William Garcia', 'Richard Miller', 'Joseph Davis', 'Thomas Rodriguez', 'Christopher Martinez',
@@ -157,78 +397,13 @@ class AnalyticsPanel {
             'Kenneth Sanchez', 'Kevin Clark', 'Brian Ramirez', 'George Lewis', 'Edward Walker',
             'Ronald Young', 'Timothy Allen', 'Jason King', 'Jeffrey Wright', 'Ryan Lopez'
         ];
-        
-        const fakeEmails = fakeNames.map(name => 
-            name.toLowerCase().replace(' ', '.') + '@example.com'
-        );
-        
-        const fakePhones = Array.from({ length: 30 }, (_, i) => 
-            `(555) ${String(Math.floor(100 + Math.random() * 900))}-${String(Math.floor(1000 + Math.random() * 9000))}`
-        );
-        
-        const services = ['Haircut', 'Haircut & Design', 'Haircut & Beard'];
-        const prices = { 'Haircut': 30, 'Haircut & Design': 35, 'Haircut & Beard': 40 };
-        
-        // Generate appointments for the last 90 days (up to 5000 for testing)
-        const today = new Date();
-        this.fakeAppointments = [];
-        const targetCount = 5000; // Generate up to 5000 fake appointments for testing
-        
-        // Generate many appointments to reach target count
-        let generatedCount = 0;
-        const clientPool = [...fakeEmails];
-        
-        // Expand client pool by duplicating and modifying emails
-        for (let i = 0; i < 200; i++) {
-            const baseEmail = fakeEmails[i % fakeEmails.length];
-            const parts = baseEmail.split('@');
-            const newEmail = `${parts[0]}${i}@example.com`;
-            clientPool.push(newEmail);
-        }
-        
-        while (generatedCount < targetCount) {
-            const emailIndex = Math.floor(Math.random() * clientPool.length);
-            const email = clientPool[emailIndex];
-            const nameIndex = emailIndex % fakeNames.length;
-            
-            const appointmentDate = new Date(today);
-            const daysAgo = Math.floor(Math.random() * 90);
-            appointmentDate.setDate(appointmentDate.getDate() - daysAgo);
-            
-            const service = services[Math.floor(Math.random() * services.length)];
-            const hour = Math.floor(Math.random() * 8) + 13;
-            const minute = Math.random() > 0.5 ? 0 : 30;
-            const time = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-            
-            let status = 'accepted';
-            if (Math.random() < 0.08) status = 'declined'; // 8% declined
-            if (Math.random() < 0.05 && appointmentDate > today) status = 'pending'; // 5% pending
-            
-            // Randomly exclude some from analytics (10%)
-            const includeInAnalytics = Math.random() > 0.1;
-            
-            this.fakeAppointments.push({
-                id: `fake_${generatedCount}_${Date.now()}_${Math.random()}`,
-                service: service,
-                price: prices[service].toString(),
-                duration: 45,
-                date: this.formatDate(appointmentDate),
-                time: time,
-                status: status,
-                includeInAnalytics: includeInAnalytics,
-                customer: {
-                    name: fakeNames[nameIndex] + (emailIndex > fakeNames.length ? ` ${Math.floor(emailIndex / fakeNames.length)}` : ''),
-                    email: email,
-                    phone: fakePhones[nameIndex % fakePhones.length]
-                },
-                createdAt: appointmentDate.toISOString()
-            });
-            
-            generatedCount++;
-        }
-        
-        // Shuffle appointments
-        this.fakeAppointments.sort(() => Math.random() - 0.5);
+
+        this.fakeSeed = Math.random().toString(36).slice(2);
+        this.fakeClients = fakeNames.map(name => {
+            // Keyed by phone number, like a client without a customer profile
+            const phone = `+1555${Math.floor(2000000 + Math.random() * 8000000)}`;
+            return { key: phone, name, email: `${name.toLowerCase().replace(' ', '.')}@example.com`, phone };
+        }).sort((a, b) => a.name.localeCompare(b.name));
     }
 
     setupEventListeners() {
@@ -255,15 +430,15 @@ class AnalyticsPanel {
         const clientSearchInput = document.getElementById('clientSearchInput');
         if (clientSearchInput) {
             clientSearchInput.addEventListener('input', (e) => {
-                this.clientSearchQuery = e.target.value.toLowerCase();
+                this.clientSearchQuery = e.target.value.trim().toLowerCase();
                 const clearBtn = document.getElementById('clearClientFilter');
                 if (this.clientSearchQuery || this.selectedClient) {
                     if (clearBtn) clearBtn.style.display = 'block';
                 } else {
                     if (clearBtn) clearBtn.style.display = 'none';
                 }
-                this.updateClientDropdown();
-                this.render();
+                clearTimeout(this.clientSearchTimer);
+                this.clientSearchTimer = setTimeout(() => this.render(), 300);
             });
         }
 
@@ -334,15 +509,310 @@ class AnalyticsPanel {
         });
 
         // Revenue tracker
-        document.getElementById('expensesInput').addEventListener('input', (e) => {
-            this.expenses = parseFloat(e.target.value) || 0;
-            this.saveExpenses();
-            this.renderRevenue();
-        });
+        const applyRevenueRange = document.getElementById('applyRevenueRange');
+        if (applyRevenueRange) {
+            applyRevenueRange.addEventListener('click', () => this.render());
+        }
+
+        const revenuePeriod = document.getElementById('revenuePeriod');
+        if (revenuePeriod) {
+            revenuePeriod.addEventListener('change', () => this.render());
+        }
+
+        const profitLossPeriod = document.getElementById('profitLossPeriod');
+        if (profitLossPeriod) {
+            profitLossPeriod.addEventListener('change', () => this.render());
+        }
+
+        // Expense ledger
+        const expenseRecurring = document.getElementById('expenseRecurring');
+        if (expenseRecurring) {
+            expenseRecurring.addEventListener('change', (e) => {
+                document.getElementById('expenseEndDateGroup').style.display = e.target.value ? 'flex' : 'none';
+            });
+        }
+
+        const expenseForm = document.getElementById('expenseForm');
+        if (expenseForm) {
+            expenseForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addExpense();
+            });
+        }
+
+        // Exclusion rules
+        const exclusionType = document.getElementById('exclusionType');
+        if (exclusionType) {
+            exclusionType.addEventListener('change', (e) => {
+                const isPhone = e.target.value === 'phone';
+                document.getElementById('exclusionPhone').style.display = isPhone ? '' : 'none';
+                document.getElementById('exclusionDates').style.display = isPhone ? 'none' : 'flex';
+            });
+        }
+
+        const exclusionForm = document.getElementById('analyticsExclusionForm');
+        if (exclusionForm) {
+            exclusionForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addExclusion();
+            });
+        }
 
         // Initialize UI
         this.updateFakeDataUI();
-        this.updateClientDropdown();
+    }
+
+    async loadExclusions() {
+        try {
+            const response = await adminPanel.apiFetch('/api/analytics/exclusions');
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.exclusions = await response.json();
+            this.renderExclusions();
+        } catch (error) {
+            if (!adminPanel.isAuthenticated) return;
+            adminPanel.showMessage(`Error loading analytics exclusions: ${error.message}`, 'error');
+        }
+    }
+
+    renderExclusions() {
+        const container = document.getElementById('analyticsExclusionsList');
+        if (!container) return;
+
+        if (this.exclusions.length === 0) {
+            container.innerHTML = '<p class="no-data">Nothing excluded - every booking counts unless it\'s switched off on the appointment.</p>';
+            return;
+        }
+
+        const formatDay = (date) => this.parseDate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+        container.innerHTML = this.exclusions.map(exclusion => {
+            const label = exclusion.type === 'phone'
+                ? `Bookings by ${Phone.formatPhone(exclusion.phone)}`
+                : `Bookings from ${formatDay(exclusion.startDate)} to ${formatDay(exclusion.endDate)}`;
+            return `
+                <div class="analytics-exclusion">
+                    <span>
+                        ${adminPanel.escapeHtml(label)}
+                        ${exclusion.note ? `<span class="analytics-exclusion-note">· ${adminPanel.escapeHtml(exclusion.note)}</span>` : ''}
+                    </span>
+                    <button class="btn-clear-filter" onclick="analyticsPanel.removeExclusion('${exclusion.id}')">Remove</button>
+                </div>`;
+        }).join('');
+    }
+
+    async addExclusion() {
+        const type = document.getElementById('exclusionType').value;
+        const body = { type, note: document.getElementById('exclusionNote').value };
+
+        if (type === 'phone') {
+            body.phone = document.getElementById('exclusionPhone').value;
+        } else {
+            body.startDate = document.getElementById('exclusionStartDate').value;
+            body.endDate = document.getElementById('exclusionEndDate').value;
+            if (!body.startDate || !body.endDate) {
+                adminPanel.showMessage('Pick a start and end date to exclude.', 'error');
+                return;
+            }
+        }
+
+        try {
+            const response = await adminPanel.apiFetch('/api/analytics/exclusions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const exclusion = await response.json();
+            this.exclusions = [exclusion, ...this.exclusions];
+            document.getElementById('analyticsExclusionForm').reset();
+            document.getElementById('exclusionPhone').style.display = '';
+            document.getElementById('exclusionDates').style.display = 'none';
+            this.renderExclusions();
+            this.render();
+        } catch (error) {
+            if (!adminPanel.isAuthenticated) return;
+            adminPanel.showMessage(`Failed to exclude from analytics: ${error.message}`, 'error');
+        }
+    }
+
+    async removeExclusion(id) {
+        try {
+            const response = await adminPanel.apiFetch(`/api/analytics/exclusions/${id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.exclusions = this.exclusions.filter(exclusion => exclusion.id !== id);
+            this.renderExclusions();
+            this.render();
+        } catch (error) {
+            if (!adminPanel.isAuthenticated) return;
+            adminPanel.showMessage(`Failed to remove exclusion: ${error.message}`, 'error');
+        }
+    }
+
+    async loadExpenses() {
+        try {
+            const response = await adminPanel.apiFetch('/api/expenses');
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.expenses = await response.json();
+            this.renderExpenses();
+        } catch (error) {
+            if (!adminPanel.isAuthenticated) return;
+            adminPanel.showMessage(`Error loading expenses: ${error.message}`, 'error');
+        }
+    }
+
+    // Clear the expense form for the next entry, dated today
+    // Expenses used to be one total saved in this browser - until something is added, it's offered as the first entry
+    resetExpenseForm() {
+        const form = document.getElementById('expenseForm');
+        if (!form) return;
+
+        form.reset();
+        document.getElementById('expenseDate').value = this.formatLocalDate(new Date());
+        document.getElementById('expenseEndDateGroup').style.display = 'none';
+
+        const savedTotal = parseFloat(localStorage.getItem('analyticsExpenses') || '0');
+        if (savedTotal > 0) {
+            document.getElementById('expenseCategory').value = 'other';
+            document.getElementById('expenseAmount').value = savedTotal.toFixed(2);
+            document.getElementById('expenseNotes').value = 'Expenses total saved before the ledger';
+        }
+    }
+
+    renderExpenses() {
+        const container = document.getElementById('expensesList');
+        if (!container) return;
+
+        if (this.expenses.length === 0) {
+            container.innerHTML = '<p class="no-data">No expenses recorded yet.</p>';
+            return;
+        }
+
+        const formatDay = (date) => this.parseDate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        const repeats = { weekly: 'Every week', monthly: 'Every month', yearly: 'Every year' };
+
+        container.innerHTML = this.expenses.map(expense => {
+            const when = expense.recurring
+                ? `${repeats[expense.recurring]} from ${formatDay(expense.date)}${expense.endDate ? ` until ${formatDay(expense.endDate)}` : ''}`
+                : formatDay(expense.date);
+            return `
+                <div class="expense-item">
+                    <span>
+                        ${this.expenseCategories[expense.category]} · ${this.formatAmount(expense.amount)} · ${when}
+                        ${expense.notes ? `<span class="expense-item-note">· ${adminPanel.escapeHtml(expense.notes)}</span>` : ''}
+                    </span>
+                    <span class="expense-item-actions">
+                        ${expense.recurring && !expense.endDate ? `<button class="btn-clear-filter" onclick="analyticsPanel.stopExpense('${expense.id}')">Stop</button>` : ''}
+                        <button class="btn-clear-filter" onclick="analyticsPanel.removeExpense('${expense.id}')">Remove</button>
+                    </span>
+                </div>`;
+        }).join('');
+    }
+
+    async addExpense() {
+        const recurring = document.getElementById('expenseRecurring').value || null;
+        const body = {
+            date: document.getElementById('expenseDate').value,
+            category: document.getElementById('expenseCategory').value,
+            amount: document.getElementById('expenseAmount').value,
+            notes: document.getElementById('expenseNotes').value,
+            recurring,
+            endDate: (recurring && document.getElementById('expenseEndDate').value) || null
+        };
+
+        try {
+            const response = await adminPanel.apiFetch('/api/expenses', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const expense = await response.json();
+            this.expenses = [expense, ...this.expenses].sort((a, b) => b.date.localeCompare(a.date));
+            localStorage.removeItem('analyticsExpenses');
+            this.resetExpenseForm();
+            this.renderExpenses();
+            this.render();
+        } catch (error) {
+            if (!adminPanel.isAuthenticated) return;
+            adminPanel.showMessage(`Failed to add expense: ${error.message}`, 'error');
+        }
+    }
+
+    // End a recurring expense today - the times it was already paid still count
+    async stopExpense(id) {
+        try {
+            const response = await adminPanel.apiFetch(`/api/expenses/${id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ endDate: this.formatLocalDate(new Date()) })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            const updated = await response.json();
+            this.expenses = this.expenses.map(expense => expense.id === id ? updated : expense);
+            this.renderExpenses();
+            this.render();
+        } catch (error) {
+            if (!adminPanel.isAuthenticated) return;
+            adminPanel.showMessage(`Failed to stop expense: ${error.message}`, 'error');
+        }
+    }
+
+    async removeExpense(id) {
+        const expense = this.expenses.find(item => item.id === id);
+        if (expense && expense.recurring &&
+            !confirm('Remove this recurring expense from every period it was paid in? To keep past periods, use Stop instead.')) {
+            return;
+        }
+
+        try {
+            const response = await adminPanel.apiFetch(`/api/expenses/${id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.expenses = this.expenses.filter(item => item.id !== id);
+            this.renderExpenses();
+            this.render();
+        } catch (error) {
+            if (!adminPanel.isAuthenticated) return;
+            adminPanel.showMessage(`Failed to remove expense: ${error.message}`, 'error');
+        }
     }
 
     updateFakeDataUI() {
@@ -369,34 +839,18 @@ class AnalyticsPanel {
         this.render();
     }
 
+    // Fill the client filter from this.clients (every client with a counted appointment, not just those in the range)
     updateClientDropdown() {
-        const analyticsAppts = this.getAnalyticsAppointments();
         const clientFilterSelect = document.getElementById('clientFilterSelect');
         
         if (!clientFilterSelect) return;
         
-        // Get unique clients from all appointments (not filtered)
-        const allAppts = this.fakeDataMode ? this.fakeAppointments : this.appointments;
-        const clients = {};
-        allAppts.forEach(apt => {
-            if (apt.includeInAnalytics !== false) {
-                const normalizedPhone = this.normalizePhone(apt.customer.phone);
-                if (normalizedPhone && !clients[normalizedPhone]) {
-                    clients[normalizedPhone] = {
-                        name: apt.customer.name,
-                        phone: apt.customer.phone
-                    };
-                }
-            }
-        });
-        
-        // Update dropdown
         clientFilterSelect.innerHTML = '<option value="">All Clients</option>';
-        Object.entries(clients).sort((a, b) => a[1].name.localeCompare(b[1].name)).forEach(([normalizedPhone, client]) => {
+        this.clients.forEach(client => {
             const option = document.createElement('option');
-            option.value = normalizedPhone;
+            option.value = client.key;
             option.textContent = `${client.name} (${client.phone})`;
-            if (this.normalizePhone(this.selectedClient) === normalizedPhone) {
+            if (this.selectedClient === client.key) {
                 option.selected = true;
             }
             clientFilterSelect.appendChild(option);
@@ -428,28 +882,40 @@ class AnalyticsPanel {
         this.render();
     }
 
-    render() {
-        // Reload appointments to get latest data
-        if (!this.fakeDataMode) {
-            this.appointments = this.loadAppointments();
-        }
-        
-        // Update client dropdown (needs to happen before filtering)
-        this.updateClientDropdown();
-        
-        switch(this.currentView) {
-            case 'time-slots':
-                this.renderTimeSlots();
-                break;
-            case 'revenue':
-                this.renderRevenue();
-                break;
-            case 'retention':
-                this.renderRetention();
-                break;
-            case 'no-shows':
-                this.renderNoShows();
-                break;
+    async render() {
+        const renderId = ++this.renderCount;
+        const view = this.currentView;
+
+        try {
+            const [clients, data] = await Promise.all([
+                this.fakeDataMode ? this.getFakeData('clients', {}) : this.fetchAnalytics('clients'),
+                this.loadViewData(view, this.getFilters())
+            ]);
+
+            // Filters or the view changed while this was loading - the newer render takes over
+            if (renderId !== this.renderCount) return;
+
+            this.clients = clients;
+            this.updateClientDropdown();
+
+            switch(view) {
+                case 'time-slots':
+                    this.renderTimeSlots(data);
+                    break;
+                case 'revenue':
+                    this.renderRevenue(data);
+                    break;
+                case 'retention':
+                    this.renderRetention(data);
+                    break;
+                case 'no-shows':
+                    this.renderNoShows(data);
+                    break;
+            }
+        } catch (error) {
+            // Session expired - the login screen is already showing
+            if (renderId !== this.renderCount || !adminPanel.isAuthenticated) return;
+            adminPanel.showMessage(`Error loading analytics: ${error.message}`, 'error');
         }
     }
 
@@ -458,36 +924,17 @@ class AnalyticsPanel {
     }
 
     // Popular/Least Popular Time Slots
-    renderTimeSlots() {
-        const analyticsAppts = this.getAnalyticsAppointments();
-        
-        // Count by hour
-        const hourCounts = {};
-        const dayCounts = {
-            'Sunday': 0, 'Monday': 0, 'Tuesday': 0, 'Wednesday': 0,
-            'Thursday': 0, 'Friday': 0, 'Saturday': 0
-        };
-
-        analyticsAppts.forEach(apt => {
-            if (apt.status === 'accepted') {
-                const [hours] = apt.time.split(':');
-                const hour = parseInt(hours);
-                const hour12 = hour % 12 || 12;
-                const ampm = hour >= 12 ? 'PM' : 'AM';
-                const hourLabel = `${hour12}:00 ${ampm}`;
-                hourCounts[hourLabel] = (hourCounts[hourLabel] || 0) + 1;
-
-                // Parse date string to avoid timezone issues
-                const [year, month, day] = apt.date.split('-').map(Number);
-                const date = new Date(year, month - 1, day); // month is 0-indexed
-                const dayName = date.toLocaleDateString('en-US', { weekday: 'long' });
-                dayCounts[dayName] = (dayCounts[dayName] || 0) + 1;
-            }
-        });
+    // data: GET /api/analytics/time-slots
+    renderTimeSlots(data) {
+        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
         // Sort by count
-        const sortedHours = Object.entries(hourCounts).sort((a, b) => b[1] - a[1]);
-        const sortedDays = Object.entries(dayCounts).sort((a, b) => b[1] - a[1]);
+        const sortedHours = data.byHour
+            .map(({ hour, bookings }) => [`${hour % 12 || 12}:00 ${hour >= 12 ? 'PM' : 'AM'}`, bookings])
+            .sort((a, b) => b[1] - a[1]);
+        const sortedDays = data.byDayOfWeek
+            .map(({ dayOfWeek, bookings }) => [dayNames[dayOfWeek], bookings])
+            .sort((a, b) => b[1] - a[1]);
 
         // Render time slots chart
         const timeSlotsCtx = document.getElementById('timeSlotsChart').getContext('2d');
@@ -575,49 +1022,28 @@ class AnalyticsPanel {
     }
 
     // Revenue Tracker
-    renderRevenue() {
-        // Get analytics appointments (already filtered by date range, client, and includeInAnalytics)
-        const analyticsAppts = this.getAnalyticsAppointments().filter(apt => {
-            return apt.status === 'accepted';
-        });
-        
-        // Note: Date range filtering is already applied in getAnalyticsAppointments()
-        // If custom dates are set in revenue view, they override global filter temporarily
-        const revenueStartDate = document.getElementById('revenueStartDate')?.value;
-        const revenueEndDate = document.getElementById('revenueEndDate')?.value;
-        
-        let filteredAppts = analyticsAppts;
-        if (revenueStartDate && revenueEndDate) {
-            filteredAppts = analyticsAppts.filter(apt => {
-                return apt.date >= revenueStartDate && apt.date <= revenueEndDate;
-            });
-        }
-
-        const totalRevenue = filteredAppts.reduce((sum, apt) => {
-            return sum + parseFloat(apt.price || 0);
-        }, 0);
-
-        const grossProfit = totalRevenue - this.expenses;
-
-        document.getElementById('totalRevenue').textContent = `$${totalRevenue.toFixed(2)}`;
-        document.getElementById('expensesInput').value = this.expenses || '';
-        document.getElementById('grossProfit').textContent = `$${grossProfit.toFixed(2)}`;
-
-        // Revenue chart by date
-        const revenueByDate = {};
-        filteredAppts.forEach(apt => {
-            const date = apt.date;
-            revenueByDate[date] = (revenueByDate[date] || 0) + parseFloat(apt.price || 0);
-        });
-
-        const sortedDates = Object.keys(revenueByDate).sort();
-        const revenueData = sortedDates.map(date => revenueByDate[date]);
-        const dateLabels = sortedDates.map(date => {
-            // Parse date string to avoid timezone issues
-            const [year, month, day] = date.split('-').map(Number);
-            const d = new Date(year, month - 1, day); // month is 0-indexed
-            return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-        });
+    // data: GET /api/analytics/revenue (the revenue view's own dates override the global range),
+    // with profitLoss: GET /api/analytics/profit-loss for the same dates
+    renderRevenue(data) {
+        const { collected } = data;
+
+        // Booked is the price of every visit; collected is what checkouts recorded, tips included
+        document.getElementById('totalRevenue').textContent = this.formatAmount(data.totalRevenue);
+        document.getElementById('collectedRevenue').textContent = this.formatAmount(collected.total);
+        document.getElementById('collectedCheckouts').textContent = `${collected.checkouts} of ${data.visits} visits checked out`;
+        document.getElementById('totalTips').textContent = this.formatAmount(collected.tips);
+        document.getElementById('totalExpenses').textContent = this.formatAmount(data.profitLoss.expenses);
+        document.getElementById('netProfit').textContent = this.formatAmount(data.profitLoss.profit);
+        this.renderPaymentMethods(collected.byPaymentMethod);
+        this.renderProfitLoss(data.profitLoss);
+
+        // Collected has no entry for periods without checkouts, so both lines follow the booked periods
+        const collectedByStart = new Map(collected.periods.map(entry => [entry.start, entry.collected]));
+        const starts = [...new Set([...data.periods.map(entry => entry.start), ...collectedByStart.keys()])].sort();
+        const bookedByStart = new Map(data.periods.map(entry => [entry.start, entry.revenue]));
+        const revenueData = starts.map(start => bookedByStart.get(start) || 0);
+        const collectedData = starts.map(start => collectedByStart.get(start) || 0);
+        const dateLabels = starts.map(start => this.formatPeriodLabel(start, data.period));
 
         const revenueCtx = document.getElementById('revenueChart').getContext('2d');
         if (this.charts.revenue) {
@@ -629,12 +1055,19 @@ class AnalyticsPanel {
             data: {
                 labels: dateLabels,
                 datasets: [{
-                    label: 'Revenue',
+                    label: 'Booked',
                     data: revenueData,
                     borderColor: '#ffffff',
                     backgroundColor: 'rgba(255, 255, 255, 0.1)',
                     tension: 0.4,
                     fill: true
+                }, {
+                    label: 'Collected',
+                    data: collectedData,
+                    borderColor: 'rgba(0, 255, 0, 0.8)',
+                    backgroundColor: 'rgba(0, 255, 0, 0.1)',
+                    tension: 0.4,
+                    fill: false
                 }]
             },
             options: {
@@ -662,83 +1095,95 @@ class AnalyticsPanel {
         });
     }
 
+    // Collected revenue split by how it was paid - deposits paid online are their own entry
+    renderPaymentMethods(byPaymentMethod) {
+        const container = document.getElementById('paymentMethodSplit');
+        const labels = { card: 'Card', cash: 'Cash', other: 'Other', deposit: 'Online deposits' };
+
+        container.innerHTML = Object.entries(labels)
+            .filter(([method]) => byPaymentMethod[method] > 0)
+            .map(([method, label]) => `<span>${label}: ${this.formatAmount(byPaymentMethod[method])}</span>`)
+            .join('') || '<span>No checkouts in this date range</span>';
+    }
+
+    // Profit & Loss table: a row per month or quarter, with a column for each expense category that has any
+    renderProfitLoss(data) {
+        const container = document.getElementById('profitLossTable');
+
+        if (data.periods.length === 0) {
+            container.innerHTML = '<p class="no-data">No revenue or expenses in this date range.</p>';
+            return;
+        }
+
+        const categories = Object.keys(this.expenseCategories).filter(category => category in data.byCategory);
+        const row = (label, entry, className = '') => `
+            <tr class="${className}">
+                <td>${label}</td>
+                <td>${this.formatAmount(entry.revenue)}</td>
+                ${categories.map(category => `<td>${this.formatAmount(entry.byCategory[category] || 0)}</td>`).join('')}
+                <td>${this.formatAmount(entry.expenses)}</td>
+                <td class="${entry.profit < 0 ? 'loss' : ''}">${this.formatAmount(entry.profit)}</td>
+            </tr>`;
+
+        container.innerHTML = `
+            <table class="profit-loss-table">
+                <thead>
+                    <tr>
+                        <th>${data.period === 'quarter' ? 'Quarter' : 'Month'}</th>
+                        <th>Revenue</th>
+                        ${categories.map(category => `<th>${this.expenseCategories[category]}</th>`).join('')}
+                        <th>Expenses</th>
+                        <th>Profit</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.periods.map(entry => row(this.formatPeriodLabel(entry.start, data.period), entry)).join('')}
+                    ${row('Total', data, 'profit-loss-total')}
+                </tbody>
+            </table>`;
+    }
+
+    // "$1200.00", or "-$35.50" for a loss
+    formatAmount(amount) {
+        return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    }
+
+    // "Jan 15" for days, "Week of Jan 13" for weeks, "Jan 2024" for months and "Q1 2024" for quarters
+    formatPeriodLabel(start, period) {
+        const date = this.parseDate(start);
+        switch (period) {
+            case 'week':
+                return `Week of ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+            case 'month':
+                return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+            case 'quarter':
+                return `Q${Math.floor(date.getMonth() / 3) + 1} ${date.getFullYear()}`;
+            default:
+                return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        }
+    }
+
     // Client Retention Rate
-    renderRetention() {
+    // data: GET /api/analytics/retention
+    renderRetention(data) {
         // If a specific client is selected, show their details
         if (this.selectedClient) {
-            this.renderClientDetails();
+            this.renderClientDetails(data);
             return;
         }
 
-        const analyticsAppts = this.getAnalyticsAppointments().filter(apt => apt.status === 'accepted');
-        
-        // Group by customer phone (normalized)
-        const clients = {};
-        analyticsAppts.forEach(apt => {
-            const normalizedPhone = this.normalizePhone(apt.customer.phone);
-            if (!normalizedPhone) return; // Skip if no phone
-            
-            if (!clients[normalizedPhone]) {
-                clients[normalizedPhone] = {
-                    name: apt.customer.name,
-                    email: apt.customer.email,
-                    phone: apt.customer.phone,
-                    appointments: []
-                };
-            }
-            clients[normalizedPhone].appointments.push({
-                date: apt.date,
-                time: apt.time,
-                service: apt.service
-            });
-        });
-
-        // Calculate retention
-        const totalClients = Object.keys(clients).length;
-        const returningClients = Object.values(clients).filter(c => c.appointments.length > 1).length;
-        const newClients = totalClients - returningClients;
-        const retentionRate = totalClients > 0 ? (returningClients / totalClients * 100) : 0;
+        const { totalClients, returningClients, newClients, retentionRate } = data;
 
         document.getElementById('retentionRate').textContent = `${retentionRate.toFixed(1)}%`;
         document.getElementById('totalClients').textContent = totalClients;
         document.getElementById('returningClients').textContent = returningClients;
 
-        // Calculate average time between appointments for returning clients
-        const clientsList = Object.values(clients).map(client => {
-            const isReturning = client.appointments.length > 1;
-            let avgDaysBetween = null;
-
-            if (isReturning) {
-                const dates = client.appointments
-                    .map(apt => {
-                        // Parse date string to avoid timezone issues
-                        const [year, month, day] = apt.date.split('-').map(Number);
-                        return new Date(year, month - 1, day); // month is 0-indexed
-                    })
-                    .sort((a, b) => a - b);
-                
-                const daysBetween = [];
-                for (let i = 1; i < dates.length; i++) {
-                    const diff = (dates[i] - dates[i - 1]) / (1000 * 60 * 60 * 24);
-                    daysBetween.push(diff);
-                }
-                avgDaysBetween = daysBetween.reduce((a, b) => a + b, 0) / daysBetween.length;
-            }
-
-            return {
-                ...client,
-                isReturning,
-                visitCount: client.appointments.length,
-                avgDaysBetween
-            };
-        });
-
         // Sort: returning clients first, then by visit count
-        clientsList.sort((a, b) => {
+        const clientsList = [...data.clients].sort((a, b) => {
             if (a.isReturning !== b.isReturning) {
                 return b.isReturning - a.isReturning;
             }
-            return b.visitCount - a.visitCount;
+            return b.visits - a.visits;
         });
 
         // Render client list
@@ -771,7 +1216,7 @@ class AnalyticsPanel {
                     <div class="client-details">
                         <div class="client-detail"><strong>Email:</strong> ${client.email}</div>
                         <div class="client-detail"><strong>Phone:</strong> ${client.phone}</div>
-                        <div class="client-detail"><strong>Total Visits:</strong> ${client.visitCount}</div>
+                        <div class="client-detail"><strong>Total Visits:</strong> ${client.visits}</div>
                         ${avgDaysText}
                     </div>
                 </div>
@@ -841,10 +1286,11 @@ class AnalyticsPanel {
     }
 
     // Client Details View (when a specific client is selected)
-    renderClientDetails() {
-        const analyticsAppts = this.getAnalyticsAppointments().filter(apt => apt.status === 'accepted');
+    // data: GET /api/analytics/retention with a client, which adds their visits as appointments
+    renderClientDetails(data) {
+        const appointments = data.appointments || [];
         
-        if (analyticsAppts.length === 0) {
+        if (appointments.length === 0 || data.clients.length === 0) {
             document.getElementById('retentionRate').textContent = '0%';
             document.getElementById('totalClients').textContent = '0';
             document.getElementById('returningClients').textContent = '0';
@@ -852,38 +1298,10 @@ class AnalyticsPanel {
             return;
         }
 
-        const client = analyticsAppts[0].customer;
-        const appointments = analyticsAppts.map(apt => ({
-            date: apt.date,
-            time: apt.time,
-            service: apt.service,
-            price: apt.price
-        })).sort((a, b) => {
-            // Parse date strings to avoid timezone issues
-            const [yearA, monthA, dayA] = a.date.split('-').map(Number);
-            const dateA = new Date(yearA, monthA - 1, dayA);
-            const [yearB, monthB, dayB] = b.date.split('-').map(Number);
-            const dateB = new Date(yearB, monthB - 1, dayB);
-            return dateA - dateB;
-        });
-
-        const isReturning = appointments.length > 1;
-        const totalSpent = appointments.reduce((sum, apt) => sum + parseFloat(apt.price || 0), 0);
-
-        let avgDaysBetween = null;
-        if (isReturning && appointments.length > 1) {
-            const dates = appointments.map(apt => {
-                // Parse date string to avoid timezone issues
-                const [year, month, day] = apt.date.split('-').map(Number);
-                return new Date(year, month - 1, day); // month is 0-indexed
-            }).sort((a, b) => a - b);
-            const daysBetween = [];
-            for (let i = 1; i < dates.length; i++) {
-                const diff = (dates[i] - dates[i - 1]) / (1000 * 60 * 60 * 24);
-                daysBetween.push(diff);
-            }
-            avgDaysBetween = daysBetween.reduce((a, b) => a + b, 0) / daysBetween.length;
-        }
+        const client = data.clients[0];
+        const isReturning = client.isReturning;
+        const totalSpent = client.totalSpent;
+        const avgDaysBetween = client.avgDaysBetween;
 
         document.getElementById('retentionRate').textContent = isReturning ? 'Returning' : 'New';
         document.getElementById('totalClients').textContent = appointments.length;
@@ -916,7 +1334,7 @@ class AnalyticsPanel {
                             <span>${this.formatDateDisplay(date)}</span>
                             <span>${this.formatTime(apt.time)}</span>
                             <span>${apt.service}</span>
-                            <span>$${apt.price}</span>
+                            <span>$${Number(apt.price).toFixed(2)}</span>
                         </div>`;
                     }).join('')}
                 </div>
@@ -925,24 +1343,11 @@ class AnalyticsPanel {
     }
 
     // No-Shows & Cancellations
-    renderNoShows() {
-        // Use global date range filter (already applied in getAnalyticsAppointments)
-        const analyticsAppts = this.getAnalyticsAppointments();
-
-        // No-shows: declined appointments that have passed
-        const noShows = analyticsAppts.filter(apt => {
-            // Parse date and time to avoid timezone issues
-            const [year, month, day] = apt.date.split('-').map(Number);
-            const [hours, minutes] = apt.time.split(':').map(Number);
-            const aptDateTime = new Date(year, month - 1, day, hours, minutes); // month is 0-indexed
-            return apt.status === 'declined' && aptDateTime < new Date();
-        });
-        
-        // Cancellations: all declined appointments
-        const cancellations = analyticsAppts.filter(apt => apt.status === 'declined');
-
-        document.getElementById('totalNoShows').textContent = noShows.length;
-        document.getElementById('totalCancellations').textContent = cancellations.length;
+    // data: GET /api/analytics/no-shows - no-shows are appointments marked as one in the admin panel,
+    // cancellations were cancelled by the customer or the shop
+    renderNoShows(data) {
+        document.getElementById('totalNoShows').textContent = data.noShows;
+        document.getElementById('totalCancellations').textContent = data.cancellations;
 
         // Render bar chart - show over time
         const noShowsCtx = document.getElementById('noShowsChart')?.getContext('2d');
@@ -951,23 +1356,7 @@ class AnalyticsPanel {
                 this.charts.noShows.destroy();
             }
 
-            // Group by date
-            const noShowsByDate = {};
-            const cancellationsByDate = {};
-            
-            noShows.forEach(apt => {
-                const date = apt.date;
-                noShowsByDate[date] = (noShowsByDate[date] || 0) + 1;
-            });
-            
-            cancellations.forEach(apt => {
-                const date = apt.date;
-                cancellationsByDate[date] = (cancellationsByDate[date] || 0) + 1;
-            });
-
-            const allDates = [...new Set([...Object.keys(noShowsByDate), ...Object.keys(cancellationsByDate)])].sort();
-            
-            if (allDates.length === 0) {
+            if (data.byDate.length === 0) {
                 // If no data, show summary chart
                 this.charts.noShows = new Chart(noShowsCtx, {
                     type: 'bar',
@@ -975,7 +1364,7 @@ class AnalyticsPanel {
                         labels: ['No-Shows', 'Cancellations'],
                         datasets: [{
                             label: 'Count',
-                            data: [noShows.length, cancellations.length],
+                            data: [data.noShows, data.cancellations],
                             backgroundColor: ['rgba(255, 68, 68, 0.8)', 'rgba(255, 165, 0, 0.8)'],
                             borderColor: ['#ff4444', '#ffa500'],
                             borderWidth: 2
@@ -1006,14 +1395,9 @@ class AnalyticsPanel {
                 });
             } else {
                 // Show over time
-                const dateLabels = allDates.map(date => {
-                    // Parse date string to avoid timezone issues
-                    const [year, month, day] = date.split('-').map(Number);
-                    const d = new Date(year, month - 1, day); // month is 0-indexed
-                    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-                });
-                const noShowsData = allDates.map(date => noShowsByDate[date] || 0);
-                const cancellationsData = allDates.map(date => cancellationsByDate[date] || 0);
+                const dateLabels = data.byDate.map(entry => this.formatPeriodLabel(entry.date, 'day'));
+                const noShowsData = data.byDate.map(entry => entry.noShows);
+                const cancellationsData = data.byDate.map(entry => entry.cancellations);
 
                 this.charts.noShows = new Chart(noShowsCtx, {
                     type: 'bar',
@@ -1064,23 +1448,8 @@ class AnalyticsPanel {
             }
         }
 
-        // Combine and display
-        const allIssues = [...noShows.map(apt => ({ ...apt, type: 'No-Show' })), 
-                          ...cancellations.map(apt => ({ ...apt, type: 'Cancellation' }))];
-
-        // Sort by date
-        allIssues.sort((a, b) => {
-            // Parse dates and times to avoid timezone issues
-            const [yearA, monthA, dayA] = a.date.split('-').map(Number);
-            const [hoursA, minutesA] = a.time.split(':').map(Number);
-            const dateA = new Date(yearA, monthA - 1, dayA, hoursA, minutesA);
-            
-            const [yearB, monthB, dayB] = b.date.split('-').map(Number);
-            const [hoursB, minutesB] = b.time.split(':').map(Number);
-            const dateB = new Date(yearB, monthB - 1, dayB, hoursB, minutesB);
-            
-            return dateB - dateA;
-        });
+        // Already newest first
+        const allIssues = data.appointments.map(apt => ({ ...apt, type: apt.status === 'no_show' ? 'No-Show' : 'Cancellation' }));
 
         const container = document.getElementById('noShowsList');
         container.innerHTML = '';
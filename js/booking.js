@@ -1,9 +1,18 @@
 // Booking functionality with API integration
 // localStorage code kept as backup
+
+// Used for older bookings saved before durations were recorded
+const DEFAULT_APPOINTMENT_DURATION = 45;
+
+// sessionStorage key for a returning customer's sign-in ({ token, expiresAt })
+const CUSTOMER_SESSION_KEY = 'customerSession';
+
 class BookingSystem {
     constructor() {
         this.currentDate = new Date();
-        this.serviceData = this.getServiceFromURL();
+        this.serviceRequest = this.getServiceFromURL(); // Which service the customer picked
+        this.serviceData = null; // Loaded from the services catalog
+        this.lastBooking = null; // Server response for the booking just made
         this.availability = {};
         this.existingAppointments = []; // Track booked appointments
         this.selectedDate = null;
@@ -11,19 +20,68 @@ class BookingSystem {
         this.useAPI = true; // Set to false to use localStorage backup
         this.isSubmitting = false; // Prevent duplicate submissions
         this.isLoadingAvailability = false; // Track loading state
+        this.isJoiningWaitlist = false; // Prevent duplicate waitlist submissions
+        this.returningPhone = null; // Number a login code was texted to
+        this.customerSession = null; // Returning customer's details, once they've entered their code
         
         this.init();
     }
 
+    // Only the service ID (or name, for older links) is read from the URL
+    // Price and duration always come from the services catalog
     getServiceFromURL() {
         const params = new URLSearchParams(window.location.search);
         return {
-            name: params.get('service') || 'Haircut',
-            price: params.get('price') || '30.00',
-            duration: parseInt(params.get('duration') || '45')
+            id: params.get('serviceId'),
+            name: params.get('service')
         };
     }
 
+    // Load the selected service from the catalog API (localStorage cache as backup)
+    async loadService() {
+        let services = null;
+
+        if (this.useAPI) {
+            try {
+                const response = await fetch('/api/services');
+                if (response.ok) {
+                    services = await response.json();
+                    localStorage.setItem('servicesCatalog', JSON.stringify(services));
+                }
+            } catch (error) {
+                // Fall through to cached catalog
+            }
+        }
+
+        if (!Array.isArray(services)) {
+            const stored = localStorage.getItem('servicesCatalog');
+            services = stored ? JSON.parse(stored) : [];
+        }
+
+        const { id, name } = this.serviceRequest;
+        let service = null;
+        if (id) {
+            service = services.find(s => s.id === id);
+        } else if (name) {
+            service = services.find(s => s.name === name);
+        } else {
+            // No service picked - default to the first one in the catalog
+            service = services[0];
+        }
+
+        if (service) {
+            this.serviceData = {
+                id: service.id,
+                name: service.name,
+                price: service.price,
+                duration: parseInt(service.duration),
+                depositAmount: parseFloat(service.depositAmount) || 0
+            };
+        }
+
+        return this.serviceData;
+    }
+
     formatDate(date) {
         return date.toISOString().split('T')[0];
     }
@@ -90,7 +148,8 @@ class BookingSystem {
         this.showLoadingState();
 
         try {
-            const response = await fetch('/api/availability');
+            // Start times depend on the service's length, so ask for this service's slots
+            const response = await fetch(`/api/availability/slots?serviceId=${encodeURIComponent(this.serviceData.id)}`);
             
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
@@ -154,14 +213,14 @@ class BookingSystem {
         }
 
         try {
-            // Fetch all appointments and filter client-side (backend doesn't support multiple status filter)
-            const response = await fetch('/api/appointments');
+            // Public endpoint - returns taken slots without customer details
+            const response = await fetch('/api/appointments/booked');
             
             if (response.ok) {
                 const data = await response.json();
                 // Filter to only pending and accepted appointments (exclude declined)
                 this.existingAppointments = Array.isArray(data) 
-                    ? data.filter(apt => apt.status === 'pending' || apt.status === 'accepted')
+                    ? data.filter(apt => apt.status === 'pending' || apt.status === 'accepted' || apt.status === 'awaiting_payment')
                     : [];
             }
         } catch (error) {
@@ -171,13 +230,26 @@ class BookingSystem {
         }
     }
 
-    // Check if a time slot is already booked
+    // Convert "HH:MM" to minutes since midnight
+    timeToMinutes(timeStr) {
+        const [hours, minutes] = String(timeStr).split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+
+    // Check if a time slot would overlap an existing booking
+    // Uses the selected service's duration and each booking's own duration
     isTimeSlotBooked(dateStr, timeStr) {
-        return this.existingAppointments.some(apt => 
-            apt.date === dateStr && 
-            apt.time === timeStr && 
-            (apt.status === 'pending' || apt.status === 'accepted')
-        );
+        const start = this.timeToMinutes(timeStr);
+        const end = start + ((this.serviceData && this.serviceData.duration) || DEFAULT_APPOINTMENT_DURATION);
+
+        return this.existingAppointments.some(apt => {
+            if (apt.date !== dateStr || (apt.status !== 'pending' && apt.status !== 'accepted')) {
+                return false;
+            }
+            const aptStart = this.timeToMinutes(apt.time);
+            const aptEnd = aptStart + (parseInt(apt.duration) || DEFAULT_APPOINTMENT_DURATION);
+            return start < aptEnd && aptStart < end;
+        });
     }
 
     // Show loading state
@@ -268,11 +340,23 @@ class BookingSystem {
         // If no available dates found, keep showing current week
     }
 
-    init() {
-        this.displayServiceInfo();
-        this.fetchAvailability();
+    async init() {
         this.setupEventListeners();
         this.setupServerReconnectionSync();
+
+        const service = await this.loadService();
+        this.displayServiceInfo();
+
+        if (!service) {
+            this.showMessage('This service is no longer available. Please choose another service.', 'error');
+            return;
+        }
+
+        this.fetchAvailability();
+
+        if (this.useAPI) {
+            this.restoreCustomerSession();
+        }
     }
 
     // Sync localStorage with server when connection is restored
@@ -299,13 +383,13 @@ class BookingSystem {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify({
+                                serviceId: appointment.serviceId,
                                 service: appointment.service,
-                                price: appointment.price,
-                                duration: appointment.duration,
                                 date: appointment.date,
                                 time: appointment.time,
                                 customer: appointment.customer,
-                                status: appointment.status
+                                notificationChannel: appointment.notificationChannel,
+                                smsConsent: appointment.smsConsent
                             })
                         });
 
@@ -339,12 +423,22 @@ class BookingSystem {
 
     displayServiceInfo() {
         const serviceInfoEl = document.getElementById('selectedService');
+        if (serviceInfoEl && !this.serviceData) {
+            serviceInfoEl.innerHTML = `
+                <div class="service-badge">
+                    <span class="service-name">Service unavailable</span>
+                    <a href="index.html#services" class="service-duration">Choose a service</a>
+                </div>
+            `;
+            return;
+        }
         if (serviceInfoEl) {
             serviceInfoEl.innerHTML = `
                 <div class="service-badge">
                     <span class="service-name">${this.serviceData.name}</span>
                     <span class="service-price">$${this.serviceData.price}</span>
                     <span class="service-duration">${this.serviceData.duration} mins</span>
+                    ${this.serviceData.depositAmount > 0 ? `<span class="service-deposit">$${this.serviceData.depositAmount.toFixed(2)} deposit</span>` : ''}
                 </div>
             `;
         }
@@ -405,11 +499,17 @@ class BookingSystem {
             const isClosed = dayInfo && dayInfo.closed === true;
             const timeSlots = this.getAvailableTimeSlots(dateStr);
             const isAvailable = timeSlots.length > 0 && !isClosed;
+            // Open but every time is taken - customers can join the waitlist
+            const isFullyBooked = !isAvailable && !isClosed && this.useAPI && dayInfo && dayInfo.fullyBooked === true;
             
             dayEl.className = `calendar-day ${isAvailable ? 'available' : 'unavailable'}`;
             if (isClosed) {
                 dayEl.classList.add('closed');
             }
+            if (isFullyBooked) {
+                dayEl.classList.add('fully-booked');
+                dayEl.title = 'Fully booked - join the waitlist';
+            }
             if (date < today) {
                 dayEl.classList.add('past');
             }
@@ -434,8 +534,8 @@ class BookingSystem {
                 dayEl.classList.add('today');
             }
 
-            // Make clickable if available and not in past
-            if (isAvailable && date >= today) {
+            // Make clickable if available (or open for the waitlist) and not in past
+            if ((isAvailable || isFullyBooked) && date >= today) {
                 dayEl.style.cursor = 'pointer';
                 dayEl.addEventListener('click', () => this.selectDate(dateStr, date));
             }
@@ -448,12 +548,20 @@ class BookingSystem {
     selectDate(dateStr, date) {
         this.selectedDate = dateStr;
         const timeSlots = this.getAvailableTimeSlots(dateStr);
+        const dayInfo = this.availability[dateStr];
         
         if (timeSlots.length === 0) {
+            if (this.useAPI && dayInfo && dayInfo.fullyBooked === true) {
+                this.showWaitlist(dateStr, date);
+                return;
+            }
             this.showMessage('No available time slots for this date.', 'error');
             return;
         }
 
+        const waitlistPanel = document.getElementById('waitlistPanel');
+        if (waitlistPanel) waitlistPanel.style.display = 'none';
+
         // Show time slots container
         const timeSlotsContainer = document.getElementById('timeSlotsContainer');
         const timeSlotsGrid = document.getElementById('timeSlotsGrid');
@@ -477,7 +585,7 @@ class BookingSystem {
                 slotEl.style.opacity = '';
                 
                 if (isBooked) {
-                    slotEl.title = 'This time slot is already booked';
+                    slotEl.title = 'This time overlaps an existing booking';
                 } else {
                     slotEl.addEventListener('click', () => this.selectTime(slot));
                 }
@@ -487,6 +595,90 @@ class BookingSystem {
         }
     }
 
+    // Offer the waitlist for a fully booked day
+    // Other fully booked days that are loaded can be ticked too
+    showWaitlist(dateStr, date) {
+        const timeSlotsContainer = document.getElementById('timeSlotsContainer');
+        const timeSlotsGrid = document.getElementById('timeSlotsGrid');
+        const selectedDateTitle = document.getElementById('selectedDateTitle');
+        const bookingSummary = document.getElementById('bookingSummary');
+        const waitlistPanel = document.getElementById('waitlistPanel');
+        const waitlistDates = document.getElementById('waitlistDates');
+
+        if (!waitlistPanel || !waitlistDates) return;
+
+        this.selectedTime = null;
+        if (bookingSummary) bookingSummary.style.display = 'none';
+
+        if (timeSlotsContainer && timeSlotsGrid && selectedDateTitle) {
+            selectedDateTitle.textContent = `${this.formatDateDisplay(date)} is fully booked`;
+            timeSlotsContainer.classList.add('show');
+            timeSlotsGrid.innerHTML = '<p class="waitlist-note">Join the waitlist below and we\'ll text you if a time opens up.</p>';
+        }
+
+        const today = this.formatDate(new Date());
+        const fullyBookedDates = Object.keys(this.availability)
+            .filter(d => d >= today && this.availability[d].fullyBooked === true)
+            .sort()
+            .slice(0, 14);
+
+        waitlistDates.innerHTML = '';
+        fullyBookedDates.forEach(d => {
+            const [year, month, day] = d.split('-').map(Number);
+            const label = new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }); // month is 0-indexed
+
+            const item = document.createElement('label');
+            item.className = 'waitlist-date-option';
+            item.innerHTML = `<input type="checkbox" value="${d}" ${d === dateStr ? 'checked' : ''}> ${label}`;
+            waitlistDates.appendChild(item);
+        });
+
+        waitlistPanel.style.display = 'block';
+        waitlistPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    // Add the customer to the waitlist for the ticked dates
+    // Offers go out by text, so smsConsent must be true
+    async joinWaitlist(customerData, smsConsent) {
+        if (this.isJoiningWaitlist) return false;
+
+        const dates = Array.from(document.querySelectorAll('#waitlistDates input:checked')).map(input => input.value);
+        if (dates.length === 0) {
+            this.showMessage('Please pick at least one date.', 'error');
+            return false;
+        }
+
+        this.isJoiningWaitlist = true;
+
+        try {
+            const response = await fetch('/api/waitlist', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    serviceId: this.serviceData.id,
+                    dates,
+                    customer: customerData,
+                    smsConsent
+                })
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.showMessage('You\'re on the waitlist! We\'ll text you if a time opens up.', 'success');
+            return true;
+        } catch (error) {
+            this.showMessage(`Could not join the waitlist: ${error.message}`, 'error');
+            return false;
+        } finally {
+            this.isJoiningWaitlist = false;
+        }
+    }
+
     formatTime(time) {
         const [hours, minutes] = time.split(':');
         const hour = parseInt(hours);
@@ -531,6 +723,16 @@ class BookingSystem {
         if (summaryTime) summaryTime.textContent = this.formatTime(time);
         if (summaryDuration) summaryDuration.textContent = this.serviceData.duration;
         if (summaryPrice) summaryPrice.textContent = `$${this.serviceData.price}`;
+
+        // Services with a deposit are paid for on the next page before the booking is sent to the barber
+        const summaryDepositRow = document.getElementById('summaryDepositRow');
+        if (summaryDepositRow) {
+            const hasDeposit = this.serviceData.depositAmount > 0;
+            summaryDepositRow.style.display = hasDeposit ? 'block' : 'none';
+            if (hasDeposit) {
+                document.getElementById('summaryDeposit').textContent = `$${this.serviceData.depositAmount.toFixed(2)}`;
+            }
+        }
         if (bookingSummary) bookingSummary.style.display = 'block';
 
         // Scroll to summary
@@ -545,6 +747,11 @@ class BookingSystem {
             return false;
         }
 
+        if (!this.serviceData) {
+            this.showMessage('This service is no longer available. Please choose another service.', 'error');
+            return false;
+        }
+
         if (!this.selectedDate || !this.selectedTime) {
             this.showMessage('Please select a date and time.', 'error');
             return false;
@@ -565,10 +772,10 @@ class BookingSystem {
             return false;
         }
 
-        const bookingData = {
+        // The server rejects fields it doesn't know - price and duration always come from the services catalog
+        const bookingRequest = {
+            serviceId: this.serviceData.id,
             service: this.serviceData.name,
-            price: this.serviceData.price,
-            duration: this.serviceData.duration,
             date: this.selectedDate,
             time: this.selectedTime,
             customer: {
@@ -576,6 +783,15 @@ class BookingSystem {
                 email: customerData.email,
                 phone: customerData.phone
             },
+            notificationChannel: customerData.notificationChannel || 'sms',
+            smsConsent: customerData.smsConsent === true
+        };
+
+        // The local backup copy also keeps the price and duration the page showed
+        const bookingData = {
+            ...bookingRequest,
+            price: this.serviceData.price,
+            duration: this.serviceData.duration,
             status: 'pending'
         };
 
@@ -598,22 +814,27 @@ class BookingSystem {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify(bookingData)
+                body: JSON.stringify(bookingRequest)
             });
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
                 const errorMessage = errorData.error || errorData.message || errorData.details || `Server returned ${response.status}: ${response.statusText}`;
                 console.error('[submitBooking] Server error:', response.status, errorMessage, errorData);
-                throw new Error(errorMessage);
+                const requestError = new Error(errorMessage);
+                // 409 responses suggest the next open slots
+                requestError.alternatives = Array.isArray(errorData.alternatives) ? errorData.alternatives : [];
+                throw requestError;
             }
 
             const result = await response.json();
+            this.lastBooking = result;
             
             // Add to local tracking to prevent immediate re-booking
             this.existingAppointments.push({
                 date: this.selectedDate,
                 time: this.selectedTime,
+                duration: result.duration || this.serviceData.duration,
                 status: 'pending'
             });
             
@@ -630,6 +851,9 @@ class BookingSystem {
             let errorMessage = 'Failed to submit booking. ';
             if (error.message.includes('already booked') || error.message.includes('time slot')) {
                 errorMessage = error.message;
+                if (error.alternatives && error.alternatives.length > 0) {
+                    errorMessage += ` Next available: ${this.formatAlternatives(error.alternatives)}.`;
+                }
                 // Refresh availability and appointments
                 await this.fetchExistingAppointments();
                 await this.fetchAvailability();
@@ -660,7 +884,17 @@ class BookingSystem {
         }
     }
 
-    // Remove booked slot from UI immediately after booking
+    // Format suggested slots like "Tue, Jan 16 at 3:00 PM; Wed, Jan 17 at 9:00 AM"
+    formatAlternatives(alternatives) {
+        return alternatives.map(slot => {
+            const [year, month, day] = slot.date.split('-').map(Number);
+            const date = new Date(year, month - 1, day); // month is 0-indexed
+            const dateLabel = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+            return `${dateLabel} at ${this.formatTime(slot.time)}`;
+        }).join('; ');
+    }
+
+    // Disable the booked slot (and any slots it now overlaps) immediately after booking
     removeBookedSlotFromUI() {
         if (!this.selectedDate || !this.selectedTime) return;
         
@@ -670,11 +904,11 @@ class BookingSystem {
         const slotButtons = timeSlotsGrid.querySelectorAll('.time-slot-btn');
         slotButtons.forEach(btn => {
             const btnTime = this.parseTimeFromDisplay(btn.textContent.trim().replace(' (Booked)', ''));
-            if (btnTime === this.selectedTime) {
+            if (btnTime && this.isTimeSlotBooked(this.selectedDate, btnTime)) {
                 btn.disabled = true;
                 btn.classList.remove('selected');
                 btn.classList.add('unavailable');
-                btn.title = 'This time slot is already booked';
+                btn.title = 'This time overlaps an existing booking';
                 const originalText = btn.textContent.trim().replace(' (Booked)', '');
                 btn.textContent = originalText;
             }
@@ -700,6 +934,235 @@ class BookingSystem {
         return `${hour.toString().padStart(2, '0')}:${minute}`;
     }
 
+    // ============================================
+    // RETURNING CUSTOMERS
+    // ============================================
+
+    // Show one step of the "I've been here before" panel: 'phone', 'code', 'welcome' or null to close it
+    showReturningStep(step) {
+        const steps = {
+            phone: document.getElementById('returningPhoneForm'),
+            code: document.getElementById('returningCodeForm'),
+            welcome: document.getElementById('returningWelcome')
+        };
+        Object.entries(steps).forEach(([name, el]) => {
+            if (el) el.style.display = name === step ? '' : 'none';
+        });
+
+        const toggle = document.getElementById('returningToggle');
+        if (toggle) toggle.style.display = step === 'welcome' ? 'none' : '';
+    }
+
+    // Text a one-time code to the number the customer booked with
+    async requestLoginCode(phone) {
+        try {
+            const response = await fetch('/api/customer-login/code', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ phone })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.returningPhone = phone;
+            const hint = document.getElementById('returningCodeHint');
+            if (hint) {
+                hint.textContent = `If ${Phone.formatPhone(phone)} has booked with us before, we've texted it a code. It works for ${data.expiresInMinutes} minutes.`;
+            }
+            this.showReturningStep('code');
+            document.getElementById('returningCode')?.focus();
+            return true;
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+            return false;
+        }
+    }
+
+    // Trade the texted code for a customer session and fill in the form
+    async verifyLoginCode(code) {
+        try {
+            const response = await fetch('/api/customer-login/verify', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ phone: this.returningPhone, code })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            // Kept for this tab only, so a shared computer doesn't stay signed in
+            sessionStorage.setItem(CUSTOMER_SESSION_KEY, JSON.stringify({ token: data.token, expiresAt: data.expiresAt }));
+            await this.applyCustomerSession(data, { chooseService: true });
+            return true;
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+            return false;
+        }
+    }
+
+    // Pick up a session from earlier in this tab (e.g. after going back from the confirmation page)
+    async restoreCustomerSession() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(CUSTOMER_SESSION_KEY) || 'null');
+            if (!stored || !stored.token || stored.expiresAt < Date.now()) {
+                sessionStorage.removeItem(CUSTOMER_SESSION_KEY);
+                return;
+            }
+
+            const response = await fetch('/api/customer-login/session', {
+                headers: { 'Authorization': `Bearer ${stored.token}` }
+            });
+
+            if (!response.ok) {
+                // Expired or the profile is gone - the customer can sign in again
+                sessionStorage.removeItem(CUSTOMER_SESSION_KEY);
+                return;
+            }
+
+            await this.applyCustomerSession(await response.json(), { chooseService: false });
+        } catch (error) {
+            // Offline or unreadable - the form can still be filled in by hand
+        }
+    }
+
+    // Fill in the booking and waitlist forms and show the welcome back message
+    async applyCustomerSession(session, { chooseService }) {
+        this.customerSession = session;
+        const { customer } = session;
+
+        const fields = {
+            customerName: customer.name,
+            customerEmail: customer.email,
+            customerPhone: Phone.formatPhone(customer.phone),
+            waitlistName: customer.name,
+            waitlistEmail: customer.email,
+            waitlistPhone: Phone.formatPhone(customer.phone)
+        };
+        Object.entries(fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input && value) input.value = value;
+        });
+
+        const channelSelect = document.getElementById('notificationChannel');
+        if (channelSelect && session.notificationChannel) {
+            channelSelect.value = session.notificationChannel;
+        }
+
+        // Preselect their usual service when they came here without picking one
+        const { lastService } = session;
+        const pickedService = this.serviceRequest.id || this.serviceRequest.name;
+        if (chooseService && lastService && !pickedService && this.serviceData && !this.isCurrentService(lastService)) {
+            await this.switchService(lastService);
+        }
+
+        this.renderCustomerWelcome();
+    }
+
+    // Whether a { serviceId, service } from the server is the service being booked
+    // Older bookings only have the service name
+    isCurrentService(service) {
+        if (!this.serviceData) return false;
+        return service.serviceId ? service.serviceId === this.serviceData.id : service.service === this.serviceData.name;
+    }
+
+    // Load a different service and its availability, starting the date and time over
+    async switchService(service) {
+        const previous = this.serviceRequest;
+        this.serviceRequest = { id: service.serviceId, name: service.service };
+
+        await this.loadService();
+        if (!this.isCurrentService(service)) {
+            // No longer offered - stay on the current service
+            this.serviceRequest = previous;
+            await this.loadService();
+            return;
+        }
+
+        this.selectedDate = null;
+        this.selectedTime = null;
+        document.getElementById('bookingSummary').style.display = 'none';
+        document.getElementById('waitlistPanel').style.display = 'none';
+        document.getElementById('timeSlotsContainer')?.classList.remove('show');
+
+        this.displayServiceInfo();
+        await this.fetchAvailability();
+    }
+
+    // "Welcome back" with their usual service and upcoming appointments
+    renderCustomerWelcome() {
+        const welcomeEl = document.getElementById('returningWelcome');
+        const session = this.customerSession;
+        if (!welcomeEl || !session) return;
+
+        welcomeEl.innerHTML = '';
+
+        const greeting = document.createElement('p');
+        greeting.className = 'returning-welcome';
+        greeting.textContent = `Welcome back, ${session.customer.name}! Your details are filled in below.`;
+        welcomeEl.appendChild(greeting);
+
+        const { lastService } = session;
+        if (lastService && lastService.serviceId && this.serviceData && !this.isCurrentService(lastService)) {
+            const usual = document.createElement('p');
+            usual.className = 'returning-welcome';
+            const link = document.createElement('a');
+            link.href = `booking.html?serviceId=${encodeURIComponent(lastService.serviceId)}`;
+            link.textContent = `Book your usual ${lastService.service} instead`;
+            usual.appendChild(link);
+            welcomeEl.appendChild(usual);
+        }
+
+        if (session.upcoming.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'returning-upcoming';
+            session.upcoming.forEach(apt => {
+                const [year, month, day] = apt.date.split('-').map(Number);
+                const date = new Date(year, month - 1, day); // month is 0-indexed
+                const item = document.createElement('li');
+                item.textContent = `${apt.service} on ${this.formatDateDisplay(date)} at ${this.formatTime(apt.time.slice(0, 5))} - `;
+                const manageLink = document.createElement('a');
+                manageLink.href = `manage.html?token=${encodeURIComponent(apt.manageToken)}`;
+                manageLink.textContent = apt.canChange ? 'Cancel or reschedule' : 'View';
+                item.appendChild(manageLink);
+                list.appendChild(item);
+            });
+
+            const heading = document.createElement('p');
+            heading.className = 'returning-hint';
+            heading.textContent = 'Your upcoming appointments:';
+            welcomeEl.appendChild(heading);
+            welcomeEl.appendChild(list);
+        }
+
+        const signOut = document.createElement('button');
+        signOut.type = 'button';
+        signOut.className = 'returning-link';
+        signOut.textContent = 'Not you? Sign out';
+        signOut.addEventListener('click', () => this.signOutCustomer());
+        welcomeEl.appendChild(signOut);
+
+        this.showReturningStep('welcome');
+    }
+
+    // Forget the session and clear the details it filled in
+    signOutCustomer() {
+        sessionStorage.removeItem(CUSTOMER_SESSION_KEY);
+        this.customerSession = null;
+        this.returningPhone = null;
+
+        ['customerName', 'customerEmail', 'customerPhone', 'waitlistName', 'waitlistEmail', 'waitlistPhone', 'returningPhone', 'returningCode'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+
+        this.showReturningStep(null);
+    }
+
     setupEventListeners() {
         // Week navigation
         const prevBtn = document.getElementById('prevMonth');
@@ -719,6 +1182,109 @@ class BookingSystem {
             });
         }
 
+        // Returning customers
+        const returningToggle = document.getElementById('returningToggle');
+        if (returningToggle) {
+            returningToggle.addEventListener('click', () => {
+                const phoneForm = document.getElementById('returningPhoneForm');
+                const isOpen = phoneForm.style.display !== 'none' || document.getElementById('returningCodeForm').style.display !== 'none';
+                this.showReturningStep(isOpen ? null : 'phone');
+                if (!isOpen) document.getElementById('returningPhone').focus();
+            });
+        }
+
+        const returningPhoneForm = document.getElementById('returningPhoneForm');
+        if (returningPhoneForm) {
+            returningPhoneForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+
+                const phone = document.getElementById('returningPhone').value.trim();
+                if (!Phone.isValidPhone(phone)) {
+                    this.showMessage('Please enter a valid phone number, including the area code.', 'error');
+                    return;
+                }
+
+                const submitBtn = returningPhoneForm.querySelector('button[type="submit"]');
+                submitBtn.disabled = true;
+                submitBtn.textContent = 'Sending...';
+
+                await this.requestLoginCode(Phone.normalizePhone(phone));
+
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Text Me a Code';
+            });
+        }
+
+        const returningCodeForm = document.getElementById('returningCodeForm');
+        if (returningCodeForm) {
+            returningCodeForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+
+                const code = document.getElementById('returningCode').value.trim();
+                if (!code) {
+                    this.showMessage('Please enter the code from the text.', 'error');
+                    return;
+                }
+
+                const submitBtn = returningCodeForm.querySelector('button[type="submit"]');
+                submitBtn.disabled = true;
+                submitBtn.textContent = 'Checking...';
+
+                await this.verifyLoginCode(code);
+
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Fill In My Details';
+            });
+        }
+
+        const returningResend = document.getElementById('returningResend');
+        if (returningResend) {
+            returningResend.addEventListener('click', () => {
+                document.getElementById('returningCode').value = '';
+                this.showReturningStep('phone');
+            });
+        }
+
+        // Waitlist form submission
+        const waitlistForm = document.getElementById('waitlistForm');
+        if (waitlistForm) {
+            waitlistForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+
+                const customer = {
+                    name: document.getElementById('waitlistName').value.trim(),
+                    email: document.getElementById('waitlistEmail').value.trim(),
+                    phone: document.getElementById('waitlistPhone').value.trim()
+                };
+
+                if (!customer.name || !customer.email || !customer.phone) {
+                    this.showMessage('Please fill in all fields.', 'error');
+                    return;
+                }
+
+                if (!Phone.isValidPhone(customer.phone)) {
+                    this.showMessage('Please enter a valid phone number, including the area code.', 'error');
+                    return;
+                }
+                customer.phone = Phone.normalizePhone(customer.phone);
+
+                const smsConsent = document.getElementById('waitlistSmsConsent').checked;
+                if (!smsConsent) {
+                    this.showMessage('Waitlist offers are sent by text - please agree to receive text messages.', 'error');
+                    return;
+                }
+
+                const submitBtn = waitlistForm.querySelector('button[type="submit"]');
+                submitBtn.disabled = true;
+                submitBtn.textContent = 'Joining...';
+
+                const success = await this.joinWaitlist(customer, smsConsent);
+
+                submitBtn.disabled = success;
+                submitBtn.textContent = success ? '✓ On the Waitlist' : 'Join Waitlist';
+            });
+        }
+
         // Booking form submission
         const bookingForm = document.getElementById('bookingForm');
         if (bookingForm) {
@@ -733,15 +1299,29 @@ class BookingSystem {
                 const customerName = document.getElementById('customerName').value.trim();
                 const customerEmail = document.getElementById('customerEmail').value.trim();
                 const customerPhone = document.getElementById('customerPhone').value.trim();
+                const notificationChannel = document.getElementById('notificationChannel').value;
+                const smsConsent = document.getElementById('smsConsent').checked;
 
                 if (!customerName || !customerEmail || !customerPhone) {
                     this.showMessage('Please fill in all fields.', 'error');
                     return;
                 }
 
+                // Same check the server makes (js/phone.js)
+                if (!Phone.isValidPhone(customerPhone)) {
+                    this.showMessage('Please enter a valid phone number, including the area code.', 'error');
+                    return;
+                }
+
+                // Texts need the customer's consent; email-only bookings don't
+                if (notificationChannel !== 'email' && !smsConsent) {
+                    this.showMessage('Please agree to receive text messages, or choose email.', 'error');
+                    return;
+                }
+
                 // Disable submit button and form inputs
                 const submitBtn = bookingForm.querySelector('button[type="submit"]');
-                const formInputs = bookingForm.querySelectorAll('input');
+                const formInputs = bookingForm.querySelectorAll('input, select');
                 const originalText = submitBtn.textContent;
                 
                 submitBtn.disabled = true;
@@ -758,10 +1338,17 @@ class BookingSystem {
                 const success = await this.submitBooking({
                     name: customerName,
                     email: customerEmail,
-                    phone: customerPhone
+                    phone: Phone.normalizePhone(customerPhone),
+                    notificationChannel,
+                    smsConsent
                 });
 
-                if (success) {
+                if (success && this.lastBooking && this.lastBooking.payment) {
+                    // The booking is held until the deposit is paid - go to the payment page
+                    submitBtn.textContent = 'Redirecting to payment...';
+                    this.showMessage(`Your time is held for a few minutes. Redirecting you to pay the $${this.lastBooking.payment.amount} deposit...`, 'success');
+                    window.location.href = this.lastBooking.payment.url;
+                } else if (success) {
                     // Show success confirmation
                     submitBtn.textContent = '✓ Booking Confirmed!';
                     submitBtn.style.background = '#4caf50';
@@ -771,8 +1358,21 @@ class BookingSystem {
                     this.showMessage('Booking submitted successfully! Redirecting to confirmation page...', 'success');
                     
                     // Redirect to confirmation page after 2 seconds
+                    // Use the server's copy of the booking so price/duration match the catalog
+                    const booked = this.lastBooking || this.serviceData;
+                    const params = new URLSearchParams({
+                        service: booked.service || this.serviceData.name,
+                        date: this.selectedDate,
+                        time: this.selectedTime,
+                        duration: booked.duration,
+                        price: `$${booked.price}`
+                    });
+                    // Token for the cancel/reschedule link (only for bookings saved on the server)
+                    if (this.lastBooking && this.lastBooking.manageToken) {
+                        params.set('token', this.lastBooking.manageToken);
+                    }
                     setTimeout(() => {
-                        window.location.href = `confirmation.html?date=${this.selectedDate}&time=${this.selectedTime}`;
+                        window.location.href = `confirmation.html?${params.toString()}`;
                     }, 2000);
                 } else {
                     // Re-enable form on error
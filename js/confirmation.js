@@ -47,5 +47,13 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('confirmationTime').textContent = formattedTime || '-';
     document.getElementById('confirmationDuration').textContent = `${duration} minutes`;
     document.getElementById('confirmationPrice').textContent = price;
+
+    // Link to the manage page so the customer can cancel or reschedule
+    const token = params.get('token');
+    const manageLink = document.getElementById('manageBookingLink');
+    if (token && manageLink) {
+        manageLink.href = `manage.html?token=${encodeURIComponent(token)}`;
+        manageLink.style.display = '';
+    }
 });
 
@@ -0,0 +1,111 @@
+// Deposit Page Functionality
+// The customer lands here from the payment page. Once the deposit is paid the booking goes
+// through to the confirmation page; otherwise they can pay again while their time is still held
+class DepositPage {
+    constructor(token, cancelled) {
+        this.token = token;
+        this.cancelled = cancelled; // Came back with the checkout's cancel link
+    }
+
+    async init() {
+        if (!this.token) {
+            this.showMessage('This link is missing its booking code. Please book again.', 'error');
+            this.showRebook();
+            return;
+        }
+
+        await this.checkPayment();
+    }
+
+    // Ask the server whether the deposit has been paid (it confirms the booking if so)
+    async checkPayment() {
+        try {
+            const response = await fetch(`/api/manage/${encodeURIComponent(this.token)}/deposit`, { method: 'POST' });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                // 410 = the hold ran out and the time was released
+                if (response.status === 410) this.showRebook();
+                throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            if (data.status === 'awaiting_payment') {
+                this.showUnpaid(data);
+            } else {
+                await this.goToConfirmation(data);
+            }
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    // Still unpaid - offer the payment page again until the hold runs out
+    showUnpaid(data) {
+        if (!data.paymentUrl) {
+            this.showMessage('The time for paying this deposit has run out, so the booking was released. Please book again.', 'error');
+            this.showRebook();
+            return;
+        }
+
+        this.showMessage(this.cancelled
+            ? 'Your deposit wasn\'t paid, so the booking isn\'t confirmed yet.'
+            : 'We haven\'t received your deposit yet. If you just paid, this page will update in a moment.', 'error');
+
+        const expiresAt = new Date(data.paymentExpiresAt);
+        const expiryLabel = expiresAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        document.getElementById('depositDeadline').textContent =
+            `Your time is held until ${expiryLabel}. Pay the $${data.deposit.amount} deposit by then to keep it.`;
+
+        document.getElementById('depositPayLink').href = data.paymentUrl;
+        document.getElementById('depositActions').style.display = '';
+
+        // Payments can take a few seconds to come through
+        if (!this.cancelled && !this.retried) {
+            this.retried = true;
+            setTimeout(() => this.checkPayment(), 5000);
+        }
+    }
+
+    // Paid - show the usual confirmation page with the booking's details
+    async goToConfirmation(data) {
+        const response = await fetch(`/api/manage/${encodeURIComponent(this.token)}`);
+        const appointment = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(appointment.error || `Server returned ${response.status}: ${response.statusText}`);
+        }
+
+        this.showMessage(`Deposit of $${data.deposit.amount} received. Redirecting to your confirmation...`, 'success');
+
+        const params = new URLSearchParams({
+            service: appointment.service,
+            date: appointment.date,
+            time: appointment.time,
+            duration: appointment.duration,
+            price: `$${appointment.price}`,
+            token: this.token
+        });
+        window.location.href = `confirmation.html?${params.toString()}`;
+    }
+
+    showRebook() {
+        document.getElementById('depositActions').style.display = 'none';
+        document.getElementById('depositDeadline').textContent = '';
+        document.getElementById('depositRebookLink').style.display = '';
+    }
+
+    showMessage(message, type = 'success') {
+        const messageEl = document.getElementById('depositMessage');
+        if (!messageEl) return;
+        messageEl.className = `manage-message ${type}`;
+        messageEl.textContent = message;
+        messageEl.style.display = '';
+    }
+}
+
+// Initialize deposit page when it loads
+document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(window.location.search);
+    const depositPage = new DepositPage(params.get('token'), params.get('cancelled') === '1');
+    depositPage.init();
+});
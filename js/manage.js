@@ -0,0 +1,396 @@
+// Manage Booking Page Functionality
+// Lets a customer cancel or reschedule using the signed link from their confirmation
+const DEFAULT_APPOINTMENT_DURATION = 45;
+const RESCHEDULE_DAYS_AHEAD = 30; // How far ahead to offer new dates
+
+class ManageBooking {
+    constructor(token) {
+        this.token = token;
+        this.appointment = null;
+        this.availability = {};
+        this.bookedSlots = [];
+        this.selectedDate = null;
+        this.selectedTime = null;
+        this.isWorking = false; // Prevent double submissions
+    }
+
+    async init() {
+        this.setupEventListeners();
+
+        if (!this.token) {
+            this.showMessage('This link is missing its booking code. Please use the link from your confirmation text.', 'error');
+            return;
+        }
+
+        await this.loadAppointment();
+    }
+
+    // Load the appointment for this link
+    async loadAppointment() {
+        try {
+            const response = await fetch(`/api/manage/${encodeURIComponent(this.token)}`);
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.appointment = data;
+            this.render();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    // Show the appointment details and the actions that are still allowed
+    render() {
+        const apt = this.appointment;
+        if (!apt) return;
+
+        document.getElementById('manageDetails').style.display = '';
+        document.getElementById('manageService').textContent = apt.service;
+        document.getElementById('manageDate').textContent = this.formatDate(apt.date);
+        document.getElementById('manageTime').textContent = this.formatTime(apt.time);
+        document.getElementById('manageStatus').textContent = this.formatStatus(apt.status);
+
+        const depositRow = document.getElementById('manageDepositRow');
+        depositRow.style.display = apt.deposit ? '' : 'none';
+        if (apt.deposit) {
+            document.getElementById('manageDeposit').textContent = this.formatDeposit(apt.deposit);
+        }
+
+        const deadlineEl = document.getElementById('manageDeadline');
+        const actionsEl = document.getElementById('manageActions');
+
+        if (apt.canChange) {
+            const deadline = new Date(apt.changeDeadline);
+            deadlineEl.textContent = `You can cancel or reschedule online until ${deadline.toLocaleString('en-US', {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            })}.`;
+            actionsEl.style.display = '';
+        } else if (apt.isOutdatedLink) {
+            deadlineEl.textContent = 'This appointment has been moved since this link was sent. Please use the link from your latest message to make changes.';
+            actionsEl.style.display = 'none';
+        } else if (apt.status === 'pending' || apt.status === 'accepted') {
+            deadlineEl.textContent = `Online changes close ${apt.cutoffHours} hours before your appointment. Please contact us directly to make changes.`;
+            actionsEl.style.display = 'none';
+        } else {
+            deadlineEl.textContent = '';
+            actionsEl.style.display = 'none';
+        }
+    }
+
+    formatStatus(status) {
+        const labels = {
+            pending: 'Pending confirmation',
+            accepted: 'Confirmed',
+            declined: 'Declined',
+            cancelled: 'Cancelled',
+            completed: 'Completed',
+            no_show: 'Missed',
+            awaiting_payment: 'Waiting for deposit'
+        };
+        return labels[status] || status;
+    }
+
+    formatDeposit(deposit) {
+        const labels = {
+            awaiting_payment: `$${deposit.amount} due`,
+            paid: `$${deposit.amount} paid`,
+            refunded: `$${deposit.refundedAmount} refunded`,
+            forfeited: `$${deposit.amount} kept (cancelled late)`,
+            refund_failed: `$${deposit.amount} - refund pending, we'll be in touch`
+        };
+        return labels[deposit.status] || `$${deposit.amount}`;
+    }
+
+    // Cancelling inside the refund window keeps the deposit - say so before they confirm
+    getCancelWarning() {
+        const apt = this.appointment;
+        if (!apt.deposit || apt.deposit.status !== 'paid') return '';
+
+        const [year, month, day] = apt.date.split('-').map(Number);
+        const [hours, minutes] = apt.time.split(':').map(Number);
+        const hoursBefore = (new Date(year, month - 1, day, hours, minutes).getTime() - Date.now()) / (60 * 60 * 1000);
+
+        return hoursBefore >= apt.depositRefundCutoffHours
+            ? ` Your $${apt.deposit.amount} deposit will be refunded.`
+            : ` Your $${apt.deposit.amount} deposit won't be refunded, as it's within ${apt.depositRefundCutoffHours} hours of your appointment.`;
+    }
+
+    formatDate(dateStr) {
+        // Parse date string to avoid timezone issues
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const date = new Date(year, month - 1, day); // month is 0-indexed
+        return date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    formatTime(time) {
+        const [hours, minutes] = time.split(':');
+        const hour = parseInt(hours);
+        const ampm = hour >= 12 ? 'PM' : 'AM';
+        const displayHour = hour % 12 || 12;
+        return `${displayHour}:${minutes} ${ampm}`;
+    }
+
+    // Convert "HH:MM" to minutes since midnight
+    timeToMinutes(timeStr) {
+        const [hours, minutes] = String(timeStr).split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+
+    // Format a Date as "YYYY-MM-DD" in local time
+    toDateString(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    showMessage(message, type = 'success') {
+        const messageEl = document.getElementById('manageMessage');
+        if (!messageEl) return;
+        messageEl.className = `manage-message ${type}`;
+        messageEl.textContent = message;
+        messageEl.style.display = '';
+    }
+
+    setupEventListeners() {
+        document.getElementById('manageCancelBtn').addEventListener('click', () => this.cancelAppointment());
+        document.getElementById('manageRescheduleBtn').addEventListener('click', () => this.openReschedule());
+        document.getElementById('manageCloseRescheduleBtn').addEventListener('click', () => this.closeReschedule());
+        document.getElementById('manageConfirmRescheduleBtn').addEventListener('click', () => this.confirmReschedule());
+        document.getElementById('manageDateSelect').addEventListener('change', (e) => {
+            this.selectedDate = e.target.value || null;
+            this.selectedTime = null;
+            this.renderTimeSlots();
+        });
+    }
+
+    async cancelAppointment() {
+        if (this.isWorking) return;
+        if (!confirm(`Cancel this appointment? This cannot be undone.${this.getCancelWarning()}`)) return;
+
+        const cancelBtn = document.getElementById('manageCancelBtn');
+        this.isWorking = true;
+        cancelBtn.disabled = true;
+        cancelBtn.textContent = 'Cancelling...';
+
+        try {
+            const response = await fetch(`/api/manage/${encodeURIComponent(this.token)}/cancel`, { method: 'POST' });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.appointment = data;
+            this.closeReschedule();
+            this.render();
+            this.showMessage('Your appointment has been cancelled. We hope to see you another time!', 'success');
+        } catch (error) {
+            this.showMessage(`Could not cancel: ${error.message}`, 'error');
+        } finally {
+            this.isWorking = false;
+            cancelBtn.disabled = false;
+            cancelBtn.textContent = 'Cancel Appointment';
+        }
+    }
+
+    // Load open dates and booked slots, then show the picker
+    async openReschedule() {
+        document.getElementById('manageReschedule').style.display = '';
+        document.getElementById('manageActions').style.display = 'none';
+
+        const today = new Date();
+        const endDate = new Date(today);
+        endDate.setDate(endDate.getDate() + RESCHEDULE_DAYS_AHEAD);
+        const range = `startDate=${this.toDateString(today)}&endDate=${this.toDateString(endDate)}`;
+
+        try {
+            const [availabilityResponse, bookedResponse] = await Promise.all([
+                // Booked times are filtered here so the customer's own booking doesn't block its neighbours
+                fetch(`/api/availability/slots?${range}&duration=${parseInt(this.appointment.duration) || DEFAULT_APPOINTMENT_DURATION}&ignoreBookings=true`),
+                fetch(`/api/appointments/booked?${range}`)
+            ]);
+
+            if (!availabilityResponse.ok || !bookedResponse.ok) {
+                throw new Error('Could not load open times. Please try again.');
+            }
+
+            const availabilityData = await availabilityResponse.json();
+            this.availability = availabilityData.availability || {};
+            this.bookedSlots = await bookedResponse.json();
+            this.renderDateOptions();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    closeReschedule() {
+        document.getElementById('manageReschedule').style.display = 'none';
+        if (this.appointment && this.appointment.canChange) {
+            document.getElementById('manageActions').style.display = '';
+        }
+        this.selectedDate = null;
+        this.selectedTime = null;
+    }
+
+    // Open slots for a date, leaving out ones that overlap other bookings or fall inside the cutoff
+    getOpenSlots(dateStr) {
+        const dayInfo = this.availability[dateStr];
+        if (!dayInfo || dayInfo.closed) return [];
+
+        const duration = parseInt(this.appointment.duration) || DEFAULT_APPOINTMENT_DURATION;
+        const earliest = Date.now() + this.appointment.cutoffHours * 60 * 60 * 1000;
+        const ownStart = this.timeToMinutes(this.appointment.time);
+
+        // The customer's own booking shouldn't block the slots around it
+        const others = this.bookedSlots.filter(b =>
+            b.date === dateStr &&
+            (b.status === 'pending' || b.status === 'accepted' || b.status === 'awaiting_payment') &&
+            !(b.date === this.appointment.date && this.timeToMinutes(b.time) === ownStart)
+        );
+
+        return (dayInfo.timeSlots || [])
+            .filter(slot => {
+                const [year, month, day] = dateStr.split('-').map(Number);
+                const [hours, minutes] = slot.split(':').map(Number);
+                return new Date(year, month - 1, day, hours, minutes).getTime() >= earliest;
+            })
+            .filter(slot => {
+                if (dateStr === this.appointment.date && this.timeToMinutes(slot) === ownStart) return false;
+                const start = this.timeToMinutes(slot);
+                const end = start + duration;
+                return !others.some(b => {
+                    const bStart = this.timeToMinutes(b.time);
+                    const bEnd = bStart + (parseInt(b.duration) || DEFAULT_APPOINTMENT_DURATION);
+                    return start < bEnd && bStart < end;
+                });
+            })
+            .sort((a, b) => this.timeToMinutes(a) - this.timeToMinutes(b));
+    }
+
+    renderDateOptions() {
+        const select = document.getElementById('manageDateSelect');
+        const dates = Object.keys(this.availability).sort().filter(dateStr => this.getOpenSlots(dateStr).length > 0);
+
+        select.innerHTML = '';
+        if (dates.length === 0) {
+            select.innerHTML = '<option value="">No open dates right now</option>';
+            this.selectedDate = null;
+            this.selectedTime = null;
+            this.renderTimeSlots();
+            return;
+        }
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Choose a date';
+        select.appendChild(placeholder);
+
+        dates.forEach(dateStr => {
+            const option = document.createElement('option');
+            option.value = dateStr;
+            option.textContent = this.formatDate(dateStr);
+            select.appendChild(option);
+        });
+
+        // Keep the chosen date after a reload if it still has open times
+        if (this.selectedDate && dates.includes(this.selectedDate)) {
+            select.value = this.selectedDate;
+        } else {
+            this.selectedDate = null;
+        }
+        if (this.selectedTime && !this.getOpenSlots(this.selectedDate || '').includes(this.selectedTime)) {
+            this.selectedTime = null;
+        }
+
+        this.renderTimeSlots();
+    }
+
+    renderTimeSlots() {
+        const grid = document.getElementById('manageTimeSlots');
+        const confirmBtn = document.getElementById('manageConfirmRescheduleBtn');
+        grid.innerHTML = '';
+        confirmBtn.disabled = !this.selectedTime;
+
+        if (!this.selectedDate) return;
+
+        const slots = this.getOpenSlots(this.selectedDate);
+        if (slots.length === 0) {
+            grid.innerHTML = '<p class="manage-empty">No open times on this date.</p>';
+            return;
+        }
+
+        slots.forEach(slot => {
+            const slotEl = document.createElement('button');
+            slotEl.type = 'button';
+            slotEl.className = `time-slot-btn ${this.selectedTime === slot ? 'selected' : ''}`;
+            slotEl.textContent = this.formatTime(slot);
+            slotEl.addEventListener('click', () => {
+                this.selectedTime = slot;
+                this.renderTimeSlots();
+            });
+            grid.appendChild(slotEl);
+        });
+    }
+
+    async confirmReschedule() {
+        if (this.isWorking || !this.selectedDate || !this.selectedTime) return;
+
+        const confirmBtn = document.getElementById('manageConfirmRescheduleBtn');
+        this.isWorking = true;
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Saving...';
+
+        try {
+            const response = await fetch(`/api/manage/${encodeURIComponent(this.token)}/reschedule`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ date: this.selectedDate, time: this.selectedTime })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                let message = data.error || `Server returned ${response.status}: ${response.statusText}`;
+                if (Array.isArray(data.alternatives) && data.alternatives.length > 0) {
+                    const suggestions = data.alternatives.map(slot => `${this.formatDate(slot.date)} at ${this.formatTime(slot.time)}`);
+                    message += ` Next available: ${suggestions.join('; ')}.`;
+                }
+                throw new Error(message);
+            }
+
+            // The link is tied to the old time - carry on with the one for the new time
+            if (data.manageToken) {
+                this.token = data.manageToken;
+                window.history.replaceState(null, '', `manage.html?token=${encodeURIComponent(data.manageToken)}`);
+            }
+
+            this.appointment = data;
+            this.closeReschedule();
+            this.render();
+            this.showMessage('Your appointment has been moved. It is pending confirmation and we\'ll text you once it\'s reviewed.', 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+            // Someone may have taken the slot - reload open times
+            if (document.getElementById('manageReschedule').style.display !== 'none') {
+                await this.openReschedule();
+            }
+        } finally {
+            this.isWorking = false;
+            confirmBtn.textContent = 'Confirm New Time';
+            confirmBtn.disabled = !this.selectedTime;
+        }
+    }
+}
+
+// Initialize manage page when it loads
+document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(window.location.search);
+    const manageBooking = new ManageBooking(params.get('token'));
+    manageBooking.init();
+});
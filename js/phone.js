@@ -0,0 +1,82 @@
+// Phone Numbers
+// One set of rules for validating and normalizing phone numbers to E.164 (e.g. +15552345678)
+// Loaded by the booking and admin pages (window.Phone) and required by the server (module.exports),
+// so a number is accepted, stored, texted and grouped the same way everywhere
+// The SQL function normalize_phone_e164 (server/migrations/013_phone_e164.sql) follows the same rules - change both together
+(function (root, factory) {
+    const phone = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = phone;
+    } else {
+        root.Phone = phone;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Numbers without a "+" are read as US/Canada numbers
+    const DEFAULT_COUNTRY_CODE = '1';
+
+    // Digits, spaces, brackets, dots and dashes, with an optional leading "+"
+    const ALLOWED_CHARACTERS = /^\+?[0-9 ().-]+$/;
+
+    // E.164 allows up to 15 digits after the "+", and no country code starts with 0
+    const E164_PATTERN = /^\+[1-9][0-9]{7,14}$/;
+
+    // US/Canada: area code and exchange can't start with 0 or 1
+    const NANP_PATTERN = /^\+1[2-9][0-9]{2}[2-9][0-9]{6}$/;
+
+    /**
+     * Normalize a phone number to E.164
+     * "(555) 234-5678", "555.234.5678" and "1 555 234 5678" all become "+15552345678"
+     * @param {string} value - Phone number as typed
+     * @returns {string|null} - E.164 number, or null if it can't be a real number
+     */
+    function normalizePhone(value) {
+        if (value === null || value === undefined) return null;
+
+        const trimmed = String(value).trim();
+        if (!ALLOWED_CHARACTERS.test(trimmed)) return null;
+
+        let digits = trimmed.replace(/[^0-9]/g, '');
+
+        if (!trimmed.startsWith('+')) {
+            if (digits.length === 10) {
+                digits = DEFAULT_COUNTRY_CODE + digits;
+            } else if (!(digits.length === 11 && digits.startsWith(DEFAULT_COUNTRY_CODE))) {
+                return null;
+            }
+        }
+
+        const normalized = `+${digits}`;
+        if (!E164_PATTERN.test(normalized)) return null;
+        if (normalized.startsWith('+1') && !NANP_PATTERN.test(normalized)) return null;
+
+        return normalized;
+    }
+
+    /**
+     * @param {string} value - Phone number as typed
+     * @returns {boolean} - true if the number can be normalized
+     */
+    function isValidPhone(value) {
+        return normalizePhone(value) !== null;
+    }
+
+    /**
+     * Readable form for display - "+15552345678" -> "(555) 234-5678"
+     * Numbers outside the US/Canada are shown in E.164; anything that isn't valid is returned as is
+     * @param {string} value - Phone number in any format
+     * @returns {string}
+     */
+    function formatPhone(value) {
+        const normalized = normalizePhone(value);
+        if (!normalized) return value || '';
+        if (!normalized.startsWith('+1')) return normalized;
+
+        return `(${normalized.slice(2, 5)}) ${normalized.slice(5, 8)}-${normalized.slice(8)}`;
+    }
+
+    return {
+        normalizePhone,
+        isValidPhone,
+        formatPhone
+    };
+});
@@ -29,22 +29,77 @@ document.querySelectorAll('a[href^="#"]').forEach(anchor => {
     });
 });
 
-// Book button handlers - navigate to booking page with service data
-document.querySelectorAll('.btn-book').forEach(button => {
-    button.addEventListener('click', () => {
-        const service = button.getAttribute('data-service');
-        const price = button.getAttribute('data-price');
-        const duration = button.getAttribute('data-duration');
-        
-        // Navigate to booking page with service parameters
-        const params = new URLSearchParams({
-            service: service,
-            price: price,
-            duration: duration
-        });
+// Services list - render cards from the services catalog API
+const servicesList = document.getElementById('servicesList');
+
+function createServiceCard(service) {
+    const card = document.createElement('div');
+    card.className = 'service-card';
+
+    const info = document.createElement('div');
+    info.className = 'service-info';
+
+    const title = document.createElement('h3');
+    title.className = 'service-title';
+    title.textContent = service.name;
+    info.appendChild(title);
+
+    if (service.description) {
+        const description = document.createElement('p');
+        description.className = 'service-description';
+        description.textContent = service.description;
+        info.appendChild(description);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'service-meta';
+    meta.innerHTML = `
+        <span class="service-duration">${service.duration} mins</span>
+        <span class="service-price">$${service.price}</span>
+    `;
+    info.appendChild(meta);
+
+    // Book button - navigate to booking page with the service ID only
+    // Price and duration are looked up from the catalog, not passed in the URL
+    const bookBtn = document.createElement('button');
+    bookBtn.className = 'btn-book';
+    bookBtn.textContent = 'Book';
+    bookBtn.addEventListener('click', () => {
+        const params = new URLSearchParams({ serviceId: service.id });
         window.location.href = `booking.html?${params.toString()}`;
     });
-});
+
+    card.appendChild(info);
+    card.appendChild(bookBtn);
+    return card;
+}
+
+async function loadServices() {
+    try {
+        const response = await fetch('/api/services');
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+        }
+
+        const services = await response.json();
+        servicesList.innerHTML = '';
+
+        if (!Array.isArray(services) || services.length === 0) {
+            servicesList.innerHTML = '<p class="services-loading">No services are available right now.</p>';
+            return;
+        }
+
+        services.forEach(service => {
+            servicesList.appendChild(createServiceCard(service));
+        });
+    } catch (error) {
+        servicesList.innerHTML = '<p class="services-loading">Services could not be loaded. Please refresh the page.</p>';
+    }
+}
+
+if (servicesList) {
+    loadServices();
+}
 
 // Form submission handler (placeholder)
 const contactForm = document.querySelector('.contact-form form');
@@ -0,0 +1,145 @@
+// Waitlist Claim Page Functionality
+// Shows the time offered by text and books it when the customer claims it
+class WaitlistClaim {
+    constructor(token) {
+        this.token = token;
+        this.offer = null;
+        this.isWorking = false; // Prevent double submissions
+        this.countdownTimer = null;
+    }
+
+    async init() {
+        document.getElementById('claimBtn').addEventListener('click', () => this.claim());
+
+        if (!this.token) {
+            this.showMessage('This link is missing its offer code. Please use the link from your text message.', 'error');
+            return;
+        }
+
+        await this.loadOffer();
+    }
+
+    // Load the offer behind this link
+    async loadOffer() {
+        try {
+            const response = await fetch(`/api/waitlist/claim/${encodeURIComponent(this.token)}`);
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            this.offer = data;
+            this.render();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    // Show the offered time and how long is left to claim it
+    render() {
+        const offer = this.offer;
+        if (!offer) return;
+
+        document.getElementById('claimDetails').style.display = '';
+        document.getElementById('claimService').textContent = offer.service;
+        document.getElementById('claimDate').textContent = this.formatDate(offer.date);
+        document.getElementById('claimTime').textContent = this.formatTime(offer.time);
+        document.getElementById('claimDuration').textContent = `${offer.duration} minutes`;
+        document.getElementById('claimActions').style.display = '';
+
+        this.updateDeadline();
+        this.countdownTimer = setInterval(() => this.updateDeadline(), 30000);
+    }
+
+    updateDeadline() {
+        const deadlineEl = document.getElementById('claimDeadline');
+        const expiresAt = new Date(this.offer.expiresAt);
+        const minutesLeft = Math.ceil((expiresAt.getTime() - Date.now()) / 60000);
+
+        if (minutesLeft <= 0) {
+            clearInterval(this.countdownTimer);
+            deadlineEl.textContent = '';
+            document.getElementById('claimActions').style.display = 'none';
+            this.showMessage('This offer has run out and has been passed to the next person on the waitlist.', 'error');
+            return;
+        }
+
+        const expiryLabel = expiresAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        deadlineEl.textContent = `Claim it by ${expiryLabel} (${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''} left). After that it goes to the next person on the waitlist.`;
+    }
+
+    async claim() {
+        if (this.isWorking || !this.offer) return;
+
+        const claimBtn = document.getElementById('claimBtn');
+        this.isWorking = true;
+        claimBtn.disabled = true;
+        claimBtn.textContent = 'Booking...';
+
+        try {
+            const response = await fetch(`/api/waitlist/claim/${encodeURIComponent(this.token)}`, { method: 'POST' });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+            }
+
+            clearInterval(this.countdownTimer);
+            document.getElementById('claimActions').style.display = 'none';
+            document.getElementById('claimDeadline').textContent = '';
+
+            if (data.payment) {
+                // The time is held until the deposit is paid - go to the payment page, like a normal booking
+                this.showMessage(`Your time is held for a few minutes. Redirecting you to pay the $${data.payment.amount} deposit...`, 'success');
+                window.location.href = data.payment.url;
+                return;
+            }
+
+            this.showMessage('It\'s yours! Your appointment has been received and is pending confirmation. We\'ll text you once it\'s been reviewed.', 'success');
+
+            if (data.manageToken) {
+                const manageLink = document.getElementById('claimManageLink');
+                manageLink.href = `manage.html?token=${encodeURIComponent(data.manageToken)}`;
+                manageLink.style.display = '';
+            }
+        } catch (error) {
+            document.getElementById('claimActions').style.display = 'none';
+            this.showMessage(error.message, 'error');
+        } finally {
+            this.isWorking = false;
+            claimBtn.disabled = false;
+            claimBtn.textContent = 'Claim This Time';
+        }
+    }
+
+    formatDate(dateStr) {
+        // Parse date string to avoid timezone issues
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const date = new Date(year, month - 1, day); // month is 0-indexed
+        return date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    formatTime(time) {
+        const [hours, minutes] = time.split(':');
+        const hour = parseInt(hours);
+        const ampm = hour >= 12 ? 'PM' : 'AM';
+        const displayHour = hour % 12 || 12;
+        return `${displayHour}:${minutes} ${ampm}`;
+    }
+
+    showMessage(message, type = 'success') {
+        const messageEl = document.getElementById('claimMessage');
+        if (!messageEl) return;
+        messageEl.className = `manage-message ${type}`;
+        messageEl.textContent = message;
+        messageEl.style.display = '';
+    }
+}
+
+// Initialize claim page when it loads
+document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(window.location.search);
+    const waitlistClaim = new WaitlistClaim(params.get('token'));
+    waitlistClaim.init();
+});
@@ -0,0 +1,27 @@
+-- Migration: Create services catalog
+-- Moves service names, prices and durations out of index.html and into the database
+-- The server looks up price and duration here when a booking is created
+-- Execute this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.services (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL UNIQUE,
+    description TEXT NOT NULL DEFAULT '',
+    price NUMERIC(10, 2) NOT NULL CHECK (price >= 0),
+    duration INTEGER NOT NULL CHECK (duration > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Seed with the services that were previously hardcoded in index.html
+INSERT INTO public.services (name, description, price, duration, sort_order) VALUES
+    ('Haircut', 'Crisp fades, sharp edges, and smooth razor work that hits different. Step in the chair and walk out looking fresh, fearless, and photo-ready. No rush, no shortcuts. Just straight skill.', 30.00, 45, 1),
+    ('Haircut & Design', 'I specialize in clean fades, sharp line-ups, and personalized cuts that match your look and lifestyle. Every appointment includes attention to detail, professional grooming, and a focus on the look you want to achieve. Lock in your time and leave the chair confident, fresh, and razor-sharp.', 35.00, 45, 2),
+    ('Haircut & Beard', 'From fades to tapers to beard clean-ups, I take my time to make sure you walk out looking fresh and feeling confident. I care about the details and the vibe — good cuts, good convo, good energy.', 40.00, 45, 3)
+ON CONFLICT (name) DO NOTHING;
+
+-- Link appointments to the service they were booked for (name is kept for history)
+ALTER TABLE public.appointments
+    ADD COLUMN IF NOT EXISTS service_id UUID REFERENCES public.services(id) ON DELETE SET NULL;
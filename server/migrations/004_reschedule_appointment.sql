@@ -0,0 +1,62 @@
+-- Migration: Atomic rescheduling
+-- Lets customers move their own appointment using the same overlap check as book_appointment
+-- Requires 003_atomic_booking.sql
+-- Execute this in Supabase SQL Editor
+
+CREATE OR REPLACE FUNCTION public.reschedule_appointment(
+    p_id UUID,
+    p_date DATE,
+    p_time TIME
+)
+RETURNS public.appointments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    current_row public.appointments;
+    duration_mins INTEGER;
+    new_start TIMESTAMP := p_date + p_time;
+    new_end TIMESTAMP;
+    conflict RECORD;
+    updated public.appointments;
+BEGIN
+    SELECT * INTO current_row FROM public.appointments WHERE id = p_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Appointment not found' USING ERRCODE = 'P0002'; -- no_data_found
+    END IF;
+
+    duration_mins := COALESCE(current_row.duration, 45);
+    new_end := new_start + make_interval(mins => duration_mins);
+
+    -- Same per-date lock as book_appointment so bookings and moves can't race each other
+    PERFORM pg_advisory_xact_lock(hashtext('appointments:' || p_date::TEXT));
+
+    SELECT a.id, a.time, a.duration
+    INTO conflict
+    FROM public.appointments a
+    WHERE a.date::DATE = p_date
+      AND a.id <> p_id
+      AND a.status IN ('pending', 'accepted')
+      AND (a.date::DATE + a.time::TIME) < new_end
+      AND new_start < (a.date::DATE + a.time::TIME + make_interval(mins => COALESCE(a.duration, 45)))
+    LIMIT 1;
+
+    IF FOUND THEN
+        RAISE EXCEPTION 'This time slot overlaps an existing booking'
+            USING ERRCODE = '23P01', -- exclusion_violation
+                  DETAIL = json_build_object('time', conflict.time, 'duration', COALESCE(conflict.duration, 45))::TEXT;
+    END IF;
+
+    -- A moved appointment goes back to pending so the barber can review the new time
+    UPDATE public.appointments
+    SET date = p_date,
+        time = p_time,
+        status = 'pending',
+        updated_at = NOW()
+    WHERE id = p_id
+    RETURNING * INTO updated;
+
+    RETURN updated;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.reschedule_appointment(UUID, DATE, TIME) TO anon, authenticated;
@@ -0,0 +1,26 @@
+-- Migration: Weekly availability templates
+-- Recurring hours like "every Monday 13:30-21:00, a slot every 45 minutes"
+-- GET /api/availability expands these on the fly; rows in the availability table override a single date
+-- Execute this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.availability_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    interval_minutes INTEGER NOT NULL CHECK (interval_minutes > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS availability_templates_day_idx
+    ON public.availability_templates (day_of_week)
+    WHERE is_active;
+
+-- Seed with the hours listed on the home page (Mon/Tue/Thu/Fri 1:30 PM - 9:00 PM)
+INSERT INTO public.availability_templates (day_of_week, start_time, end_time, interval_minutes)
+SELECT d, '13:30', '21:00', 45
+FROM unnest(ARRAY[1, 2, 4, 5]) AS d
+WHERE NOT EXISTS (SELECT 1 FROM public.availability_templates);
@@ -0,0 +1,25 @@
+-- Migration: Opening ranges and breaks
+-- Days store opening hours (e.g. 13:30-21:00) plus breaks instead of a fixed list of start times,
+-- and the server works out the bookable start times for each service's duration
+-- Execute this in Supabase SQL Editor
+
+-- Per-date overrides: [{ "start": "13:30", "end": "21:00" }]
+-- time_ranges keeps the fixed start times for days saved before this migration
+ALTER TABLE public.availability
+    ADD COLUMN IF NOT EXISTS open_ranges JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS breaks JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Weekly templates: each row is one opening range, with optional breaks inside it
+ALTER TABLE public.availability_templates
+    ADD COLUMN IF NOT EXISTS breaks JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- A NULL interval steps start times by the service's duration instead of a fixed gap
+ALTER TABLE public.availability_templates
+    ALTER COLUMN interval_minutes DROP NOT NULL;
+
+-- The seeded hours used a fixed 45-minute gap only because every service was 45 minutes
+UPDATE public.availability_templates
+SET interval_minutes = NULL, updated_at = NOW()
+WHERE interval_minutes = 45
+  AND start_time = '13:30'
+  AND end_time = '21:00';
@@ -0,0 +1,34 @@
+-- Migration: Waitlist for fully booked days
+-- Customers pick a service and one or more dates; when a booking on one of those dates is
+-- cancelled or declined, the first matching person gets a text with a time-limited claim link
+-- Execute this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.waitlist_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    customer_name TEXT NOT NULL,
+    customer_email TEXT NOT NULL,
+    customer_phone TEXT NOT NULL,
+    service_id UUID REFERENCES public.services (id) ON DELETE SET NULL,
+    service TEXT NOT NULL,
+    duration INTEGER NOT NULL CHECK (duration > 0),
+    dates DATE[] NOT NULL CHECK (cardinality(dates) > 0),
+    -- waiting -> offered -> booked; offered goes back to waiting if the offer runs out
+    -- expired = every preferred date has passed, removed = taken off by the admin
+    status TEXT NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'offered', 'booked', 'expired', 'removed')),
+    offered_date DATE,
+    offered_time TIME,
+    offer_expires_at TIMESTAMPTZ,
+    appointment_id UUID REFERENCES public.appointments (id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Open entries are looked up by preferred date, oldest first
+CREATE INDEX IF NOT EXISTS waitlist_entries_dates_idx
+    ON public.waitlist_entries USING GIN (dates)
+    WHERE status IN ('waiting', 'offered');
+
+CREATE INDEX IF NOT EXISTS waitlist_entries_offer_expiry_idx
+    ON public.waitlist_entries (offer_expires_at)
+    WHERE status = 'offered';
@@ -0,0 +1,11 @@
+-- Migration: Editable message templates
+-- Holds the admin's edits to the text message wording, one row per message (e.g. "confirmation", "reminder")
+-- Messages without a row use the default wording in services/messageTemplateService.js
+-- Execute this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.message_templates (
+    key TEXT PRIMARY KEY,
+    body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 1600),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,30 @@
+-- Migration: Notification send tracking
+-- One row per appointment reminder stage and channel (e.g. the 24h text, the 2h email)
+-- The unique key means each stage is sent at most once, even if the reminder job runs twice;
+-- failed sends keep their row and are retried at next_attempt_at
+-- While a run is sending, next_attempt_at holds when its claim runs out (SEND_LEASE_MINUTES in
+-- services/reminderService.js), so a send cut off by a restart is picked up by the retry pass
+-- Execute this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.notifications_sent (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    appointment_id UUID NOT NULL REFERENCES public.appointments(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL DEFAULT 'reminder',
+    offset_minutes INTEGER NOT NULL CHECK (offset_minutes > 0), -- How long before the appointment this stage is
+    channel TEXT NOT NULL CHECK (channel IN ('sms', 'email')),
+    -- sending: claimed by a run until next_attempt_at; sent; failed: retried at next_attempt_at, or given up when that's NULL;
+    -- skipped: not needed (a closer stage was due, the booking came later, or the appointment changed)
+    status TEXT NOT NULL CHECK (status IN ('sending', 'sent', 'failed', 'skipped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ,
+    last_error TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (appointment_id, kind, offset_minutes, channel)
+);
+
+-- The retry pass looks up failed rows that are due and sending rows whose claim has run out
+CREATE INDEX IF NOT EXISTS notifications_sent_retry_idx
+    ON public.notifications_sent (next_attempt_at)
+    WHERE status IN ('failed', 'sending');
@@ -0,0 +1,6 @@
+-- Migration: Customer confirmation by text
+-- Records when a customer replied CONFIRM to a reminder (see POST /api/sms/inbound)
+-- Execute this in Supabase SQL Editor
+
+ALTER TABLE public.appointments
+    ADD COLUMN IF NOT EXISTS customer_confirmed_at TIMESTAMPTZ;
@@ -0,0 +1,35 @@
+-- Migration: Text message consent and opt-outs
+-- sms_consent holds the current state for each phone number (E.164, e.g. +15551234567);
+-- sms_consent_events keeps every opt-in and opt-out with where it came from, as the consent record
+-- Numbers with status 'opted_out' are never texted (see services/smsConsentService.js)
+-- Execute this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.sms_consent (
+    phone TEXT PRIMARY KEY,
+    customer_name TEXT,
+    status TEXT NOT NULL CHECK (status IN ('opted_in', 'opted_out')),
+    -- booking, waitlist: the consent checkbox; keyword: a STOP/START text
+    source TEXT NOT NULL CHECK (source IN ('booking', 'waitlist', 'keyword')),
+    opted_in_at TIMESTAMPTZ,
+    opted_out_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.sms_consent_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    phone TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('opt_in', 'opt_out')),
+    source TEXT NOT NULL CHECK (source IN ('booking', 'waitlist', 'keyword')),
+    detail TEXT, -- The keyword that was texted, or the consent wording that was ticked
+    appointment_id UUID REFERENCES public.appointments(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The server loads every opted-out number at startup
+CREATE INDEX IF NOT EXISTS sms_consent_opted_out_idx
+    ON public.sms_consent (opted_out_at DESC)
+    WHERE status = 'opted_out';
+
+CREATE INDEX IF NOT EXISTS sms_consent_events_phone_idx
+    ON public.sms_consent_events (phone, created_at DESC);
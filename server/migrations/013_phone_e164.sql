@@ -0,0 +1,63 @@
+-- Migration: Normalized phone numbers
+-- Adds customer_phone_e164 (e.g. +15552345678) to appointments and waitlist entries, so the same
+-- customer typed as "(555) 234-5678" and "555.234.5678" is one number
+-- The column is generated from customer_phone, which fills it in for existing rows and keeps it in step
+-- with every insert and update; numbers that can't be real are left NULL
+-- Execute this in Supabase SQL Editor
+
+-- Same rules as normalizePhone() in js/phone.js - change both together
+CREATE OR REPLACE FUNCTION public.normalize_phone_e164(p_phone TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_phone TEXT := btrim(p_phone);
+    v_digits TEXT;
+BEGIN
+    -- Digits, spaces, brackets, dots and dashes, with an optional leading "+"
+    IF v_phone IS NULL OR v_phone !~ '^\+?[0-9 ().-]+$' THEN
+        RETURN NULL;
+    END IF;
+
+    v_digits := regexp_replace(v_phone, '[^0-9]', '', 'g');
+
+    -- Numbers without a "+" are read as US/Canada numbers
+    IF left(v_phone, 1) <> '+' THEN
+        IF length(v_digits) = 10 THEN
+            v_digits := '1' || v_digits;
+        ELSIF NOT (length(v_digits) = 11 AND left(v_digits, 1) = '1') THEN
+            RETURN NULL;
+        END IF;
+    END IF;
+
+    IF v_digits !~ '^[1-9][0-9]{7,14}$' THEN
+        RETURN NULL;
+    END IF;
+
+    -- US/Canada: area code and exchange can't start with 0 or 1
+    IF left(v_digits, 1) = '1' AND v_digits !~ '^1[2-9][0-9]{2}[2-9][0-9]{6}$' THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN '+' || v_digits;
+END;
+$$;
+
+ALTER TABLE public.appointments
+    ADD COLUMN IF NOT EXISTS customer_phone_e164 TEXT
+    GENERATED ALWAYS AS (public.normalize_phone_e164(customer_phone)) STORED;
+
+ALTER TABLE public.waitlist_entries
+    ADD COLUMN IF NOT EXISTS customer_phone_e164 TEXT
+    GENERATED ALWAYS AS (public.normalize_phone_e164(customer_phone)) STORED;
+
+-- Text replies and the waitlist look customers up by number
+CREATE INDEX IF NOT EXISTS appointments_customer_phone_e164_idx
+    ON public.appointments (customer_phone_e164);
+
+CREATE INDEX IF NOT EXISTS waitlist_entries_customer_phone_e164_idx
+    ON public.waitlist_entries (customer_phone_e164);
+
+-- Stored numbers that couldn't be normalized - check these by hand:
+-- SELECT id, customer_name, customer_phone FROM public.appointments WHERE customer_phone_e164 IS NULL;
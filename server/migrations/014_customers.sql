@@ -0,0 +1,99 @@
+-- Migration: Customer directory
+-- One row per client, linked from appointments.customer_id, with the admin's notes (e.g. preferred cut)
+-- Existing appointments are grouped into customers by customer_phone_e164 (requires 013_phone_e164.sql);
+-- appointments whose number couldn't be normalized are left unlinked
+-- Execute this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.customers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT UNIQUE, -- E.164; NULL for clients added without a number
+    -- Numbers of profiles merged into this one, so bookings from them still find this client
+    alternate_phones TEXT[] NOT NULL DEFAULT '{}',
+    notes TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS customers_alternate_phones_idx
+    ON public.customers USING GIN (alternate_phones);
+
+ALTER TABLE public.appointments
+    ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES public.customers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS appointments_customer_id_idx
+    ON public.appointments (customer_id);
+
+-- Backfill: one customer per number, named as on their most recent booking
+INSERT INTO public.customers (name, email, phone, created_at)
+SELECT DISTINCT ON (customer_phone_e164)
+    customer_name,
+    NULLIF(customer_email, ''),
+    customer_phone_e164,
+    MIN(created_at) OVER (PARTITION BY customer_phone_e164)
+FROM public.appointments
+WHERE customer_phone_e164 IS NOT NULL
+ORDER BY customer_phone_e164, created_at DESC
+ON CONFLICT (phone) DO NOTHING;
+
+UPDATE public.appointments a
+SET customer_id = c.id
+FROM public.customers c
+WHERE a.customer_id IS NULL
+  AND a.customer_phone_e164 = c.phone;
+
+-- Merge duplicate profiles into one, in a single transaction:
+-- appointments move to the kept profile, which takes over the duplicates' numbers, any missing email
+-- and their notes; the duplicates are then deleted
+CREATE OR REPLACE FUNCTION public.merge_customers(
+    p_target_id UUID,
+    p_duplicate_ids UUID[]
+)
+RETURNS public.customers
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    target public.customers;
+    duplicate public.customers;
+    merged public.customers;
+BEGIN
+    IF p_target_id = ANY(p_duplicate_ids) THEN
+        RAISE EXCEPTION 'A customer cannot be merged into itself' USING ERRCODE = '22023'; -- invalid_parameter_value
+    END IF;
+
+    SELECT * INTO target FROM public.customers WHERE id = p_target_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Customer not found' USING ERRCODE = 'P0002'; -- no_data_found
+    END IF;
+
+    FOR duplicate IN
+        SELECT * FROM public.customers WHERE id = ANY(p_duplicate_ids) ORDER BY created_at FOR UPDATE
+    LOOP
+        UPDATE public.appointments SET customer_id = target.id WHERE customer_id = duplicate.id;
+
+        target.alternate_phones := ARRAY(
+            SELECT DISTINCT p
+            FROM unnest(target.alternate_phones || duplicate.alternate_phones || duplicate.phone) AS p
+            WHERE p IS NOT NULL AND p IS DISTINCT FROM target.phone
+        );
+        target.email := COALESCE(NULLIF(target.email, ''), duplicate.email);
+        IF duplicate.notes <> '' AND position(duplicate.notes IN target.notes) = 0 THEN
+            target.notes := CASE WHEN target.notes = '' THEN duplicate.notes ELSE target.notes || E'\n\n' || duplicate.notes END;
+        END IF;
+
+        -- Free the number before it moves to alternate_phones
+        DELETE FROM public.customers WHERE id = duplicate.id;
+    END LOOP;
+
+    UPDATE public.customers
+    SET alternate_phones = target.alternate_phones,
+        email = target.email,
+        notes = target.notes,
+        updated_at = NOW()
+    WHERE id = target.id
+    RETURNING * INTO merged;
+
+    RETURN merged;
+END;
+$$;
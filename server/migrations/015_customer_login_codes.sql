@@ -0,0 +1,20 @@
+-- Migration: One-time codes for returning customers
+-- A customer who has booked before enters their phone number on the booking page and is texted a code;
+-- entering it prefills their details and lists their upcoming appointments
+-- Only a keyed hash of each code is stored (see services/customerLoginService.js)
+-- Execute this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.customer_login_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    customer_id UUID NOT NULL REFERENCES public.customers(id) ON DELETE CASCADE,
+    phone TEXT NOT NULL, -- E.164 number the code was texted to
+    code_hash TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0, -- Wrong guesses; the code stops working after too many
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Verifying reads the newest code for a number; sending counts the number's recent codes
+CREATE INDEX IF NOT EXISTS customer_login_codes_phone_idx
+    ON public.customer_login_codes (phone, created_at DESC);
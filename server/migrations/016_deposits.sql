@@ -0,0 +1,166 @@
+-- Migration: Deposits
+-- Services can ask for a deposit, paid online when booking (see services/paymentService.js)
+-- A booking with a deposit starts as 'awaiting_payment' and holds its time until payment_expires_at;
+-- it only becomes 'pending' once the payment succeeds, and unpaid holds are removed after that
+-- Execute this in Supabase SQL Editor
+
+-- 0 = no deposit
+ALTER TABLE public.services
+    ADD COLUMN IF NOT EXISTS deposit_amount NUMERIC(10, 2) NOT NULL DEFAULT 0
+        CHECK (deposit_amount >= 0 AND deposit_amount <= price);
+
+ALTER TABLE public.appointments
+    ADD COLUMN IF NOT EXISTS deposit_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    -- none: no deposit; awaiting_payment: checkout started; paid; refunded; forfeited: kept after a late cancellation;
+    -- refund_failed: the provider rejected the refund - refund it from the provider's dashboard
+    ADD COLUMN IF NOT EXISTS deposit_status TEXT NOT NULL DEFAULT 'none'
+        CHECK (deposit_status IN ('none', 'awaiting_payment', 'paid', 'refunded', 'forfeited', 'refund_failed')),
+    ADD COLUMN IF NOT EXISTS deposit_provider TEXT,
+    ADD COLUMN IF NOT EXISTS deposit_checkout_id TEXT,
+    ADD COLUMN IF NOT EXISTS deposit_checkout_url TEXT,
+    ADD COLUMN IF NOT EXISTS deposit_payment_id TEXT,
+    ADD COLUMN IF NOT EXISTS deposit_paid_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS deposit_refunded_amount NUMERIC(10, 2),
+    ADD COLUMN IF NOT EXISTS deposit_refunded_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS payment_expires_at TIMESTAMPTZ;
+
+-- Payment webhooks find the booking by its checkout
+CREATE INDEX IF NOT EXISTS appointments_deposit_checkout_idx
+    ON public.appointments (deposit_checkout_id)
+    WHERE deposit_checkout_id IS NOT NULL;
+
+-- The cleanup job looks for unpaid holds that have run out
+CREATE INDEX IF NOT EXISTS appointments_payment_expires_idx
+    ON public.appointments (payment_expires_at)
+    WHERE status = 'awaiting_payment';
+
+-- book_appointment gains p_status, p_deposit_amount and p_payment_expires_at,
+-- and unpaid holds that haven't run out count as taken
+DROP FUNCTION IF EXISTS public.book_appointment(TEXT, TEXT, TEXT, UUID, TEXT, NUMERIC, INTEGER, DATE, TIME, BOOLEAN, TEXT);
+
+CREATE OR REPLACE FUNCTION public.book_appointment(
+    p_customer_name TEXT,
+    p_customer_email TEXT,
+    p_customer_phone TEXT,
+    p_service_id UUID,
+    p_service TEXT,
+    p_price NUMERIC,
+    p_duration INTEGER,
+    p_date DATE,
+    p_time TIME,
+    p_include_in_analytics BOOLEAN DEFAULT TRUE,
+    p_notification_channel TEXT DEFAULT 'sms',
+    p_status TEXT DEFAULT 'pending',
+    p_deposit_amount NUMERIC DEFAULT 0,
+    p_payment_expires_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS public.appointments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    new_start TIMESTAMP := p_date + p_time;
+    new_end TIMESTAMP := p_date + p_time + make_interval(mins => p_duration);
+    conflict RECORD;
+    created public.appointments;
+BEGIN
+    IF p_status NOT IN ('pending', 'awaiting_payment') THEN
+        RAISE EXCEPTION 'New bookings must be pending or awaiting payment' USING ERRCODE = '22023'; -- invalid_parameter_value
+    END IF;
+
+    -- Serialize bookings for this date - released automatically when the transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('appointments:' || p_date::TEXT));
+
+    -- Older appointments without a duration are treated as 45 minutes
+    SELECT a.id, a.time, a.duration
+    INTO conflict
+    FROM public.appointments a
+    WHERE a.date::DATE = p_date
+      AND (a.status IN ('pending', 'accepted') OR (a.status = 'awaiting_payment' AND a.payment_expires_at > NOW()))
+      AND (a.date::DATE + a.time::TIME) < new_end
+      AND new_start < (a.date::DATE + a.time::TIME + make_interval(mins => COALESCE(a.duration, 45)))
+    LIMIT 1;
+
+    IF FOUND THEN
+        RAISE EXCEPTION 'This time slot overlaps an existing booking'
+            USING ERRCODE = '23P01', -- exclusion_violation
+                  DETAIL = json_build_object('time', conflict.time, 'duration', COALESCE(conflict.duration, 45))::TEXT;
+    END IF;
+
+    INSERT INTO public.appointments (
+        customer_name, customer_email, customer_phone,
+        service_id, service, price, duration,
+        date, time, status, include_in_analytics, notification_channel,
+        deposit_amount, deposit_status, payment_expires_at
+    ) VALUES (
+        p_customer_name, p_customer_email, p_customer_phone,
+        p_service_id, p_service, p_price, p_duration,
+        p_date, p_time, p_status, p_include_in_analytics, p_notification_channel,
+        p_deposit_amount, CASE WHEN p_status = 'awaiting_payment' THEN 'awaiting_payment' ELSE 'none' END, p_payment_expires_at
+    )
+    RETURNING * INTO created;
+
+    RETURN created;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.book_appointment(TEXT, TEXT, TEXT, UUID, TEXT, NUMERIC, INTEGER, DATE, TIME, BOOLEAN, TEXT, TEXT, NUMERIC, TIMESTAMPTZ) TO anon, authenticated;
+
+-- Rescheduling treats unpaid holds the same way
+CREATE OR REPLACE FUNCTION public.reschedule_appointment(
+    p_id UUID,
+    p_date DATE,
+    p_time TIME
+)
+RETURNS public.appointments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    current_row public.appointments;
+    duration_mins INTEGER;
+    new_start TIMESTAMP := p_date + p_time;
+    new_end TIMESTAMP;
+    conflict RECORD;
+    updated public.appointments;
+BEGIN
+    SELECT * INTO current_row FROM public.appointments WHERE id = p_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Appointment not found' USING ERRCODE = 'P0002'; -- no_data_found
+    END IF;
+
+    duration_mins := COALESCE(current_row.duration, 45);
+    new_end := new_start + make_interval(mins => duration_mins);
+
+    -- Same per-date lock as book_appointment so bookings and moves can't race each other
+    PERFORM pg_advisory_xact_lock(hashtext('appointments:' || p_date::TEXT));
+
+    SELECT a.id, a.time, a.duration
+    INTO conflict
+    FROM public.appointments a
+    WHERE a.date::DATE = p_date
+      AND a.id <> p_id
+      AND (a.status IN ('pending', 'accepted') OR (a.status = 'awaiting_payment' AND a.payment_expires_at > NOW()))
+      AND (a.date::DATE + a.time::TIME) < new_end
+      AND new_start < (a.date::DATE + a.time::TIME + make_interval(mins => COALESCE(a.duration, 45)))
+    LIMIT 1;
+
+    IF FOUND THEN
+        RAISE EXCEPTION 'This time slot overlaps an existing booking'
+            USING ERRCODE = '23P01', -- exclusion_violation
+                  DETAIL = json_build_object('time', conflict.time, 'duration', COALESCE(conflict.duration, 45))::TEXT;
+    END IF;
+
+    -- A moved appointment goes back to pending so the barber can review the new time
+    -- A paid deposit stays with the appointment
+    UPDATE public.appointments
+    SET date = p_date,
+        time = p_time,
+        status = 'pending',
+        updated_at = NOW()
+    WHERE id = p_id
+    RETURNING * INTO updated;
+
+    RETURN updated;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.reschedule_appointment(UUID, DATE, TIME) TO anon, authenticated;
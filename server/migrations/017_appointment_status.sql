@@ -0,0 +1,26 @@
+-- Migration: Appointment status state machine
+-- Limits appointments.status to the known states and records when each transition happened
+-- The allowed transitions themselves are checked by the server (services/appointmentStatusService.js)
+-- Execute this in Supabase SQL Editor
+
+ALTER TABLE public.appointments
+    ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS declined_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS no_show_at TIMESTAMPTZ;
+
+-- Existing rows: the last update is the best guess for when they reached their current status
+UPDATE public.appointments SET accepted_at = COALESCE(updated_at, created_at) WHERE status = 'accepted' AND accepted_at IS NULL;
+UPDATE public.appointments SET declined_at = COALESCE(updated_at, created_at) WHERE status = 'declined' AND declined_at IS NULL;
+UPDATE public.appointments SET cancelled_at = COALESCE(updated_at, created_at) WHERE status = 'cancelled' AND cancelled_at IS NULL;
+
+-- Nothing recorded whether past appointments actually happened, so they keep their status:
+-- past accepted appointments still count as visits, and past declined ones are no longer counted as no-shows
+
+ALTER TABLE public.appointments DROP CONSTRAINT IF EXISTS appointments_status_check;
+ALTER TABLE public.appointments
+    ADD CONSTRAINT appointments_status_check
+    CHECK (status IN ('awaiting_payment', 'pending', 'accepted', 'declined', 'cancelled', 'completed', 'no_show'));
+
+CREATE INDEX IF NOT EXISTS idx_appointments_status_date ON public.appointments(status, date);
@@ -0,0 +1,14 @@
+-- Migration: Appointment archive
+-- Deleting an appointment from the admin panel sets deleted_at instead of removing the row,
+-- so it can be restored from the Archived list (see services/appointmentArchiveService.js)
+-- A daily job removes archived rows for good after APPOINTMENT_RETENTION_DAYS
+-- Only appointments that no longer hold a time can be archived, so booking and rescheduling don't need to change
+-- Execute this in Supabase SQL Editor
+
+ALTER TABLE public.appointments
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- The admin list and the purge job both look for archived rows
+CREATE INDEX IF NOT EXISTS idx_appointments_deleted_at
+    ON public.appointments (deleted_at)
+    WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,194 @@
+-- Migration: Analytics functions
+-- The admin Analytics tab used to add up the appointments cached in one browser's localStorage;
+-- these functions do it in the database so every machine sees the same numbers (see /api/analytics/* in server.js)
+-- All of them take the same filters:
+--   p_start_date, p_end_date - appointment dates, inclusive (NULL = no limit)
+--   p_client                 - a client key from analytics_clients
+--   p_search                 - part of the client's name or email
+--   p_include_excluded       - also count appointments with "Include in Analytics" switched off
+-- Archived appointments and unpaid deposit holds are never counted
+-- Execute this in Supabase SQL Editor
+
+-- Appointments matching the filters, with the key of the client they belong to: their profile when
+-- the booking is linked to one (merged profiles share it across numbers), otherwise their phone number
+CREATE OR REPLACE FUNCTION public.analytics_appointments(
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_client TEXT DEFAULT NULL,
+    p_search TEXT DEFAULT NULL,
+    p_include_excluded BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+    id UUID,
+    client_key TEXT,
+    customer_id UUID,
+    customer_name TEXT,
+    customer_email TEXT,
+    customer_phone TEXT,
+    service TEXT,
+    price NUMERIC,
+    date DATE,
+    "time" TIME,
+    status TEXT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT *
+    FROM (
+        SELECT
+            a.id::UUID AS id,
+            COALESCE(
+                a.customer_id::TEXT,
+                a.customer_phone_e164,
+                NULLIF(regexp_replace(COALESCE(a.customer_phone, ''), '[^0-9]', '', 'g'), '')
+            ) AS client_key,
+            a.customer_id AS customer_id,
+            a.customer_name::TEXT AS customer_name,
+            COALESCE(a.customer_email, '')::TEXT AS customer_email,
+            COALESCE(a.customer_phone, '')::TEXT AS customer_phone,
+            a.service::TEXT AS service,
+            COALESCE(a.price::NUMERIC, 0) AS price,
+            a.date::DATE AS date,
+            a.time::TIME AS "time",
+            a.status::TEXT AS status
+        FROM public.appointments a
+        WHERE a.deleted_at IS NULL
+          AND a.status <> 'awaiting_payment'
+          AND (p_include_excluded OR a.include_in_analytics IS DISTINCT FROM FALSE)
+          AND (p_start_date IS NULL OR a.date >= p_start_date)
+          AND (p_end_date IS NULL OR a.date <= p_end_date)
+          AND (p_search IS NULL
+               OR a.customer_name ILIKE '%' || p_search || '%'
+               OR a.customer_email ILIKE '%' || p_search || '%')
+    ) matching
+    WHERE p_client IS NULL OR matching.client_key = p_client;
+$$;
+
+-- Booked visits (completed, or accepted and not marked either way yet) per hour and day of the week
+-- day_of_week: 0 = Sunday ... 6 = Saturday
+CREATE OR REPLACE FUNCTION public.analytics_time_slots(
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_client TEXT DEFAULT NULL,
+    p_search TEXT DEFAULT NULL,
+    p_include_excluded BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (hour INTEGER, day_of_week INTEGER, bookings BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT EXTRACT(HOUR FROM a.time)::INTEGER, EXTRACT(DOW FROM a.date)::INTEGER, COUNT(*)
+    FROM public.analytics_appointments(p_start_date, p_end_date, p_client, p_search, p_include_excluded) a
+    WHERE a.status IN ('completed', 'accepted')
+    GROUP BY 1, 2
+    ORDER BY 1, 2;
+$$;
+
+-- Booked visits and their prices per day, week (starting Monday), month or quarter
+CREATE OR REPLACE FUNCTION public.analytics_revenue(
+    p_period TEXT DEFAULT 'day',
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_client TEXT DEFAULT NULL,
+    p_search TEXT DEFAULT NULL,
+    p_include_excluded BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (period_start DATE, visits BIGINT, revenue NUMERIC)
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+    IF p_period NOT IN ('day', 'week', 'month', 'quarter') THEN
+        RAISE EXCEPTION 'Unknown period %', p_period USING ERRCODE = '22023'; -- invalid_parameter_value
+    END IF;
+
+    RETURN QUERY
+    SELECT date_trunc(p_period, a.date::TIMESTAMP)::DATE, COUNT(*), SUM(a.price)
+    FROM public.analytics_appointments(p_start_date, p_end_date, p_client, p_search, p_include_excluded) a
+    WHERE a.status IN ('completed', 'accepted')
+    GROUP BY 1
+    ORDER BY 1;
+END;
+$$;
+
+-- One row per client with booked visits: how often they came, what they spent, and the average
+-- gap between visits (NULL for clients who came once)
+CREATE OR REPLACE FUNCTION public.analytics_retention(
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_client TEXT DEFAULT NULL,
+    p_search TEXT DEFAULT NULL,
+    p_include_excluded BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+    client_key TEXT,
+    name TEXT,
+    email TEXT,
+    phone TEXT,
+    visits BIGINT,
+    total_spent NUMERIC,
+    first_visit DATE,
+    last_visit DATE,
+    avg_days_between NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        a.client_key,
+        -- Details as on their most recent booking
+        (array_agg(a.customer_name ORDER BY a.date DESC, a.time DESC))[1],
+        (array_agg(a.customer_email ORDER BY a.date DESC, a.time DESC))[1],
+        (array_agg(a.customer_phone ORDER BY a.date DESC, a.time DESC))[1],
+        COUNT(*),
+        SUM(a.price),
+        MIN(a.date),
+        MAX(a.date),
+        CASE WHEN COUNT(*) > 1 THEN (MAX(a.date) - MIN(a.date))::NUMERIC / (COUNT(*) - 1) END
+    FROM public.analytics_appointments(p_start_date, p_end_date, p_client, p_search, p_include_excluded) a
+    WHERE a.status IN ('completed', 'accepted')
+      AND a.client_key IS NOT NULL
+    GROUP BY a.client_key
+    ORDER BY COUNT(*) DESC, 2;
+$$;
+
+-- No-shows and cancellations per day
+CREATE OR REPLACE FUNCTION public.analytics_no_shows(
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_client TEXT DEFAULT NULL,
+    p_search TEXT DEFAULT NULL,
+    p_include_excluded BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (date DATE, no_shows BIGINT, cancellations BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        a.date,
+        COUNT(*) FILTER (WHERE a.status = 'no_show'),
+        COUNT(*) FILTER (WHERE a.status = 'cancelled')
+    FROM public.analytics_appointments(p_start_date, p_end_date, p_client, p_search, p_include_excluded) a
+    WHERE a.status IN ('no_show', 'cancelled')
+    GROUP BY a.date
+    ORDER BY a.date;
+$$;
+
+-- Every client that has a counted appointment, for the Analytics client filter
+CREATE OR REPLACE FUNCTION public.analytics_clients(
+    p_include_excluded BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (client_key TEXT, name TEXT, phone TEXT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT latest.client_key, latest.customer_name, latest.customer_phone
+    FROM (
+        SELECT DISTINCT ON (a.client_key) a.client_key, a.customer_name, a.customer_phone
+        FROM public.analytics_appointments(NULL, NULL, NULL, NULL, p_include_excluded) a
+        WHERE a.client_key IS NOT NULL
+        ORDER BY a.client_key, a.date DESC, a.time DESC
+    ) latest
+    ORDER BY lower(latest.customer_name);
+$$;
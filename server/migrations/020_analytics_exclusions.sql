@@ -0,0 +1,83 @@
+-- Migration: Analytics exclusions
+-- Rules the admin sets to keep whole groups of bookings out of analytics without switching off
+-- "Include in Analytics" on each one: every booking from a phone number (e.g. the barber's own test
+-- bookings), or every booking in a date range (e.g. the week the booking page was being tried out)
+-- analytics_appointments (from 019_analytics.sql) is replaced so every analytics_* function applies them;
+-- p_include_excluded = TRUE ignores them, like it ignores the per-appointment switch
+-- Execute this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.analytics_exclusions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type TEXT NOT NULL CHECK (type IN ('phone', 'date_range')),
+    phone TEXT,        -- E.164, for type = 'phone'
+    start_date DATE,   -- Inclusive, for type = 'date_range'
+    end_date DATE,
+    note TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (
+        (type = 'phone' AND phone IS NOT NULL AND start_date IS NULL AND end_date IS NULL) OR
+        (type = 'date_range' AND phone IS NULL AND start_date IS NOT NULL AND end_date >= start_date)
+    )
+);
+
+CREATE OR REPLACE FUNCTION public.analytics_appointments(
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_client TEXT DEFAULT NULL,
+    p_search TEXT DEFAULT NULL,
+    p_include_excluded BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+    id UUID,
+    client_key TEXT,
+    customer_id UUID,
+    customer_name TEXT,
+    customer_email TEXT,
+    customer_phone TEXT,
+    service TEXT,
+    price NUMERIC,
+    date DATE,
+    "time" TIME,
+    status TEXT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT *
+    FROM (
+        SELECT
+            a.id::UUID AS id,
+            COALESCE(
+                a.customer_id::TEXT,
+                a.customer_phone_e164,
+                NULLIF(regexp_replace(COALESCE(a.customer_phone, ''), '[^0-9]', '', 'g'), '')
+            ) AS client_key,
+            a.customer_id AS customer_id,
+            a.customer_name::TEXT AS customer_name,
+            COALESCE(a.customer_email, '')::TEXT AS customer_email,
+            COALESCE(a.customer_phone, '')::TEXT AS customer_phone,
+            a.service::TEXT AS service,
+            COALESCE(a.price::NUMERIC, 0) AS price,
+            a.date::DATE AS date,
+            a.time::TIME AS "time",
+            a.status::TEXT AS status
+        FROM public.appointments a
+        WHERE a.deleted_at IS NULL
+          AND a.status <> 'awaiting_payment'
+          AND (p_include_excluded OR (
+              a.include_in_analytics IS DISTINCT FROM FALSE
+              AND NOT EXISTS (
+                  SELECT 1
+                  FROM public.analytics_exclusions x
+                  WHERE (x.type = 'phone' AND x.phone = a.customer_phone_e164)
+                     OR (x.type = 'date_range' AND a.date BETWEEN x.start_date AND x.end_date)
+              )
+          ))
+          AND (p_start_date IS NULL OR a.date >= p_start_date)
+          AND (p_end_date IS NULL OR a.date <= p_end_date)
+          AND (p_search IS NULL
+               OR a.customer_name ILIKE '%' || p_search || '%'
+               OR a.customer_email ILIKE '%' || p_search || '%')
+    ) matching
+    WHERE p_client IS NULL OR matching.client_key = p_client;
+$$;
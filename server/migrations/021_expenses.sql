@@ -0,0 +1,62 @@
+-- Migration: Expenses
+-- The Revenue view used to subtract one expenses number kept in a browser's localStorage;
+-- this records each expense with its date and category, so profit and loss can be worked out
+-- per month or quarter on any machine (see /api/expenses and /api/analytics/profit-loss in server.js)
+-- Execute this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS public.expenses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    date DATE NOT NULL,          -- When it was paid; for recurring expenses, the first time
+    category TEXT NOT NULL CHECK (category IN ('rent', 'products', 'tools', 'utilities', 'marketing', 'other')),
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+    notes TEXT NOT NULL DEFAULT '',
+    recurring TEXT CHECK (recurring IN ('weekly', 'monthly', 'yearly')),  -- NULL = paid once
+    end_date DATE,               -- Last day a recurring expense is paid (NULL = still paying)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (end_date IS NULL OR (recurring IS NOT NULL AND end_date >= date))
+);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_date ON public.expenses(date);
+
+-- Expenses per month or quarter and category, with each recurring expense counted every week, month
+-- or year from its date until its end_date - and never past p_end_date, or today when that's NULL,
+-- so rent that's still being paid doesn't add up future months
+CREATE OR REPLACE FUNCTION public.analytics_expenses(
+    p_period TEXT DEFAULT 'month',
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL
+)
+RETURNS TABLE (period_start DATE, category TEXT, amount NUMERIC)
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+    IF p_period NOT IN ('month', 'quarter') THEN
+        RAISE EXCEPTION 'Unknown period %', p_period USING ERRCODE = '22023'; -- invalid_parameter_value
+    END IF;
+
+    RETURN QUERY
+    SELECT date_trunc(p_period, paid.on_date::TIMESTAMP)::DATE, paid.category, SUM(paid.amount)
+    FROM (
+        SELECT e.category, e.amount, occurrence::DATE AS on_date
+        FROM public.expenses e
+        CROSS JOIN LATERAL generate_series(
+            e.date::TIMESTAMP,
+            CASE
+                WHEN e.recurring IS NULL THEN e.date
+                ELSE LEAST(COALESCE(e.end_date, 'infinity'::DATE), COALESCE(p_end_date, CURRENT_DATE))
+            END::TIMESTAMP,
+            CASE e.recurring
+                WHEN 'weekly' THEN INTERVAL '1 week'
+                WHEN 'yearly' THEN INTERVAL '1 year'
+                ELSE INTERVAL '1 month'
+            END
+        ) AS occurrence
+    ) paid
+    WHERE (p_start_date IS NULL OR paid.on_date >= p_start_date)
+      AND (p_end_date IS NULL OR paid.on_date <= p_end_date)
+    GROUP BY 1, 2
+    ORDER BY 1, 2;
+END;
+$$;
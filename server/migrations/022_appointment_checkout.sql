@@ -0,0 +1,54 @@
+-- Migration: Appointment checkout
+-- What was actually taken at an appointment, which often isn't the booked price: add-ons (a beard trim),
+-- discounts, the tip, and whether it was paid in cash or by card. Recorded from the admin panel's
+-- checkout step, which also completes an accepted appointment (see POST /api/appointments/:id/checkout)
+-- Execute this in Supabase SQL Editor
+
+ALTER TABLE public.appointments
+    ADD COLUMN IF NOT EXISTS checkout_items JSONB,            -- [{ "name": "Beard trim", "amount": 10 }], discounts are negative
+    ADD COLUMN IF NOT EXISTS checkout_tip NUMERIC(10, 2),
+    ADD COLUMN IF NOT EXISTS checkout_total NUMERIC(10, 2),   -- Items plus tip, including a deposit paid online
+    ADD COLUMN IF NOT EXISTS payment_method TEXT,
+    ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMPTZ;
+
+ALTER TABLE public.appointments
+    DROP CONSTRAINT IF EXISTS appointments_payment_method_check;
+ALTER TABLE public.appointments
+    ADD CONSTRAINT appointments_payment_method_check CHECK (payment_method IN ('cash', 'card', 'other'));
+
+-- Money collected at checkouts of completed appointments, per day, week (starting Monday), month or
+-- quarter and payment method. Takes the same filters as the other analytics_* functions (019_analytics.sql);
+-- deposits is the part that was paid online ahead of the visit
+CREATE OR REPLACE FUNCTION public.analytics_collected(
+    p_period TEXT DEFAULT 'day',
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_client TEXT DEFAULT NULL,
+    p_search TEXT DEFAULT NULL,
+    p_include_excluded BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (period_start DATE, payment_method TEXT, checkouts BIGINT, collected NUMERIC, tips NUMERIC, deposits NUMERIC)
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+    IF p_period NOT IN ('day', 'week', 'month', 'quarter') THEN
+        RAISE EXCEPTION 'Unknown period %', p_period USING ERRCODE = '22023'; -- invalid_parameter_value
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        date_trunc(p_period, a.date::TIMESTAMP)::DATE,
+        c.payment_method::TEXT,
+        COUNT(*),
+        SUM(c.checkout_total),
+        SUM(COALESCE(c.checkout_tip, 0)),
+        SUM(CASE WHEN c.deposit_status = 'paid' THEN COALESCE(c.deposit_amount, 0) ELSE 0 END)
+    FROM public.analytics_appointments(p_start_date, p_end_date, p_client, p_search, p_include_excluded) a
+    JOIN public.appointments c ON c.id::UUID = a.id
+    WHERE a.status = 'completed'
+      AND c.checked_out_at IS NOT NULL
+    GROUP BY 1, 2
+    ORDER BY 1, 2;
+END;
+$$;
@@ -0,0 +1,10 @@
+-- Rollback: Remove the analytics functions
+-- The /api/analytics routes stop working; the admin Analytics tab shows an error until this migration is run again
+-- Execute this in Supabase SQL Editor
+
+DROP FUNCTION IF EXISTS public.analytics_clients(BOOLEAN);
+DROP FUNCTION IF EXISTS public.analytics_no_shows(DATE, DATE, TEXT, TEXT, BOOLEAN);
+DROP FUNCTION IF EXISTS public.analytics_retention(DATE, DATE, TEXT, TEXT, BOOLEAN);
+DROP FUNCTION IF EXISTS public.analytics_revenue(TEXT, DATE, DATE, TEXT, TEXT, BOOLEAN);
+DROP FUNCTION IF EXISTS public.analytics_time_slots(DATE, DATE, TEXT, TEXT, BOOLEAN);
+DROP FUNCTION IF EXISTS public.analytics_appointments(DATE, DATE, TEXT, TEXT, BOOLEAN);
@@ -0,0 +1,59 @@
+-- Rollback: Remove the analytics exclusion rules
+-- analytics_appointments goes back to the 019_analytics.sql version, so only the per-appointment switch is applied
+-- Execute this in Supabase SQL Editor
+
+CREATE OR REPLACE FUNCTION public.analytics_appointments(
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_client TEXT DEFAULT NULL,
+    p_search TEXT DEFAULT NULL,
+    p_include_excluded BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+    id UUID,
+    client_key TEXT,
+    customer_id UUID,
+    customer_name TEXT,
+    customer_email TEXT,
+    customer_phone TEXT,
+    service TEXT,
+    price NUMERIC,
+    date DATE,
+    "time" TIME,
+    status TEXT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT *
+    FROM (
+        SELECT
+            a.id::UUID AS id,
+            COALESCE(
+                a.customer_id::TEXT,
+                a.customer_phone_e164,
+                NULLIF(regexp_replace(COALESCE(a.customer_phone, ''), '[^0-9]', '', 'g'), '')
+            ) AS client_key,
+            a.customer_id AS customer_id,
+            a.customer_name::TEXT AS customer_name,
+            COALESCE(a.customer_email, '')::TEXT AS customer_email,
+            COALESCE(a.customer_phone, '')::TEXT AS customer_phone,
+            a.service::TEXT AS service,
+            COALESCE(a.price::NUMERIC, 0) AS price,
+            a.date::DATE AS date,
+            a.time::TIME AS "time",
+            a.status::TEXT AS status
+        FROM public.appointments a
+        WHERE a.deleted_at IS NULL
+          AND a.status <> 'awaiting_payment'
+          AND (p_include_excluded OR a.include_in_analytics IS DISTINCT FROM FALSE)
+          AND (p_start_date IS NULL OR a.date >= p_start_date)
+          AND (p_end_date IS NULL OR a.date <= p_end_date)
+          AND (p_search IS NULL
+               OR a.customer_name ILIKE '%' || p_search || '%'
+               OR a.customer_email ILIKE '%' || p_search || '%')
+    ) matching
+    WHERE p_client IS NULL OR matching.client_key = p_client;
+$$;
+
+DROP TABLE IF EXISTS public.analytics_exclusions;
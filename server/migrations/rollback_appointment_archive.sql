@@ -0,0 +1,8 @@
+-- Rollback: Remove the appointment archive
+-- Archived appointments that haven't been purged yet show up in the admin panel again
+-- Execute this in Supabase SQL Editor
+
+DROP INDEX IF EXISTS idx_appointments_deleted_at;
+
+ALTER TABLE public.appointments
+    DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,15 @@
+-- Rollback: Remove appointment checkout
+-- Recorded checkouts are lost; completed appointments stay completed and revenue falls back to the booked price
+-- Execute this in Supabase SQL Editor
+
+DROP FUNCTION IF EXISTS public.analytics_collected(TEXT, DATE, DATE, TEXT, TEXT, BOOLEAN);
+
+ALTER TABLE public.appointments
+    DROP CONSTRAINT IF EXISTS appointments_payment_method_check;
+
+ALTER TABLE public.appointments
+    DROP COLUMN IF EXISTS checkout_items,
+    DROP COLUMN IF EXISTS checkout_tip,
+    DROP COLUMN IF EXISTS checkout_total,
+    DROP COLUMN IF EXISTS payment_method,
+    DROP COLUMN IF EXISTS checked_out_at;
@@ -0,0 +1,17 @@
+-- Rollback: Remove the appointment status state machine
+-- Completed appointments go back to accepted, and no-shows to declined (how analytics counted them before)
+-- Execute this in Supabase SQL Editor
+
+DROP INDEX IF EXISTS idx_appointments_status_date;
+
+ALTER TABLE public.appointments DROP CONSTRAINT IF EXISTS appointments_status_check;
+
+UPDATE public.appointments SET status = 'accepted' WHERE status = 'completed';
+UPDATE public.appointments SET status = 'declined' WHERE status = 'no_show';
+
+ALTER TABLE public.appointments
+    DROP COLUMN IF EXISTS accepted_at,
+    DROP COLUMN IF EXISTS declined_at,
+    DROP COLUMN IF EXISTS cancelled_at,
+    DROP COLUMN IF EXISTS completed_at,
+    DROP COLUMN IF EXISTS no_show_at;
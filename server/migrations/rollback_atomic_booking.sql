@@ -0,0 +1,5 @@
+-- Rollback: Remove the atomic booking function
+-- The server will fail to create bookings until 003_atomic_booking.sql is run again
+-- Execute this in Supabase SQL Editor
+
+DROP FUNCTION IF EXISTS public.book_appointment(TEXT, TEXT, TEXT, UUID, TEXT, NUMERIC, INTEGER, DATE, TIME, BOOLEAN);
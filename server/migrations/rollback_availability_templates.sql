@@ -0,0 +1,5 @@
+-- Rollback: Remove weekly availability templates
+-- Per-date rows in the availability table are not affected
+-- Execute this in Supabase SQL Editor
+
+DROP TABLE IF EXISTS public.availability_templates;
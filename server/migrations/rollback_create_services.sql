@@ -0,0 +1,5 @@
+-- Rollback: Remove services catalog
+-- Use this only if you need to revert migration 002
+
+ALTER TABLE public.appointments DROP COLUMN IF EXISTS service_id;
+DROP TABLE IF EXISTS public.services;
@@ -0,0 +1,6 @@
+-- Rollback: Remove customer confirmation by text
+-- CONFIRM replies will fail until 011_customer_confirmation.sql is run again
+-- Execute this in Supabase SQL Editor
+
+ALTER TABLE public.appointments
+    DROP COLUMN IF EXISTS customer_confirmed_at;
@@ -0,0 +1,5 @@
+-- Rollback: Remove one-time codes for returning customers
+-- Codes that were already texted stop working
+-- Execute this in Supabase SQL Editor
+
+DROP TABLE IF EXISTS public.customer_login_codes;
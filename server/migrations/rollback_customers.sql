@@ -0,0 +1,9 @@
+-- Rollback: Remove the customer directory
+-- Appointments keep their customer_name/email/phone columns; profile notes and merges are lost
+-- Execute this in Supabase SQL Editor
+
+DROP FUNCTION IF EXISTS public.merge_customers(UUID, UUID[]);
+
+ALTER TABLE public.appointments DROP COLUMN IF EXISTS customer_id;
+
+DROP TABLE IF EXISTS public.customers;
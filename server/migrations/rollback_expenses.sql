@@ -0,0 +1,9 @@
+-- Rollback: Remove expenses
+-- Every recorded expense is deleted; the Revenue view has nothing to subtract from revenue
+-- Execute this in Supabase SQL Editor
+
+DROP FUNCTION IF EXISTS public.analytics_expenses(TEXT, DATE, DATE);
+
+DROP INDEX IF EXISTS idx_expenses_date;
+
+DROP TABLE IF EXISTS public.expenses;
@@ -0,0 +1,5 @@
+-- Rollback: Remove editable message templates
+-- Text messages go back to the default wording
+-- Execute this in Supabase SQL Editor
+
+DROP TABLE IF EXISTS public.message_templates;
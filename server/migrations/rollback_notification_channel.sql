@@ -0,0 +1,65 @@
+-- Rollback: Remove the per-appointment notification channel
+-- Restores book_appointment from 003_atomic_booking.sql; everyone goes back to text messages only
+-- Execute this in Supabase SQL Editor
+
+DROP FUNCTION IF EXISTS public.book_appointment(TEXT, TEXT, TEXT, UUID, TEXT, NUMERIC, INTEGER, DATE, TIME, BOOLEAN, TEXT);
+
+CREATE OR REPLACE FUNCTION public.book_appointment(
+    p_customer_name TEXT,
+    p_customer_email TEXT,
+    p_customer_phone TEXT,
+    p_service_id UUID,
+    p_service TEXT,
+    p_price NUMERIC,
+    p_duration INTEGER,
+    p_date DATE,
+    p_time TIME,
+    p_include_in_analytics BOOLEAN DEFAULT TRUE
+)
+RETURNS public.appointments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    new_start TIMESTAMP := p_date + p_time;
+    new_end TIMESTAMP := p_date + p_time + make_interval(mins => p_duration);
+    conflict RECORD;
+    created public.appointments;
+BEGIN
+    -- Serialize bookings for this date - released automatically when the transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('appointments:' || p_date::TEXT));
+
+    -- Older appointments without a duration are treated as 45 minutes
+    SELECT a.id, a.time, a.duration
+    INTO conflict
+    FROM public.appointments a
+    WHERE a.date::DATE = p_date
+      AND a.status IN ('pending', 'accepted')
+      AND (a.date::DATE + a.time::TIME) < new_end
+      AND new_start < (a.date::DATE + a.time::TIME + make_interval(mins => COALESCE(a.duration, 45)))
+    LIMIT 1;
+
+    IF FOUND THEN
+        RAISE EXCEPTION 'This time slot overlaps an existing booking'
+            USING ERRCODE = '23P01', -- exclusion_violation
+                  DETAIL = json_build_object('time', conflict.time, 'duration', COALESCE(conflict.duration, 45))::TEXT;
+    END IF;
+
+    INSERT INTO public.appointments (
+        customer_name, customer_email, customer_phone,
+        service_id, service, price, duration,
+        date, time, status, include_in_analytics
+    ) VALUES (
+        p_customer_name, p_customer_email, p_customer_phone,
+        p_service_id, p_service, p_price, p_duration,
+        p_date, p_time, 'pending', p_include_in_analytics
+    )
+    RETURNING * INTO created;
+
+    RETURN created;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.book_appointment(TEXT, TEXT, TEXT, UUID, TEXT, NUMERIC, INTEGER, DATE, TIME, BOOLEAN) TO anon, authenticated;
+
+ALTER TABLE public.appointments
+    DROP COLUMN IF EXISTS notification_channel;
@@ -0,0 +1,5 @@
+-- Rollback: Remove notification send tracking
+-- The reminder job will fail until 010_notifications_sent.sql is run again
+-- Execute this in Supabase SQL Editor
+
+DROP TABLE IF EXISTS public.notifications_sent;
@@ -0,0 +1,17 @@
+-- Rollback: Remove opening ranges and breaks
+-- Days saved with opening ranges will have no start times until they are saved again
+-- Execute this in Supabase SQL Editor
+
+UPDATE public.availability_templates
+SET interval_minutes = 45
+WHERE interval_minutes IS NULL;
+
+ALTER TABLE public.availability_templates
+    ALTER COLUMN interval_minutes SET NOT NULL;
+
+ALTER TABLE public.availability_templates
+    DROP COLUMN IF EXISTS breaks;
+
+ALTER TABLE public.availability
+    DROP COLUMN IF EXISTS open_ranges,
+    DROP COLUMN IF EXISTS breaks;
@@ -0,0 +1,8 @@
+-- Rollback: Remove normalized phone numbers
+-- customer_phone is left as is (bookings made since the migration are already stored in E.164)
+-- Execute this in Supabase SQL Editor
+
+ALTER TABLE public.waitlist_entries DROP COLUMN IF EXISTS customer_phone_e164;
+ALTER TABLE public.appointments DROP COLUMN IF EXISTS customer_phone_e164;
+
+DROP FUNCTION IF EXISTS public.normalize_phone_e164(TEXT);
@@ -0,0 +1,5 @@
+-- Rollback: Remove the reschedule function
+-- Customers will not be able to move appointments until 004_reschedule_appointment.sql is run again
+-- Execute this in Supabase SQL Editor
+
+DROP FUNCTION IF EXISTS public.reschedule_appointment(UUID, DATE, TIME);
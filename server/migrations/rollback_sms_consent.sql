@@ -0,0 +1,6 @@
+-- Rollback: Remove text message consent and opt-outs
+-- Warning: the opt-out list is lost, so numbers that texted STOP will be texted again
+-- Execute this in Supabase SQL Editor
+
+DROP TABLE IF EXISTS public.sms_consent_events;
+DROP TABLE IF EXISTS public.sms_consent;
@@ -0,0 +1,5 @@
+-- Rollback: Remove the waitlist
+-- Appointments booked from waitlist offers are not affected
+-- Execute this in Supabase SQL Editor
+
+DROP TABLE IF EXISTS public.waitlist_entries;
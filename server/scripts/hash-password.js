@@ -0,0 +1,21 @@
+// ============================================
+// Hash an admin password for the .env file
+// Usage: npm run hash-password -- "your-password"
+// ============================================
+
+const { hashPassword } = require('../services/authService');
+
+const password = process.argv[2];
+
+if (!password) {
+    console.error('Usage: npm run hash-password -- "your-password"');
+    process.exit(1);
+}
+
+hashPassword(password).then(hash => {
+    console.log('\nAdd this line to your .env file:\n');
+    console.log(`ADMIN_PASSWORD_HASH=${hash}\n`);
+}).catch(err => {
+    console.error('Failed to hash password:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,54 @@
+// ============================================
+// Replay a recorded Twilio webhook against the local server
+// Usage: npm run replay-sms -- scripts/fixtures/inbound-sms/cancel.json [--from +15552345678] [--body "CONFIRM"]
+// Signs the payload with TWILIO_AUTH_TOKEN the same way Twilio does, so the
+// signature check in POST /api/sms/inbound runs exactly as in production
+// ============================================
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { webhookUrl, signWebhookPayload } = require('../services/inboundSmsService');
+
+const args = process.argv.slice(2);
+const file = args[0];
+
+if (!file || file.startsWith('--')) {
+    console.error('Usage: npm run replay-sms -- <payload.json> [--from +15552345678] [--body "CONFIRM"]');
+    process.exit(1);
+}
+
+if (!process.env.TWILIO_AUTH_TOKEN) {
+    console.error('TWILIO_AUTH_TOKEN must be set (any value works locally, as long as the server uses the same one)');
+    process.exit(1);
+}
+
+const payload = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+// Override fields from the command line
+const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+};
+if (option('from')) payload.From = option('from');
+if (option('body')) payload.Body = option('body');
+
+// Signatures cover the public URL, but the request goes to this server
+const localUrl = process.env.REPLAY_URL || `http://localhost:${process.env.PORT || 3000}/api/sms/inbound`;
+
+fetch(localUrl, {
+    method: 'POST',
+    headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Twilio-Signature': signWebhookPayload(payload)
+    },
+    body: new URLSearchParams(payload).toString()
+}).then(async response => {
+    console.log(`Signed for ${webhookUrl}, sent to ${localUrl}`);
+    console.log(`${response.status} ${response.statusText}`);
+    console.log(await response.text());
+}).catch(err => {
+    console.error('Failed to replay webhook:', err.message);
+    process.exit(1);
+});
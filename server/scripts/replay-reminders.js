@@ -0,0 +1,243 @@
+// ============================================
+// Replay the reminder schedule against an in-memory database, on a fake clock
+// Usage: npm run replay-reminders
+// Runs the real reminder job (services/reminderService.js) through three cases and checks each one:
+//   1. Two servers running the job side by side send every stage exactly once
+//   2. A send interrupted mid-way (the server stopped) is retried once its lease runs out
+//   3. A failing send is retried after 1, 2, 4 and 8 minutes, then given up
+// Nothing is sent and no database is needed; exits with 1 if a check fails
+// ============================================
+
+const { toDateString, getAppointmentStart } = require('../services/dateService');
+const {
+    MAX_REMINDER_ATTEMPTS,
+    SEND_LEASE_MINUTES,
+    parseReminderOffsets,
+    createReminderScheduler
+} = require('../services/reminderService');
+
+const OFFSETS = parseReminderOffsets('24h,2h');
+
+// ============================================
+// IN-MEMORY DATABASE
+// ============================================
+// Just the parts of the Supabase query builder the reminder job uses, on two tables
+
+function createMemoryDatabase() {
+    const tables = { appointments: [], notifications_sent: [] };
+    let nextId = 1;
+
+    function from(table) {
+        const query = { action: 'select', filters: [], join: false, single: false };
+
+        const builder = {
+            select(columns = '*') {
+                query.returning = true;
+                query.join = columns.includes('appointments(');
+                return builder;
+            },
+            eq(column, value) {
+                query.filters.push(row => row[column] === value);
+                return builder;
+            },
+            gte(column, value) {
+                query.filters.push(row => row[column] >= value);
+                return builder;
+            },
+            lte(column, value) {
+                query.filters.push(row => row[column] !== null && row[column] <= value);
+                return builder;
+            },
+            in(column, values) {
+                query.filters.push(row => values.includes(row[column]));
+                return builder;
+            },
+            not(column, operator, value) {
+                query.filters.push(row => row[column] !== value);
+                return builder;
+            },
+            update(values) {
+                Object.assign(query, { action: 'update', values });
+                return builder;
+            },
+            upsert(values, options) {
+                Object.assign(query, { action: 'upsert', values, options });
+                return builder;
+            },
+            maybeSingle() {
+                query.single = true;
+                return builder;
+            },
+            then(resolve, reject) {
+                return Promise.resolve().then(() => run(table, query)).then(resolve, reject);
+            }
+        };
+
+        return builder;
+    }
+
+    function run(table, query) {
+        const rows = tables[table];
+        let result;
+
+        if (query.action === 'upsert') {
+            // The unique key: a duplicate is ignored, like ON CONFLICT DO NOTHING
+            const keys = query.options.onConflict.split(',');
+            const duplicate = rows.some(row => keys.every(key => row[key] === query.values[key]));
+            result = duplicate ? [] : [{ id: nextId++, ...query.values }];
+            rows.push(...result);
+        } else {
+            result = rows.filter(row => query.filters.every(filter => filter(row)));
+            if (query.action === 'update') {
+                result.forEach(row => Object.assign(row, query.values));
+            }
+        }
+
+        let data = result.map(row => ({ ...row }));
+        if (query.join) {
+            data = data.map(row => ({ ...row, appointments: tables.appointments.find(apt => apt.id === row.appointment_id) || null }));
+        }
+
+        return { data: query.single ? data[0] || null : data, error: null };
+    }
+
+    return { tables, from };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+let failures = 0;
+
+function check(label, passed) {
+    console.log(`  ${passed ? 'ok  ' : 'FAIL'} ${label}`);
+    if (!passed) failures++;
+}
+
+/**
+ * A database with one accepted appointment two days from now at 14:00, booked a week ago
+ */
+function setUp() {
+    const db = createMemoryDatabase();
+    const start = new Date();
+    start.setDate(start.getDate() + 2);
+    start.setHours(14, 0, 0, 0);
+
+    const booked = new Date(start.getTime() - 7 * 24 * 3600000);
+    const apt = { id: 'apt-1', date: toDateString(start), time: '14:00:00', status: 'accepted', created_at: booked.toISOString() };
+    db.tables.appointments.push(apt);
+
+    return { db, apt, start: getAppointmentStart(apt) };
+}
+
+/**
+ * A reminder job on the shared clock; send(channel, appointment) stands in for the SMS provider
+ */
+function createJob(db, clock, send) {
+    return createReminderScheduler({
+        supabase: db,
+        offsets: OFFSETS,
+        formatAppointment: row => ({ id: row.id, date: row.date, time: String(row.time).slice(0, 5) }),
+        getChannels: () => ['sms'],
+        sendReminder: send,
+        now: () => new Date(clock.time)
+    });
+}
+
+/**
+ * "T-24:00" - the clock relative to the appointment
+ */
+function describeClock(clock, start) {
+    const minutes = Math.round((start - clock.time) / 60000);
+    return `T-${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// ============================================
+// CASES
+// ============================================
+
+async function replayExactlyOnce() {
+    console.log('\n1. Two servers run the job every minute from T-26h to the appointment');
+    const { db, start } = setUp();
+    const clock = { time: start.getTime() - 26 * 3600000 };
+    const sends = [];
+    const send = async (channel, appointment) => {
+        sends.push(describeClock(clock, start));
+        return { success: true };
+    };
+    const servers = [createJob(db, clock, send), createJob(db, clock, send)];
+
+    while (clock.time < start.getTime()) {
+        await Promise.all(servers.map(server => server.runOnce()));
+        clock.time += 60000;
+    }
+
+    console.log(`  Sent at ${sends.join(', ')}`);
+    check('one send per stage', sends.length === OFFSETS.length);
+    check('24h stage sent at T-24:00 and 2h stage at T-2:00', sends.join() === 'T-24:00,T-2:00');
+    check('both stages recorded as sent', db.tables.notifications_sent.every(row => row.status === 'sent' && row.attempts === 1));
+}
+
+async function replayInterruptedSend() {
+    console.log(`\n2. The server stops mid-send at T-2:00; another keeps running the job (lease: ${SEND_LEASE_MINUTES} minutes)`);
+    const { db, start } = setUp();
+    const clock = { time: start.getTime() - 2 * 3600000 };
+    const sends = [];
+
+    // The first server's provider call never returns, so the row is left "sending"
+    const stopped = createJob(db, clock, () => new Promise(() => {}));
+    stopped.sendDueReminders();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const row = db.tables.notifications_sent.find(record => record.offset_minutes === 120);
+    check('the 2h stage is claimed and left "sending"', row && row.status === 'sending');
+
+    const server = createJob(db, clock, async () => {
+        sends.push(describeClock(clock, start));
+        return { success: true };
+    });
+    for (let minute = 1; minute <= SEND_LEASE_MINUTES + 5; minute++) {
+        clock.time += 60000;
+        await server.runOnce();
+    }
+
+    console.log(`  Sent at ${sends.join(', ') || 'never'}`);
+    check(`not retried while the lease holds, then retried at T-1:${60 - SEND_LEASE_MINUTES}`, sends.join() === `T-1:${60 - SEND_LEASE_MINUTES}`);
+    check('recorded as sent on attempt 2', row.status === 'sent' && row.attempts === 2);
+}
+
+async function replayBackoff() {
+    console.log('\n3. The provider fails every time from T-2:00');
+    const { db, start } = setUp();
+    const clock = { time: start.getTime() - 2 * 3600000 };
+    const attempts = [];
+    const server = createJob(db, clock, async () => {
+        attempts.push(clock.time);
+        return { success: false, error: 'Provider unavailable' };
+    });
+
+    for (let minute = 0; minute <= 60; minute++) {
+        await server.runOnce();
+        clock.time += 60000;
+    }
+
+    const gaps = attempts.slice(1).map((time, i) => (time - attempts[i]) / 60000);
+    const row = db.tables.notifications_sent.find(record => record.offset_minutes === 120);
+    console.log(`  Attempts at ${attempts.map(time => describeClock({ time }, start)).join(', ')}`);
+    check(`${MAX_REMINDER_ATTEMPTS} attempts`, attempts.length === MAX_REMINDER_ATTEMPTS);
+    check('retried after 1, 2, 4 and 8 minutes', gaps.join() === '1,2,4,8');
+    check('given up as failed with no next attempt', row.status === 'failed' && row.next_attempt_at === null);
+}
+
+replayExactlyOnce()
+    .then(replayInterruptedSend)
+    .then(replayBackoff)
+    .then(() => {
+        console.log(failures === 0 ? '\nAll checks passed' : `\n${failures} check(s) failed`);
+        process.exitCode = failures === 0 ? 0 : 1;
+    })
+    .catch(err => {
+        console.error('Replay failed:', err);
+        process.exit(1);
+    });
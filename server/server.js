@@ -12,7 +12,26 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
-const { sendAppointmentConfirmation, sendAppointmentStatusUpdate, sendAppointmentReminder, sendAppointmentCancellation } = require('./services/smsService');
+const { NOTIFICATION_CHANNELS, getNotificationChannels, sendAppointmentConfirmation, sendAppointmentStatusUpdate, sendAppointmentReminderOn, sendAppointmentCancellation, sendCustomerCancellationConfirmation, sendWaitlistOffer, sendLoginCode } = require('./services/appointmentNotificationService');
+const notifications = require('./services/notificationService');
+const messageTemplates = require('./services/messageTemplateService');
+const reminders = require('./services/reminderService');
+const inboundSms = require('./services/inboundSmsService');
+const smsConsent = require('./services/smsConsentService');
+const customerProfiles = require('./services/customerService');
+const customerLogin = require('./services/customerLoginService');
+const payments = require('./services/paymentService');
+const deposits = require('./services/depositService');
+const checkouts = require('./services/checkoutService');
+const appointmentStatus = require('./services/appointmentStatusService');
+const appointmentArchive = require('./services/appointmentArchiveService');
+const analytics = require('./services/analyticsService');
+const expenses = require('./services/expenseService');
+const { validateBody, validateQuery } = require('./services/validationService');
+const { getAppointmentStart } = require('./services/dateService');
+const { normalizePhone } = require('../js/phone');
+const auth = require('./services/authService');
+const manageLinks = require('./services/manageLinkService');
 const cron = require('node-cron');
 
 // Create Express app
@@ -27,11 +46,26 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 
 // Parse JSON request bodies - converts JSON data from frontend into JavaScript objects
-app.use(express.json());
+// The raw bytes are kept too, because payment webhook signatures cover the exact body
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // Serve static files from project root (frontend HTML, CSS, JS)
 const staticPath = path.join(__dirname, '..');
 console.log('📁 Serving static files from:', staticPath);
+
+// The outbox file holds login codes, manage links and waitlist claim links - anything under staticPath can be downloaded
+const outboxFile = notifications.getOutboxFile();
+const outboxRelativePath = outboxFile && path.relative(staticPath, outboxFile);
+if (outboxFile && !outboxRelativePath.startsWith('..') && !path.isAbsolute(outboxRelativePath)) {
+    console.error(`ERROR: OUTBOX_FILE (${outboxFile}) is inside the folder the site is served from, so anyone could download it.`);
+    console.error('Please set OUTBOX_FILE to a path outside it, e.g. /tmp/gj-fadezz-outbox.jsonl');
+    process.exit(1);
+}
+
 app.use(express.static(staticPath));
 
 // ============================================
@@ -53,21 +87,587 @@ if (!supabaseUrl || !supabaseKey) {
 // Create Supabase client - this is your connection to the database
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Convert an appointments row to the frontend format
+ * Database: { customer_name, customer_email, customer_phone, ... }
+ * Frontend: { customer: { name, email, phone }, ... }
+ */
+function formatAppointment(item) {
+    return {
+        id: item.id,
+        customer: {
+            name: item.customer_name,
+            email: item.customer_email,
+            phone: item.customer_phone
+        },
+        serviceId: item.service_id || null,
+        service: item.service,
+        price: item.price,
+        duration: item.duration,
+        date: item.date,
+        time: item.time,
+        status: item.status,
+        ...appointmentStatus.formatStatusTimestamps(item),
+        notificationChannel: item.notification_channel || 'sms',
+        customerConfirmedAt: item.customer_confirmed_at || null,
+        customerId: item.customer_id || null,
+        deposit: deposits.formatDeposit(item),
+        checkout: checkouts.formatCheckout(item),
+        includeInAnalytics: item.include_in_analytics !== false, // Default to true
+        ...appointmentArchive.formatArchiveFields(item),
+        created_at: item.created_at,
+        updated_at: item.updated_at
+    };
+}
+
+/**
+ * Convert a services row to the frontend format
+ * Database: { is_active, sort_order, price: 30, deposit_amount: 10 }
+ * Frontend: { active, sortOrder, price: "30.00", depositAmount: "10.00" }
+ */
+function formatService(item) {
+    return {
+        id: item.id,
+        name: item.name,
+        description: item.description || '',
+        price: Number(item.price).toFixed(2),
+        depositAmount: Number(item.deposit_amount || 0).toFixed(2),
+        duration: item.duration,
+        active: item.is_active !== false,
+        sortOrder: item.sort_order || 0
+    };
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Bookings that take up their time - including ones still waiting for their deposit
+// (unpaid holds are removed by a scheduled job once payment_expires_at passes)
+const SLOT_HOLDING_STATUSES = ['pending', 'accepted', 'awaiting_payment'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Used for older appointments saved before durations were recorded
+const DEFAULT_APPOINTMENT_DURATION = 45;
+
+// How far ahead weekly templates are expanded when no end date is given
+const AVAILABILITY_HORIZON_DAYS = 60;
+// Upper limit on a single expansion so a huge range can't tie up the server
+const MAX_AVAILABILITY_RANGE_DAYS = 366;
+
+/**
+ * Format a Date as "YYYY-MM-DD" in server local time
+ */
+function formatDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Add days to a "YYYY-MM-DD" string
+ */
+function addDaysToDate(dateStr, days) {
+    // Parse date string to avoid timezone issues
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return formatDateString(new Date(year, month - 1, day + days)); // month is 0-indexed
+}
+
+/**
+ * Validate and normalize a list of { start, end } time ranges (opening hours or breaks)
+ * Accepts "HH:MM" or "HH:MM:SS" times; a range copied from a fixed-interval template keeps its step
+ * @returns {Array|null} - Ranges sorted by start time, or null if any range is invalid
+ */
+function parseTimeRanges(value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) return null;
+
+    const ranges = [];
+    for (const range of value) {
+        const start = range && String(range.start).slice(0, 5);
+        const end = range && String(range.end).slice(0, 5);
+        if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || timeToMinutes(end) <= timeToMinutes(start)) {
+            return null;
+        }
+        const step = parseInt(range.step);
+        ranges.push(step >= 5 ? { start, end, step } : { start, end });
+    }
+    return ranges.sort((a, b) => timeToMinutes(a.start) - timeToMinutes(b.start));
+}
+
+/**
+ * Convert an availability row to the frontend format
+ * Database: { date, open_ranges: [{ start, end }], breaks: [...], time_ranges: ["13:30", ...], is_closed }
+ * Frontend: [dateStr, { ranges, breaks, timeSlots: [...], closed, available, source: "override" }]
+ * time_ranges holds a fixed list of start times for days saved before opening ranges existed
+ */
+function formatAvailabilityRow(item) {
+    // Format date to YYYY-MM-DD string (in case it comes as Date object)
+    const dateStr = typeof item.date === 'string' ? item.date : formatDateString(item.date);
+
+    const dayInfo = {
+        ranges: parseTimeRanges(item.open_ranges) || [],
+        breaks: parseTimeRanges(item.breaks) || [],
+        timeSlots: item.time_ranges || [],
+        closed: item.is_closed || false,
+        available: !item.is_closed,
+        source: 'override'
+    };
+
+    // For range days, timeSlots previews the start times for a default-length service
+    if (dayInfo.ranges.length > 0) {
+        dayInfo.timeSlots = generateDaySlots(dayInfo, DEFAULT_APPOINTMENT_DURATION);
+    }
+
+    return [dateStr, dayInfo];
+}
+
+/**
+ * Convert an availability_templates row to the frontend format
+ * Database: { day_of_week, start_time: "13:30:00", end_time, interval_minutes, breaks, is_active }
+ * Frontend: { dayOfWeek, startTime: "13:30", endTime, interval, breaks: [{ start, end }], active }
+ * interval is null when start times follow each service's duration
+ */
+function formatTemplate(item) {
+    return {
+        id: item.id,
+        dayOfWeek: item.day_of_week,
+        startTime: String(item.start_time).slice(0, 5),
+        endTime: String(item.end_time).slice(0, 5),
+        interval: item.interval_minutes || null,
+        breaks: parseTimeRanges(item.breaks) || [],
+        active: item.is_active !== false
+    };
+}
+
+/**
+ * Cut blocked periods (breaks, bookings) out of a list of open windows
+ * @param {Array} windows - [{ start, end, step }] in minutes since midnight
+ * @param {Array} blocks - [{ start, end }] in minutes since midnight
+ * @returns {Array} - The remaining windows, keeping each window's step
+ */
+function subtractWindows(windows, blocks) {
+    return blocks.reduce((remaining, block) => remaining.flatMap(window => {
+        if (block.end <= window.start || block.start >= window.end) return [window];
+
+        const pieces = [];
+        if (block.start > window.start) pieces.push({ ...window, end: block.start });
+        if (block.end < window.end) pieces.push({ ...window, start: block.end });
+        return pieces;
+    }), windows);
+}
+
+/**
+ * Get a day's opening ranges with its breaks taken out
+ * @param {Object} dayInfo - { ranges: [{ start, end, step? }], breaks: [{ start, end }] }
+ * @returns {Array} - [{ start, end, step }] in minutes since midnight
+ */
+function getOpenWindows(dayInfo) {
+    const windows = (dayInfo.ranges || []).map(range => ({
+        start: timeToMinutes(range.start),
+        end: timeToMinutes(range.end),
+        step: range.step || null
+    }));
+    const breaks = (dayInfo.breaks || []).map(b => ({ start: timeToMinutes(b.start), end: timeToMinutes(b.end) }));
+
+    return subtractWindows(windows, breaks);
+}
+
+/**
+ * List the bookable start times on a day for a service of a given length
+ * Each free window is stepped through by the service duration (or the template's fixed interval),
+ * and a start time is only offered if the whole service fits before the window closes
+ * Days saved as a fixed list of times use that list as-is
+ * @param {Object} dayInfo - { ranges, breaks, timeSlots, closed }
+ * @param {number} duration - Service length in minutes
+ * @param {Array} bookings - Existing bookings on the day ({ time, duration }) to work around
+ * @returns {Array<string>} - e.g. ["13:30", "14:00", ...]
+ */
+function generateDaySlots(dayInfo, duration, bookings = []) {
+    if (!dayInfo || dayInfo.closed) return [];
+
+    if (!dayInfo.ranges || dayInfo.ranges.length === 0) {
+        return (dayInfo.timeSlots || [])
+            .filter(slot => !findOverlappingBooking(bookings, slot, duration))
+            .sort((a, b) => timeToMinutes(a) - timeToMinutes(b));
+    }
+
+    const booked = bookings.map(booking => {
+        const start = timeToMinutes(booking.time);
+        return { start, end: start + (parseInt(booking.duration) || DEFAULT_APPOINTMENT_DURATION) };
+    });
+
+    const slots = new Set();
+    subtractWindows(getOpenWindows(dayInfo), booked).forEach(window => {
+        const step = window.step || duration;
+        for (let start = window.start; start + duration <= window.end; start += step) {
+            slots.add(minutesToTime(start));
+        }
+    });
+
+    return [...slots].sort((a, b) => timeToMinutes(a) - timeToMinutes(b));
+}
+
+/**
+ * Check that a service starting at `time` fits inside the day's opening hours without crossing a break
+ * Days saved as a fixed list of times only accept those times
+ */
+function isWithinOpeningHours(dayInfo, time, duration) {
+    if (!dayInfo || dayInfo.closed) return false;
+
+    const start = timeToMinutes(time);
+    if (!dayInfo.ranges || dayInfo.ranges.length === 0) {
+        return (dayInfo.timeSlots || []).some(slot => timeToMinutes(slot) === start);
+    }
+
+    return getOpenWindows(dayInfo).some(window => start >= window.start && start + duration <= window.end);
+}
+
+/**
+ * Build availability for a date range from weekly templates, then apply per-date overrides
+ * Overrides are applied even if they fall outside the range
+ * @param {string} startDate - "YYYY-MM-DD"
+ * @param {string} endDate - "YYYY-MM-DD"
+ * @param {Array} templates - Active availability_templates rows
+ * @param {Array} overrides - availability rows
+ * @returns {Object} - { "YYYY-MM-DD": { ranges, breaks, timeSlots, closed, available, source } }
+ */
+function expandAvailability(startDate, endDate, templates, overrides) {
+    const availability = {};
+
+    for (let i = 0, dateStr = startDate; dateStr <= endDate && i < MAX_AVAILABILITY_RANGE_DAYS; i++, dateStr = addDaysToDate(dateStr, 1)) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const dayOfWeek = new Date(year, month - 1, day).getDay();
+
+        // A day can have more than one template (e.g. morning and evening hours)
+        const dayTemplates = (templates || []).filter(t => t.day_of_week === dayOfWeek).map(formatTemplate);
+
+        if (dayTemplates.length > 0) {
+            const dayInfo = {
+                ranges: dayTemplates.map(t => (t.interval ? { start: t.startTime, end: t.endTime, step: t.interval } : { start: t.startTime, end: t.endTime })),
+                breaks: dayTemplates.flatMap(t => t.breaks),
+                closed: false,
+                available: true,
+                source: 'template'
+            };
+            dayInfo.timeSlots = generateDaySlots(dayInfo, DEFAULT_APPOINTMENT_DURATION);
+            availability[dateStr] = dayInfo;
+        }
+    }
+
+    (overrides || []).forEach(item => {
+        const [dateStr, dayInfo] = formatAvailabilityRow(item);
+        availability[dateStr] = dayInfo;
+    });
+
+    return availability;
+}
+
+/**
+ * Load availability (templates + overrides) for a date range
+ * @returns {Promise<{ availability?: Object, error?: Object }>}
+ */
+async function getAvailabilityRange(startDate, endDate) {
+    const [overrideResult, templateResult] = await Promise.all([
+        supabase.from('availability').select('*').gte('date', startDate).lte('date', endDate),
+        supabase.from('availability_templates').select('*').eq('is_active', true)
+    ]);
+
+    if (overrideResult.error) return { error: overrideResult.error };
+    if (templateResult.error) return { error: templateResult.error };
+
+    return { availability: expandAvailability(startDate, endDate, templateResult.data, overrideResult.data) };
+}
+
+/**
+ * Convert "HH:MM" (or "HH:MM:SS") to minutes since midnight
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ */
+function minutesToTime(totalMinutes) {
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Convert minutes since midnight to a display time like "2:45 PM"
+ */
+function formatMinutes(totalMinutes) {
+    const hour = Math.floor(totalMinutes / 60) % 24;
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    const ampm = hour >= 12 ? 'PM' : 'AM';
+    return `${hour % 12 || 12}:${minutes} ${ampm}`;
+}
+
+/**
+ * Find an existing booking that overlaps the requested time range
+ * Two bookings overlap when each one starts before the other ends
+ * @param {Array} bookings - Rows with { time, duration }
+ * @param {string} time - Requested start time "HH:MM"
+ * @param {number} duration - Requested length in minutes
+ * @returns {Object|null} - The first overlapping booking, or null
+ */
+function findOverlappingBooking(bookings, time, duration) {
+    const start = timeToMinutes(time);
+    const end = start + duration;
+
+    return (bookings || []).find(booking => {
+        const bookingStart = timeToMinutes(booking.time);
+        const bookingEnd = bookingStart + (parseInt(booking.duration) || DEFAULT_APPOINTMENT_DURATION);
+        return start < bookingEnd && bookingStart < end;
+    }) || null;
+}
+
+/**
+ * Find the next open slots after a requested time, for suggesting alternatives
+ * Looks at the requested date first, then the following days with availability
+ * @param {string} date - Requested date "YYYY-MM-DD"
+ * @param {string} time - Requested start time "HH:MM"
+ * @param {number} duration - Length of the service in minutes
+ * @param {number} limit - Maximum number of alternatives to return
+ * @returns {Promise<Array>} - [{ date: "2024-01-15", time: "15:00" }]
+ */
+async function findAlternativeSlots(date, time, duration, limit = 3) {
+    const endDate = addDaysToDate(date, 30);
+    const { availability, error: availError } = await getAvailabilityRange(date, endDate);
+
+    if (availError) {
+        console.error('Error loading availability for alternatives:', availError);
+        return [];
+    }
+
+    const days = Object.keys(availability).sort()
+        .filter(dateStr => dateStr >= date && dateStr <= endDate)
+        .map(dateStr => ({ date: dateStr, ...availability[dateStr] }));
+
+    if (days.length === 0) {
+        return [];
+    }
+
+    const { data: bookings, error: bookingError } = await supabase
+        .from('appointments')
+        .select('date, time, duration')
+        .gte('date', date)
+        .lte('date', endDate)
+        .in('status', SLOT_HOLDING_STATUSES);
+
+    if (bookingError) {
+        console.error('Error loading bookings for alternatives:', bookingError);
+        return [];
+    }
+
+    const alternatives = [];
+    const requestedStart = timeToMinutes(time);
+
+    for (const day of days) {
+        if (day.closed) continue;
+
+        const dayBookings = (bookings || []).filter(b => b.date === day.date);
+
+        for (const slot of generateDaySlots(day, duration, dayBookings)) {
+            if (day.date === date && timeToMinutes(slot) <= requestedStart) continue;
+
+            alternatives.push({ date: day.date, time: slot });
+            if (alternatives.length >= limit) return alternatives;
+        }
+    }
+
+    return alternatives;
+}
+
+/**
+ * Check that a date is open and the requested time fits inside its opening hours
+ * Shared by new bookings and customer reschedules
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - Requested start time "HH:MM"
+ * @param {number} duration - Length of the service in minutes
+ * @param {string} logPrefix - Route name for log messages
+ * @returns {Promise<string|null>} - Error message, or null if the time can be booked
+ */
+async function checkSlotOpen(date, time, duration, logPrefix) {
+    if (!DATE_PATTERN.test(String(date))) {
+        return 'Invalid date format. Expected YYYY-MM-DD';
+    }
+    if (!TIME_PATTERN.test(String(time).slice(0, 5))) {
+        return 'Invalid time format. Expected HH:MM';
+    }
+
+    // Weekly templates and per-date overrides both count
+    const { availability, error: availError } = await getAvailabilityRange(date, date);
+    const availabilityData = availability && availability[date];
+
+    // If date is closed or not found, reject booking
+    if (availError) {
+        console.log(`${logPrefix} Availability check error:`, availError.message);
+        return `This date is not available for booking: ${availError.message}`;
+    }
+    if (!availabilityData || (!availabilityData.closed && availabilityData.ranges.length === 0 && availabilityData.timeSlots.length === 0)) {
+        console.log(`${logPrefix} No availability data found for date:`, date);
+        return 'This date is not available for booking. Please select a date with available time slots.';
+    }
+    if (availabilityData.closed) {
+        console.log(`${logPrefix} Date is marked as closed:`, date);
+        return 'This date is closed and not available for booking';
+    }
+    if (!isWithinOpeningHours(availabilityData, time, duration)) {
+        console.log(`${logPrefix} Time is outside opening hours:`, { date, time, duration });
+        return 'This time is outside opening hours for this service. Please choose one of the available times.';
+    }
+
+    return null;
+}
+
+/**
+ * Respond 409 when book_appointment/reschedule_appointment reports an overlap (code 23P01)
+ * Includes the next open slots so the customer can pick another time
+ */
+async function sendBookingConflict(res, error, date, time, duration, logPrefix) {
+    let overlapping = {};
+    try {
+        overlapping = JSON.parse(error.details);
+    } catch (parseError) {
+        // Details are only used to improve the message
+    }
+
+    const alternatives = await findAlternativeSlots(date, time, duration);
+    console.log(`${logPrefix} Overlaps existing booking:`, { date, time, existing: overlapping });
+
+    let message = 'This time slot is no longer available.';
+    if (overlapping.time) {
+        const overlapStart = timeToMinutes(overlapping.time);
+        const overlapEnd = overlapStart + (parseInt(overlapping.duration) || DEFAULT_APPOINTMENT_DURATION);
+        message = `This time slot overlaps an existing booking from ${formatMinutes(overlapStart)} to ${formatMinutes(overlapEnd)}.`;
+    }
+
+    return res.status(409).json({
+        error: `${message} Please choose another time.`,
+        alternatives
+    });
+}
+
+/**
+ * Send 422 for a request that doesn't match its schema (see services/validationService.js)
+ * error is the first problem, for pages that show a single message; details lists them all
+ * @param {Object[]} errors - [{ field, message }]
+ */
+function sendValidationError(res, errors) {
+    return res.status(422).json({ error: errors[0].message, details: errors });
+}
+
+// ============================================
+// API ENDPOINTS - ADMIN AUTHENTICATION
+// ============================================
+
+const ADMIN_LOGIN_SCHEMA = {
+    username: { type: 'string', required: true, message: 'Username and password are required' },
+    password: { type: 'string', required: true, trim: false, message: 'Username and password are required' }
+};
+
+/**
+ * POST /api/admin/login
+ * Signs the admin in and sets an HttpOnly session cookie
+ * Request body: { username: "...", password: "..." }
+ * Returns: { authenticated: true, username, expiresAt }
+ */
+app.post('/api/admin/login', async (req, res) => {
+    try {
+        const ip = req.ip;
+
+        if (!auth.isAdminConfigured()) {
+            console.log('[POST /api/admin/login] Login attempted but admin credentials are not configured');
+            return res.status(503).json({ error: 'Admin login is not configured on this server' });
+        }
+
+        if (!auth.isLoginAllowed(ip)) {
+            console.log(`[POST /api/admin/login] Too many failed attempts from ${ip}`);
+            return res.status(429).json({ error: 'Too many failed login attempts. Please try again in 15 minutes.' });
+        }
+
+        const { data: credentials, errors } = validateBody(req.body, ADMIN_LOGIN_SCHEMA);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { username, password } = credentials;
+
+        const isValid = await auth.authenticateAdmin(username, password);
+
+        if (!isValid) {
+            auth.recordFailedLogin(ip);
+            console.log(`[POST /api/admin/login] Failed login for "${username}" from ${ip}`);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        auth.clearFailedLogins(ip);
+        const { token, expiresAt } = auth.createSessionToken(username);
+        auth.setSessionCookie(res, token);
+
+        console.log(`[POST /api/admin/login] Admin "${username}" signed in`);
+        res.json({ authenticated: true, username, expiresAt });
+    } catch (error) {
+        console.error('[POST /api/admin/login] Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/logout
+ * Clears the admin session cookie
+ */
+app.post('/api/admin/logout', (req, res) => {
+    auth.clearSessionCookie(res);
+    res.json({ authenticated: false });
+});
+
+/**
+ * GET /api/admin/session
+ * Lets the admin panel check whether its session is still valid
+ * Returns: { authenticated: true, username, expiresAt } or 401
+ */
+app.get('/api/admin/session', auth.requireAdmin, (req, res) => {
+    res.json({ authenticated: true, username: req.admin.username, expiresAt: req.admin.expiresAt });
+});
+
 // ============================================
 // API ENDPOINTS - AVAILABILITY
 // ============================================
 
+// startDate/endDate filters, shared by the routes that list dates
+const DATE_RANGE_QUERY = {
+    startDate: { type: 'date' },
+    endDate: { type: 'date' }
+};
+
+const SLOTS_QUERY = {
+    ...DATE_RANGE_QUERY,
+    serviceId: { type: 'uuid' },
+    duration: { type: 'integer', min: 1 },
+    ignoreBookings: { type: 'boolean' }
+};
+
 /**
  * GET /api/availability
  * Returns availability for a date range in frontend-friendly format
+ * Weekly templates are expanded from startDate (default today) to endDate (default 60 days later),
+ * then per-date rows from the availability table override them
  * Query parameters: startDate (optional), endDate (optional)
  * Example: GET /api/availability?startDate=2024-01-15&endDate=2024-01-28
- * Returns: { availability: { "YYYY-MM-DD": { timeSlots: [...], closed: false } } }
+ * Returns: { availability: { "YYYY-MM-DD": { ranges: [{ start, end }], breaks: [...], timeSlots: [...], closed: false, source: "template" | "override" } } }
+ * timeSlots on range days is a preview for a 45-minute service - see /api/availability/slots for a specific service
  */
 app.get('/api/availability', async (req, res) => {
     try {
         // Get date range from query parameters (optional)
-        const { startDate, endDate } = req.query;
+        const { data: filters, errors } = validateQuery(req.query, DATE_RANGE_QUERY);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { startDate, endDate } = filters;
 
         // Build query to get availability from database
         let query = supabase
@@ -92,38 +692,23 @@ app.get('/api/availability', async (req, res) => {
             return res.status(500).json({ error: 'Failed to fetch availability', details: error.message });
         }
 
-        // Convert database array format to frontend object format
-        // Database: [{ date: "2024-01-15", time_ranges: [...], is_closed: false }]
-        // Frontend: { availability: { "2024-01-15": { timeSlots: [...], closed: false } } }
-        const availabilityResponse = {};
-        
-        if (data && Array.isArray(data)) {
-            data.forEach(item => {
-                // Format date to YYYY-MM-DD string (in case it comes as Date object)
-                // Parse in local time to avoid timezone issues
-                let dateStr;
-                if (typeof item.date === 'string') {
-                    dateStr = item.date;
-                } else {
-                    // If it's a Date object, extract local date components
-                    const year = item.date.getFullYear();
-                    const month = String(item.date.getMonth() + 1).padStart(2, '0');
-                    const day = String(item.date.getDate()).padStart(2, '0');
-                    dateStr = `${year}-${month}-${day}`;
-                }
-                
-                availabilityResponse[dateStr] = {
-                    timeSlots: item.time_ranges || [],
-                    closed: item.is_closed || false,
-                    available: !item.is_closed
-                };
-            });
-            
-            console.log(`[GET /api/availability] Converted ${data.length} date(s) to frontend format`);
-        } else {
-            console.log(`[GET /api/availability] No availability data found`);
+        const { data: templates, error: templateError } = await supabase
+            .from('availability_templates')
+            .select('*')
+            .eq('is_active', true);
+
+        if (templateError) {
+            console.error('Error fetching availability templates:', templateError);
+            return res.status(500).json({ error: 'Failed to fetch availability', details: templateError.message });
         }
 
+        // Expand weekly templates over the requested range, then apply per-date rows on top
+        const rangeStart = startDate || formatDateString(new Date());
+        const rangeEnd = endDate || addDaysToDate(rangeStart, AVAILABILITY_HORIZON_DAYS - 1);
+        const availabilityResponse = expandAvailability(rangeStart, rangeEnd, templates, data);
+
+        console.log(`[GET /api/availability] ${Object.keys(availabilityResponse).length} date(s) from ${(templates || []).length} template(s) and ${(data || []).length} override(s)`);
+
         // Success - send availability data in frontend format
         res.json({ availability: availabilityResponse });
     } catch (error) {
@@ -133,21 +718,123 @@ app.get('/api/availability', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/availability/slots
+ * Returns bookable start times for one service, worked out from each day's opening ranges,
+ * breaks and existing bookings - a 30-minute and a 60-minute service get different times
+ * Query parameters: serviceId or duration (minutes), startDate/endDate (optional, same defaults as above),
+ *                   ignoreBookings=true to leave existing bookings in (the manage page filters them itself)
+ * Example: GET /api/availability/slots?serviceId=...&startDate=2024-01-15&endDate=2024-01-28
+ * Returns: { duration: 45, availability: { "YYYY-MM-DD": { timeSlots: [...], closed: false, available: true, fullyBooked: false } } }
+ */
+app.get('/api/availability/slots', async (req, res) => {
+    try {
+        const { data: filters, errors } = validateQuery(req.query, SLOTS_QUERY);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { serviceId, startDate, endDate, ignoreBookings = false } = filters;
+
+        let duration = filters.duration;
+        if (serviceId) {
+            const { service, error: serviceError } = await findActiveService(serviceId);
+            if (serviceError) {
+                console.error('Error looking up service:', serviceError);
+                return res.status(500).json({ error: 'Failed to load service', details: serviceError.message });
+            }
+            if (!service) {
+                return res.status(404).json({ error: 'Service not found' });
+            }
+            duration = service.duration;
+        }
+        if (!duration) {
+            return sendValidationError(res, [{ field: 'serviceId', message: 'A serviceId or a duration in minutes is required' }]);
+        }
+
+        const rangeStart = startDate || formatDateString(new Date());
+        const rangeEnd = endDate || addDaysToDate(rangeStart, AVAILABILITY_HORIZON_DAYS - 1);
+
+        const { availability, error: availError } = await getAvailabilityRange(rangeStart, rangeEnd);
+        if (availError) {
+            console.error('Error fetching availability:', availError);
+            return res.status(500).json({ error: 'Failed to fetch availability', details: availError.message });
+        }
+
+        let bookings = [];
+        if (!ignoreBookings) {
+            const { data, error } = await supabase
+                .from('appointments')
+                .select('date, time, duration')
+                .gte('date', rangeStart)
+                .lte('date', rangeEnd)
+                .in('status', SLOT_HOLDING_STATUSES);
+
+            if (error) {
+                console.error('Error fetching booked slots:', error);
+                return res.status(500).json({ error: 'Failed to fetch booked slots', details: error.message });
+            }
+            bookings = data || [];
+        }
+
+        const slotsResponse = {};
+        Object.entries(availability).forEach(([dateStr, dayInfo]) => {
+            if (dateStr < rangeStart || dateStr > rangeEnd) return;
+
+            const dayBookings = bookings.filter(b => b.date === dateStr);
+            const timeSlots = generateDaySlots(dayInfo, duration, dayBookings);
+            slotsResponse[dateStr] = {
+                timeSlots,
+                closed: dayInfo.closed,
+                available: !dayInfo.closed && timeSlots.length > 0,
+                // Open, but every time is taken - the booking page offers the waitlist
+                fullyBooked: timeSlots.length === 0 && dayBookings.length > 0 && generateDaySlots(dayInfo, duration).length > 0
+            };
+        });
+
+        res.json({ duration, availability: slotsResponse });
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+const TIME_RANGES_MESSAGE = 'Opening hours and breaks need a start and end time (HH:MM), with the end after the start';
+
+// One day of POST /api/availability - available and source come back from GET and are ignored
+const AVAILABILITY_DAY_SCHEMA = {
+    ranges: { type: 'custom', parse: parseTimeRanges, message: TIME_RANGES_MESSAGE },
+    breaks: { type: 'custom', parse: parseTimeRanges, message: TIME_RANGES_MESSAGE },
+    timeSlots: { type: 'array', items: { type: 'time' } },
+    closed: { type: 'boolean' },
+    available: { type: 'boolean', readOnly: true },
+    source: { type: 'string', readOnly: true }
+};
+
+const AVAILABILITY_SCHEMA = {
+    availability: {
+        type: 'map',
+        required: true,
+        keys: { type: 'date' },
+        entries: { type: 'object', fields: AVAILABILITY_DAY_SCHEMA }
+    }
+};
+
 /**
  * POST /api/availability
- * Creates or updates availability for multiple dates
- * Request body: { availability: { "YYYY-MM-DD": { timeSlots: [...], closed: false } } }
+ * Creates or updates availability for multiple dates (admin only)
+ * Request body: { availability: { "YYYY-MM-DD": { ranges: [{ start, end }], breaks: [...], closed: false } } }
+ * A day can send timeSlots: [...] instead of ranges to offer a fixed list of start times
  * Accepts frontend format and converts to database format
  */
-app.post('/api/availability', async (req, res) => {
+app.post('/api/availability', auth.requireAdmin, async (req, res) => {
     try {
         // Frontend sends: { availability: { "2024-01-15": { timeSlots: [...], closed: false } } }
-        const { availability } = req.body;
-
-        // Validate that availability data is provided
-        if (!availability || typeof availability !== 'object') {
-            return res.status(400).json({ error: 'Availability data is required. Expected format: { availability: { "YYYY-MM-DD": { timeSlots: [...], closed: false } } }' });
+        // Every date is checked before any is saved
+        const { data: input, errors: validationErrors } = validateBody(req.body, AVAILABILITY_SCHEMA);
+        if (validationErrors.length > 0) {
+            return sendValidationError(res, validationErrors);
         }
+        const { availability } = input;
 
         const results = [];
         const errors = [];
@@ -158,23 +845,23 @@ app.post('/api/availability', async (req, res) => {
         // Process each date in the availability object
         for (const [dateStr, dayInfo] of Object.entries(availability)) {
             try {
-                // Validate date format
-                if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-                    errors.push({ date: dateStr, error: 'Invalid date format. Expected YYYY-MM-DD' });
-                    continue;
-                }
+                const ranges = dayInfo.ranges || [];
+                const breaks = dayInfo.breaks || [];
 
                 // Convert frontend format to database format
-                // Frontend: { timeSlots: [...], closed: false }
-                // Database: { time_ranges: [...], is_closed: false }
+                // Frontend: { ranges: [...], breaks: [...], timeSlots: [...], closed: false }
+                // Database: { open_ranges: [...], breaks: [...], time_ranges: [...], is_closed: false }
+                // When ranges are given, start times are generated per service, so the fixed list is cleared
                 const availabilityData = {
                     date: dateStr,
-                    time_ranges: dayInfo.timeSlots || [],
+                    open_ranges: ranges,
+                    breaks: breaks,
+                    time_ranges: ranges.length > 0 ? [] : (dayInfo.timeSlots || []),
                     is_closed: dayInfo.closed === true,
                     updated_at: new Date().toISOString()
                 };
 
-                console.log(`[POST /api/availability] Saving date ${dateStr}: ${availabilityData.time_ranges.length} time slots, closed: ${availabilityData.is_closed}`);
+                console.log(`[POST /api/availability] Saving date ${dateStr}: ${ranges.length} range(s), ${breaks.length} break(s), ${availabilityData.time_ranges.length} fixed time slots, closed: ${availabilityData.is_closed}`);
 
                 // Use Supabase upsert (insert or update if exists)
                 // This will create new record or update existing one based on date
@@ -209,23 +896,8 @@ app.post('/api/availability', async (req, res) => {
         // Convert saved results back to frontend format for response
         const availabilityResponse = {};
         results.forEach(item => {
-            // Format date to YYYY-MM-DD string (in case it comes as Date object)
-            // Parse in local time to avoid timezone issues
-            let dateStr;
-            if (typeof item.date === 'string') {
-                dateStr = item.date;
-            } else {
-                // If it's a Date object, extract local date components
-                const year = item.date.getFullYear();
-                const month = String(item.date.getMonth() + 1).padStart(2, '0');
-                const day = String(item.date.getDate()).padStart(2, '0');
-                dateStr = `${year}-${month}-${day}`;
-            }
-            availabilityResponse[dateStr] = {
-                timeSlots: item.time_ranges || [],
-                closed: item.is_closed || false,
-                available: !item.is_closed
-            };
+            const [dateStr, dayInfo] = formatAvailabilityRow(item);
+            availabilityResponse[dateStr] = dayInfo;
         });
 
         console.log(`[POST /api/availability] Successfully saved ${results.length} date(s), ${errors.length} error(s)`);
@@ -248,33 +920,483 @@ app.post('/api/availability', async (req, res) => {
     }
 });
 
-// ============================================
-// API ENDPOINTS - APPOINTMENTS
-// ============================================
-
 /**
- * GET /api/appointments
- * Returns all appointments (for admin panel) in frontend-friendly format
- * Query parameters: status (optional), startDate (optional), endDate (optional)
- * Example: GET /api/appointments?status=pending&startDate=2024-01-15
- * Returns: Array of appointments with customer object format
+ * DELETE /api/availability/:date
+ * Removes a per-date override so the day goes back to its weekly template (admin only)
+ * Returns: { availability: { "YYYY-MM-DD": {...} } } - empty if no template covers the day
  */
-app.get('/api/appointments', async (req, res) => {
+app.delete('/api/availability/:date', auth.requireAdmin, async (req, res) => {
     try {
-        // Get filter parameters from query string
-        const { status, startDate, endDate } = req.query;
+        const dateStr = req.params.date;
 
-        // Build query to get appointments from database
-        let query = supabase
-            .from('appointments')
-            .select('*')
-            .order('date', { ascending: true })
-            .order('time', { ascending: true });
+        if (!DATE_PATTERN.test(dateStr)) {
+            return res.status(400).json({ error: 'Invalid date format. Expected YYYY-MM-DD' });
+        }
 
-        // Apply filters if provided
-        if (status) {
-            query = query.eq('status', status); // eq = equals
+        const { error } = await supabase
+            .from('availability')
+            .delete()
+            .eq('date', dateStr);
+
+        if (error) {
+            console.error(`[DELETE /api/availability/${dateStr}] Error removing override:`, error);
+            return res.status(500).json({ error: 'Failed to reset availability', details: error.message });
+        }
+
+        const { availability, error: availError } = await getAvailabilityRange(dateStr, dateStr);
+        if (availError) {
+            console.error(`[DELETE /api/availability/${dateStr}] Error reloading availability:`, availError);
+            return res.status(500).json({ error: 'Failed to reload availability', details: availError.message });
+        }
+
+        console.log(`[DELETE /api/availability/${dateStr}] Reset to weekly template`);
+        res.json({ availability });
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// Request body of POST/PATCH /api/availability/templates
+// No interval means start times follow each service's duration
+const TEMPLATE_SCHEMA = {
+    dayOfWeek: { type: 'integer', required: true, min: 0, max: 6, column: 'day_of_week', message: 'Day of week must be 0 (Sunday) to 6 (Saturday)' },
+    startTime: { type: 'time', required: true, column: 'start_time', message: 'Start time must be in HH:MM format' },
+    endTime: { type: 'time', required: true, column: 'end_time', message: 'End time must be in HH:MM format' },
+    interval: { type: 'integer', min: 5, nullable: true, emptyAsNull: true, column: 'interval_minutes', message: 'Interval must be at least 5 minutes' },
+    breaks: { type: 'custom', parse: parseTimeRanges, message: 'Breaks need a start and end time (HH:MM), with the end after the start' },
+    active: { type: 'boolean', column: 'is_active' }
+};
+
+/**
+ * Validate a weekly template request body and convert it to database format
+ * @param {Object} body - { dayOfWeek, startTime: "13:30", endTime: "21:00", interval: 45 | null, breaks: [{ start, end }], active }
+ * @param {boolean} partial - true for PATCH (only provided fields are checked)
+ * @returns {{ data: Object, errors: Object[] }}
+ */
+function parseTemplateInput(body, partial) {
+    const { data, errors } = validateBody(body, TEMPLATE_SCHEMA, { partial });
+    if (errors.length > 0) {
+        return { data, errors };
+    }
+
+    if (!partial) {
+        if (data.interval_minutes === undefined) data.interval_minutes = null;
+        if (data.breaks === undefined) data.breaks = [];
+    }
+
+    if (data.start_time && data.end_time && timeToMinutes(data.end_time) <= timeToMinutes(data.start_time)) {
+        return { data, errors: [{ field: 'endTime', message: 'End time must be after start time' }] };
+    }
+    if (data.breaks && data.start_time && data.end_time) {
+        const outside = data.breaks.find(b => timeToMinutes(b.start) < timeToMinutes(data.start_time) || timeToMinutes(b.end) > timeToMinutes(data.end_time));
+        if (outside) {
+            return { data, errors: [{ field: 'breaks', message: `Break ${outside.start}-${outside.end} is outside the template's hours` }] };
+        }
+    }
+
+    return { data, errors };
+}
+
+/**
+ * GET /api/availability/templates
+ * Returns all weekly templates, including paused ones (admin only)
+ * Returns: [{ id, dayOfWeek: 1, startTime: "13:30", endTime: "21:00", interval: null, breaks: [{ start: "17:00", end: "17:30" }], active: true }]
+ */
+app.get('/api/availability/templates', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('availability_templates')
+            .select('*')
+            .order('day_of_week', { ascending: true })
+            .order('start_time', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching availability templates:', error);
+            return res.status(500).json({ error: 'Failed to fetch templates', details: error.message });
+        }
+
+        res.json((data || []).map(formatTemplate));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/availability/templates
+ * Adds weekly hours (admin only)
+ * Request body: { dayOfWeek: 1, startTime: "13:30", endTime: "21:00", breaks: [{ start: "17:00", end: "17:30" }] }
+ * interval is optional - leave it out to step start times by each service's duration
+ */
+app.post('/api/availability/templates', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data: templateData, errors } = parseTemplateInput(req.body, false);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const { data, error } = await supabase
+            .from('availability_templates')
+            .insert(templateData)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('[POST /api/availability/templates] Error creating template:', error);
+            return res.status(500).json({ error: 'Failed to create template', details: error.message });
+        }
+
+        console.log(`[POST /api/availability/templates] Created template for day ${data.day_of_week}`);
+        res.status(201).json(formatTemplate(data));
+    } catch (error) {
+        console.error('[POST /api/availability/templates] Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * PATCH /api/availability/templates/:id
+ * Updates weekly hours - only the provided fields change (admin only)
+ * Request body: any of { dayOfWeek, startTime, endTime, interval, breaks, active }
+ */
+app.patch('/api/availability/templates/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const templateId = req.params.id;
+
+        if (!UUID_PATTERN.test(templateId)) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const { data: templateData, errors } = parseTemplateInput(req.body, true);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        templateData.updated_at = new Date().toISOString();
+
+        const { data, error } = await supabase
+            .from('availability_templates')
+            .update(templateData)
+            .eq('id', templateId)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[PATCH /api/availability/templates/${templateId}] Error updating template:`, error);
+            // 23514 = check violation (e.g. end time before start time after a partial update)
+            if (error.code === '23514') {
+                return sendValidationError(res, [{ field: 'endTime', message: 'End time must be after start time' }]);
+            }
+            return res.status(500).json({ error: 'Failed to update template', details: error.message });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        console.log(`[PATCH /api/availability/templates/${templateId}] Updated template`);
+        res.json(formatTemplate(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/availability/templates/:id
+ * Removes weekly hours (admin only)
+ * Per-date overrides are not affected
+ */
+app.delete('/api/availability/templates/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const templateId = req.params.id;
+
+        if (!UUID_PATTERN.test(templateId)) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const { data, error } = await supabase
+            .from('availability_templates')
+            .delete()
+            .eq('id', templateId)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[DELETE /api/availability/templates/${templateId}] Error deleting template:`, error);
+            return res.status(500).json({ error: 'Failed to delete template', details: error.message });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        console.log(`[DELETE /api/availability/templates/${templateId}] Deleted template`);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - SERVICES
+// ============================================
+
+// Request body of POST/PATCH /api/services - form fields arrive as strings, so numbers may be "30.00"
+const SERVICE_SCHEMA = {
+    name: { type: 'string', required: true, message: 'Service name is required' },
+    description: { type: 'string' },
+    price: { type: 'number', required: true, min: 0, decimals: 2, message: 'Price must be a number of 0 or more' },
+    duration: { type: 'integer', required: true, min: 1, message: 'Duration must be a whole number of minutes greater than 0' },
+    depositAmount: { type: 'number', min: 0, decimals: 2, column: 'deposit_amount', message: 'Deposit must be a number of 0 or more' },
+    active: { type: 'boolean', column: 'is_active' },
+    sortOrder: { type: 'integer', column: 'sort_order', message: 'Sort order must be a whole number' }
+};
+
+/**
+ * Validate a service request body and convert it to database format
+ * @param {Object} body - { name, description, price, duration, depositAmount, active, sortOrder }
+ * @param {boolean} partial - true for PATCH (only provided fields are checked)
+ * @returns {{ data: Object, errors: Object[] }}
+ */
+function parseServiceInput(body, partial) {
+    const { data, errors } = validateBody(body, SERVICE_SCHEMA, { partial });
+    if (errors.length > 0) {
+        return { data, errors };
+    }
+
+    // A PATCH without the price is checked by the database constraint instead
+    if (data.price !== undefined && data.deposit_amount > data.price) {
+        return { data, errors: [{ field: 'depositAmount', message: "Deposit can't be more than the price" }] };
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Look up an active service by ID (preferred) or by name
+ * Used by bookings so price and duration always come from the catalog
+ * @returns {Promise<{ service?: Object, error?: Object }>} - Raw database row
+ */
+async function findActiveService(serviceId, serviceName) {
+    let query = supabase
+        .from('services')
+        .select('*')
+        .eq('is_active', true);
+
+    if (serviceId) {
+        if (!UUID_PATTERN.test(serviceId)) {
+            return { service: null };
+        }
+        query = query.eq('id', serviceId);
+    } else if (serviceName) {
+        query = query.eq('name', serviceName);
+    } else {
+        return { service: null };
+    }
+
+    const { data, error } = await query.maybeSingle();
+    return { service: data, error };
+}
+
+/**
+ * GET /api/services
+ * Returns the services catalog in display order
+ * Query parameters: includeInactive (optional, admin only)
+ * Returns: [{ id, name, description, price: "30.00", depositAmount: "0.00", duration: 45, active, sortOrder }]
+ */
+app.get('/api/services', async (req, res) => {
+    try {
+        const { data: filters, errors } = validateQuery(req.query, { includeInactive: { type: 'boolean' } });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const includeInactive = filters.includeInactive === true;
+
+        // Hidden services are only visible to the admin
+        if (includeInactive && !auth.getSession(req).valid) {
+            return res.status(401).json({ error: 'Authentication required', sessionExpired: false });
+        }
+
+        let query = supabase
+            .from('services')
+            .select('*')
+            .order('sort_order', { ascending: true })
+            .order('name', { ascending: true });
+
+        if (!includeInactive) {
+            query = query.eq('is_active', true);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error fetching services:', error);
+            return res.status(500).json({ error: 'Failed to fetch services', details: error.message });
+        }
+
+        // Customers see the deposit they'll actually be asked for; the admin sees what's set on the service
+        res.json((data || []).map(item => formatService(includeInactive ? item : { ...item, deposit_amount: getBookingDeposit(item) })));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/services
+ * Adds a service to the catalog (admin only)
+ * Request body: { name: "Haircut", description: "...", price: "30.00", duration: 45, depositAmount: "10.00", active: true, sortOrder: 1 }
+ */
+app.post('/api/services', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data: serviceData, errors } = parseServiceInput(req.body, false);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const { data, error } = await supabase
+            .from('services')
+            .insert(serviceData)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('[POST /api/services] Error creating service:', error);
+            // 23505 = unique violation (duplicate name)
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'A service with this name already exists' });
+            }
+            // 23514 = check violation (deposit more than the price)
+            if (error.code === '23514') {
+                return sendValidationError(res, [{ field: 'depositAmount', message: "Deposit can't be more than the price" }]);
+            }
+            return res.status(500).json({ error: 'Failed to create service', details: error.message });
+        }
+
+        console.log(`[POST /api/services] Created service "${data.name}"`);
+        res.status(201).json(formatService(data));
+    } catch (error) {
+        console.error('[POST /api/services] Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * PATCH /api/services/:id
+ * Updates a service - only the provided fields change (admin only)
+ * Request body: any of { name, description, price, duration, depositAmount, active, sortOrder }
+ */
+app.patch('/api/services/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const serviceId = req.params.id;
+
+        if (!UUID_PATTERN.test(serviceId)) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+
+        const { data: serviceData, errors } = parseServiceInput(req.body, true);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        serviceData.updated_at = new Date().toISOString();
+
+        const { data, error } = await supabase
+            .from('services')
+            .update(serviceData)
+            .eq('id', serviceId)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[PATCH /api/services/${serviceId}] Error updating service:`, error);
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'A service with this name already exists' });
+            }
+            if (error.code === '23514') {
+                return sendValidationError(res, [{ field: 'depositAmount', message: "Deposit can't be more than the price" }]);
+            }
+            return res.status(500).json({ error: 'Failed to update service', details: error.message });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+
+        console.log(`[PATCH /api/services/${serviceId}] Updated service "${data.name}"`);
+        res.json(formatService(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/services/:id
+ * Removes a service from the catalog (admin only)
+ * Existing appointments keep their service name - to hide a service temporarily, PATCH { active: false } instead
+ */
+app.delete('/api/services/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const serviceId = req.params.id;
+
+        if (!UUID_PATTERN.test(serviceId)) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+
+        const { data, error } = await supabase
+            .from('services')
+            .delete()
+            .eq('id', serviceId)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[DELETE /api/services/${serviceId}] Error deleting service:`, error);
+            return res.status(500).json({ error: 'Failed to delete service', details: error.message });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+
+        console.log(`[DELETE /api/services/${serviceId}] Deleted service "${data.name}"`);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - APPOINTMENTS
+// ============================================
+
+/**
+ * GET /api/appointments/booked
+ * Public list of taken slots so the booking page can hide them
+ * Only returns date/time/duration/status - no customer details
+ * Query parameters: startDate (optional), endDate (optional)
+ * Returns: [{ date: "2024-01-15", time: "14:15", duration: 45, status: "pending" }]
+ */
+app.get('/api/appointments/booked', async (req, res) => {
+    try {
+        const { data: filters, errors } = validateQuery(req.query, DATE_RANGE_QUERY);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
         }
+        const { startDate, endDate } = filters;
+
+        let query = supabase
+            .from('appointments')
+            .select('date, time, duration, status')
+            .in('status', SLOT_HOLDING_STATUSES) // Only these hold a slot
+            .order('date', { ascending: true })
+            .order('time', { ascending: true });
+
         if (startDate) {
             query = query.gte('date', startDate);
         }
@@ -282,272 +1404,3388 @@ app.get('/api/appointments', async (req, res) => {
             query = query.lte('date', endDate);
         }
 
-        // Execute query and get data
-        const { data, error } = await query;
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error fetching booked slots:', error);
+            return res.status(500).json({ error: 'Failed to fetch booked slots', details: error.message });
+        }
+
+        res.json(data || []);
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+const APPOINTMENTS_QUERY = {
+    ...DATE_RANGE_QUERY,
+    status: { type: 'enum', values: appointmentStatus.APPOINTMENT_STATUSES.filter(status => status !== 'awaiting_payment') },
+    archived: { type: 'boolean' }
+};
+
+/**
+ * GET /api/appointments
+ * Returns all appointments (for admin panel) in frontend-friendly format (admin only)
+ * Query parameters: status (optional), startDate (optional), endDate (optional),
+ *                   archived=true for deleted appointments instead (each has deletedAt and purgeAt)
+ * Example: GET /api/appointments?status=pending&startDate=2024-01-15
+ * Returns: Array of appointments with customer object format
+ */
+app.get('/api/appointments', auth.requireAdmin, async (req, res) => {
+    try {
+        // Get filter parameters from query string
+        const { data: filters, errors } = validateQuery(req.query, APPOINTMENTS_QUERY);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { status, startDate, endDate, archived = false } = filters;
+
+        // Build query to get appointments from database
+        // Bookings still waiting for their deposit aren't shown until they're paid
+        let query = supabase
+            .from('appointments')
+            .select('*')
+            .neq('status', 'awaiting_payment')
+            .order('date', { ascending: true })
+            .order('time', { ascending: true });
+
+        // Deleted appointments are only listed in the archive
+        query = archived ? query.not('deleted_at', 'is', null) : query.is('deleted_at', null);
+
+        // Apply filters if provided
+        if (status) {
+            query = query.eq('status', status); // eq = equals
+        }
+        if (startDate) {
+            query = query.gte('date', startDate);
+        }
+        if (endDate) {
+            query = query.lte('date', endDate);
+        }
+
+        // Execute query and get data
+        const { data, error } = await query;
+
+        // If error occurred, send error response
+        if (error) {
+            console.error('Error fetching appointments:', error);
+            return res.status(500).json({ error: 'Failed to fetch appointments', details: error.message });
+        }
+
+        // Convert database format to frontend format
+        const appointments = (data || []).map(formatAppointment);
+
+        console.log(`[GET /api/appointments] Returning ${appointments.length} appointment(s) in frontend format`);
+
+        // Success - send appointments data back to frontend
+        res.json(appointments);
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// Name, email and phone of a customer booking or joining the waitlist
+// The phone is stored in E.164 so texts reach the customer and the same number always means the same person
+const CUSTOMER_CONTACT_SCHEMA = {
+    name: { type: 'string', required: true, max: 200 },
+    email: { type: 'string', required: true, max: 320 },
+    phone: { type: 'phone', required: true }
+};
+
+const BOOKING_SCHEMA = {
+    customer: { type: 'object', required: true, fields: CUSTOMER_CONTACT_SCHEMA },
+    serviceId: { type: 'uuid' },
+    service: { type: 'string' },
+    date: { type: 'date', required: true },
+    time: { type: 'time', required: true },
+    notificationChannel: { type: 'enum', values: NOTIFICATION_CHANNELS },
+    smsConsent: { type: 'boolean' },
+    includeInAnalytics: { type: 'boolean' }
+};
+
+/**
+ * POST /api/appointments
+ * Creates a new appointment booking
+ * Request body: { customer: {...}, serviceId: "...", date: "2024-01-15", time: "14:15", ... }
+ * serviceId is preferred; a service name is accepted for older clients
+ * notificationChannel: "sms" (default), "email" or "both" - how confirmations and reminders are sent
+ * smsConsent: true when the customer ticked the text message consent box - required unless notificationChannel is "email"
+ * Price and duration always come from the services catalog, never from the request
+ * For services with a deposit the booking is held as awaiting_payment and the response includes
+ * payment: { url, amount, expiresAt } - the customer pays there and the booking becomes pending once it's paid
+ * Returns 409 { error, alternatives: [{ date, time }] } if the time overlaps another booking
+ */
+app.post('/api/appointments', async (req, res) => {
+    try {
+        // Get booking data from request body
+        const { data: booking, errors } = validateBody(req.body, BOOKING_SCHEMA);
+
+        // Log incoming request for debugging
+        console.log('[POST /api/appointments] Received booking request:', {
+            customer: booking.customer ? { name: booking.customer.name, email: booking.customer.email, phone: '***' } : 'missing',
+            serviceId: booking.serviceId,
+            service: booking.service,
+            date: booking.date,
+            time: booking.time
+        });
+
+        if (!errors.length && !booking.serviceId && !booking.service) {
+            errors.push({ field: 'serviceId', message: 'serviceId is required' });
+        }
+        if (!errors.length && booking.notificationChannel !== 'email' && booking.smsConsent !== true) {
+            errors.push({ field: 'smsConsent', message: 'Please agree to receive text messages, or choose email notifications' });
+        }
+        if (errors.length > 0) {
+            console.log('[POST /api/appointments] Validation failed:', errors.map(e => e.field).join(', '));
+            return sendValidationError(res, errors);
+        }
+
+        const {
+            customer,
+            serviceId,
+            service,
+            date,
+            time,
+            notificationChannel = 'sms',
+            smsConsent: consentGiven = false,
+            includeInAnalytics = true
+        } = booking;
+        const phone = customer.phone;
+
+        // Look up the service in the catalog - the client's price/duration are ignored
+        const { service: catalogService, error: serviceError } = await findActiveService(serviceId, service);
+
+        if (serviceError) {
+            console.error('Error looking up service:', serviceError);
+            return res.status(500).json({ error: 'Failed to verify service', details: serviceError.message });
+        }
+        if (!catalogService) {
+            console.log('[POST /api/appointments] Unknown or inactive service:', { serviceId, service });
+            return res.status(400).json({ error: 'This service is not available for booking' });
+        }
+
+        // Check that the date is open and the service fits in its opening hours
+        const dateError = await checkSlotOpen(date, time, catalogService.duration, '[POST /api/appointments]');
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+
+        // Check for overlaps and insert in one database call (see migrations/003_atomic_booking.sql)
+        // Services with a deposit are held as awaiting_payment until it's paid, everything else starts as pending
+        const { data, error, depositAmount } = await bookCatalogService(
+            { customer, date, time, includeInAnalytics, notificationChannel },
+            catalogService
+        );
+        const needsDeposit = depositAmount > 0;
+
+        // 23P01 = the requested time overlaps another booking
+        if (error && error.code === '23P01') {
+            return sendBookingConflict(res, error, date, time, catalogService.duration, '[POST /api/appointments]');
+        }
+
+        // If error occurred, send error response
+        if (error) {
+            console.error('Error creating appointment:', error);
+            return res.status(500).json({ error: 'Failed to create appointment', details: error.message });
+        }
+
+        // Convert database format to frontend format
+        // Unpaid bookings are linked to the customer once the deposit is paid
+        const appointment = formatAppointment(needsDeposit ? data : await linkAppointmentToCustomer(data));
+
+        console.log(`[POST /api/appointments] Created ${needsDeposit ? 'unpaid hold' : 'appointment'} for ${appointment.customer.name} on ${appointment.date} at ${appointment.time}`);
+
+        // Record consent before the confirmation goes out, so a customer who had texted STOP gets it
+        if (consentGiven === true) {
+            const { error: consentError } = await recordSmsConsent(phone, 'opt_in', 'booking', {
+                customerName: customer.name,
+                detail: smsConsent.CONSENT_WORDING,
+                appointmentId: appointment.id
+            });
+            if (consentError) {
+                console.error('[POST /api/appointments] Error recording text message consent:', consentError);
+                // The booking is saved - don't fail the request
+            }
+        }
+
+        // The confirmation waits until the deposit is paid - send the customer to the payment page instead
+        if (needsDeposit) {
+            const held = await startBookingDeposit(res, data);
+            if (!held) return;
+            return res.status(201).json(formatHeldBooking(held));
+        }
+
+        // Send confirmation by text and/or email (includes the link to cancel or reschedule)
+        sendAppointmentConfirmation({ ...appointment, manageUrl: manageLinks.buildManageUrl(appointment) }).catch(err => {
+            console.error('[Notify] Failed to send confirmation:', err);
+            // Don't fail the request if the message fails
+        });
+
+        // Success - send created appointment back to frontend
+        // manageToken lets the confirmation page link to manage.html
+        res.status(201).json({ ...appointment, manageToken: manageLinks.createManageToken(appointment) });
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * Update an appointment and follow up on a status change:
+ * tell the customer about it and offer a freed-up time to the waitlist
+ * Status changes must follow the allowed transitions (services/appointmentStatusService.js)
+ * Shared by PATCH /api/appointments/:id and SMS replies
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} updateData - Columns to update
+ * @param {Object} options - { notifyCustomer: false to skip the text/email (e.g. when replying by SMS instead),
+ *                             cancelledBy: 'shop' (default) or 'customer' - decides whether a paid deposit is refunded }
+ * @returns {Promise<{ data, error, statusError }>} - Updated row; statusError explains a status change that isn't allowed
+ */
+async function applyAppointmentUpdate(appointmentId, updateData, { notifyCustomer = true, cancelledBy = 'shop' } = {}) {
+    const now = new Date();
+    let currentStatus = null;
+
+    if (updateData.status !== undefined) {
+        const { data: current, error: fetchError } = await supabase
+            .from('appointments')
+            .select('*')
+            .eq('id', appointmentId)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (fetchError || !current) {
+            return { data: current, error: fetchError };
+        }
+
+        const statusError = appointmentStatus.getTransitionError(current, updateData.status, now);
+        if (statusError) {
+            return { data: current, error: null, statusError };
+        }
+
+        Object.assign(updateData, appointmentStatus.buildStatusUpdate(updateData.status, now));
+
+        // Missing the appointment keeps the deposit
+        if (updateData.status === 'no_show' && current.deposit_status === 'paid') {
+            updateData.deposit_status = 'forfeited';
+        }
+
+        currentStatus = current.status;
+    }
+
+    // Add updated timestamp
+    updateData.updated_at = now.toISOString();
+
+    // Update appointment in database - archived ones have to be restored first
+    let query = supabase
+        .from('appointments')
+        .update(updateData)
+        .eq('id', appointmentId) // Find appointment with this ID
+        .is('deleted_at', null);
+
+    // Only apply a status change if nobody else changed the status in the meantime
+    if (currentStatus) {
+        query = query.eq('status', currentStatus);
+    }
+
+    const { data, error } = await query
+        .select()
+        .maybeSingle(); // Return the single record that was updated
+
+    if (error) {
+        return { data, error };
+    }
+    if (!data) {
+        return currentStatus
+            ? { data: null, error: null, statusError: 'The appointment was changed by someone else. Reload and try again.' }
+            : { data, error: null };
+    }
+
+    // Convert database format to frontend format
+    const appointment = formatAppointment(data);
+
+    // If status changed to accepted or declined, notify the customer
+    if (notifyCustomer && (updateData.status === 'accepted' || updateData.status === 'declined')) {
+        sendAppointmentStatusUpdate({ ...appointment, manageUrl: manageLinks.buildManageUrl(appointment) }).catch(err => {
+            console.error('[Notify] Failed to send status update:', err);
+            // Don't fail the request if the message fails
+        });
+    }
+
+    // If status changed to cancelled, send a cancellation notice
+    if (notifyCustomer && updateData.status === 'cancelled') {
+        sendAppointmentCancellation(appointment).catch(err => {
+            console.error('[Notify] Failed to send cancellation notification:', err);
+            // Don't fail the request if the message fails
+        });
+    }
+
+    // The time is free again - settle the deposit and offer the time to the waitlist
+    if (updateData.status === 'cancelled' || updateData.status === 'declined') {
+        const refunded = await refundDeposit(data, cancelledBy);
+
+        offerFreedSlot(data).catch(err => {
+            console.error('[Waitlist] Failed to offer freed time:', err);
+        });
+
+        return { data: refunded, error: null };
+    }
+
+    return { data, error: null };
+}
+
+// What the admin can change on an appointment - everything else is set by the booking itself
+const APPOINTMENT_UPDATE_SCHEMA = {
+    status: { type: 'enum', values: appointmentStatus.APPOINTMENT_STATUSES.filter(status => status !== 'awaiting_payment') },
+    includeInAnalytics: { type: 'boolean', column: 'include_in_analytics' }
+};
+
+/**
+ * PATCH /api/appointments/:id
+ * Updates an appointment's status or whether it counts in analytics (admin only)
+ * URL parameter: id (appointment ID)
+ * Request body: any of { status: "accepted" | "declined" | "cancelled" | "completed" | "no_show", includeInAnalytics: false }
+ * Returns 422 for an unknown field or status, 409 { error, status } if the appointment can't move to the status from its current one
+ */
+app.patch('/api/appointments/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        // Get appointment ID from URL parameter
+        const appointmentId = req.params.id;
+
+        if (!UUID_PATTERN.test(appointmentId)) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        // Only whitelisted fields reach the database; a known status that can't be reached from the current one is a conflict
+        const { data: updateData, errors } = validateBody(req.body, APPOINTMENT_UPDATE_SCHEMA, { partial: true });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const { data, error, statusError } = await applyAppointmentUpdate(appointmentId, updateData);
+
+        // If error occurred, send error response
+        if (error) {
+            console.error('Error updating appointment:', error);
+            return res.status(500).json({ error: 'Failed to update appointment', details: error.message });
+        }
+
+        if (statusError) {
+            return res.status(409).json({ error: statusError, status: data ? data.status : undefined });
+        }
+
+        // If no data returned, appointment doesn't exist
+        if (!data) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        // Convert database format to frontend format
+        const appointment = formatAppointment(data);
+
+        console.log(`[PATCH /api/appointments/${appointmentId}] Updated appointment (status: ${data.status}, in analytics: ${data.include_in_analytics !== false})`);
+
+        // Success - send updated appointment back to frontend
+        res.json(appointment);
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/appointments/:id
+ * Moves an appointment to the archive (admin only)
+ * The row is kept with deleted_at set and can be restored until it's purged APPOINTMENT_RETENTION_DAYS later
+ * Returns: The archived appointment, with deletedAt and purgeAt
+ * Returns 409 for an upcoming appointment that still holds its time - cancel or decline it first
+ */
+app.delete('/api/appointments/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const appointmentId = req.params.id;
+
+        if (!UUID_PATTERN.test(appointmentId)) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        const { data: current, error: fetchError } = await supabase
+            .from('appointments')
+            .select('*')
+            .eq('id', appointmentId)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (fetchError) {
+            console.error('Error fetching appointment:', fetchError);
+            return res.status(500).json({ error: 'Failed to delete appointment', details: fetchError.message });
+        }
+        if (!current) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        const deleteError = appointmentArchive.getDeleteError(current);
+        if (deleteError) {
+            return res.status(409).json({ error: deleteError, status: current.status });
+        }
+
+        const { data, error } = await supabase
+            .from('appointments')
+            .update({ deleted_at: new Date().toISOString() })
+            .eq('id', appointmentId)
+            .eq('status', current.status) // It may have been rebooked or changed in the meantime
+            .is('deleted_at', null)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[DELETE /api/appointments/${appointmentId}] Error archiving appointment:`, error);
+            return res.status(500).json({ error: 'Failed to delete appointment', details: error.message });
+        }
+        if (!data) {
+            return res.status(409).json({ error: 'The appointment was changed by someone else. Reload and try again.' });
+        }
+
+        console.log(`[DELETE /api/appointments/${appointmentId}] Archived ${data.status} appointment on ${data.date} at ${data.time}`);
+        res.json(formatAppointment(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/appointments/:id/restore
+ * Brings an archived appointment back (admin only)
+ * Returns: The restored appointment, or 404 if it isn't in the archive (never deleted, or already purged)
+ */
+app.post('/api/appointments/:id/restore', auth.requireAdmin, async (req, res) => {
+    try {
+        const appointmentId = req.params.id;
+
+        if (!UUID_PATTERN.test(appointmentId)) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        const { data, error } = await supabase
+            .from('appointments')
+            .update({ deleted_at: null })
+            .eq('id', appointmentId)
+            .not('deleted_at', 'is', null)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[POST /api/appointments/${appointmentId}/restore] Error restoring appointment:`, error);
+            return res.status(500).json({ error: 'Failed to restore appointment', details: error.message });
+        }
+        if (!data) {
+            return res.status(404).json({ error: 'Archived appointment not found' });
+        }
+
+        console.log(`[POST /api/appointments/${appointmentId}/restore] Restored appointment on ${data.date} at ${data.time}`);
+        res.json(formatAppointment(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// Request body of POST /api/appointments/:id/checkout - form fields arrive as strings, so amounts may be "10.00"
+const CHECKOUT_SCHEMA = {
+    items: {
+        type: 'array',
+        required: true,
+        min: 1,
+        max: 20,
+        items: {
+            type: 'object',
+            fields: {
+                name: { type: 'string', required: true, max: 100, message: 'Each item needs a name' },
+                amount: { type: 'number', required: true, min: -10000, max: 10000, decimals: 2, message: 'Each item needs an amount (negative for a discount)' }
+            }
+        }
+    },
+    tip: { type: 'number', min: 0, decimals: 2, message: 'Tip must be a number of 0 or more' },
+    paymentMethod: { type: 'enum', values: checkouts.PAYMENT_METHODS, required: true, column: 'payment_method' }
+};
+
+/**
+ * Validate a checkout request body and convert it to database format
+ * @param {Object} body - { items: [{ name, amount }], tip, paymentMethod }
+ * @returns {{ data: Object, errors: Object[] }}
+ */
+function parseCheckoutInput(body) {
+    const { data, errors } = validateBody(body, CHECKOUT_SCHEMA);
+    if (errors.length > 0) {
+        return { data, errors };
+    }
+
+    if (checkouts.getItemsTotal(data.items) < 0) {
+        return { data, errors: [{ field: 'items', message: "Discounts can't be more than the other items" }] };
+    }
+
+    return { data, errors };
+}
+
+/**
+ * POST /api/appointments/:id/checkout
+ * Records what the customer actually paid: line items, tip and payment method (admin only)
+ * An accepted appointment is marked completed by its checkout (so not before it starts); checking out
+ * a completed appointment again replaces its checkout
+ * Body: { items: [{ name: "Haircut", amount: 30 }, { name: "Beard trim", amount: 10 }, { name: "Discount", amount: -5 }], tip: 5, paymentMethod: "cash" | "card" | "other" }
+ * Returns: The appointment, with checkout: { items, tip, total, paymentMethod, checkedOutAt } (total = items + tip)
+ * Returns 409 { error, status } for an appointment that isn't accepted or completed
+ */
+app.post('/api/appointments/:id/checkout', auth.requireAdmin, async (req, res) => {
+    try {
+        const appointmentId = req.params.id;
+
+        if (!UUID_PATTERN.test(appointmentId)) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        const { data: input, errors } = parseCheckoutInput(req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const { data: current, error: fetchError } = await supabase
+            .from('appointments')
+            .select('*')
+            .eq('id', appointmentId)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (fetchError) {
+            console.error('Error fetching appointment:', fetchError);
+            return res.status(500).json({ error: 'Failed to check out appointment', details: fetchError.message });
+        }
+        if (!current) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        const checkoutError = checkouts.getCheckoutError(current);
+        if (checkoutError) {
+            return res.status(409).json({ error: checkoutError, status: current.status });
+        }
+
+        const updateData = checkouts.buildCheckout(input);
+        if (current.status === 'accepted') {
+            updateData.status = 'completed';
+        }
+
+        const { data, error, statusError } = await applyAppointmentUpdate(appointmentId, updateData);
+
+        if (error) {
+            console.error(`[POST /api/appointments/${appointmentId}/checkout] Error saving checkout:`, error);
+            return res.status(500).json({ error: 'Failed to check out appointment', details: error.message });
+        }
+        if (statusError) {
+            return res.status(409).json({ error: statusError, status: data ? data.status : undefined });
+        }
+        if (!data) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        console.log(`[POST /api/appointments/${appointmentId}/checkout] Checked out ${data.checkout_total} (${data.payment_method}, tip ${data.checkout_tip})`);
+        res.json(formatAppointment(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - CUSTOMERS
+// ============================================
+// Each booking is linked to a customers row found by phone number (see migrations/014_customers.sql)
+// The admin Clients tab shows profiles with their history and totals, and merges duplicates
+
+// Longest note the admin can keep on a client
+const MAX_CUSTOMER_NOTES_LENGTH = 2000;
+
+// Request body of POST/PATCH /api/customers - clients can be kept without an email or number,
+// but a number that's given must be valid
+const CUSTOMER_SCHEMA = {
+    name: { type: 'string', required: true, message: 'Customer name is required' },
+    email: { type: 'string', emptyAsNull: true, max: 320 },
+    phone: { type: 'phone', emptyAsNull: true },
+    notes: { type: 'string', max: MAX_CUSTOMER_NOTES_LENGTH }
+};
+
+/**
+ * Find the customer with a phone number
+ * Numbers of profiles that were merged away find the profile they were merged into
+ * @param {string} phone - E.164 number
+ * @returns {Promise<{ data, error }>} - customers row, or null if there isn't one
+ */
+function findCustomerByPhone(phone) {
+    return supabase
+        .from('customers')
+        .select('*')
+        .or(`phone.eq.${phone},alternate_phones.cs.{${phone}}`)
+        .limit(1)
+        .maybeSingle();
+}
+
+/**
+ * Find the customer with a phone number, or create one
+ * @param {Object} details - { name, email, phone } with phone in E.164
+ * @returns {Promise<{ data, error }>} - customers row
+ */
+async function findOrCreateCustomer({ name, email, phone }) {
+    const { data: existing, error } = await findCustomerByPhone(phone);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    if (existing) {
+        // Fill in an email we didn't have yet; anything else the admin set is left alone
+        if (!existing.email && email) {
+            const { data: updated, error: updateError } = await supabase
+                .from('customers')
+                .update({ email, updated_at: new Date().toISOString() })
+                .eq('id', existing.id)
+                .select()
+                .single();
+            return updateError ? { data: existing, error: null } : { data: updated, error: null };
+        }
+        return { data: existing, error: null };
+    }
+
+    const { data: created, error: insertError } = await supabase
+        .from('customers')
+        .insert({ name, email: email || null, phone })
+        .select()
+        .single();
+
+    // 23505 = someone else created this number's profile in the meantime
+    if (insertError && insertError.code === '23505') {
+        return await findCustomerByPhone(phone);
+    }
+
+    return { data: created, error: insertError };
+}
+
+/**
+ * Link a new appointment to its customer, creating the profile on a first booking
+ * Failures are logged and the appointment is left unlinked - the booking itself has already succeeded
+ * @param {Object} row - appointments row
+ * @returns {Promise<Object>} - The appointments row, with customer_id set when linking worked
+ */
+async function linkAppointmentToCustomer(row) {
+    const phone = normalizePhone(row.customer_phone);
+    if (!phone) {
+        return row;
+    }
+
+    const { data: customer, error } = await findOrCreateCustomer({
+        name: row.customer_name,
+        email: row.customer_email,
+        phone
+    });
+
+    if (error || !customer) {
+        console.error(`[Customers] Error finding customer for appointment ${row.id}:`, error);
+        return row;
+    }
+
+    const { data, error: linkError } = await supabase
+        .from('appointments')
+        .update({ customer_id: customer.id })
+        .eq('id', row.id)
+        .select()
+        .single();
+
+    if (linkError) {
+        console.error(`[Customers] Error linking appointment ${row.id} to customer ${customer.id}:`, linkError);
+        return row;
+    }
+
+    return data;
+}
+
+/**
+ * Load a customer row by ID
+ * @returns {Promise<Object|null>} - The row, or null if a response was already sent (404/500)
+ */
+async function loadCustomer(req, res) {
+    const customerId = req.params.id;
+
+    if (!UUID_PATTERN.test(customerId)) {
+        res.status(404).json({ error: 'Customer not found' });
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('customers')
+        .select('*')
+        .eq('id', customerId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Error fetching customer ${customerId}:`, error);
+        res.status(500).json({ error: 'Failed to fetch customer', details: error.message });
+        return null;
+    }
+
+    if (!data) {
+        res.status(404).json({ error: 'Customer not found' });
+        return null;
+    }
+
+    return data;
+}
+
+/**
+ * GET /api/customers
+ * Returns every customer with their totals, in name order (admin only)
+ * Query parameters: search (optional) - part of a name, email or phone number
+ * Returns: [{ id, name, email, phone, alternatePhones, notes, stats: { visitCount, totalSpend, noShowCount, ... }, possibleDuplicateCount }]
+ */
+app.get('/api/customers', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data: filters, errors } = validateQuery(req.query, { search: { type: 'string' } });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const [{ data: customers, error }, { data: appointments, error: appointmentsError }] = await Promise.all([
+            supabase.from('customers').select('*').order('name', { ascending: true }),
+            supabase.from('appointments').select('customer_id, status, date, time, price').not('customer_id', 'is', null).is('deleted_at', null)
+        ]);
+
+        if (error || appointmentsError) {
+            console.error('Error fetching customers:', error || appointmentsError);
+            return res.status(500).json({ error: 'Failed to fetch customers', details: (error || appointmentsError).message });
+        }
+
+        const appointmentsByCustomer = new Map();
+        for (const apt of appointments || []) {
+            if (!appointmentsByCustomer.has(apt.customer_id)) appointmentsByCustomer.set(apt.customer_id, []);
+            appointmentsByCustomer.get(apt.customer_id).push(apt);
+        }
+
+        const duplicates = customerProfiles.findPossibleDuplicates(customers || []);
+        const now = new Date();
+
+        let results = (customers || []).map(row => ({
+            ...customerProfiles.formatCustomer(row, appointmentsByCustomer.get(row.id) || [], now),
+            possibleDuplicateCount: (duplicates.get(row.id) || []).length
+        }));
+
+        // Search is done here rather than in the query so phone numbers match in any format
+        const search = (filters.search || '').toLowerCase();
+        if (search) {
+            const searchDigits = search.replace(/\D/g, '');
+            results = results.filter(customer =>
+                customer.name.toLowerCase().includes(search) ||
+                customer.email.toLowerCase().includes(search) ||
+                (searchDigits.length >= 3 && [customer.phone, ...customer.alternatePhones].some(phone => phone.includes(searchDigits)))
+            );
+        }
+
+        res.json(results);
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * GET /api/customers/:id
+ * Returns one customer's profile with their appointments, newest first, and likely duplicate profiles (admin only)
+ * Returns: { ...customer, appointments: [...], possibleDuplicates: [{ id, name, email, phone, reason }] }
+ */
+app.get('/api/customers/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const customer = await loadCustomer(req, res);
+        if (!customer) return;
+
+        const [{ data: appointments, error }, { data: allCustomers, error: customersError }] = await Promise.all([
+            supabase
+                .from('appointments')
+                .select('*')
+                .eq('customer_id', customer.id)
+                .is('deleted_at', null)
+                .order('date', { ascending: false })
+                .order('time', { ascending: false }),
+            supabase.from('customers').select('id, name, email, phone')
+        ]);
+
+        if (error || customersError) {
+            console.error(`Error fetching history for customer ${customer.id}:`, error || customersError);
+            return res.status(500).json({ error: 'Failed to fetch customer', details: (error || customersError).message });
+        }
+
+        const matches = customerProfiles.findPossibleDuplicates(allCustomers || []).get(customer.id) || [];
+        const possibleDuplicates = matches.map(match => {
+            const row = allCustomers.find(c => c.id === match.id);
+            return { id: row.id, name: row.name, email: row.email || '', phone: row.phone || '', reason: match.reason };
+        });
+
+        res.json({
+            ...customerProfiles.formatCustomer(customer, appointments || []),
+            appointments: (appointments || []).map(formatAppointment),
+            possibleDuplicates
+        });
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/customers
+ * Adds a client by hand, e.g. a walk-in (admin only)
+ * Request body: { name, email (optional), phone (optional), notes (optional) }
+ * Returns 409 if another client already has the phone number
+ */
+app.post('/api/customers', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data: input, errors } = validateBody(req.body, CUSTOMER_SCHEMA);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const { data, error } = await supabase
+            .from('customers')
+            .insert(input)
+            .select()
+            .single();
+
+        if (error && error.code === '23505') {
+            return res.status(409).json({ error: 'Another client already has this phone number' });
+        }
+        if (error) {
+            console.error('[POST /api/customers] Error creating customer:', error);
+            return res.status(500).json({ error: 'Failed to create customer', details: error.message });
+        }
+
+        console.log(`[POST /api/customers] Created customer "${data.name}"`);
+        res.status(201).json(customerProfiles.formatCustomer(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * PATCH /api/customers/:id
+ * Updates a client's details or notes (admin only)
+ * Request body: any of { name, email, phone, notes }
+ * Past appointments keep the details they were booked with
+ * Returns 409 if another client already has the phone number - merge the profiles instead
+ */
+app.patch('/api/customers/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const customer = await loadCustomer(req, res);
+        if (!customer) return;
+
+        const { data: input, errors } = validateBody(req.body, CUSTOMER_SCHEMA, { partial: true });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        input.updated_at = new Date().toISOString();
+
+        const { data, error } = await supabase
+            .from('customers')
+            .update(input)
+            .eq('id', customer.id)
+            .select()
+            .single();
+
+        if (error && error.code === '23505') {
+            return res.status(409).json({ error: 'Another client already has this phone number - merge the two profiles instead' });
+        }
+        if (error) {
+            console.error(`[PATCH /api/customers/${customer.id}] Error updating customer:`, error);
+            return res.status(500).json({ error: 'Failed to update customer', details: error.message });
+        }
+
+        console.log(`[PATCH /api/customers/${customer.id}] Updated customer "${data.name}"`);
+        res.json(customerProfiles.formatCustomer(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+const CUSTOMER_MERGE_SCHEMA = {
+    duplicateIds: { type: 'array', required: true, min: 1, items: { type: 'uuid' }, message: 'duplicateIds must be a list of customer IDs' }
+};
+
+/**
+ * POST /api/customers/:id/merge
+ * Merges duplicate profiles into this one (admin only)
+ * Request body: { duplicateIds: ["...", ...] }
+ * Their appointments move here, their numbers become alternate numbers, a missing email and their notes
+ * are copied over, and the duplicates are deleted (see merge_customers in migrations/014_customers.sql)
+ * Returns: The merged customer
+ */
+app.post('/api/customers/:id/merge', auth.requireAdmin, async (req, res) => {
+    try {
+        const customer = await loadCustomer(req, res);
+        if (!customer) return;
+
+        const { data: input, errors } = validateBody(req.body, CUSTOMER_MERGE_SCHEMA);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { duplicateIds } = input;
+
+        const { data, error } = await supabase.rpc('merge_customers', {
+            p_target_id: customer.id,
+            p_duplicate_ids: [...new Set(duplicateIds)]
+        });
+
+        // 22023 = tried to merge a customer into itself
+        if (error && error.code === '22023') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error) {
+            console.error(`[POST /api/customers/${customer.id}/merge] Error merging customers:`, error);
+            return res.status(500).json({ error: 'Failed to merge customers', details: error.message });
+        }
+
+        console.log(`[POST /api/customers/${customer.id}/merge] Merged ${duplicateIds.length} profile(s) into "${data.name}"`);
+        res.json(customerProfiles.formatCustomer(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - ANALYTICS
+// ============================================
+// The admin Analytics tab, added up by the analytics_* functions (see migrations/019_analytics.sql)
+// Every route takes the same filters; appointments switched off with "Include in Analytics", or matched by
+// an exclusion rule (migrations/020_analytics_exclusions.sql), are left out unless includeExcluded=true
+
+// Query string shared by the /api/analytics routes
+const ANALYTICS_QUERY = {
+    ...DATE_RANGE_QUERY,
+    client: { type: 'string' },     // Client key from GET /api/analytics/clients
+    search: { type: 'string' },     // Part of a client's name or email
+    includeExcluded: { type: 'boolean' }
+};
+
+const REVENUE_QUERY = {
+    ...ANALYTICS_QUERY,
+    period: { type: 'enum', values: analytics.REVENUE_PERIODS }
+};
+
+// Profit and loss is for the whole shop, so it can't be narrowed down to a client
+const PROFIT_LOSS_QUERY = {
+    ...DATE_RANGE_QUERY,
+    includeExcluded: ANALYTICS_QUERY.includeExcluded,
+    period: { type: 'enum', values: analytics.PROFIT_LOSS_PERIODS }
+};
+
+/**
+ * Check the analytics filters in a query string
+ * @returns {Object|null} - The filters, or null if a 422 was already sent
+ */
+function parseAnalyticsQuery(req, res, schema = ANALYTICS_QUERY) {
+    const { data: filters, errors } = validateQuery(req.query, schema);
+
+    if (errors.length === 0 && filters.startDate && filters.endDate && filters.endDate < filters.startDate) {
+        errors.push({ field: 'endDate', message: 'endDate must be on or after startDate' });
+    }
+    if (errors.length > 0) {
+        sendValidationError(res, errors);
+        return null;
+    }
+
+    return filters;
+}
+
+/**
+ * GET /api/analytics/clients
+ * Returns every client with a counted appointment, for the Analytics client filter (admin only)
+ * Query parameters: includeExcluded (optional)
+ * Returns: [{ key, name, phone }] - key is a customer ID, or the phone number of a booking without a profile
+ */
+app.get('/api/analytics/clients', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data: filters, errors } = validateQuery(req.query, { includeExcluded: ANALYTICS_QUERY.includeExcluded });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const { data, error } = await supabase.rpc('analytics_clients', {
+            p_include_excluded: filters.includeExcluded === true
+        });
+
+        if (error) {
+            console.error('Error fetching analytics clients:', error);
+            return res.status(500).json({ error: 'Failed to fetch clients', details: error.message });
+        }
+
+        res.json((data || []).map(row => ({ key: row.client_key, name: row.name, phone: row.phone })));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * GET /api/analytics/time-slots
+ * Returns booked visits per hour and day of the week (admin only)
+ * Query parameters: startDate, endDate, client, search, includeExcluded (all optional)
+ * Returns: { total, byHour: [{ hour, bookings }], byDayOfWeek: [{ dayOfWeek, bookings }] }
+ */
+app.get('/api/analytics/time-slots', auth.requireAdmin, async (req, res) => {
+    try {
+        const filters = parseAnalyticsQuery(req, res);
+        if (!filters) return;
+
+        const { data, error } = await supabase.rpc('analytics_time_slots', analytics.getFunctionArgs(filters));
+
+        if (error) {
+            console.error('Error fetching time slot analytics:', error);
+            return res.status(500).json({ error: 'Failed to fetch time slot analytics', details: error.message });
+        }
+
+        res.json(analytics.formatTimeSlots(data || []));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * GET /api/analytics/revenue
+ * Returns the booked revenue of visits per day, week, month or quarter, and what was collected at checkout (admin only)
+ * Query parameters: period (optional, default "day"), startDate, endDate, client, search, includeExcluded (all optional)
+ * Returns: { period, visits, totalRevenue, periods: [{ start, visits, revenue }],
+ *            collected: { checkouts, total, tips, byPaymentMethod: { cash, card, other, deposit }, periods: [{ start, checkouts, collected, tips }] } }
+ */
+app.get('/api/analytics/revenue', auth.requireAdmin, async (req, res) => {
+    try {
+        const filters = parseAnalyticsQuery(req, res, REVENUE_QUERY);
+        if (!filters) return;
+
+        const period = filters.period || 'day';
+        const args = { p_period: period, ...analytics.getFunctionArgs(filters) };
+        const [{ data, error }, { data: collected, error: collectedError }] = await Promise.all([
+            supabase.rpc('analytics_revenue', args),
+            supabase.rpc('analytics_collected', args)
+        ]);
+
+        if (error || collectedError) {
+            console.error('Error fetching revenue analytics:', error || collectedError);
+            return res.status(500).json({ error: 'Failed to fetch revenue analytics', details: (error || collectedError).message });
+        }
+
+        res.json(analytics.formatRevenue(data || [], period, collected || []));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * GET /api/analytics/profit-loss
+ * Returns revenue minus expenses per month or quarter, with the expenses split by category (admin only)
+ * Recurring expenses count once for every week, month or year they're paid in the range (see migrations/021_expenses.sql)
+ * Query parameters: period (optional, "month" or "quarter", default "month"), startDate, endDate, includeExcluded (all optional)
+ * Returns: { period, revenue, expenses, profit, byCategory, periods: [{ start, revenue, expenses, profit, byCategory }] }
+ */
+app.get('/api/analytics/profit-loss', auth.requireAdmin, async (req, res) => {
+    try {
+        const filters = parseAnalyticsQuery(req, res, PROFIT_LOSS_QUERY);
+        if (!filters) return;
+
+        const period = filters.period || 'month';
+        const [{ data: revenue, error }, { data: expenseTotals, error: expensesError }] = await Promise.all([
+            supabase.rpc('analytics_revenue', {
+                p_period: period,
+                ...analytics.getFunctionArgs(filters)
+            }),
+            supabase.rpc('analytics_expenses', {
+                p_period: period,
+                p_start_date: filters.startDate || null,
+                p_end_date: filters.endDate || null
+            })
+        ]);
+
+        if (error || expensesError) {
+            console.error('Error fetching profit and loss:', error || expensesError);
+            return res.status(500).json({ error: 'Failed to fetch profit and loss', details: (error || expensesError).message });
+        }
+
+        res.json(analytics.formatProfitLoss(revenue || [], expenseTotals || [], period));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * GET /api/analytics/retention
+ * Returns each client's booked visits and how many clients came back (admin only)
+ * Query parameters: startDate, endDate, client, search, includeExcluded (all optional)
+ * Returns: { totalClients, returningClients, newClients, retentionRate, clients: [...] },
+ *          plus appointments: [...] (oldest first) when a client is given
+ */
+app.get('/api/analytics/retention', auth.requireAdmin, async (req, res) => {
+    try {
+        const filters = parseAnalyticsQuery(req, res);
+        if (!filters) return;
+
+        const args = analytics.getFunctionArgs(filters);
+        const [{ data, error }, history] = await Promise.all([
+            supabase.rpc('analytics_retention', args),
+            // The visit history of the client being looked at
+            filters.client
+                ? supabase.rpc('analytics_appointments', args)
+                    .in('status', ['completed', 'accepted'])
+                    .order('date', { ascending: true })
+                    .order('time', { ascending: true })
+                : Promise.resolve({ data: null, error: null })
+        ]);
+
+        if (error || history.error) {
+            console.error('Error fetching retention analytics:', error || history.error);
+            return res.status(500).json({ error: 'Failed to fetch retention analytics', details: (error || history.error).message });
+        }
+
+        const result = analytics.formatRetention(data || []);
+        if (history.data) {
+            result.appointments = history.data.map(analytics.formatAnalyticsAppointment);
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * GET /api/analytics/no-shows
+ * Returns no-shows and cancellations per day, and the appointments themselves, newest first (admin only)
+ * Query parameters: startDate, endDate, client, search, includeExcluded (all optional)
+ * Returns: { noShows, cancellations, byDate: [{ date, noShows, cancellations }], appointments: [...] }
+ */
+app.get('/api/analytics/no-shows', auth.requireAdmin, async (req, res) => {
+    try {
+        const filters = parseAnalyticsQuery(req, res);
+        if (!filters) return;
+
+        const args = analytics.getFunctionArgs(filters);
+        const [{ data, error }, { data: appointments, error: appointmentsError }] = await Promise.all([
+            supabase.rpc('analytics_no_shows', args),
+            supabase.rpc('analytics_appointments', args)
+                .in('status', ['no_show', 'cancelled'])
+                .order('date', { ascending: false })
+                .order('time', { ascending: false })
+        ]);
+
+        if (error || appointmentsError) {
+            console.error('Error fetching no-show analytics:', error || appointmentsError);
+            return res.status(500).json({ error: 'Failed to fetch no-show analytics', details: (error || appointmentsError).message });
+        }
+
+        res.json(analytics.formatNoShows(data || [], appointments || []));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// Request body of POST /api/analytics/exclusions
+const ANALYTICS_EXCLUSION_SCHEMA = {
+    type: { type: 'enum', values: ['phone', 'date_range'], required: true },
+    phone: { type: 'phone' },
+    startDate: { type: 'date', column: 'start_date' },
+    endDate: { type: 'date', column: 'end_date' },
+    note: { type: 'string', max: 200 }
+};
+
+/**
+ * Validate an exclusion rule and convert it to database format
+ * A phone rule needs only a phone number; a date range rule needs only its two dates
+ * @param {Object} body - { type: "phone", phone, note } or { type: "date_range", startDate, endDate, note }
+ * @returns {{ data: Object, errors: Object[] }}
+ */
+function parseExclusionInput(body) {
+    const { data, errors } = validateBody(body, ANALYTICS_EXCLUSION_SCHEMA);
+    if (errors.length > 0) {
+        return { data, errors };
+    }
+
+    if (data.type === 'phone') {
+        if (!data.phone) {
+            return { data, errors: [{ field: 'phone', message: 'A phone number is required' }] };
+        }
+        if (data.start_date || data.end_date) {
+            return { data, errors: [{ field: data.start_date ? 'startDate' : 'endDate', message: 'Dates are only used by date_range rules' }] };
+        }
+    } else {
+        if (!data.start_date || !data.end_date) {
+            return { data, errors: [{ field: data.start_date ? 'endDate' : 'startDate', message: 'A start and end date are required' }] };
+        }
+        if (data.end_date < data.start_date) {
+            return { data, errors: [{ field: 'endDate', message: 'endDate must be on or after startDate' }] };
+        }
+        if (data.phone) {
+            return { data, errors: [{ field: 'phone', message: 'A phone number is only used by phone rules' }] };
+        }
+    }
+
+    return { data, errors };
+}
+
+/**
+ * GET /api/analytics/exclusions
+ * Returns the rules that keep bookings out of analytics, newest first (admin only)
+ * Returns: [{ id, type: "phone" | "date_range", phone, startDate, endDate, note, createdAt }]
+ */
+app.get('/api/analytics/exclusions', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('analytics_exclusions')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching analytics exclusions:', error);
+            return res.status(500).json({ error: 'Failed to fetch analytics exclusions', details: error.message });
+        }
+
+        res.json((data || []).map(analytics.formatExclusion));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/analytics/exclusions
+ * Leaves every booking from a phone number, or in a date range, out of analytics (admin only)
+ * The appointments themselves aren't changed, so removing the rule brings them back
+ * Body: { type: "phone", phone: "(555) 234-5678", note } or { type: "date_range", startDate, endDate, note }
+ * Returns: The created rule
+ */
+app.post('/api/analytics/exclusions', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data: input, errors } = parseExclusionInput(req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const { data, error } = await supabase
+            .from('analytics_exclusions')
+            .insert(input)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('[POST /api/analytics/exclusions] Error creating exclusion:', error);
+            return res.status(500).json({ error: 'Failed to create analytics exclusion', details: error.message });
+        }
+
+        console.log(`[POST /api/analytics/exclusions] Excluding ${data.type === 'phone' ? data.phone : `${data.start_date} to ${data.end_date}`} from analytics`);
+        res.status(201).json(analytics.formatExclusion(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/analytics/exclusions/:id
+ * Removes an exclusion rule, so its bookings count in analytics again (admin only)
+ */
+app.delete('/api/analytics/exclusions/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const exclusionId = req.params.id;
+
+        if (!UUID_PATTERN.test(exclusionId)) {
+            return res.status(404).json({ error: 'Exclusion not found' });
+        }
+
+        const { data, error } = await supabase
+            .from('analytics_exclusions')
+            .delete()
+            .eq('id', exclusionId)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[DELETE /api/analytics/exclusions/${exclusionId}] Error deleting exclusion:`, error);
+            return res.status(500).json({ error: 'Failed to delete analytics exclusion', details: error.message });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Exclusion not found' });
+        }
+
+        console.log(`[DELETE /api/analytics/exclusions/${exclusionId}] Deleted exclusion`);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - EXPENSES
+// ============================================
+// The shop's running costs (rent, products, tools, ...), entered in the Revenue view and
+// subtracted from revenue by GET /api/analytics/profit-loss
+
+// Request body of POST/PATCH /api/expenses - form fields arrive as strings, so amounts may be "45.50"
+const EXPENSE_SCHEMA = {
+    date: { type: 'date', required: true },
+    category: { type: 'enum', values: expenses.EXPENSE_CATEGORIES, required: true },
+    amount: { type: 'number', required: true, min: 0.01, decimals: 2, message: 'Amount must be a number greater than 0' },
+    notes: { type: 'string', max: 500 },
+    recurring: { type: 'enum', values: expenses.EXPENSE_RECURRENCES, nullable: true },
+    endDate: { type: 'date', nullable: true, column: 'end_date' }
+};
+
+/**
+ * Validate an expense request body and convert it to database format
+ * @param {Object} body - { date, category, amount, notes, recurring, endDate }
+ * @param {boolean} partial - true for PATCH (only provided fields are checked)
+ * @returns {{ data: Object, errors: Object[] }}
+ */
+function parseExpenseInput(body, partial) {
+    const { data, errors } = validateBody(body, EXPENSE_SCHEMA, { partial });
+    if (errors.length > 0) {
+        return { data, errors };
+    }
+
+    // Making an expense a one-off drops the end date it had while recurring
+    if (partial && data.recurring === null && data.end_date === undefined) {
+        data.end_date = null;
+    }
+
+    // A PATCH that only changes one side is checked by the database constraint instead
+    if (data.end_date && (data.recurring === null || (!partial && !data.recurring))) {
+        return { data, errors: [{ field: 'endDate', message: 'Only recurring expenses have an end date' }] };
+    }
+    if (data.end_date && data.date && data.end_date < data.date) {
+        return { data, errors: [{ field: 'endDate', message: 'endDate must be on or after date' }] };
+    }
+
+    return { data, errors };
+}
+
+/**
+ * GET /api/expenses
+ * Returns every recorded expense, most recent first (admin only)
+ * Returns: [{ id, date, category, amount, notes, recurring: "weekly" | "monthly" | "yearly" | null, endDate, createdAt }]
+ */
+app.get('/api/expenses', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('expenses')
+            .select('*')
+            .order('date', { ascending: false })
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching expenses:', error);
+            return res.status(500).json({ error: 'Failed to fetch expenses', details: error.message });
+        }
+
+        res.json((data || []).map(expenses.formatExpense));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/expenses
+ * Records an expense (admin only)
+ * A recurring expense is paid again every week, month or year after its date, until its endDate if it has one
+ * Body: { date, category: "rent" | "products" | "tools" | "utilities" | "marketing" | "other", amount, notes, recurring, endDate }
+ * Returns: The created expense
+ */
+app.post('/api/expenses', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data: input, errors } = parseExpenseInput(req.body, false);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .insert(input)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('[POST /api/expenses] Error creating expense:', error);
+            return res.status(500).json({ error: 'Failed to create expense', details: error.message });
+        }
+
+        console.log(`[POST /api/expenses] Recorded ${data.recurring || 'one-off'} ${data.category} expense of ${data.amount} on ${data.date}`);
+        res.status(201).json(expenses.formatExpense(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * PATCH /api/expenses/:id
+ * Updates an expense, e.g. sets the endDate of rent that's no longer paid (admin only)
+ * Body: any of { date, category, amount, notes, recurring, endDate } - recurring: null also clears endDate
+ * Returns: The updated expense
+ */
+app.patch('/api/expenses/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const expenseId = req.params.id;
+
+        if (!UUID_PATTERN.test(expenseId)) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+
+        const { data: input, errors } = parseExpenseInput(req.body, true);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        input.updated_at = new Date().toISOString();
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .update(input)
+            .eq('id', expenseId)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[PATCH /api/expenses/${expenseId}] Error updating expense:`, error);
+            if (error.code === '23514') {
+                return sendValidationError(res, [{ field: 'endDate', message: 'Only recurring expenses have an end date, on or after their date' }]);
+            }
+            return res.status(500).json({ error: 'Failed to update expense', details: error.message });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+
+        console.log(`[PATCH /api/expenses/${expenseId}] Updated ${data.category} expense`);
+        res.json(expenses.formatExpense(data));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/expenses/:id
+ * Removes an expense, including every past repeat of a recurring one (admin only)
+ * To stop a recurring expense but keep what was already paid, PATCH its endDate instead
+ */
+app.delete('/api/expenses/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const expenseId = req.params.id;
+
+        if (!UUID_PATTERN.test(expenseId)) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .delete()
+            .eq('id', expenseId)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[DELETE /api/expenses/${expenseId}] Error deleting expense:`, error);
+            return res.status(500).json({ error: 'Failed to delete expense', details: error.message });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+
+        console.log(`[DELETE /api/expenses/${expenseId}] Deleted ${data.category} expense`);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - CUSTOMER MANAGE LINKS
+// ============================================
+// Public routes reached from the link in the confirmation page and SMS
+// The signed token identifies the appointment - no login required
+
+/**
+ * Convert an appointments row to what the manage page shows
+ * Leaves out admin-only fields like includeInAnalytics
+ * @param {Object} item - appointments row
+ * @param {Object} [claim] - The manage link it was opened with - a link for an earlier time can't change it
+ */
+function formatManagedAppointment(item, claim) {
+    const { allowed, deadline } = manageLinks.getChangeWindow(item.date, item.time);
+    const isActive = item.status === 'pending' || item.status === 'accepted';
+    const isOutdatedLink = Boolean(claim) && !manageLinks.isCurrentManageLink(claim, item);
+
+    return {
+        customerName: item.customer_name,
+        service: item.service,
+        price: item.price,
+        duration: item.duration,
+        date: item.date,
+        time: item.time,
+        status: item.status,
+        canChange: isActive && allowed && !isOutdatedLink,
+        isOutdatedLink,
+        changeDeadline: deadline.toISOString(),
+        cutoffHours: manageLinks.CHANGE_CUTOFF_HOURS,
+        deposit: deposits.formatDeposit(item),
+        depositRefundCutoffHours: deposits.DEPOSIT_REFUND_CUTOFF_HOURS
+    };
+}
+
+/**
+ * Look up the appointment for a manage token
+ * Sends the error response itself and returns null if the token or appointment is invalid, or - with
+ * forChange - if the link can't change it any more (410 - the appointment is over or was moved)
+ * @returns {Promise<{ appointment, claim }|null>}
+ */
+async function loadManagedAppointment(req, res, { forChange = false } = {}) {
+    const claim = manageLinks.verifyManageToken(req.params.token);
+    if (!claim) {
+        res.status(404).json({ error: 'This link is invalid or has expired' });
+        return null;
+    }
+
+    // Appointments the shop deleted are gone from the customer's side too
+    const { data, error } = await supabase
+        .from('appointments')
+        .select('*')
+        .eq('id', claim.id)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Error fetching appointment for manage link:', error);
+        res.status(500).json({ error: 'Failed to load appointment', details: error.message });
+        return null;
+    }
+    if (!data) {
+        res.status(404).json({ error: 'This link is invalid or has expired' });
+        return null;
+    }
+
+    const linkError = forChange ? manageLinks.getManageLinkError(claim, data) : null;
+    if (linkError) {
+        res.status(410).json({ error: linkError });
+        return null;
+    }
+
+    return { appointment: data, claim };
+}
+
+/**
+ * Reject changes to appointments that are finished, cancelled, or inside the cutoff window
+ * Sends the error response itself and returns false if the change isn't allowed
+ */
+function ensureCanChange(appointment, res) {
+    if (appointment.status !== 'pending' && appointment.status !== 'accepted') {
+        res.status(409).json({ error: `This appointment is ${appointment.status.replace('_', ' ')} and can no longer be changed` });
+        return false;
+    }
+
+    if (!manageLinks.getChangeWindow(appointment.date, appointment.time).allowed) {
+        res.status(403).json({
+            error: `Appointments can't be changed online within ${manageLinks.CHANGE_CUTOFF_HOURS} hours of the start time. Please contact us directly.`
+        });
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * GET /api/manage/:token
+ * Returns the appointment for a manage link
+ * Returns: { customerName, service, price, duration, date, time, status, canChange, isOutdatedLink, changeDeadline,
+ *            cutoffHours, deposit: { amount, status, ... } | null, depositRefundCutoffHours }
+ * Keeps working once the appointment is over, so the customer can still see its status and deposit;
+ * isOutdatedLink is true (and canChange false) for a link sent before the appointment was moved
+ */
+app.get('/api/manage/:token', async (req, res) => {
+    try {
+        const managed = await loadManagedAppointment(req, res);
+        if (!managed) return;
+
+        res.json(formatManagedAppointment(managed.appointment, managed.claim));
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/manage/:token/cancel
+ * Cancels the appointment for a manage link
+ * Returns 403 inside the cutoff window, 410 if the appointment is over or was moved since the link was sent
+ */
+app.post('/api/manage/:token/cancel', async (req, res) => {
+    try {
+        const managed = await loadManagedAppointment(req, res, { forChange: true });
+        if (!managed) return;
+        const { appointment } = managed;
+        if (!ensureCanChange(appointment, res)) return;
+
+        const { data, error } = await supabase
+            .from('appointments')
+            .update({ ...appointmentStatus.buildStatusUpdate('cancelled'), updated_at: new Date().toISOString() })
+            .eq('id', appointment.id)
+            .eq('status', appointment.status) // The shop may have changed it in the meantime
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error cancelling appointment:', error);
+            return res.status(500).json({ error: 'Failed to cancel appointment', details: error.message });
+        }
+        if (!data) {
+            return res.status(409).json({ error: 'This appointment was just changed. Please reload the page.' });
+        }
+
+        console.log(`[POST /api/manage/cancel] Customer cancelled appointment ${data.id} on ${data.date} at ${data.time}`);
+
+        // Refunded or kept depending on how far ahead they cancelled
+        const cancelled = await refundDeposit(data, 'customer');
+
+        sendCustomerCancellationConfirmation(formatAppointment(cancelled)).catch(err => {
+            console.error('[Notify] Failed to send cancellation confirmation:', err);
+            // Don't fail the request if the message fails
+        });
+
+        offerFreedSlot(data).catch(err => {
+            console.error('[Waitlist] Failed to offer freed time:', err);
+        });
+
+        res.json(formatManagedAppointment(cancelled));
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+const RESCHEDULE_SCHEMA = {
+    date: { type: 'date', required: true },
+    time: { type: 'time', required: true }
+};
+
+/**
+ * POST /api/manage/:token/reschedule
+ * Moves the appointment to another open slot
+ * Request body: { date: "2024-01-16", time: "15:00" }
+ * Uses the same date and overlap checks as POST /api/appointments
+ * Returns 403 inside the cutoff window, 409 { error, alternatives } if the new time is taken,
+ * 410 if the appointment is over or was moved since the link was sent
+ * Returns: The moved appointment with manageToken - the old link only worked for the old time
+ */
+app.post('/api/manage/:token/reschedule', async (req, res) => {
+    try {
+        const { data: input, errors } = validateBody(req.body, RESCHEDULE_SCHEMA);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { date, time } = input;
+
+        const managed = await loadManagedAppointment(req, res, { forChange: true });
+        if (!managed) return;
+        const { appointment } = managed;
+        if (!ensureCanChange(appointment, res)) return;
+
+        // The new time has to be outside the cutoff window too
+        if (!manageLinks.getChangeWindow(date, time).allowed) {
+            return res.status(400).json({
+                error: `Please choose a time at least ${manageLinks.CHANGE_CUTOFF_HOURS} hours from now`
+            });
+        }
+
+        const duration = parseInt(appointment.duration) || DEFAULT_APPOINTMENT_DURATION;
+        const dateError = await checkSlotOpen(date, time, duration, '[POST /api/manage/reschedule]');
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+
+        // Check for overlaps and move in one database call (see migrations/004_reschedule_appointment.sql)
+        const { data, error } = await supabase.rpc('reschedule_appointment', {
+            p_id: appointment.id,
+            p_date: date,
+            p_time: time
+        });
+
+        if (error && error.code === '23P01') {
+            return sendBookingConflict(res, error, date, time, duration, '[POST /api/manage/reschedule]');
+        }
+
+        if (error) {
+            console.error('Error rescheduling appointment:', error);
+            return res.status(500).json({ error: 'Failed to reschedule appointment', details: error.message });
+        }
+
+        console.log(`[POST /api/manage/reschedule] Customer moved appointment ${data.id} to ${data.date} at ${data.time}`);
+
+        // The moved appointment is pending again - let the customer know it's being reviewed
+        sendAppointmentConfirmation({ ...formatAppointment(data), manageUrl: manageLinks.buildManageUrl(data) }).catch(err => {
+            console.error('[Notify] Failed to send confirmation:', err);
+            // Don't fail the request if the message fails
+        });
+
+        // The old time is free now
+        offerFreedSlot(appointment).catch(err => {
+            console.error('[Waitlist] Failed to offer freed time:', err);
+        });
+
+        // Links for the old time stop working - the page carries on with one for the new time
+        res.json({ ...formatManagedAppointment(data), manageToken: manageLinks.createManageToken(data) });
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - DEPOSITS
+// ============================================
+// Services with a deposit_amount are paid for up front (see migrations/016_deposits.sql)
+// The booking holds its time as awaiting_payment until the checkout is paid, then becomes pending like any other
+// Unpaid holds are released by the job below after DEPOSIT_HOLD_MINUTES
+
+/**
+ * Deposit a booking of a catalog service has to pay
+ * Nothing while no payment provider is configured, so no booking is ever shown as paid without a payment
+ * @param {Object} item - services row
+ * @returns {number}
+ */
+function getBookingDeposit(item) {
+    return payments.isEnabled() ? Number(item.deposit_amount) || 0 : 0;
+}
+
+/**
+ * Book a catalog service in one database call that checks for overlaps (see migrations/003_atomic_booking.sql)
+ * Used by POST /api/appointments and POST /api/waitlist/claim/:token, so both take the service's deposit:
+ * with one the booking is held as awaiting_payment until it's paid, otherwise it starts as pending
+ * @param {Object} booking - { customer: { name, email, phone }, date, time, includeInAnalytics, notificationChannel }
+ * @param {Object} catalogService - services row; price and duration always come from here
+ * @returns {Promise<{ data, error, depositAmount }>} - depositAmount is 0 when there's nothing to pay
+ */
+async function bookCatalogService(booking, catalogService) {
+    const depositAmount = getBookingDeposit(catalogService);
+    const needsDeposit = depositAmount > 0;
+
+    const { data, error } = await supabase.rpc('book_appointment', {
+        p_customer_name: booking.customer.name,
+        p_customer_email: booking.customer.email,
+        p_customer_phone: booking.customer.phone,
+        p_service_id: catalogService.id,
+        p_service: catalogService.name,
+        p_price: Number(catalogService.price).toFixed(2),
+        p_duration: catalogService.duration,
+        p_date: booking.date,
+        p_time: booking.time,
+        p_include_in_analytics: booking.includeInAnalytics !== false,
+        p_notification_channel: booking.notificationChannel || 'sms',
+        p_status: needsDeposit ? 'awaiting_payment' : 'pending',
+        p_deposit_amount: depositAmount.toFixed(2),
+        p_payment_expires_at: needsDeposit ? deposits.getHoldExpiry().toISOString() : null
+    });
+
+    return { data, error, depositAmount };
+}
+
+/**
+ * Start the checkout for a booking that was just held for its deposit
+ * If it can't be started the time is released again and the 502 is sent here
+ * @param {Object} res - Express response
+ * @param {Object} row - appointments row from bookCatalogService
+ * @returns {Promise<Object|null>} - The held row with its checkout, or null once the error has been sent
+ */
+async function startBookingDeposit(res, row) {
+    const { data: held, error } = await startDepositCheckout(row);
+
+    if (error) {
+        // Release the time so the customer can try again
+        await supabase.from('appointments').delete().eq('id', row.id).eq('status', 'awaiting_payment');
+        res.status(502).json({ error: "We couldn't start the deposit payment. Please try again.", details: error.message });
+        return null;
+    }
+
+    return held;
+}
+
+/**
+ * Response for a booking held for its deposit - the confirmation waits until it's paid
+ * Returns: Appointment with manageToken and payment: { url, amount, expiresAt } - the page the customer pays on
+ */
+function formatHeldBooking(row) {
+    return {
+        ...formatAppointment(row),
+        manageToken: manageLinks.createManageToken(row),
+        payment: { url: row.deposit_checkout_url, amount: Number(row.deposit_amount).toFixed(2), expiresAt: row.payment_expires_at }
+    };
+}
+
+/**
+ * Page the customer comes back to from the checkout
+ * @param {Object} row - appointments row
+ * @param {boolean} cancelled - true for the link used when they leave the checkout without paying
+ */
+function buildDepositReturnUrl(row, cancelled = false) {
+    const token = encodeURIComponent(manageLinks.createManageToken(row));
+    return manageLinks.buildSiteUrl(`deposit.html?token=${token}${cancelled ? '&cancelled=1' : ''}`);
+}
+
+/**
+ * Start a checkout for a booking that's awaiting its deposit and save it on the row
+ * @param {Object} row - appointments row
+ * @returns {Promise<{ data, error }>} - Updated row
+ */
+async function startDepositCheckout(row) {
+    const checkout = await payments.createDepositCheckout(row, {
+        successUrl: buildDepositReturnUrl(row),
+        cancelUrl: buildDepositReturnUrl(row, true),
+        expiresAt: new Date(row.payment_expires_at)
+    });
+
+    if (!checkout.success) {
+        return { data: null, error: new Error(checkout.error) };
+    }
+
+    return supabase
+        .from('appointments')
+        .update({
+            deposit_provider: payments.getProviderName(),
+            deposit_checkout_id: checkout.id,
+            deposit_checkout_url: checkout.url,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', row.id)
+        .select()
+        .single();
+}
+
+/**
+ * Check a held booking's checkout and confirm the booking if it's been paid
+ * Safe to call more than once - only the first call that sees the payment updates the row
+ * @param {Object} row - appointments row with a deposit_checkout_id
+ * @returns {Promise<Object>} - The row as it is now
+ */
+async function settleDepositCheckout(row) {
+    if (row.status !== 'awaiting_payment' || !row.deposit_checkout_id) return row;
+
+    const checkout = await payments.getCheckout(row.deposit_checkout_id);
+    if (!checkout.success || !checkout.paid) return row;
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('appointments')
+        .update({
+            status: 'pending',
+            deposit_status: 'paid',
+            deposit_payment_id: checkout.paymentId,
+            deposit_paid_at: now,
+            payment_expires_at: null,
+            updated_at: now
+        })
+        .eq('id', row.id)
+        .eq('status', 'awaiting_payment') // Another request already settled it
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        console.error('[Payments] Failed to record deposit payment:', error);
+        return row;
+    }
+    if (!data) {
+        // Settled elsewhere in the meantime - return the current row
+        const { data: current } = await supabase.from('appointments').select('*').eq('id', row.id).maybeSingle();
+        return current || row;
+    }
+
+    console.log(`[Payments] Deposit paid for appointment ${data.id} on ${data.date} at ${data.time}`);
+
+    // Now it's a real booking - link it to the customer and send the usual confirmation
+    const linked = await linkAppointmentToCustomer(data);
+    sendAppointmentConfirmation({ ...formatAppointment(linked), manageUrl: manageLinks.buildManageUrl(linked) }).catch(err => {
+        console.error('[Notify] Failed to send confirmation:', err);
+        // Don't fail the request if the message fails
+    });
+
+    return linked;
+}
+
+/**
+ * Refund or keep a paid deposit after an appointment is cancelled or declined
+ * Refund failures are recorded as refund_failed for the shop to sort out by hand
+ * @param {Object} row - appointments row (already cancelled or declined)
+ * @param {string} cancelledBy - 'shop' or 'customer'
+ * @returns {Promise<Object>} - The row with its deposit columns updated
+ */
+async function refundDeposit(row, cancelledBy) {
+    const refund = deposits.getDepositRefund(row, cancelledBy);
+    if (!refund) return row;
+
+    const now = new Date().toISOString();
+    let update;
+
+    if (refund.amount > 0) {
+        const result = await payments.refundPayment(row.deposit_payment_id, refund.amount);
+        update = result.success
+            ? { deposit_status: 'refunded', deposit_refunded_amount: refund.amount.toFixed(2), deposit_refunded_at: now }
+            : { deposit_status: 'refund_failed' };
+    } else {
+        update = { deposit_status: 'forfeited' };
+    }
+
+    const { data, error } = await supabase
+        .from('appointments')
+        .update({ ...update, updated_at: now })
+        .eq('id', row.id)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('[Payments] Failed to record deposit refund:', error);
+        return row;
+    }
+
+    console.log(`[Payments] Deposit for appointment ${row.id} ${data.deposit_status} (${refund.reason})`);
+    return data;
+}
+
+/**
+ * POST /api/manage/:token/deposit
+ * Called by the deposit page when the customer comes back from the checkout
+ * Confirms the booking if the deposit has been paid
+ * Returns: { status, deposit, paymentUrl, paymentExpiresAt }
+ * paymentUrl is set while the booking is still held and can be paid; it's null once paid or released
+ */
+app.post('/api/manage/:token/deposit', async (req, res) => {
+    try {
+        const claim = manageLinks.verifyManageToken(req.params.token);
+        if (!claim) {
+            return res.status(404).json({ error: 'This link is invalid or has expired' });
+        }
+
+        const { data: row, error } = await supabase
+            .from('appointments')
+            .select('*')
+            .eq('id', claim.id)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching appointment for deposit:', error);
+            return res.status(500).json({ error: 'Failed to load appointment', details: error.message });
+        }
+
+        // Unpaid holds are deleted when they run out
+        if (!row) {
+            return res.status(410).json({ error: 'This booking was released because the deposit was not paid in time. Please book again.' });
+        }
+
+        const linkError = manageLinks.getManageLinkError(claim, row);
+        if (linkError) {
+            return res.status(410).json({ error: linkError });
+        }
+
+        const appointment = await settleDepositCheckout(row);
+        const isHeld = appointment.status === 'awaiting_payment' && new Date(appointment.payment_expires_at) > new Date();
+
+        res.json({
+            status: appointment.status,
+            deposit: deposits.formatDeposit(appointment),
+            paymentUrl: isHeld ? appointment.deposit_checkout_url : null,
+            paymentExpiresAt: isHeld ? appointment.payment_expires_at : null
+        });
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/payments/webhook
+ * Payment provider webhook (set the endpoint URL and STRIPE_WEBHOOK_SECRET in the Stripe dashboard)
+ * Confirms bookings when their checkout is paid, even if the customer never comes back to the site
+ * A payment for a hold that was already released is refunded in full
+ */
+app.post('/api/payments/webhook', async (req, res) => {
+    try {
+        const event = payments.parseWebhook(req.rawBody, req.get('Stripe-Signature'));
+        if (!event.valid) {
+            return res.status(400).json({ error: 'Invalid webhook signature' });
+        }
+
+        // Events we don't act on
+        if (!event.checkoutId) {
+            return res.json({ received: true });
+        }
+
+        const { data: row, error } = await supabase
+            .from('appointments')
+            .select('*')
+            .eq('deposit_checkout_id', event.checkoutId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('[Payments] Failed to look up checkout from webhook:', error);
+            // 500 so the provider retries later
+            return res.status(500).json({ error: 'Failed to look up checkout', details: error.message });
+        }
+
+        if (row) {
+            await settleDepositCheckout(row);
+        } else {
+            const checkout = await payments.getCheckout(event.checkoutId);
+            if (checkout.success && checkout.paid && checkout.paymentId) {
+                console.warn(`[Payments] Checkout ${event.checkoutId} was paid after its hold was released - refunding`);
+                await payments.refundPayment(checkout.paymentId);
+            }
+        }
+
+        res.json({ received: true });
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - RETURNING CUSTOMERS
+// ============================================
+// "I've been here before" on the booking page: the customer enters their number, we text a one-time code,
+// and the code is traded for a signed customer token (see services/customerLoginService.js)
+// The token fills in their details and last service, and lists their upcoming appointments with manage links
+
+/**
+ * Read the customer token from the Authorization header ("Bearer <token>")
+ * @returns {string|null} - Customer ID, or null if there's no valid token
+ */
+function getCustomerIdFromRequest(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? manageLinks.verifyCustomerToken(match[1]) : null;
+}
+
+/**
+ * What the booking page needs for a signed-in customer
+ * @param {Object} customer - customers row
+ * @returns {Promise<{ data, error }>} - { customer: { name, email, phone }, lastService, notificationChannel, upcoming: [...] }
+ */
+async function buildCustomerSession(customer) {
+    const { data: appointments, error } = await supabase
+        .from('appointments')
+        .select('*')
+        .eq('customer_id', customer.id)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    const today = formatDateString(new Date());
+    const upcoming = appointments
+        .filter(apt => (apt.status === 'pending' || apt.status === 'accepted') && apt.date >= today)
+        .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`))
+        .map(apt => ({ ...formatManagedAppointment(apt), manageToken: manageLinks.createManageToken(apt) }));
+
+    return {
+        data: {
+            customer: {
+                name: customer.name,
+                email: customer.email || '',
+                phone: customer.phone || ''
+            },
+            lastService: customerLogin.findLastService(appointments),
+            // How they asked to be notified last time
+            notificationChannel: appointments.length > 0 ? appointments[0].notification_channel || 'sms' : 'sms',
+            upcoming
+        },
+        error: null
+    };
+}
+
+const LOGIN_CODE_REQUEST_SCHEMA = {
+    phone: { type: 'phone', required: true }
+};
+
+// The code is checked against the stored hash - spaces and dashes typed with it are ignored there
+const LOGIN_CODE_VERIFY_SCHEMA = {
+    phone: { type: 'phone', required: true },
+    code: { type: 'string', required: true, max: 20, message: 'Please enter the code we texted you' }
+};
+
+/**
+ * POST /api/customer-login/code
+ * Texts a one-time code to a returning customer
+ * The response is the same whether or not the number has booked before, so it can't be used to look people up
+ * Request body: { phone: "..." }
+ * Returns: { sent: true, expiresInMinutes }
+ */
+app.post('/api/customer-login/code', async (req, res) => {
+    try {
+        const ip = req.ip;
+
+        if (!customerLogin.isRequestAllowed(ip)) {
+            console.log(`[POST /api/customer-login/code] Too many requests from ${ip}`);
+            return res.status(429).json({ error: 'Too many attempts. Please try again in 15 minutes.' });
+        }
+
+        const { data: input, errors } = validateBody(req.body, LOGIN_CODE_REQUEST_SCHEMA);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { phone } = input;
+
+        customerLogin.recordRequest(ip);
+        const genericResponse = { sent: true, expiresInMinutes: customerLogin.LOGIN_CODE_TTL_MINUTES };
+
+        const { data: customer, error } = await findCustomerByPhone(phone);
+
+        if (error) {
+            console.error('Error looking up customer for login code:', error);
+            return res.status(500).json({ error: 'Failed to send code', details: error.message });
+        }
+
+        if (!customer) {
+            console.log('[POST /api/customer-login/code] No customer for this number - nothing sent');
+            return res.json(genericResponse);
+        }
+
+        const { data: recentCodes, error: recentError } = await supabase
+            .from('customer_login_codes')
+            .select('created_at')
+            .eq('phone', phone)
+            .gte('created_at', new Date(Date.now() - 60 * 60 * 1000).toISOString());
+
+        if (recentError) {
+            console.error('Error checking recent login codes:', recentError);
+            return res.status(500).json({ error: 'Failed to send code', details: recentError.message });
+        }
+
+        const wait = customerLogin.getCodeRequestWait(recentCodes.map(row => row.created_at));
+        if (wait > 0) {
+            // The last code is still on its way or the hourly cap is used up - don't text again
+            console.log(`[POST /api/customer-login/code] Code for customer ${customer.id} not sent: next one allowed in ${wait}s`);
+            return res.json(genericResponse);
+        }
+
+        const code = customerLogin.generateLoginCode();
+        const { error: insertError } = await supabase
+            .from('customer_login_codes')
+            .insert({
+                customer_id: customer.id,
+                phone,
+                code_hash: manageLinks.hashLoginCode(phone, code),
+                expires_at: new Date(Date.now() + customerLogin.LOGIN_CODE_TTL_MINUTES * 60 * 1000).toISOString()
+            });
+
+        if (insertError) {
+            console.error('Error saving login code:', insertError);
+            return res.status(500).json({ error: 'Failed to send code', details: insertError.message });
+        }
+
+        const result = await sendLoginCode(phone, code, customerLogin.LOGIN_CODE_TTL_MINUTES);
+        if (!result.success) {
+            // Opted-out and unreachable numbers get the same response as everyone else
+            console.error(`[POST /api/customer-login/code] Code for customer ${customer.id} not sent: ${result.error}`);
+        } else {
+            console.log(`[POST /api/customer-login/code] Code sent to customer ${customer.id}`);
+        }
+
+        res.json(genericResponse);
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/customer-login/verify
+ * Trades a texted code for a customer token
+ * Only the newest code for the number works, once, until it expires or has been guessed wrong too often
+ * Request body: { phone: "...", code: "123456" }
+ * Returns: { token, expiresAt, customer: { name, email, phone }, lastService: { serviceId, service } | null, notificationChannel, upcoming: [...] }
+ */
+app.post('/api/customer-login/verify', async (req, res) => {
+    try {
+        const ip = req.ip;
+
+        if (!customerLogin.isRequestAllowed(ip)) {
+            console.log(`[POST /api/customer-login/verify] Too many failed attempts from ${ip}`);
+            return res.status(429).json({ error: 'Too many attempts. Please try again in 15 minutes.' });
+        }
+
+        const { data: input, errors } = validateBody(req.body, LOGIN_CODE_VERIFY_SCHEMA);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { phone, code } = input;
+
+        const { data: loginCode, error } = await supabase
+            .from('customer_login_codes')
+            .select('*')
+            .eq('phone', phone)
+            .is('used_at', null)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching login code:', error);
+            return res.status(500).json({ error: 'Failed to check code', details: error.message });
+        }
+
+        const isUsable = loginCode
+            && new Date(loginCode.expires_at).getTime() > Date.now()
+            && loginCode.attempts < customerLogin.MAX_CODE_ATTEMPTS;
+
+        if (!isUsable) {
+            customerLogin.recordRequest(ip);
+            return res.status(401).json({ error: 'This code has expired. Please ask for a new one.' });
+        }
+
+        if (!customerLogin.isCorrectCode(loginCode, phone, code)) {
+            customerLogin.recordRequest(ip);
+            await supabase
+                .from('customer_login_codes')
+                .update({ attempts: loginCode.attempts + 1 })
+                .eq('id', loginCode.id);
+            console.log(`[POST /api/customer-login/verify] Wrong code for customer ${loginCode.customer_id}`);
+            return res.status(401).json({ error: "That code isn't right. Please check the text and try again." });
+        }
+
+        // Only mark it used if nobody else did first, so a code can't be used twice
+        const { data: used, error: useError } = await supabase
+            .from('customer_login_codes')
+            .update({ used_at: new Date().toISOString() })
+            .eq('id', loginCode.id)
+            .is('used_at', null)
+            .select()
+            .maybeSingle();
+
+        if (useError) {
+            console.error('Error using login code:', useError);
+            return res.status(500).json({ error: 'Failed to check code', details: useError.message });
+        }
+        if (!used) {
+            return res.status(401).json({ error: 'This code has expired. Please ask for a new one.' });
+        }
+
+        const { data: customer, error: customerError } = await supabase
+            .from('customers')
+            .select('*')
+            .eq('id', loginCode.customer_id)
+            .maybeSingle();
+
+        if (customerError) {
+            console.error('Error fetching customer for login code:', customerError);
+            return res.status(500).json({ error: 'Failed to load your details', details: customerError.message });
+        }
+        if (!customer) {
+            return res.status(401).json({ error: 'This code has expired. Please ask for a new one.' });
+        }
+
+        const { data: session, error: sessionError } = await buildCustomerSession(customer);
+
+        if (sessionError) {
+            console.error('Error loading appointments for customer session:', sessionError);
+            return res.status(500).json({ error: 'Failed to load your details', details: sessionError.message });
+        }
+
+        const expiresAt = customerLogin.getSessionExpiry();
+        console.log(`[POST /api/customer-login/verify] Customer ${customer.id} signed in`);
+        res.json({ token: manageLinks.createCustomerToken(customer.id, expiresAt), expiresAt: expiresAt.getTime(), ...session });
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * GET /api/customer-login/session
+ * Returns the signed-in customer's details again, e.g. when they come back to the booking page
+ * Requires the header Authorization: Bearer <token from /api/customer-login/verify>
+ * Returns: { customer, lastService, notificationChannel, upcoming } or 401
+ */
+app.get('/api/customer-login/session', async (req, res) => {
+    try {
+        const customerId = getCustomerIdFromRequest(req);
+        if (!customerId) {
+            return res.status(401).json({ error: 'Please sign in again' });
+        }
+
+        const { data: customer, error } = await supabase
+            .from('customers')
+            .select('*')
+            .eq('id', customerId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Error fetching customer ${customerId}:`, error);
+            return res.status(500).json({ error: 'Failed to load your details', details: error.message });
+        }
+        // Merged away or deleted since they signed in
+        if (!customer) {
+            return res.status(401).json({ error: 'Please sign in again' });
+        }
+
+        const { data: session, error: sessionError } = await buildCustomerSession(customer);
+
+        if (sessionError) {
+            console.error('Error loading appointments for customer session:', sessionError);
+            return res.status(500).json({ error: 'Failed to load your details', details: sessionError.message });
+        }
+
+        res.json(session);
+    } catch (error) {
+        // Catch any unexpected errors
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - WAITLIST
+// ============================================
+// Customers join from the booking page when the days they want are fully booked
+// When a booking on one of their dates is cancelled or declined, the first person in line
+// gets a text with a claim link that runs out after WAITLIST_OFFER_MINUTES
+
+// How long a waitlist offer can be claimed before it moves to the next person
+const WAITLIST_OFFER_MINUTES = parseFloat(process.env.WAITLIST_OFFER_MINUTES || '30');
+// Most dates a customer can wait on at once
+const MAX_WAITLIST_DATES = 7;
+
+/**
+ * Convert a waitlist_entries row to the frontend format
+ * Database: { customer_name, service, dates: [...], status, offered_date, offered_time, ... }
+ * Frontend: { customer: { name, email, phone }, service, dates: [...], status, offeredDate, offeredTime, ... }
+ */
+function formatWaitlistEntry(item) {
+    return {
+        id: item.id,
+        customer: {
+            name: item.customer_name,
+            email: item.customer_email,
+            phone: item.customer_phone
+        },
+        serviceId: item.service_id,
+        service: item.service,
+        duration: item.duration,
+        dates: item.dates || [],
+        status: item.status,
+        offeredDate: item.offered_date || null,
+        offeredTime: item.offered_time ? String(item.offered_time).slice(0, 5) : null,
+        offerExpiresAt: item.offer_expires_at || null,
+        appointmentId: item.appointment_id || null,
+        createdAt: item.created_at
+    };
+}
+
+/**
+ * Offer a time that just opened up to the first matching waitlist entry
+ * The waitlisted service can be a different length from the booking that freed the time,
+ * so the offer is the first start time for that service that uses some of the freed time
+ * @param {Object} freed - { date, time, duration } of the cancelled or declined booking
+ * @param {Array<string>} skipEntryIds - Entries to pass over (e.g. one whose offer just ran out)
+ * @returns {Promise<Object|null>} - The waitlist_entries row that got the offer, or null
+ */
+async function offerFreedSlot(freed, skipEntryIds = []) {
+    const now = new Date();
+    const freedStart = timeToMinutes(freed.time);
+    const freedEnd = freedStart + (parseInt(freed.duration) || DEFAULT_APPOINTMENT_DURATION);
+    const [year, month, day] = freed.date.split('-').map(Number);
+    const startsAt = minutes => new Date(year, month - 1, day, Math.floor(minutes / 60), minutes % 60); // month is 0-indexed
+
+    // Nothing to offer once the freed time is over
+    if (startsAt(freedEnd) <= now) {
+        return null;
+    }
+
+    const { data: entries, error } = await supabase
+        .from('waitlist_entries')
+        .select('*')
+        .eq('status', 'waiting')
+        .contains('dates', [freed.date])
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        console.error('[Waitlist] Error loading waitlist:', error);
+        return null;
+    }
+
+    const candidates = (entries || []).filter(entry => !skipEntryIds.includes(entry.id));
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const { availability, error: availError } = await getAvailabilityRange(freed.date, freed.date);
+    const { data: bookings, error: bookingError } = await supabase
+        .from('appointments')
+        .select('time, duration')
+        .eq('date', freed.date)
+        .in('status', SLOT_HOLDING_STATUSES);
+
+    if (availError || bookingError) {
+        console.error('[Waitlist] Error loading the day to offer:', availError || bookingError);
+        return null;
+    }
+
+    for (const entry of candidates) {
+        const slot = generateDaySlots(availability[freed.date], entry.duration, bookings || []).find(time => {
+            const start = timeToMinutes(time);
+            return start < freedEnd && freedStart < start + entry.duration && startsAt(start) > now;
+        });
+        if (!slot) continue;
+
+        const expiresAt = new Date(now.getTime() + WAITLIST_OFFER_MINUTES * 60 * 1000);
+
+        // Only offer if the entry is still waiting (another cancellation may have got there first)
+        const { data: offered, error: offerError } = await supabase
+            .from('waitlist_entries')
+            .update({
+                status: 'offered',
+                offered_date: freed.date,
+                offered_time: slot,
+                offer_expires_at: expiresAt.toISOString(),
+                updated_at: now.toISOString()
+            })
+            .eq('id', entry.id)
+            .eq('status', 'waiting')
+            .select()
+            .maybeSingle();
+
+        if (offerError) {
+            console.error(`[Waitlist] Error offering ${freed.date} ${slot} to entry ${entry.id}:`, offerError);
+            continue;
+        }
+        if (!offered) continue;
+
+        console.log(`[Waitlist] Offered ${freed.date} at ${slot} to entry ${offered.id} until ${expiresAt.toISOString()}`);
+
+        sendWaitlistOffer({
+            entryId: offered.id,
+            customer: { name: offered.customer_name, phone: offered.customer_phone },
+            service: offered.service,
+            date: freed.date,
+            time: slot,
+            claimUrl: manageLinks.buildWaitlistClaimUrl(offered, expiresAt),
+            expiresAt
+        }).catch(err => {
+            console.error('[SMS] Failed to send waitlist offer:', err);
+        });
+
+        return offered;
+    }
+
+    console.log(`[Waitlist] No waiting entry fits the time freed on ${freed.date} at ${freed.time}`);
+    return null;
+}
+
+/**
+ * Look up the waitlist entry for a claim token
+ * Sends the error response itself and returns null if the link is invalid or the offer is gone
+ */
+async function loadClaimableEntry(req, res) {
+    const claim = manageLinks.verifyWaitlistClaimToken(req.params.token);
+    if (!claim) {
+        res.status(404).json({ error: 'This offer has expired or the link is invalid' });
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('waitlist_entries')
+        .select('*')
+        .eq('id', claim.id)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Error fetching waitlist entry:', error);
+        res.status(500).json({ error: 'Failed to load offer', details: error.message });
+        return null;
+    }
+
+    // The entry must still hold this exact offer (not an older or newer one)
+    const stillOffered = data && data.status === 'offered' &&
+        data.offered_date === claim.date &&
+        String(data.offered_time).slice(0, 5) === claim.time;
+
+    if (!stillOffered) {
+        res.status(409).json({ error: data && data.status === 'booked' ? 'You have already claimed this time' : 'This offer is no longer available' });
+        return null;
+    }
+
+    return data;
+}
+
+// Offers are sent by text, so smsConsent has to be true
+const WAITLIST_SCHEMA = {
+    customer: { type: 'object', required: true, fields: CUSTOMER_CONTACT_SCHEMA },
+    serviceId: { type: 'uuid', required: true },
+    dates: { type: 'array', required: true, min: 1, items: { type: 'date' }, message: 'Pick at least one date' },
+    smsConsent: { type: 'enum', required: true, values: [true], message: 'Waitlist offers are sent by text - please agree to receive text messages' }
+};
+
+/**
+ * POST /api/waitlist
+ * Joins the waitlist for one or more fully booked dates
+ * Request body: { customer: { name, email, phone }, serviceId: "...", dates: ["2024-01-15", ...], smsConsent: true }
+ * Offers are sent by text, so smsConsent is required
+ * Joining again for the same service adds the new dates to the existing entry
+ * Returns: { id, service, dates, status }
+ */
+app.post('/api/waitlist', async (req, res) => {
+    try {
+        const { data: input, errors } = validateBody(req.body, WAITLIST_SCHEMA);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { customer, serviceId, dates } = input;
+        const phone = customer.phone;
+
+        const today = formatDateString(new Date());
+        const uniqueDates = [...new Set(dates)].sort();
+        if (uniqueDates.some(date => date < today)) {
+            return res.status(400).json({ error: 'Waitlist dates cannot be in the past' });
+        }
+
+        const { service, error: serviceError } = await findActiveService(serviceId);
+        if (serviceError) {
+            console.error('Error looking up service:', serviceError);
+            return res.status(500).json({ error: 'Failed to verify service', details: serviceError.message });
+        }
+        if (!service) {
+            return res.status(400).json({ error: 'This service is not available for booking' });
+        }
+
+        // One open entry per phone number and service
+        const { data: existing, error: existingError } = await supabase
+            .from('waitlist_entries')
+            .select('*')
+            .eq('customer_phone_e164', phone)
+            .eq('service_id', service.id)
+            .in('status', ['waiting', 'offered'])
+            .order('created_at', { ascending: true })
+            .limit(1)
+            .maybeSingle();
+
+        if (existingError) {
+            console.error('Error checking waitlist:', existingError);
+            return res.status(500).json({ error: 'Failed to join waitlist', details: existingError.message });
+        }
+
+        const allDates = [...new Set([...(existing ? existing.dates.filter(date => date >= today) : []), ...uniqueDates])].sort();
+        if (allDates.length > MAX_WAITLIST_DATES) {
+            return res.status(400).json({ error: `You can wait on up to ${MAX_WAITLIST_DATES} dates at a time` });
+        }
+
+        const query = existing
+            ? supabase.from('waitlist_entries').update({ dates: allDates, updated_at: new Date().toISOString() }).eq('id', existing.id)
+            : supabase.from('waitlist_entries').insert({
+                customer_name: customer.name,
+                customer_email: customer.email,
+                customer_phone: phone,
+                service_id: service.id,
+                service: service.name,
+                duration: service.duration,
+                dates: allDates
+            });
+
+        const { data, error } = await query.select().single();
+
+        if (error) {
+            console.error('[POST /api/waitlist] Error saving entry:', error);
+            return res.status(500).json({ error: 'Failed to join waitlist', details: error.message });
+        }
+
+        const { error: consentError } = await recordSmsConsent(phone, 'opt_in', 'waitlist', {
+            customerName: customer.name,
+            detail: smsConsent.CONSENT_WORDING
+        });
+        if (consentError) {
+            console.error('[POST /api/waitlist] Error recording text message consent:', consentError);
+        }
+
+        console.log(`[POST /api/waitlist] Entry ${data.id} waiting for ${service.name} on ${allDates.join(', ')}`);
+        res.status(existing ? 200 : 201).json({ id: data.id, service: data.service, dates: data.dates, status: data.status });
+    } catch (error) {
+        console.error('[POST /api/waitlist] Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * GET /api/waitlist
+ * Returns open waitlist entries (waiting or offered), oldest first (admin only)
+ * Query parameters: startDate, endDate (optional) - only entries waiting on a date in the range
+ * Returns: [{ id, customer: {...}, service, dates: [...], status, offeredDate, offeredTime, offerExpiresAt }]
+ */
+app.get('/api/waitlist', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data: filters, errors } = validateQuery(req.query, DATE_RANGE_QUERY);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { startDate, endDate } = filters;
+
+        const { data, error } = await supabase
+            .from('waitlist_entries')
+            .select('*')
+            .in('status', ['waiting', 'offered'])
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching waitlist:', error);
+            return res.status(500).json({ error: 'Failed to fetch waitlist', details: error.message });
+        }
+
+        const entries = (data || []).filter(entry => (entry.dates || []).some(date =>
+            (!startDate || date >= startDate) && (!endDate || date <= endDate)
+        ));
+
+        res.json(entries.map(formatWaitlistEntry));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/waitlist/:id
+ * Takes someone off the waitlist (admin only)
+ * The entry is kept with status "removed"; an open offer stops working
+ */
+app.delete('/api/waitlist/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const entryId = req.params.id;
+
+        if (!UUID_PATTERN.test(entryId)) {
+            return res.status(404).json({ error: 'Waitlist entry not found' });
+        }
+
+        const { data, error } = await supabase
+            .from('waitlist_entries')
+            .update({ status: 'removed', updated_at: new Date().toISOString() })
+            .eq('id', entryId)
+            .in('status', ['waiting', 'offered'])
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[DELETE /api/waitlist/${entryId}] Error removing entry:`, error);
+            return res.status(500).json({ error: 'Failed to remove waitlist entry', details: error.message });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Waitlist entry not found' });
+        }
+
+        console.log(`[DELETE /api/waitlist/${entryId}] Removed from waitlist`);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * GET /api/waitlist/claim/:token
+ * Returns the offer behind a claim link
+ * Returns: { customerName, service, duration, date, time, expiresAt }
+ */
+app.get('/api/waitlist/claim/:token', async (req, res) => {
+    try {
+        const entry = await loadClaimableEntry(req, res);
+        if (!entry) return;
+
+        res.json({
+            customerName: entry.customer_name,
+            service: entry.service,
+            duration: entry.duration,
+            date: entry.offered_date,
+            time: String(entry.offered_time).slice(0, 5),
+            expiresAt: entry.offer_expires_at
+        });
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * POST /api/waitlist/claim/:token
+ * Books the offered time for the waitlisted customer
+ * Uses the same checks as POST /api/appointments; if the time was taken in the meantime
+ * the customer goes back on the waitlist (409)
+ * Returns: Created appointment with manageToken, like POST /api/appointments - including payment: { url, amount, expiresAt }
+ * when the service takes a deposit
+ */
+app.post('/api/waitlist/claim/:token', async (req, res) => {
+    try {
+        const entry = await loadClaimableEntry(req, res);
+        if (!entry) return;
+
+        const date = entry.offered_date;
+        const time = String(entry.offered_time).slice(0, 5);
+
+        // Price comes from the catalog as it is now
+        const { service: catalogService, error: serviceError } = await findActiveService(entry.service_id, entry.service);
+        if (serviceError) {
+            console.error('Error looking up service:', serviceError);
+            return res.status(500).json({ error: 'Failed to verify service', details: serviceError.message });
+        }
+        if (!catalogService) {
+            return res.status(400).json({ error: 'This service is no longer available for booking' });
+        }
+
+        const slotError = await checkSlotOpen(date, time, catalogService.duration, '[POST /api/waitlist/claim]');
+        if (slotError) {
+            return res.status(400).json({ error: slotError });
+        }
+
+        const { data, error, depositAmount } = await bookCatalogService({
+            customer: { name: entry.customer_name, email: entry.customer_email, phone: entry.customer_phone },
+            date,
+            time
+        }, catalogService);
+
+        if (error && error.code === '23P01') {
+            await supabase
+                .from('waitlist_entries')
+                .update({ status: 'waiting', offered_date: null, offered_time: null, offer_expires_at: null, updated_at: new Date().toISOString() })
+                .eq('id', entry.id)
+                .eq('status', 'offered');
+
+            console.log(`[POST /api/waitlist/claim] ${date} ${time} was taken before entry ${entry.id} claimed it`);
+            return res.status(409).json({ error: 'Sorry, someone else just booked this time. You are still on the waitlist and we will text you if another spot opens up.' });
+        }
+
+        if (error) {
+            console.error('Error booking waitlist offer:', error);
+            return res.status(500).json({ error: 'Failed to book appointment', details: error.message });
+        }
+
+        // Like any other booking, a service with a deposit is paid for before it goes to the barber
+        // If the checkout can't be started the offer stays open, so the customer can try again
+        let held = null;
+        if (depositAmount > 0) {
+            held = await startBookingDeposit(res, data);
+            if (!held) return;
+        }
+
+        await supabase
+            .from('waitlist_entries')
+            .update({ status: 'booked', appointment_id: data.id, updated_at: new Date().toISOString() })
+            .eq('id', entry.id);
+
+        if (held) {
+            console.log(`[POST /api/waitlist/claim] Entry ${entry.id} held appointment ${data.id} on ${date} at ${time} for its deposit`);
+            return res.status(201).json(formatHeldBooking(held));
+        }
+
+        const appointment = formatAppointment(await linkAppointmentToCustomer(data));
+        console.log(`[POST /api/waitlist/claim] Entry ${entry.id} booked appointment ${data.id} on ${date} at ${time}`);
+
+        sendAppointmentConfirmation({ ...appointment, manageUrl: manageLinks.buildManageUrl(appointment) }).catch(err => {
+            console.error('[Notify] Failed to send confirmation:', err);
+            // Don't fail the request if the message fails
+        });
+
+        res.status(201).json({ ...appointment, manageToken: manageLinks.createManageToken(appointment) });
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - MESSAGE TEMPLATES
+// ============================================
+// Text message wording is edited from the admin panel and stored in message_templates
+// Messages that were never edited use the defaults in services/messageTemplateService.js
+
+// Number test sends go to unless the admin gives one
+const SAMPLE_PHONE_NUMBER = '+15555550123';
+
+/**
+ * Load saved template edits into the message template service
+ * Falls back to the default wording if the table can't be read (e.g. before migration 009)
+ */
+async function refreshMessageTemplates() {
+    const { data, error } = await supabase
+        .from('message_templates')
+        .select('key, body, updated_at');
+
+    if (error) {
+        console.warn('⚠️  Could not load message templates - using the default wording:', error.message);
+        return false;
+    }
+
+    messageTemplates.setTemplateOverrides(data || []);
+    return true;
+}
+
+refreshMessageTemplates();
+
+/**
+ * Look up a template key from the URL
+ * @returns {boolean} - false if a 404 was sent
+ */
+function requireTemplateKey(req, res) {
+    if (!Object.prototype.hasOwnProperty.call(messageTemplates.TEMPLATE_DEFINITIONS, req.params.key)) {
+        res.status(404).json({ error: 'Message template not found' });
+        return false;
+    }
+    return true;
+}
+
+const TEMPLATE_BODY_SCHEMA = {
+    body: { type: 'string', required: true, message: 'Message text is required' }
+};
+
+// The preview shows unsaved wording exactly as typed, including an empty box
+const TEMPLATE_PREVIEW_SCHEMA = {
+    body: { type: 'string', trim: false }
+};
+
+// Test messages only go to the outbox, so any valid number will do
+const TEMPLATE_TEST_SCHEMA = {
+    body: { type: 'string' },
+    to: { type: 'phone', emptyAsNull: true }
+};
+
+/**
+ * GET /api/message-templates
+ * Returns every text message template with a preview against a sample appointment (admin only)
+ * Returns: [{ key, label, description, variables, body, defaultBody, customized, updatedAt, preview: { text, length, segments, encoding } }]
+ */
+app.get('/api/message-templates', auth.requireAdmin, async (req, res) => {
+    try {
+        await refreshMessageTemplates();
+        res.json(Object.keys(messageTemplates.TEMPLATE_DEFINITIONS).map(messageTemplates.describeTemplate));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * PUT /api/message-templates/:key
+ * Saves new wording for a template (admin only)
+ * Request body: { body: "Hi {name}! ..." }
+ * Placeholders the template doesn't support are rejected with 422
+ */
+app.put('/api/message-templates/:key', auth.requireAdmin, async (req, res) => {
+    try {
+        if (!requireTemplateKey(req, res)) return;
+        const { key } = req.params;
+
+        const { data: input, errors } = validateBody(req.body, TEMPLATE_BODY_SCHEMA);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { body } = input;
+
+        const validationError = messageTemplates.validateTemplateBody(key, body);
+        if (validationError) {
+            return sendValidationError(res, [{ field: 'body', message: validationError }]);
+        }
+
+        const { data, error } = await supabase
+            .from('message_templates')
+            .upsert({ key, body, updated_at: new Date().toISOString() }, { onConflict: 'key' })
+            .select()
+            .single();
+
+        if (error) {
+            console.error(`[PUT /api/message-templates/${key}] Error saving template:`, error);
+            return res.status(500).json({ error: 'Failed to save message template', details: error.message });
+        }
+
+        messageTemplates.setTemplateOverride(key, data.body, data.updated_at);
+
+        console.log(`[PUT /api/message-templates/${key}] Updated template`);
+        res.json(messageTemplates.describeTemplate(key));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/message-templates/:key
+ * Goes back to the default wording for a template (admin only)
+ * Returns the template with its default text
+ */
+app.delete('/api/message-templates/:key', auth.requireAdmin, async (req, res) => {
+    try {
+        if (!requireTemplateKey(req, res)) return;
+        const { key } = req.params;
+
+        const { error } = await supabase
+            .from('message_templates')
+            .delete()
+            .eq('key', key);
 
-        // If error occurred, send error response
         if (error) {
-            console.error('Error fetching appointments:', error);
-            return res.status(500).json({ error: 'Failed to fetch appointments', details: error.message });
+            console.error(`[DELETE /api/message-templates/${key}] Error resetting template:`, error);
+            return res.status(500).json({ error: 'Failed to reset message template', details: error.message });
         }
 
-        // Convert database format to frontend format
-        // Database: { customer_name, customer_email, customer_phone, ... }
-        // Frontend: { customer: { name, email, phone }, ... }
-        const appointments = (data || []).map(item => ({
-            id: item.id,
-            customer: {
-                name: item.customer_name,
-                email: item.customer_email,
-                phone: item.customer_phone
-            },
-            service: item.service,
-            price: item.price,
-            duration: item.duration,
-            date: item.date,
-            time: item.time,
-            status: item.status,
-            includeInAnalytics: item.include_in_analytics !== false, // Default to true
-            created_at: item.created_at,
-            updated_at: item.updated_at
-        }));
-
-        console.log(`[GET /api/appointments] Returning ${appointments.length} appointment(s) in frontend format`);
+        messageTemplates.setTemplateOverride(key, null);
 
-        // Success - send appointments data back to frontend
-        res.json(appointments);
+        console.log(`[DELETE /api/message-templates/${key}] Reset to default wording`);
+        res.json(messageTemplates.describeTemplate(key));
     } catch (error) {
-        // Catch any unexpected errors
         console.error('Unexpected error:', error);
         res.status(500).json({ error: 'Internal server error', details: error.message });
     }
 });
 
 /**
- * POST /api/appointments
- * Creates a new appointment booking
- * Request body: { customer: {...}, service: "...", date: "2024-01-15", time: "14:15", ... }
+ * POST /api/message-templates/:key/preview
+ * Renders unsaved wording against the sample appointment (admin only)
+ * Request body: { body: "..." }
+ * Returns: { text, length, segments, encoding, unknownVariables: [...] }
  */
-app.post('/api/appointments', async (req, res) => {
+app.post('/api/message-templates/:key/preview', auth.requireAdmin, (req, res) => {
+    if (!requireTemplateKey(req, res)) return;
+    const { key } = req.params;
+
+    const { data: input, errors } = validateBody(req.body, TEMPLATE_PREVIEW_SCHEMA);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    const body = input.body || '';
+
+    const text = messageTemplates.renderTemplate(body, messageTemplates.buildSampleVariables());
+
+    res.json({
+        text,
+        ...messageTemplates.countSegments(text),
+        unknownVariables: messageTemplates.findUnknownVariables(key, body)
+    });
+});
+
+/**
+ * POST /api/message-templates/:key/test
+ * Renders a template against the sample appointment and records it in the local outbox (admin only)
+ * Nothing is sent to a real phone, even when Twilio is configured
+ * Request body: { body: "..." (optional - defaults to the saved wording), to: "+1..." (optional) }
+ * Returns: { id, to, text, length, segments, encoding }
+ */
+app.post('/api/message-templates/:key/test', auth.requireAdmin, async (req, res) => {
     try {
-        // Get booking data from request body
-        const {
-            customer,
-            service,
-            price,
-            duration,
-            date,
-            time,
-            includeInAnalytics = true
-        } = req.body;
+        if (!requireTemplateKey(req, res)) return;
+        const { key } = req.params;
 
-        // Log incoming request for debugging
-        console.log('[POST /api/appointments] Received booking request:', {
-            customer: customer ? { name: customer.name, email: customer.email, phone: customer.phone ? '***' : 'missing' } : 'missing',
-            service,
-            date,
-            time,
-            price,
-            duration
+        const { data: input, errors } = validateBody(req.body, TEMPLATE_TEST_SCHEMA);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const { body } = input;
+        const to = input.to || SAMPLE_PHONE_NUMBER;
+
+        if (body !== undefined) {
+            const validationError = messageTemplates.validateTemplateBody(key, body);
+            if (validationError) {
+                return sendValidationError(res, [{ field: 'body', message: validationError }]);
+            }
+        }
+
+        const variables = messageTemplates.buildSampleVariables();
+        const text = body !== undefined
+            ? messageTemplates.renderTemplate(body, variables)
+            : messageTemplates.renderMessage(key, variables);
+
+        const result = await notifications.sendToOutbox({
+            channel: 'sms',
+            to,
+            body: text,
+            type: key,
+            meta: { test: true }
         });
 
-        // Validate required fields
-        if (!customer || !customer.name || !customer.email || !customer.phone) {
-            console.log('[POST /api/appointments] Validation failed: Missing customer information');
-            return res.status(400).json({ error: 'Customer information is required' });
+        if (!result.success) {
+            return res.status(500).json({ error: 'Failed to record test message', details: result.error });
         }
-        if (!service || !date || !time) {
-            console.log('[POST /api/appointments] Validation failed: Missing service, date, or time', { service, date, time });
-            return res.status(400).json({ error: 'Service, date, and time are required' });
+
+        res.status(201).json({ id: result.id, to, text, ...messageTemplates.countSegments(text) });
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// ============================================
+// API ENDPOINTS - NOTIFICATIONS
+// ============================================
+// With SMS_PROVIDER or EMAIL_PROVIDER set to "outbox", messages are recorded instead of sent
+// These routes let dev and test setups check exactly what went out
+
+const OUTBOX_QUERY = {
+    channel: { type: 'enum', values: ['sms', 'email'] },
+    type: { type: 'string' },
+    to: { type: 'string' }
+};
+
+/**
+ * GET /api/notifications/outbox
+ * Returns messages recorded by the outbox since startup, oldest first (admin only)
+ * Query parameters: channel ("sms" or "email"), type (e.g. "confirmation", "reminder"), to (optional filters)
+ * Returns: { providers: { sms, email }, messages: [{ id, channel, to, body, type, meta, sentAt }] }
+ */
+app.get('/api/notifications/outbox', auth.requireAdmin, (req, res) => {
+    const { data: filters, errors } = validateQuery(req.query, OUTBOX_QUERY);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    const { channel, type, to } = filters;
+
+    res.json({
+        providers: notifications.getProviderNames(),
+        messages: notifications.getOutbox({ channel, type, to })
+    });
+});
+
+/**
+ * DELETE /api/notifications/outbox
+ * Clears the recorded messages (admin only)
+ * The OUTBOX_FILE, if set, is left as is
+ */
+app.delete('/api/notifications/outbox', auth.requireAdmin, (req, res) => {
+    notifications.clearOutbox();
+    console.log('[DELETE /api/notifications/outbox] Cleared outbox');
+    res.status(204).end();
+});
+
+// ============================================
+// API ENDPOINTS - SMS CONSENT
+// ============================================
+// Customers opt in with the consent box on the booking and waitlist forms, and opt out (or back in) by texting STOP or START
+// sms_consent holds each number's current state and sms_consent_events every change (see migrations/012_sms_consent.sql)
+// sendSMS skips opted-out numbers using the list loaded here
+
+/**
+ * Load the opted-out numbers into the SMS consent service
+ * Runs at startup and before each reminder run, so STOPs handled by another server instance are picked up
+ */
+async function refreshSmsOptOuts() {
+    const { data, error } = await supabase
+        .from('sms_consent')
+        .select('phone, opted_out_at')
+        .eq('status', 'opted_out');
+
+    if (error) {
+        console.warn('⚠️  Could not load the SMS opt-out list - numbers that texted STOP may still be texted:', error.message);
+        return false;
+    }
+
+    smsConsent.setOptedOutNumbers(data || []);
+    return true;
+}
+
+refreshSmsOptOuts();
+
+/**
+ * Record an opt-in or opt-out for a phone number
+ * An opt-out takes effect immediately, even if it can't be saved
+ * @param {string} phone - Number in any format (stored in E.164)
+ * @param {string} action - "opt_in" or "opt_out"
+ * @param {string} source - "booking", "waitlist" or "keyword"
+ * @param {Object} options - { customerName, detail (keyword texted or consent wording), appointmentId }
+ * @returns {Promise<{ error }>}
+ */
+async function recordSmsConsent(phone, action, source, { customerName = null, detail = null, appointmentId = null } = {}) {
+    const number = normalizePhone(phone);
+    if (!number) {
+        return { error: new Error(`Invalid phone number: ${phone}`) };
+    }
+
+    const optingOut = action === 'opt_out';
+    const now = new Date().toISOString();
+
+    if (optingOut) {
+        smsConsent.setOptedOut(number, true, now);
+    }
+
+    const row = {
+        phone: number,
+        status: optingOut ? 'opted_out' : 'opted_in',
+        source,
+        [optingOut ? 'opted_out_at' : 'opted_in_at']: now,
+        updated_at: now
+    };
+    // Keep the name from an earlier booking when a STOP comes in
+    if (customerName) {
+        row.customer_name = customerName;
+    }
+
+    const { error } = await supabase
+        .from('sms_consent')
+        .upsert(row, { onConflict: 'phone' });
+
+    if (error) {
+        return { error };
+    }
+
+    if (!optingOut) {
+        smsConsent.setOptedOut(number, false);
+    }
+
+    const { error: eventError } = await supabase
+        .from('sms_consent_events')
+        .insert({ phone: number, action, source, detail, appointment_id: appointmentId });
+
+    return { error: eventError || null };
+}
+
+/**
+ * GET /api/sms-consent
+ * Returns text message consent by phone number, most recently changed first (admin only)
+ * Query parameters: status ("opted_in" or "opted_out", optional)
+ * Returns: [{ phone, customerName, status, source, optedInAt, optedOutAt, updatedAt }]
+ */
+app.get('/api/sms-consent', auth.requireAdmin, async (req, res) => {
+    try {
+        const { data: filters, errors } = validateQuery(req.query, { status: { type: 'enum', values: ['opted_in', 'opted_out'] } });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
         }
+        const { status } = filters;
 
-        // Check if the time slot is still available
-        // First, get availability for this date
-        const { data: availabilityData, error: availError } = await supabase
-            .from('availability')
+        let query = supabase
+            .from('sms_consent')
             .select('*')
-            .eq('date', date)
-            .single();
+            .order('updated_at', { ascending: false });
 
-        // If date is closed or not found, reject booking
-        if (availError) {
-            console.log('[POST /api/appointments] Availability check error:', availError.message);
-            return res.status(400).json({ error: `This date is not available for booking: ${availError.message}` });
+        if (status) {
+            query = query.eq('status', status);
         }
-        if (!availabilityData) {
-            console.log('[POST /api/appointments] No availability data found for date:', date);
-            return res.status(400).json({ error: 'This date is not available for booking. Please select a date with available time slots.' });
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error fetching SMS consent:', error);
+            return res.status(500).json({ error: 'Failed to fetch SMS consent', details: error.message });
         }
-        if (availabilityData.is_closed) {
-            console.log('[POST /api/appointments] Date is marked as closed:', date);
-            return res.status(400).json({ error: 'This date is closed and not available for booking' });
+
+        res.json((data || []).map(row => ({
+            phone: row.phone,
+            customerName: row.customer_name,
+            status: row.status,
+            source: row.source,
+            optedInAt: row.opted_in_at,
+            optedOutAt: row.opted_out_at,
+            updatedAt: row.updated_at
+        })));
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+/**
+ * GET /api/sms-consent/:phone/events
+ * Returns every opt-in and opt-out recorded for a number, newest first (admin only)
+ * URL parameter: phone (any format, e.g. %2B15552345678)
+ * Returns: [{ id, action, source, detail, appointmentId, createdAt }]
+ */
+app.get('/api/sms-consent/:phone/events', auth.requireAdmin, async (req, res) => {
+    try {
+        const phone = normalizePhone(req.params.phone);
+        if (!phone) {
+            return res.status(400).json({ error: 'Invalid phone number' });
         }
 
-        // Check if this time slot is already booked
-        const { data: existingBookings, error: bookingCheckError } = await supabase
-            .from('appointments')
-            .select('id')
-            .eq('date', date)
-            .eq('time', time)
-            .in('status', ['pending', 'accepted']); // Only check pending/accepted (not declined)
-
-        if (bookingCheckError) {
-            console.error('Error checking existing bookings:', bookingCheckError);
-            return res.status(500).json({ error: 'Failed to verify availability', details: bookingCheckError.message });
-        }
-
-        // If time slot is already taken, reject booking
-        if (existingBookings && existingBookings.length > 0) {
-            return res.status(400).json({ error: 'This time slot is already booked' });
-        }
-
-        // Prepare appointment data to save
-        const appointmentData = {
-            customer_name: customer.name,
-            customer_email: customer.email,
-            customer_phone: customer.phone,
-            service: service,
-            price: price || '0.00',
-            duration: duration || 45,
-            date: date,
-            time: time,
-            status: 'pending', // New bookings start as pending
-            include_in_analytics: includeInAnalytics
-        };
-
-        // Insert new appointment into database
         const { data, error } = await supabase
-            .from('appointments')
-            .insert(appointmentData)
-            .select()
-            .single(); // Return the single record that was created
+            .from('sms_consent_events')
+            .select('*')
+            .eq('phone', phone)
+            .order('created_at', { ascending: false });
 
-        // If error occurred, send error response
         if (error) {
-            console.error('Error creating appointment:', error);
-            return res.status(500).json({ error: 'Failed to create appointment', details: error.message });
+            console.error('Error fetching SMS consent history:', error);
+            return res.status(500).json({ error: 'Failed to fetch SMS consent history', details: error.message });
         }
 
-        // Convert database format to frontend format
-        const appointment = {
-            id: data.id,
-            customer: {
-                name: data.customer_name,
-                email: data.customer_email,
-                phone: data.customer_phone
-            },
-            service: data.service,
-            price: data.price,
-            duration: data.duration,
-            date: data.date,
-            time: data.time,
-            status: data.status,
-            includeInAnalytics: data.include_in_analytics !== false,
-            created_at: data.created_at,
-            updated_at: data.updated_at
-        };
-
-        console.log(`[POST /api/appointments] Created appointment for ${appointment.customer.name} on ${appointment.date} at ${appointment.time}`);
-
-        // Send SMS confirmation
-        sendAppointmentConfirmation(appointment).catch(err => {
-            console.error('[SMS] Failed to send confirmation:', err);
-            // Don't fail the request if SMS fails
-        });
-
-        // Success - send created appointment back to frontend
-        res.status(201).json(appointment);
+        res.json((data || []).map(event => ({
+            id: event.id,
+            action: event.action,
+            source: event.source,
+            detail: event.detail,
+            appointmentId: event.appointment_id,
+            createdAt: event.created_at
+        })));
     } catch (error) {
-        // Catch any unexpected errors
         console.error('Unexpected error:', error);
         res.status(500).json({ error: 'Internal server error', details: error.message });
     }
 });
 
+// ============================================
+// API ENDPOINTS - INBOUND SMS
+// ============================================
+// Twilio posts customers' replies here (set this URL as the phone number's "A message comes in" webhook)
+// Replies of CONFIRM, CANCEL or RESCHEDULE act on the sender's next appointment; the answer is texted back as TwiML
+// STOP and START opt the number out of or back into texts, and HELP explains the commands
+// Try it locally with: npm run replay-sms -- scripts/fixtures/inbound-sms/cancel.json
+
 /**
- * PATCH /api/appointments/:id
- * Updates an appointment (typically to change status: pending -> accepted/declined)
- * URL parameter: id (appointment ID)
- * Request body: { status: "accepted" } or { status: "declined" }
+ * Find the next pending or accepted appointment booked with a phone number
+ * Matches on customer_phone_e164 (see migrations/013_phone_e164.sql), so older bookings typed as "(555) 234-5678" are found too
+ * @param {string} phone - Sender's number
+ * @returns {Promise<{ data, error }>} - The appointments row, or null if there isn't one
+ */
+async function findNextAppointmentForPhone(phone) {
+    const now = new Date();
+    const target = normalizePhone(phone);
+
+    if (!target) {
+        return { data: null, error: null };
+    }
+
+    const { data, error } = await supabase
+        .from('appointments')
+        .select('*')
+        .eq('customer_phone_e164', target)
+        .in('status', ['pending', 'accepted'])
+        .gte('date', formatDateString(now))
+        .order('date', { ascending: true })
+        .order('time', { ascending: true });
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    const next = (data || []).find(apt => getAppointmentStart(apt) > now);
+
+    return { data: next || null, error: null };
+}
+
+/**
+ * POST /api/sms/inbound
+ * Twilio webhook for incoming texts (form-encoded: From, Body, ...)
+ * Requests without a valid X-Twilio-Signature get 403
+ * Returns: TwiML with the reply to text back
  */
-app.patch('/api/appointments/:id', async (req, res) => {
+app.post('/api/sms/inbound', express.urlencoded({ extended: false }), async (req, res) => {
+    const reply = (key, variables) => {
+        res.type('text/xml').send(inboundSms.buildReply(messageTemplates.renderMessage(key, variables)));
+    };
+
     try {
-        // Get appointment ID from URL parameter
-        const appointmentId = req.params.id;
+        if (!inboundSms.isValidTwilioRequest(req)) {
+            console.warn(`[POST /api/sms/inbound] Rejected request with a missing or invalid signature (expected URL ${inboundSms.webhookUrl})`);
+            return res.status(403).type('text/plain').send('Invalid signature');
+        }
 
-        // Get update data from request body
-        const updateData = req.body;
+        const from = req.body.From || '';
 
-        // Validate that ID is provided
-        if (!appointmentId) {
-            return res.status(400).json({ error: 'Appointment ID is required' });
+        const keyword = inboundSms.parseConsentKeyword(req.body.Body);
+        if (keyword && keyword.action === 'help') {
+            return reply('reply_help', messageTemplates.buildBusinessVariables());
+        }
+        if (keyword) {
+            const { error: consentError } = await recordSmsConsent(from, keyword.action, 'keyword', { detail: keyword.keyword });
+            if (consentError) {
+                console.error(`[POST /api/sms/inbound] Error recording ${keyword.keyword}:`, consentError);
+                return res.status(500).type('text/plain').send('Failed to update text message consent');
+            }
+            console.log(`[POST /api/sms/inbound] ${normalizePhone(from) || from} ${keyword.action === 'opt_out' ? 'opted out' : 'opted back in'} (${keyword.keyword})`);
+            return reply(keyword.action === 'opt_out' ? 'reply_opted_out' : 'reply_opted_in', messageTemplates.buildBusinessVariables());
         }
 
-        // Add updated timestamp
-        updateData.updated_at = new Date().toISOString();
+        const command = inboundSms.parseReplyCommand(req.body.Body);
 
-        // Update appointment in database
-        const { data, error } = await supabase
-            .from('appointments')
-            .update(updateData)
-            .eq('id', appointmentId) // Find appointment with this ID
-            .select()
-            .single(); // Return the single record that was updated
+        console.log(`[POST /api/sms/inbound] Reply from ${normalizePhone(from) || from}: ${command || 'unrecognised'}`);
+
+        if (!command) {
+            return reply('reply_unrecognised', messageTemplates.buildBusinessVariables());
+        }
+
+        const { data: apt, error } = await findNextAppointmentForPhone(from);
 
-        // If error occurred, send error response
         if (error) {
-            console.error('Error updating appointment:', error);
-            return res.status(500).json({ error: 'Failed to update appointment', details: error.message });
+            console.error('[POST /api/sms/inbound] Error looking up appointment:', error);
+            return res.status(500).type('text/plain').send('Failed to look up appointment');
+        }
+        if (!apt) {
+            return reply('reply_no_appointment', messageTemplates.buildBusinessVariables());
         }
 
-        // If no data returned, appointment doesn't exist
-        if (!data) {
-            return res.status(404).json({ error: 'Appointment not found' });
+        const variables = messageTemplates.buildMessageVariables({
+            ...formatAppointment(apt),
+            manageUrl: manageLinks.buildManageUrl(apt)
+        });
+
+        if (command === 'reschedule') {
+            return reply('reply_reschedule', variables);
         }
 
-        // Convert database format to frontend format
-        const appointment = {
-            id: data.id,
-            customer: {
-                name: data.customer_name,
-                email: data.customer_email,
-                phone: data.customer_phone
-            },
-            service: data.service,
-            price: data.price,
-            duration: data.duration,
-            date: data.date,
-            time: data.time,
-            status: data.status,
-            includeInAnalytics: data.include_in_analytics !== false,
-            created_at: data.created_at,
-            updated_at: data.updated_at
-        };
-
-        // If status changed to accepted or declined, send SMS
-        if (updateData.status && (updateData.status === 'accepted' || updateData.status === 'declined')) {
-            sendAppointmentStatusUpdate(appointment).catch(err => {
-                console.error('[SMS] Failed to send status update:', err);
-                // Don't fail the request if SMS fails
-            });
+        if (command === 'confirm') {
+            // Only the shop can accept a booking - a pending one stays pending
+            if (apt.status !== 'accepted') {
+                return reply('reply_pending', variables);
+            }
+
+            if (!apt.customer_confirmed_at) {
+                const { error: updateError } = await applyAppointmentUpdate(apt.id, { customer_confirmed_at: new Date().toISOString() }, { notifyCustomer: false });
+                if (updateError) {
+                    console.error('[POST /api/sms/inbound] Error confirming appointment:', updateError);
+                    return res.status(500).type('text/plain').send('Failed to confirm appointment');
+                }
+                console.log(`[POST /api/sms/inbound] Customer confirmed appointment ${apt.id}`);
+            }
+            return reply('reply_confirmed', variables);
         }
 
-        // If status changed to cancelled, send cancellation SMS
-        if (updateData.status && updateData.status === 'cancelled') {
-            sendAppointmentCancellation(appointment).catch(err => {
-                console.error('[SMS] Failed to send cancellation notification:', err);
-                // Don't fail the request if SMS fails
-            });
+        // command === 'cancel' - same cutoff as the manage link
+        if (!manageLinks.getChangeWindow(apt.date, apt.time).allowed) {
+            return reply('reply_too_late', variables);
         }
 
-        console.log(`[PATCH /api/appointments/${appointmentId}] Updated appointment status to: ${data.status}`);
+        // Cancels the same way as PATCH /api/appointments/:id; the TwiML reply stands in for the cancellation text
+        const { error: cancelError, statusError } = await applyAppointmentUpdate(apt.id, { status: 'cancelled' }, { notifyCustomer: false, cancelledBy: 'customer' });
+        if (cancelError || statusError) {
+            console.error('[POST /api/sms/inbound] Error cancelling appointment:', cancelError || statusError);
+            return res.status(500).type('text/plain').send('Failed to cancel appointment');
+        }
 
-        // Success - send updated appointment back to frontend
-        res.json(appointment);
+        console.log(`[POST /api/sms/inbound] Customer cancelled appointment ${apt.id} on ${apt.date} at ${apt.time}`);
+        reply('reply_cancelled', variables);
     } catch (error) {
-        // Catch any unexpected errors
         console.error('Unexpected error:', error);
-        res.status(500).json({ error: 'Internal server error', details: error.message });
+        res.status(500).type('text/plain').send('Internal server error');
     }
 });
 
@@ -564,70 +4802,174 @@ app.get('/', (req, res) => {
 // SCHEDULED JOBS - APPOINTMENT REMINDERS
 // ============================================
 
-// Schedule job to check for appointments needing reminders (runs every 5 minutes)
+// Reminder stages, e.g. REMINDER_OFFSETS=24h,2h sends one reminder a day before and another 2 hours before
+let reminderOffsets = reminders.parseReminderOffsets(process.env.REMINDER_OFFSETS || reminders.DEFAULT_REMINDER_OFFSETS);
+if (!reminderOffsets) {
+    console.warn(`⚠️  Invalid REMINDER_OFFSETS "${process.env.REMINDER_OFFSETS}". Expected something like "24h,2h". Using ${reminders.DEFAULT_REMINDER_OFFSETS}.`);
+    reminderOffsets = reminders.parseReminderOffsets(reminders.DEFAULT_REMINDER_OFFSETS);
+}
+
+// Sent and failed reminders are recorded in notifications_sent (see migrations/010_notifications_sent.sql)
+const reminderScheduler = reminders.createReminderScheduler({
+    supabase,
+    offsets: reminderOffsets,
+    formatAppointment,
+    getChannels: getNotificationChannels,
+    sendReminder: sendAppointmentReminderOn
+});
+
+// Check for reminders that are due, and retry failed ones (runs every 5 minutes)
 cron.schedule('*/5 * * * *', async () => {
+    try {
+        await refreshSmsOptOuts();
+        await reminderScheduler.runOnce();
+    } catch (error) {
+        console.error('[Cron] Error in reminder job:', error);
+    }
+});
+
+console.log(`✅ Reminder job scheduled (checks every 5 minutes, reminders at ${reminderOffsets.map(reminders.formatOffset).join(' and ')} before)`);
+
+// ============================================
+// SCHEDULED JOBS - WAITLIST OFFERS
+// ============================================
+
+// Move offers nobody claimed on to the next person, and close entries whose dates have all passed
+cron.schedule('* * * * *', async () => {
     try {
         const now = new Date();
-        const twoHoursFromNow = new Date(now.getTime() + 2 * 60 * 60 * 1000); // 2 hours from now
-        
-        // Get all accepted appointments happening in ~2 hours
-        // Use local date strings instead of UTC to avoid timezone issues
-        const todayLocal = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const todayStr = `${todayLocal.getFullYear()}-${String(todayLocal.getMonth() + 1).padStart(2, '0')}-${String(todayLocal.getDate()).padStart(2, '0')}`;
-        const twoHoursFromNowLocal = new Date(twoHoursFromNow.getFullYear(), twoHoursFromNow.getMonth(), twoHoursFromNow.getDate());
-        const twoHoursFromNowStr = `${twoHoursFromNowLocal.getFullYear()}-${String(twoHoursFromNowLocal.getMonth() + 1).padStart(2, '0')}-${String(twoHoursFromNowLocal.getDate()).padStart(2, '0')}`;
-        
-        const { data: upcomingAppointments, error } = await supabase
+
+        const { data: expiredOffers, error } = await supabase
+            .from('waitlist_entries')
+            .select('*')
+            .eq('status', 'offered')
+            .lt('offer_expires_at', now.toISOString());
+
+        if (error) {
+            console.error('[Cron] Error fetching waitlist offers:', error);
+            return;
+        }
+
+        for (const entry of expiredOffers || []) {
+            const { data: released } = await supabase
+                .from('waitlist_entries')
+                .update({ status: 'waiting', offered_date: null, offered_time: null, offer_expires_at: null, updated_at: now.toISOString() })
+                .eq('id', entry.id)
+                .eq('status', 'offered')
+                .select()
+                .maybeSingle();
+
+            if (!released) continue;
+
+            console.log(`[Cron] Waitlist offer to entry ${entry.id} ran out - offering it to the next person`);
+            await offerFreedSlot({ date: entry.offered_date, time: entry.offered_time, duration: entry.duration }, [entry.id]);
+        }
+
+        const today = formatDateString(now);
+        const { data: waiting, error: waitingError } = await supabase
+            .from('waitlist_entries')
+            .select('id, dates')
+            .eq('status', 'waiting');
+
+        if (waitingError) {
+            console.error('[Cron] Error fetching waitlist:', waitingError);
+            return;
+        }
+
+        const pastIds = (waiting || []).filter(entry => (entry.dates || []).every(date => date < today)).map(entry => entry.id);
+        if (pastIds.length > 0) {
+            await supabase
+                .from('waitlist_entries')
+                .update({ status: 'expired', updated_at: now.toISOString() })
+                .in('id', pastIds)
+                .eq('status', 'waiting');
+        }
+    } catch (error) {
+        console.error('[Cron] Error in waitlist job:', error);
+    }
+});
+
+console.log('✅ Waitlist job scheduled (checks every minute)');
+
+// ============================================
+// SCHEDULED JOBS - DEPOSIT HOLDS
+// ============================================
+
+// Release bookings whose deposit wasn't paid in time, so the time can be booked again
+cron.schedule('* * * * *', async () => {
+    try {
+        const { data: expiredHolds, error } = await supabase
             .from('appointments')
             .select('*')
-            .eq('status', 'accepted')
-            .gte('date', todayStr)
-            .lte('date', twoHoursFromNowStr);
+            .eq('status', 'awaiting_payment')
+            .lt('payment_expires_at', new Date().toISOString());
 
         if (error) {
-            console.error('[Cron] Error fetching appointments:', error);
+            console.error('[Cron] Error fetching unpaid bookings:', error);
             return;
         }
 
-        if (!upcomingAppointments || upcomingAppointments.length === 0) {
-            return; // No appointments to remind
-        }
-
-        // Check each appointment
-        for (const apt of upcomingAppointments) {
-            // Parse date and time to avoid timezone issues
-            const [year, month, day] = apt.date.split('-').map(Number);
-            const [hours, minutes] = apt.time.split(':').map(Number);
-            const appointmentDateTime = new Date(year, month - 1, day, hours, minutes); // month is 0-indexed
-            const timeDiff = appointmentDateTime.getTime() - now.getTime();
-            const hoursUntil = timeDiff / (1000 * 60 * 60);
-
-            // If appointment is between 1.5 and 2.5 hours away, send reminder
-            // (This accounts for the 5-minute check interval)
-            if (hoursUntil >= 1.5 && hoursUntil <= 2.5) {
-                const appointment = {
-                    id: apt.id,
-                    customer: {
-                        name: apt.customer_name,
-                        email: apt.customer_email,
-                        phone: apt.customer_phone
-                    },
-                    service: apt.service,
-                    date: apt.date,
-                    time: apt.time,
-                    status: apt.status
-                };
+        for (const hold of expiredHolds || []) {
+            // The payment may have gone through without a webhook reaching us
+            let row = await settleDepositCheckout(hold);
+            if (row.status !== 'awaiting_payment') continue;
 
-                console.log(`[Cron] Sending reminder for appointment ${apt.id}`);
-                await sendAppointmentReminder(appointment);
+            // Close the checkout, then check once more in case it was paid in the meantime
+            if (row.deposit_checkout_id) {
+                const cancelled = await payments.cancelCheckout(row.deposit_checkout_id);
+                if (!cancelled.success) continue; // Try again next run rather than release a time that might be paid for
+                row = await settleDepositCheckout(row);
+                if (row.status !== 'awaiting_payment') continue;
             }
+
+            const { data: released } = await supabase
+                .from('appointments')
+                .delete()
+                .eq('id', row.id)
+                .eq('status', 'awaiting_payment')
+                .select()
+                .maybeSingle();
+
+            if (!released) continue;
+
+            console.log(`[Cron] Released unpaid booking for ${released.customer_name} on ${released.date} at ${released.time}`);
+            await offerFreedSlot(released);
         }
     } catch (error) {
-        console.error('[Cron] Error in reminder job:', error);
+        console.error('[Cron] Error in deposit hold job:', error);
+    }
+});
+
+console.log(`✅ Deposit hold job scheduled (checks every minute, holds last ${deposits.DEPOSIT_HOLD_MINUTES} minutes, payments via ${payments.getProviderName()})`);
+
+// ============================================
+// SCHEDULED JOBS - ARCHIVE PURGE
+// ============================================
+
+// Remove archived appointments for good once they've been in the archive for APPOINTMENT_RETENTION_DAYS
+// Their reminder records go with them; waitlist entries and consent history keep their rows without the link
+cron.schedule('15 3 * * *', async () => {
+    try {
+        const { data: purged, error } = await supabase
+            .from('appointments')
+            .delete()
+            .lt('deleted_at', appointmentArchive.getPurgeCutoff())
+            .select('id');
+
+        if (error) {
+            console.error('[Cron] Error purging archived appointments:', error);
+            return;
+        }
+
+        if ((purged || []).length > 0) {
+            console.log(`[Cron] Purged ${purged.length} archived appointment(s)`);
+        }
+    } catch (error) {
+        console.error('[Cron] Error in archive purge job:', error);
     }
 });
 
-console.log('✅ Reminder job scheduled (checks every 5 minutes)');
+console.log(`✅ Archive purge job scheduled (daily at 3:15, keeps archived appointments ${appointmentArchive.APPOINTMENT_RETENTION_DAYS} days)`);
 
 // ============================================
 // START SERVER
@@ -638,10 +4980,68 @@ app.listen(PORT, () => {
     console.log(`✅ Server is running on http://localhost:${PORT}`);
     console.log(`📁 Serving static files from: ${path.join(__dirname, '..')}`);
     console.log(`📡 API endpoints available:`);
+    console.log(`   POST   /api/admin/login`);
+    console.log(`   POST   /api/admin/logout`);
+    console.log(`   GET    /api/admin/session`);
+    console.log(`   GET    /api/services`);
+    console.log(`   POST   /api/services          (admin)`);
+    console.log(`   PATCH  /api/services/:id      (admin)`);
+    console.log(`   DELETE /api/services/:id      (admin)`);
     console.log(`   GET    /api/availability`);
-    console.log(`   POST   /api/availability`);
-    console.log(`   GET    /api/appointments`);
+    console.log(`   GET    /api/availability/slots`);
+    console.log(`   POST   /api/availability      (admin)`);
+    console.log(`   DELETE /api/availability/:date (admin)`);
+    console.log(`   GET    /api/availability/templates     (admin)`);
+    console.log(`   POST   /api/availability/templates     (admin)`);
+    console.log(`   PATCH  /api/availability/templates/:id (admin)`);
+    console.log(`   DELETE /api/availability/templates/:id (admin)`);
+    console.log(`   GET    /api/appointments/booked`);
+    console.log(`   GET    /api/appointments      (admin)`);
     console.log(`   POST   /api/appointments`);
-    console.log(`   PATCH  /api/appointments/:id`);
+    console.log(`   PATCH  /api/appointments/:id  (admin)`);
+    console.log(`   DELETE /api/appointments/:id  (admin)`);
+    console.log(`   POST   /api/appointments/:id/restore (admin)`);
+    console.log(`   POST   /api/appointments/:id/checkout (admin)`);
+    console.log(`   GET    /api/customers         (admin)`);
+    console.log(`   GET    /api/customers/:id     (admin)`);
+    console.log(`   POST   /api/customers         (admin)`);
+    console.log(`   PATCH  /api/customers/:id     (admin)`);
+    console.log(`   POST   /api/customers/:id/merge (admin)`);
+    console.log(`   GET    /api/analytics/clients (admin)`);
+    console.log(`   GET    /api/analytics/time-slots (admin)`);
+    console.log(`   GET    /api/analytics/revenue (admin)`);
+    console.log(`   GET    /api/analytics/profit-loss (admin)`);
+    console.log(`   GET    /api/analytics/retention (admin)`);
+    console.log(`   GET    /api/analytics/no-shows (admin)`);
+    console.log(`   GET    /api/analytics/exclusions (admin)`);
+    console.log(`   POST   /api/analytics/exclusions (admin)`);
+    console.log(`   DELETE /api/analytics/exclusions/:id (admin)`);
+    console.log(`   GET    /api/expenses (admin)`);
+    console.log(`   POST   /api/expenses (admin)`);
+    console.log(`   PATCH  /api/expenses/:id (admin)`);
+    console.log(`   DELETE /api/expenses/:id (admin)`);
+    console.log(`   GET    /api/manage/:token`);
+    console.log(`   POST   /api/manage/:token/cancel`);
+    console.log(`   POST   /api/manage/:token/reschedule`);
+    console.log(`   POST   /api/manage/:token/deposit`);
+    console.log(`   POST   /api/payments/webhook  (payment provider webhook)`);
+    console.log(`   POST   /api/customer-login/code`);
+    console.log(`   POST   /api/customer-login/verify`);
+    console.log(`   GET    /api/customer-login/session`);
+    console.log(`   POST   /api/waitlist`);
+    console.log(`   GET    /api/waitlist          (admin)`);
+    console.log(`   DELETE /api/waitlist/:id      (admin)`);
+    console.log(`   GET    /api/waitlist/claim/:token`);
+    console.log(`   POST   /api/waitlist/claim/:token`);
+    console.log(`   GET    /api/message-templates            (admin)`);
+    console.log(`   PUT    /api/message-templates/:key       (admin)`);
+    console.log(`   DELETE /api/message-templates/:key       (admin)`);
+    console.log(`   POST   /api/message-templates/:key/preview (admin)`);
+    console.log(`   POST   /api/message-templates/:key/test  (admin)`);
+    console.log(`   GET    /api/sms-consent       (admin)`);
+    console.log(`   GET    /api/sms-consent/:phone/events (admin)`);
+    console.log(`   POST   /api/sms/inbound       (Twilio webhook)`);
+    console.log(`   GET    /api/notifications/outbox    (admin)`);
+    console.log(`   DELETE /api/notifications/outbox    (admin)`);
 });
 
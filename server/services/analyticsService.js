@@ -0,0 +1,251 @@
+// Analytics Service
+// The admin Analytics tab is added up in the database by the analytics_* functions (see migrations/019_analytics.sql);
+// this turns their rows into the responses of the /api/analytics routes
+
+// Groupings for GET /api/analytics/revenue
+const REVENUE_PERIODS = ['day', 'week', 'month', 'quarter'];
+
+// Groupings for GET /api/analytics/profit-loss
+const PROFIT_LOSS_PERIODS = ['month', 'quarter'];
+
+// Amounts come back from Postgres as NUMERIC, which can arrive as a string
+function toAmount(value) {
+    return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+/**
+ * Arguments for the analytics_* functions from a validated query
+ * @param {Object} filters - { startDate, endDate, client, search, includeExcluded }
+ * @returns {Object} - { p_start_date, p_end_date, p_client, p_search, p_include_excluded }
+ */
+function getFunctionArgs(filters) {
+    return {
+        p_start_date: filters.startDate || null,
+        p_end_date: filters.endDate || null,
+        p_client: filters.client || null,
+        p_search: filters.search || null,
+        p_include_excluded: filters.includeExcluded === true
+    };
+}
+
+/**
+ * Bookings per hour and per day of the week
+ * @param {Object[]} rows - analytics_time_slots rows { hour, day_of_week, bookings }
+ * @returns {Object} - { total, byHour: [{ hour, bookings }], byDayOfWeek: [{ dayOfWeek, bookings }] } (0 = Sunday, all 7 days)
+ */
+function formatTimeSlots(rows) {
+    const byHour = new Map();
+    const byDayOfWeek = [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, bookings: 0 }));
+
+    for (const row of rows) {
+        const bookings = Number(row.bookings);
+        byHour.set(row.hour, (byHour.get(row.hour) || 0) + bookings);
+        byDayOfWeek[row.day_of_week].bookings += bookings;
+    }
+
+    return {
+        total: byDayOfWeek.reduce((sum, day) => sum + day.bookings, 0),
+        byHour: [...byHour.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([hour, bookings]) => ({ hour, bookings })),
+        byDayOfWeek
+    };
+}
+
+/**
+ * Booked revenue per period, with totals, and what was collected at checkout
+ * The payment methods add up to the collected total: a deposit paid online is counted under deposit,
+ * and only the rest under the method used at the checkout
+ * @param {Object[]} rows - analytics_revenue rows { period_start, visits, revenue }
+ * @param {string} period - One of REVENUE_PERIODS
+ * @param {Object[]} collectedRows - analytics_collected rows { period_start, payment_method, checkouts, collected, tips, deposits }
+ * @returns {Object} - { period, visits, totalRevenue, periods: [{ start, visits, revenue }],
+ *                       collected: { checkouts, total, tips, byPaymentMethod: { cash, card, other, deposit }, periods: [{ start, checkouts, collected, tips }] } }
+ */
+function formatRevenue(rows, period, collectedRows = []) {
+    const periods = rows.map(row => ({
+        start: row.period_start,
+        visits: Number(row.visits),
+        revenue: toAmount(row.revenue)
+    }));
+
+    const collectedPeriods = new Map();
+    const byPaymentMethod = { cash: 0, card: 0, other: 0, deposit: 0 };
+    for (const row of collectedRows) {
+        const entry = collectedPeriods.get(row.period_start) || { start: row.period_start, checkouts: 0, collected: 0, tips: 0 };
+        entry.checkouts += Number(row.checkouts);
+        entry.collected = toAmount(entry.collected + toAmount(row.collected));
+        entry.tips = toAmount(entry.tips + toAmount(row.tips));
+        collectedPeriods.set(row.period_start, entry);
+
+        byPaymentMethod.deposit = toAmount(byPaymentMethod.deposit + toAmount(row.deposits));
+        byPaymentMethod[row.payment_method] = toAmount(byPaymentMethod[row.payment_method] + toAmount(row.collected) - toAmount(row.deposits));
+    }
+    const collected = [...collectedPeriods.values()].sort((a, b) => a.start.localeCompare(b.start));
+
+    return {
+        period,
+        visits: periods.reduce((sum, entry) => sum + entry.visits, 0),
+        totalRevenue: toAmount(periods.reduce((sum, entry) => sum + entry.revenue, 0)),
+        periods,
+        collected: {
+            checkouts: collected.reduce((sum, entry) => sum + entry.checkouts, 0),
+            total: toAmount(collected.reduce((sum, entry) => sum + entry.collected, 0)),
+            tips: toAmount(collected.reduce((sum, entry) => sum + entry.tips, 0)),
+            byPaymentMethod,
+            periods: collected
+        }
+    };
+}
+
+/**
+ * Revenue against expenses per period, with each period's expenses split by category
+ * A period shows up if it has either; categories without expenses are left out of byCategory
+ * @param {Object[]} revenueRows - analytics_revenue rows { period_start, visits, revenue }
+ * @param {Object[]} expenseRows - analytics_expenses rows { period_start, category, amount }
+ * @param {string} period - One of PROFIT_LOSS_PERIODS
+ * @returns {Object} - { period, revenue, expenses, profit, byCategory: { rent: 1200, ... },
+ *                       periods: [{ start, revenue, expenses, profit, byCategory }] }
+ */
+function formatProfitLoss(revenueRows, expenseRows, period) {
+    const periods = new Map();
+    const getPeriod = (start) => {
+        if (!periods.has(start)) {
+            periods.set(start, { start, revenue: 0, expenses: 0, profit: 0, byCategory: {} });
+        }
+        return periods.get(start);
+    };
+
+    for (const row of revenueRows) {
+        getPeriod(row.period_start).revenue = toAmount(row.revenue);
+    }
+    for (const row of expenseRows) {
+        const entry = getPeriod(row.period_start);
+        entry.byCategory[row.category] = toAmount(row.amount);
+        entry.expenses = toAmount(entry.expenses + toAmount(row.amount));
+    }
+
+    const byCategory = {};
+    const sorted = [...periods.values()].sort((a, b) => a.start.localeCompare(b.start));
+    for (const entry of sorted) {
+        entry.profit = toAmount(entry.revenue - entry.expenses);
+        for (const [category, amount] of Object.entries(entry.byCategory)) {
+            byCategory[category] = toAmount((byCategory[category] || 0) + amount);
+        }
+    }
+
+    const revenue = toAmount(sorted.reduce((sum, entry) => sum + entry.revenue, 0));
+    const expenses = toAmount(sorted.reduce((sum, entry) => sum + entry.expenses, 0));
+
+    return {
+        period,
+        revenue,
+        expenses,
+        profit: toAmount(revenue - expenses),
+        byCategory,
+        periods: sorted
+    };
+}
+
+/**
+ * Clients with their visits, and how many came back
+ * @param {Object[]} rows - analytics_retention rows
+ * @returns {Object} - { totalClients, returningClients, newClients, retentionRate, clients: [...] } (retentionRate is a percentage)
+ */
+function formatRetention(rows) {
+    const clients = rows.map(row => ({
+        key: row.client_key,
+        name: row.name,
+        email: row.email,
+        phone: row.phone,
+        visits: Number(row.visits),
+        totalSpent: toAmount(row.total_spent),
+        firstVisit: row.first_visit,
+        lastVisit: row.last_visit,
+        avgDaysBetween: row.avg_days_between === null ? null : Math.round(parseFloat(row.avg_days_between) * 10) / 10,
+        isReturning: Number(row.visits) > 1
+    }));
+
+    const returningClients = clients.filter(client => client.isReturning).length;
+
+    return {
+        totalClients: clients.length,
+        returningClients,
+        newClients: clients.length - returningClients,
+        retentionRate: clients.length > 0 ? Math.round(returningClients / clients.length * 1000) / 10 : 0,
+        clients
+    };
+}
+
+/**
+ * An analytics_appointments row in the frontend format
+ * Database: { client_key, customer_name, customer_email, customer_phone, time: "14:15:00", ... }
+ * Frontend: { clientKey, customer: { name, email, phone }, time: "14:15", ... }
+ */
+function formatAnalyticsAppointment(row) {
+    return {
+        id: row.id,
+        clientKey: row.client_key,
+        customer: {
+            name: row.customer_name,
+            email: row.customer_email,
+            phone: row.customer_phone
+        },
+        service: row.service,
+        price: toAmount(row.price),
+        date: row.date,
+        time: String(row.time).slice(0, 5),
+        status: row.status
+    };
+}
+
+/**
+ * No-shows and cancellations per day, with totals
+ * @param {Object[]} rows - analytics_no_shows rows { date, no_shows, cancellations }
+ * @param {Object[]} appointments - The no_show and cancelled analytics_appointments rows, newest first
+ * @returns {Object} - { noShows, cancellations, byDate: [{ date, noShows, cancellations }], appointments: [...] }
+ */
+function formatNoShows(rows, appointments) {
+    const byDate = rows.map(row => ({
+        date: row.date,
+        noShows: Number(row.no_shows),
+        cancellations: Number(row.cancellations)
+    }));
+
+    return {
+        noShows: byDate.reduce((sum, day) => sum + day.noShows, 0),
+        cancellations: byDate.reduce((sum, day) => sum + day.cancellations, 0),
+        byDate,
+        appointments: appointments.map(formatAnalyticsAppointment)
+    };
+}
+
+/**
+ * Convert an analytics_exclusions row to the frontend format
+ * Database: { type: 'date_range', start_date, end_date, created_at, ... }
+ * Frontend: { type: 'date_range', startDate, endDate, createdAt, ... } (phone or the dates are null, depending on type)
+ */
+function formatExclusion(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        phone: row.phone || null,
+        startDate: row.start_date || null,
+        endDate: row.end_date || null,
+        note: row.note || '',
+        createdAt: row.created_at
+    };
+}
+
+module.exports = {
+    REVENUE_PERIODS,
+    PROFIT_LOSS_PERIODS,
+    getFunctionArgs,
+    formatTimeSlots,
+    formatRevenue,
+    formatProfitLoss,
+    formatRetention,
+    formatAnalyticsAppointment,
+    formatNoShows,
+    formatExclusion
+};
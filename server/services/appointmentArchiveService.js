@@ -0,0 +1,61 @@
+// Appointment Archive Service
+// Deleting an appointment from the admin panel only sets deleted_at (see migrations/018_appointment_archive.sql),
+// which moves it to the Archived list where it can be restored. A daily job in server.js removes archived
+// appointments for good once they've been archived for APPOINTMENT_RETENTION_DAYS
+const { getAppointmentStart } = require('./dateService');
+
+// How long an archived appointment can still be restored
+const APPOINTMENT_RETENTION_DAYS = parseFloat(process.env.APPOINTMENT_RETENTION_DAYS || '30');
+
+// Statuses that keep a time booked - these have to be cancelled or declined (which tells the customer) before deleting
+const TIME_HOLDING_STATUSES = ['awaiting_payment', 'pending', 'accepted'];
+
+/**
+ * Check whether an appointment can be archived
+ * Upcoming bookings still hold their time, so deleting one would free it without telling the customer
+ * @param {Object} apt - appointments row (needs status, date, time)
+ * @param {Date} now
+ * @returns {string|null} - Why it can't be deleted, or null if it can
+ */
+function getDeleteError(apt, now = new Date()) {
+    if (TIME_HOLDING_STATUSES.includes(apt.status) && getAppointmentStart(apt) > now) {
+        return `This appointment is still ${apt.status.replace('_', ' ')}. Cancel or decline it before deleting it, so the customer is told`;
+    }
+    return null;
+}
+
+/**
+ * When an archived appointment is removed for good
+ * @param {string} deletedAt - ISO timestamp from deleted_at
+ * @returns {string} - ISO timestamp
+ */
+function getPurgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + APPOINTMENT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Appointments archived before this moment are due to be removed
+ * @returns {string} - ISO timestamp
+ */
+function getPurgeCutoff(now = new Date()) {
+    return new Date(now.getTime() - APPOINTMENT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Archive details in the frontend format
+ * Database: { deleted_at }
+ * Frontend: { deletedAt, purgeAt } (both null for appointments that aren't archived)
+ */
+function formatArchiveFields(apt) {
+    return {
+        deletedAt: apt.deleted_at || null,
+        purgeAt: apt.deleted_at ? getPurgeDate(apt.deleted_at) : null
+    };
+}
+
+module.exports = {
+    APPOINTMENT_RETENTION_DAYS,
+    getDeleteError,
+    getPurgeCutoff,
+    formatArchiveFields
+};
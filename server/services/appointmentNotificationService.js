@@ -0,0 +1,76 @@
+// Appointment Notification Service
+// Sends each appointment message by text, email or both, following the channel the customer picked when booking
+const sms = require('./smsService');
+const email = require('./emailService');
+
+const NOTIFICATION_CHANNELS = ['sms', 'email', 'both'];
+
+/**
+ * Channels an appointment's messages go out on
+ * @param {Object} appointment - Appointment in frontend format, with `notificationChannel`
+ * @returns {string[]} - e.g. ['sms'] or ['sms', 'email']
+ */
+function getNotificationChannels(appointment) {
+    const channel = NOTIFICATION_CHANNELS.includes(appointment.notificationChannel) ? appointment.notificationChannel : 'sms';
+    return channel === 'both' ? ['sms', 'email'] : [channel];
+}
+
+/**
+ * Send one notification on every channel the customer asked for
+ * @param {Object} appointment - Appointment in frontend format, with `notificationChannel`
+ * @param {Function} sendSms - smsService function for this notification
+ * @param {Function} sendEmail - emailService function for this notification
+ * @returns {Promise<Object>} - { sms, email } results for the channels that were used
+ */
+async function notify(appointment, sendSms, sendEmail) {
+    const results = {};
+
+    for (const channel of getNotificationChannels(appointment)) {
+        results[channel] = channel === 'sms' ? await sendSms(appointment) : await sendEmail(appointment);
+    }
+
+    return results;
+}
+
+function sendAppointmentConfirmation(appointment) {
+    return notify(appointment, sms.sendAppointmentConfirmation, email.sendAppointmentConfirmationEmail);
+}
+
+function sendAppointmentStatusUpdate(appointment) {
+    return notify(appointment, sms.sendAppointmentStatusUpdate, email.sendAppointmentStatusUpdateEmail);
+}
+
+function sendAppointmentReminder(appointment) {
+    return notify(appointment, sms.sendAppointmentReminder, email.sendAppointmentReminderEmail);
+}
+
+/**
+ * Send a reminder on a single channel
+ * The reminder job tracks each channel separately so a failed email is retried without re-texting
+ */
+function sendAppointmentReminderOn(channel, appointment) {
+    return channel === 'email' ? email.sendAppointmentReminderEmail(appointment) : sms.sendAppointmentReminder(appointment);
+}
+
+function sendAppointmentCancellation(appointment) {
+    return notify(appointment, sms.sendAppointmentCancellation, email.sendAppointmentCancellationEmail);
+}
+
+function sendCustomerCancellationConfirmation(appointment) {
+    return notify(appointment, sms.sendCustomerCancellationConfirmation, email.sendCustomerCancellationConfirmationEmail);
+}
+
+module.exports = {
+    NOTIFICATION_CHANNELS,
+    getNotificationChannels,
+    sendAppointmentConfirmation,
+    sendAppointmentStatusUpdate,
+    sendAppointmentReminder,
+    sendAppointmentReminderOn,
+    sendAppointmentCancellation,
+    sendCustomerCancellationConfirmation,
+    // Waitlist offers are time-sensitive, so they always go by text
+    sendWaitlistOffer: sms.sendWaitlistOffer,
+    // The code goes to the number the customer typed, so it's always a text
+    sendLoginCode: sms.sendLoginCode
+};
@@ -0,0 +1,106 @@
+// Appointment Status Service
+// The states an appointment can be in and the changes allowed between them:
+//
+//   awaiting_payment -> pending                    (deposit paid - set by the server only)
+//   pending  -> accepted | declined | cancelled
+//   accepted -> completed | no_show | cancelled | declined
+//   completed <-> no_show                          (correcting a mistake)
+//
+// declined and cancelled are final. completed and no_show can only be set once the appointment has started
+// Each change also stamps its <status>_at column (see migrations/017_appointment_status.sql)
+const { getAppointmentStart } = require('./dateService');
+
+const APPOINTMENT_STATUSES = ['awaiting_payment', 'pending', 'accepted', 'declined', 'cancelled', 'completed', 'no_show'];
+
+// Status -> statuses it can change to through the API
+const ALLOWED_TRANSITIONS = {
+    awaiting_payment: [],
+    pending: ['accepted', 'declined', 'cancelled'],
+    accepted: ['completed', 'no_show', 'cancelled', 'declined'],
+    declined: [],
+    cancelled: [],
+    completed: ['no_show'],
+    no_show: ['completed']
+};
+
+// Statuses that describe what happened at the appointment, so they wait until it has started
+const OUTCOME_STATUSES = ['completed', 'no_show'];
+
+// Column stamped when an appointment moves into a status
+const STATUS_TIMESTAMP_COLUMNS = {
+    accepted: 'accepted_at',
+    declined: 'declined_at',
+    cancelled: 'cancelled_at',
+    completed: 'completed_at',
+    no_show: 'no_show_at'
+};
+
+/**
+ * Check whether an appointment may move to a new status
+ * @param {Object} apt - appointments row (needs status, date, time)
+ * @param {string} status - Requested status
+ * @param {Date} now
+ * @returns {string|null} - Why the change isn't allowed, or null if it is
+ */
+function getTransitionError(apt, status, now = new Date()) {
+    if (!APPOINTMENT_STATUSES.includes(status)) {
+        return `Unknown status "${status}". Expected one of: ${APPOINTMENT_STATUSES.filter(s => s !== 'awaiting_payment').join(', ')}`;
+    }
+
+    const allowed = ALLOWED_TRANSITIONS[apt.status] || [];
+    if (!allowed.includes(status)) {
+        return allowed.length > 0
+            ? `A ${apt.status} appointment can't be changed to ${status} (allowed: ${allowed.join(', ')})`
+            : `A ${apt.status} appointment can't be changed`;
+    }
+
+    if (OUTCOME_STATUSES.includes(status) && getAppointmentStart(apt) > now) {
+        return `An appointment can't be marked ${status} before it starts`;
+    }
+
+    return null;
+}
+
+/**
+ * Columns to write for a status change - the status and its timestamp
+ * Moving between completed and no_show clears the other one's timestamp
+ * @param {string} status - New status
+ * @param {Date} now
+ * @returns {Object} - e.g. { status: 'completed', completed_at: '...', no_show_at: null }
+ */
+function buildStatusUpdate(status, now = new Date()) {
+    const update = { status };
+    const column = STATUS_TIMESTAMP_COLUMNS[status];
+    if (column) update[column] = now.toISOString();
+
+    if (OUTCOME_STATUSES.includes(status)) {
+        OUTCOME_STATUSES
+            .filter(outcome => outcome !== status)
+            .forEach(outcome => { update[STATUS_TIMESTAMP_COLUMNS[outcome]] = null; });
+    }
+
+    return update;
+}
+
+/**
+ * Transition timestamps in the frontend format
+ * Database: { accepted_at, no_show_at, ... }
+ * Frontend: { acceptedAt, noShowAt, ... } (null until the appointment reaches that status)
+ */
+function formatStatusTimestamps(apt) {
+    return {
+        acceptedAt: apt.accepted_at || null,
+        declinedAt: apt.declined_at || null,
+        cancelledAt: apt.cancelled_at || null,
+        completedAt: apt.completed_at || null,
+        noShowAt: apt.no_show_at || null
+    };
+}
+
+module.exports = {
+    APPOINTMENT_STATUSES,
+    ALLOWED_TRANSITIONS,
+    getTransitionError,
+    buildStatusUpdate,
+    formatStatusTimestamps
+};
@@ -0,0 +1,285 @@
+// Admin Authentication Service
+// Password hashing (scrypt) and signed session cookies for the admin panel
+const crypto = require('crypto');
+
+// Admin credentials come from environment variables
+// Generate ADMIN_PASSWORD_HASH with: npm run hash-password -- "your-password"
+const adminUsername = process.env.ADMIN_USERNAME;
+const adminPasswordHash = process.env.ADMIN_PASSWORD_HASH;
+
+// Secret used to sign session tokens
+let sessionSecret = process.env.ADMIN_SESSION_SECRET;
+
+if (!adminUsername || !adminPasswordHash) {
+    console.warn('⚠️  Admin credentials not found. Admin login will be disabled.');
+}
+
+if (!sessionSecret) {
+    // Fall back to a random secret so the server still starts
+    // Sessions will not survive a server restart in this case
+    console.warn('⚠️  ADMIN_SESSION_SECRET not set. Using a temporary secret - admins will be signed out on restart.');
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const SESSION_COOKIE_NAME = 'gjf_admin_session';
+const SESSION_TTL_HOURS = parseFloat(process.env.ADMIN_SESSION_TTL_HOURS || '12');
+const SESSION_TTL_MS = SESSION_TTL_HOURS * 60 * 60 * 1000;
+
+// Login throttling - max attempts per IP within the window
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const loginAttempts = new Map();
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - Hash in the format "scrypt:<salt>:<hash>"
+ */
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, derivedKey) => {
+            if (err) return reject(err);
+            resolve(`scrypt:${salt}:${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash created by hashPassword()
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+function verifyPassword(password, storedHash) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = (storedHash || '').split(':');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return resolve(false);
+        }
+
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, derivedKey) => {
+            if (err) return reject(err);
+            const expected = Buffer.from(hash, 'hex');
+            // Lengths must match before timingSafeEqual
+            if (expected.length !== derivedKey.length) {
+                return resolve(false);
+            }
+            resolve(crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+/**
+ * Sign a payload with the session secret
+ * @param {string} data - Data to sign
+ * @returns {string} - Base64url signature
+ */
+function sign(data) {
+    return crypto.createHmac('sha256', sessionSecret).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed session token
+ * @param {string} username - Admin username
+ * @returns {{ token: string, expiresAt: number }} - Token and expiry (ms since epoch)
+ */
+function createSessionToken(username) {
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    const payload = Buffer.from(JSON.stringify({ sub: username, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - Token created by createSessionToken()
+ * @returns {{ valid: boolean, expired?: boolean, username?: string, expiresAt?: number }}
+ */
+function verifySessionToken(token) {
+    if (!token || typeof token !== 'string' || !token.includes('.')) {
+        return { valid: false };
+    }
+
+    const [payload, signature] = token.split('.');
+    const expectedSignature = sign(payload);
+
+    // Compare signatures in constant time
+    const a = Buffer.from(signature || '');
+    const b = Buffer.from(expectedSignature);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+        return { valid: false };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+        return { valid: false };
+    }
+
+    if (!data.exp || data.exp < Date.now()) {
+        return { valid: false, expired: true };
+    }
+
+    return { valid: true, username: data.sub, expiresAt: data.exp };
+}
+
+/**
+ * Parse the Cookie header into an object
+ * @param {string} header - Raw Cookie header
+ * @returns {Object} - { name: value }
+ */
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (err) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+/**
+ * Build the Set-Cookie options for the session cookie
+ */
+function sessionCookieOptions(maxAgeMs) {
+    return {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: maxAgeMs,
+        path: '/'
+    };
+}
+
+/**
+ * Set the session cookie on a response
+ */
+function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE_NAME, token, sessionCookieOptions(SESSION_TTL_MS));
+}
+
+/**
+ * Clear the session cookie on a response
+ */
+function clearSessionCookie(res) {
+    const { maxAge, ...options } = sessionCookieOptions(0);
+    res.clearCookie(SESSION_COOKIE_NAME, options);
+}
+
+/**
+ * Read and verify the session from a request
+ * @returns {{ valid: boolean, expired?: boolean, username?: string, expiresAt?: number }}
+ */
+function getSession(req) {
+    const cookies = parseCookies(req.headers.cookie);
+    return verifySessionToken(cookies[SESSION_COOKIE_NAME]);
+}
+
+/**
+ * Check whether a login attempt is allowed for this IP
+ * @returns {boolean} - False if the IP is temporarily locked out
+ */
+function isLoginAllowed(ip) {
+    const entry = loginAttempts.get(ip);
+    if (!entry) return true;
+
+    // Window expired - reset
+    if (Date.now() - entry.firstAttempt > LOGIN_WINDOW_MS) {
+        loginAttempts.delete(ip);
+        return true;
+    }
+
+    return entry.count < MAX_LOGIN_ATTEMPTS;
+}
+
+/**
+ * Record a failed login attempt for this IP
+ */
+function recordFailedLogin(ip) {
+    const entry = loginAttempts.get(ip);
+    if (!entry || Date.now() - entry.firstAttempt > LOGIN_WINDOW_MS) {
+        loginAttempts.set(ip, { count: 1, firstAttempt: Date.now() });
+    } else {
+        entry.count++;
+    }
+}
+
+/**
+ * Clear failed attempts after a successful login
+ */
+function clearFailedLogins(ip) {
+    loginAttempts.delete(ip);
+}
+
+/**
+ * Check a username/password pair against the configured admin account
+ * @returns {Promise<boolean>}
+ */
+async function authenticateAdmin(username, password) {
+    if (!adminUsername || !adminPasswordHash) {
+        return false;
+    }
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return false;
+    }
+
+    // Always run the hash check so response time doesn't reveal valid usernames
+    const passwordMatches = await verifyPassword(password, adminPasswordHash);
+    return passwordMatches && username === adminUsername;
+}
+
+/**
+ * Whether admin login has been configured
+ */
+function isAdminConfigured() {
+    return Boolean(adminUsername && adminPasswordHash);
+}
+
+/**
+ * Express middleware - rejects requests without a valid admin session
+ * Responds 401 with { error, sessionExpired } so the admin panel can show the login screen
+ */
+function requireAdmin(req, res, next) {
+    const session = getSession(req);
+
+    if (!session.valid) {
+        if (session.expired) {
+            clearSessionCookie(res);
+        }
+        return res.status(401).json({
+            error: session.expired ? 'Your session has expired. Please sign in again.' : 'Authentication required',
+            sessionExpired: session.expired === true
+        });
+    }
+
+    req.admin = { username: session.username, expiresAt: session.expiresAt };
+    next();
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    verifySessionToken,
+    getSession,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticateAdmin,
+    isAdminConfigured,
+    isLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    requireAdmin
+};
@@ -0,0 +1,75 @@
+// Checkout Service
+// What was actually taken at an appointment, recorded from the admin panel once the customer pays:
+// line items (the service, add-ons, discounts as negative amounts), the tip and how it was paid
+// (see migrations/022_appointment_checkout.sql). Analytics reports it as collected revenue next to the booked price
+
+// How the customer paid at the shop - appointments_payment_method_check in migrations/022_appointment_checkout.sql allows these
+const PAYMENT_METHODS = ['cash', 'card', 'other'];
+
+// Checking out completes an accepted appointment; a completed one can be checked out again to fix a mistake
+const CHECKOUT_STATUSES = ['accepted', 'completed'];
+
+/**
+ * Check whether an appointment can be checked out
+ * @param {Object} apt - appointments row
+ * @returns {string|null} - Why it can't, or null if it can
+ */
+function getCheckoutError(apt) {
+    if (!CHECKOUT_STATUSES.includes(apt.status)) {
+        return `A ${apt.status} appointment can't be checked out - only accepted or completed ones can`;
+    }
+    return null;
+}
+
+/**
+ * Sum of the line items, discounts included
+ * @param {Object[]} items - [{ name, amount }]
+ * @returns {number}
+ */
+function getItemsTotal(items) {
+    return Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+}
+
+/**
+ * Columns to write for a checkout - the total is always worked out here, never taken from the request
+ * @param {Object} input - Validated { items: [{ name, amount }], tip, payment_method }
+ * @param {Date} now
+ * @returns {Object} - { checkout_items, checkout_tip, checkout_total, payment_method, checked_out_at }
+ */
+function buildCheckout(input, now = new Date()) {
+    const tip = input.tip || 0;
+
+    return {
+        checkout_items: input.items,
+        checkout_tip: tip,
+        checkout_total: Math.round((getItemsTotal(input.items) + tip) * 100) / 100,
+        payment_method: input.payment_method,
+        checked_out_at: now.toISOString()
+    };
+}
+
+/**
+ * Checkout details in the frontend format
+ * Database: { checkout_items, checkout_tip, checkout_total, payment_method, checked_out_at }
+ * Frontend: { items: [{ name, amount: "10.00" }], tip: "5.00", total: "45.00", paymentMethod, checkedOutAt }
+ * @returns {Object|null} - null until the appointment is checked out
+ */
+function formatCheckout(apt) {
+    if (!apt.checked_out_at) return null;
+
+    return {
+        items: (apt.checkout_items || []).map(item => ({ name: item.name, amount: Number(item.amount).toFixed(2) })),
+        tip: Number(apt.checkout_tip || 0).toFixed(2),
+        total: Number(apt.checkout_total).toFixed(2),
+        paymentMethod: apt.payment_method,
+        checkedOutAt: apt.checked_out_at
+    };
+}
+
+module.exports = {
+    PAYMENT_METHODS,
+    getCheckoutError,
+    getItemsTotal,
+    buildCheckout,
+    formatCheckout
+};
@@ -0,0 +1,135 @@
+// Customer Login Service
+// One-time codes for returning customers: texted to the number they booked with, and traded for a
+// signed customer token that fills in the booking form and lists their upcoming appointments
+// Codes live in the customer_login_codes table as keyed hashes; server.js reads and writes them
+const crypto = require('crypto');
+const { hashLoginCode } = require('./manageLinkService');
+
+const LOGIN_CODE_LENGTH = 6;
+const LOGIN_CODE_TTL_MINUTES = parseFloat(process.env.CUSTOMER_LOGIN_CODE_MINUTES || '10');
+
+// Wrong guesses before a code stops working
+const MAX_CODE_ATTEMPTS = 5;
+
+// Texts per number - a short wait between codes, and a cap per hour
+const CODE_RESEND_SECONDS = 60;
+const MAX_CODES_PER_HOUR = 5;
+
+// How long a returning customer stays signed in on the booking page
+const CUSTOMER_SESSION_HOURS = parseFloat(process.env.CUSTOMER_SESSION_HOURS || '12');
+
+// Code requests and wrong codes per IP within the window, so one visitor can't text many numbers
+// or guess codes for many numbers
+const MAX_REQUESTS_PER_IP = 10;
+const REQUEST_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const requestCounts = new Map();
+
+/**
+ * Random numeric code, e.g. "048213"
+ * @returns {string}
+ */
+function generateLoginCode() {
+    return String(crypto.randomInt(0, 10 ** LOGIN_CODE_LENGTH)).padStart(LOGIN_CODE_LENGTH, '0');
+}
+
+/**
+ * Check a code the customer typed against a customer_login_codes row
+ * @param {Object} row - { code_hash }
+ * @param {string} phone - E.164 number the code was sent to
+ * @param {string} code - What the customer typed (spaces and dashes are ignored)
+ * @returns {boolean}
+ */
+function isCorrectCode(row, phone, code) {
+    const digits = String(code || '').replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits)) return false;
+
+    // Compare hashes in constant time
+    const a = Buffer.from(hashLoginCode(phone, digits));
+    const b = Buffer.from(row.code_hash || '');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Seconds until another code can be texted to a number
+ * @param {string[]} recentCreatedAt - created_at of the number's codes from the last hour
+ * @param {Date} now
+ * @returns {number} - 0 if a code can be sent now
+ */
+function getCodeRequestWait(recentCreatedAt, now = new Date()) {
+    const times = recentCreatedAt
+        .map(value => new Date(value).getTime())
+        .filter(time => now.getTime() - time < 60 * 60 * 1000)
+        .sort((a, b) => a - b);
+
+    if (times.length === 0) return 0;
+
+    const resendAt = times[times.length - 1] + CODE_RESEND_SECONDS * 1000;
+    // Over the hourly cap - wait until the oldest code in the hour drops out
+    const capResetAt = times.length >= MAX_CODES_PER_HOUR ? times[times.length - MAX_CODES_PER_HOUR] + 60 * 60 * 1000 : 0;
+
+    return Math.max(0, Math.ceil((Math.max(resendAt, capResetAt) - now.getTime()) / 1000));
+}
+
+/**
+ * The service a customer booked most recently, to preselect it on the booking page
+ * Cancelled, declined and missed bookings are skipped
+ * @param {Object[]} appointments - appointments rows (needs service_id, service, status, date, time)
+ * @returns {{ serviceId: string|null, service: string }|null}
+ */
+function findLastService(appointments) {
+    const booked = appointments
+        .filter(apt => ['pending', 'accepted', 'completed'].includes(apt.status))
+        .sort((a, b) => `${b.date} ${b.time}`.localeCompare(`${a.date} ${a.time}`));
+
+    if (booked.length === 0) return null;
+    return { serviceId: booked[0].service_id || null, service: booked[0].service };
+}
+
+/**
+ * When a customer token made now expires
+ * @returns {Date}
+ */
+function getSessionExpiry(now = new Date()) {
+    return new Date(now.getTime() + CUSTOMER_SESSION_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Check whether this IP may request or try another code
+ * @returns {boolean} - False if the IP is temporarily locked out
+ */
+function isRequestAllowed(ip) {
+    const entry = requestCounts.get(ip);
+    if (!entry) return true;
+
+    // Window expired - reset
+    if (Date.now() - entry.firstRequest > REQUEST_WINDOW_MS) {
+        requestCounts.delete(ip);
+        return true;
+    }
+
+    return entry.count < MAX_REQUESTS_PER_IP;
+}
+
+/**
+ * Count a code request or a wrong code for this IP
+ */
+function recordRequest(ip) {
+    const entry = requestCounts.get(ip);
+    if (!entry || Date.now() - entry.firstRequest > REQUEST_WINDOW_MS) {
+        requestCounts.set(ip, { count: 1, firstRequest: Date.now() });
+    } else {
+        entry.count++;
+    }
+}
+
+module.exports = {
+    LOGIN_CODE_TTL_MINUTES,
+    MAX_CODE_ATTEMPTS,
+    generateLoginCode,
+    isCorrectCode,
+    getCodeRequestWait,
+    findLastService,
+    getSessionExpiry,
+    isRequestAllowed,
+    recordRequest
+};
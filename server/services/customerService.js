@@ -0,0 +1,117 @@
+// Customer Service
+// Builds client profiles for the admin Clients tab from customers rows and their appointments:
+// visit history, total spend, no-shows, and profiles that look like the same person
+const { getAppointmentStart } = require('./dateService');
+
+/**
+ * An appointment the shop marked no_show - the same rule as the analytics No-Shows view
+ * @param {Object} apt - appointments row
+ */
+function isNoShow(apt) {
+    return apt.status === 'no_show';
+}
+
+/**
+ * A visit that happened: marked completed, or accepted and already past but not marked either way yet
+ * @param {Object} apt - appointments row
+ * @param {Date} now
+ */
+function isVisit(apt, now) {
+    return apt.status === 'completed' || (apt.status === 'accepted' && getAppointmentStart(apt) < now);
+}
+
+/**
+ * Totals for a client's appointments
+ * Visits are completed appointments, plus accepted ones whose time has passed
+ * @param {Object[]} appointments - appointments rows (needs status, date, time, price)
+ * @param {Date} now
+ * @returns {Object} - { visitCount, totalSpend, noShowCount, cancellationCount, upcomingCount, firstVisit, lastVisit }
+ */
+function summarizeAppointments(appointments, now = new Date()) {
+    const visits = appointments
+        .filter(apt => isVisit(apt, now))
+        .sort((a, b) => getAppointmentStart(a) - getAppointmentStart(b));
+
+    const totalSpend = visits.reduce((sum, apt) => sum + (parseFloat(apt.price) || 0), 0);
+
+    return {
+        visitCount: visits.length,
+        totalSpend: totalSpend.toFixed(2),
+        noShowCount: appointments.filter(isNoShow).length,
+        cancellationCount: appointments.filter(apt => apt.status === 'cancelled').length,
+        upcomingCount: appointments.filter(apt => (apt.status === 'pending' || apt.status === 'accepted') && getAppointmentStart(apt) >= now).length,
+        firstVisit: visits.length > 0 ? visits[0].date : null,
+        lastVisit: visits.length > 0 ? visits[visits.length - 1].date : null
+    };
+}
+
+/**
+ * Convert a customers row to the frontend format, with totals from their appointments
+ * Database: { alternate_phones, created_at, ... }
+ * Frontend: { alternatePhones, createdAt, stats: {...}, ... }
+ */
+function formatCustomer(row, appointments = [], now = new Date()) {
+    return {
+        id: row.id,
+        name: row.name,
+        email: row.email || '',
+        phone: row.phone || '',
+        alternatePhones: row.alternate_phones || [],
+        notes: row.notes || '',
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        stats: summarizeAppointments(appointments, now)
+    };
+}
+
+/**
+ * "  Jon  SMITH " -> "jon smith"
+ */
+function normalizeName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Find profiles that are probably the same person - same email or same name
+ * Phone numbers are unique per profile, so they can't be the match
+ * @param {Object[]} customers - customers rows (needs id, name, email)
+ * @returns {Map<string, Object[]>} - Customer ID -> [{ id, reason }] for every customer with a likely duplicate
+ */
+function findPossibleDuplicates(customers) {
+    const groups = new Map(); // "email:..." or "name:..." -> customer IDs
+
+    const addTo = (key, id) => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(id);
+    };
+
+    for (const customer of customers) {
+        if (customer.email) addTo(`email:${customer.email.trim().toLowerCase()}`, customer.id);
+        if (normalizeName(customer.name)) addTo(`name:${normalizeName(customer.name)}`, customer.id);
+    }
+
+    const duplicates = new Map();
+    for (const [key, ids] of groups) {
+        if (ids.length < 2) continue;
+        const reason = key.startsWith('email:') ? 'Same email' : 'Same name';
+
+        for (const id of ids) {
+            const matches = duplicates.get(id) || [];
+            for (const otherId of ids) {
+                if (otherId !== id && !matches.some(match => match.id === otherId)) {
+                    matches.push({ id: otherId, reason });
+                }
+            }
+            duplicates.set(id, matches);
+        }
+    }
+
+    return duplicates;
+}
+
+module.exports = {
+    isNoShow,
+    summarizeAppointments,
+    formatCustomer,
+    findPossibleDuplicates
+};
@@ -0,0 +1,58 @@
+// Date Service
+// Appointments store a date ("2024-01-15") and a time ("14:30" or "14:30:00") in the shop's local time.
+// new Date("2024-01-15") would read the date as UTC midnight and can land on the day before, so every
+// service goes through these helpers, which build dates from the parts in the server's local time
+
+/**
+ * Local date as YYYY-MM-DD
+ */
+function toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * "2024-01-15" -> local midnight
+ */
+function parseDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day); // month is 0-indexed
+}
+
+/**
+ * Appointment start as a local Date
+ * @param {Object} apt - Anything with date ("YYYY-MM-DD") and time ("HH:MM" or "HH:MM:SS")
+ */
+function getAppointmentStart(apt) {
+    const [year, month, day] = apt.date.split('-').map(Number);
+    const [hours, minutes] = String(apt.time).split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes); // month is 0-indexed
+}
+
+/**
+ * "2024-01-15" -> "Monday, January 15, 2024"
+ */
+function formatDisplayDate(date) {
+    return parseDate(date).toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+/**
+ * "14:30" -> "2:30 PM"
+ */
+function formatDisplayTime(time) {
+    const [hours, minutes] = time.split(':');
+    const hour = parseInt(hours);
+    const ampm = hour >= 12 ? 'PM' : 'AM';
+    return `${hour % 12 || 12}:${minutes} ${ampm}`;
+}
+
+module.exports = {
+    toDateString,
+    getAppointmentStart,
+    formatDisplayDate,
+    formatDisplayTime
+};
@@ -0,0 +1,71 @@
+// Deposit Service
+// Rules for booking deposits: how long an unpaid booking holds its time, and how much is refunded on a cancellation
+// Payments themselves go through paymentService; server.js keeps the appointments rows up to date
+const { CHANGE_CUTOFF_HOURS } = require('./manageLinkService');
+const { getAppointmentStart } = require('./dateService');
+
+// How long a booking waiting for its deposit holds the time before it's released
+const DEPOSIT_HOLD_MINUTES = parseFloat(process.env.DEPOSIT_HOLD_MINUTES || '30');
+
+// Customers who cancel at least this long before the appointment get their deposit back
+// Defaults to the online change cutoff, so every cancellation made from a manage link is refunded
+const DEPOSIT_REFUND_CUTOFF_HOURS = parseFloat(process.env.DEPOSIT_REFUND_CUTOFF_HOURS || String(CHANGE_CUTOFF_HOURS));
+
+/**
+ * When a new booking's hold runs out
+ * @returns {Date}
+ */
+function getHoldExpiry(now = new Date()) {
+    return new Date(now.getTime() + DEPOSIT_HOLD_MINUTES * 60 * 1000);
+}
+
+/**
+ * How much of a paid deposit goes back when an appointment is cancelled or declined
+ * The shop cancelling or declining always refunds in full; a customer gets it back if they cancel
+ * at least DEPOSIT_REFUND_CUTOFF_HOURS ahead and forfeits it after that
+ * @param {Object} apt - appointments row
+ * @param {string} cancelledBy - 'shop' or 'customer'
+ * @param {Date} now
+ * @returns {{ amount: number, reason: string }|null} - null if there's no paid deposit
+ */
+function getDepositRefund(apt, cancelledBy, now = new Date()) {
+    if (apt.deposit_status !== 'paid') return null;
+
+    const amount = parseFloat(apt.deposit_amount) || 0;
+
+    if (cancelledBy === 'shop') {
+        return { amount, reason: 'Cancelled by the shop' };
+    }
+
+    const hoursBefore = (getAppointmentStart(apt).getTime() - now.getTime()) / (60 * 60 * 1000);
+    if (hoursBefore >= DEPOSIT_REFUND_CUTOFF_HOURS) {
+        return { amount, reason: `Cancelled more than ${DEPOSIT_REFUND_CUTOFF_HOURS} hours ahead` };
+    }
+    return { amount: 0, reason: `Cancelled within ${DEPOSIT_REFUND_CUTOFF_HOURS} hours` };
+}
+
+/**
+ * Deposit details in the frontend format
+ * Database: { deposit_amount, deposit_status, deposit_paid_at, ... }
+ * Frontend: { amount: "10.00", status, paidAt, refundedAmount, refundedAt }
+ * @returns {Object|null} - null when the appointment has no deposit
+ */
+function formatDeposit(apt) {
+    if (!apt.deposit_status || apt.deposit_status === 'none') return null;
+
+    return {
+        amount: Number(apt.deposit_amount).toFixed(2),
+        status: apt.deposit_status,
+        paidAt: apt.deposit_paid_at || null,
+        refundedAmount: apt.deposit_refunded_amount != null ? Number(apt.deposit_refunded_amount).toFixed(2) : null,
+        refundedAt: apt.deposit_refunded_at || null
+    };
+}
+
+module.exports = {
+    DEPOSIT_HOLD_MINUTES,
+    DEPOSIT_REFUND_CUTOFF_HOURS,
+    getHoldExpiry,
+    getDepositRefund,
+    formatDeposit
+};
@@ -0,0 +1,315 @@
+// Email Notification Service
+// HTML emails with a calendar invite (.ics) attached, sent through the provider picked in notificationService
+const { sendNotification } = require('./notificationService');
+const { buildSiteUrl } = require('./manageLinkService');
+const { BUSINESS_NAME } = require('./messageTemplateService');
+const { formatDisplayDate, formatDisplayTime } = require('./dateService');
+
+// Shown as the event location in calendar invites (optional)
+const businessAddress = process.env.BUSINESS_ADDRESS || '';
+
+// Calendar invites name the shop's sending address as the organizer
+const organizerEmail = ((process.env.SMTP_FROM || '').match(/<([^>]+)>/) || [])[1] || (process.env.SMTP_FROM || '').trim();
+
+// Used for older appointments saved before durations were recorded
+const DEFAULT_DURATION_MINUTES = 45;
+
+/**
+ * Escape text for use inside HTML
+ * @param {string} value - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ============================================
+// CALENDAR INVITES
+// ============================================
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeIcsText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/[,;]/g, match => `\\${match}`);
+}
+
+/**
+ * Date + time as an iCalendar local ("floating") time, e.g. 20240115T143000
+ * Floating times show at the same clock time in every calendar, which matches how the shop books
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight
+ */
+function formatIcsLocalTime(date, minutes) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCMinutes(minutes);
+    return day.toISOString().slice(0, 16).replace(/[-:]/g, '') + '00';
+}
+
+/**
+ * Build a calendar invite for an appointment
+ * The UID stays the same for an appointment, so a reschedule updates the event and a cancellation removes it
+ * @param {Object} appointment - Appointment in frontend format
+ * @param {string} method - "REQUEST" (add/update) or "CANCEL"
+ * @returns {string} - iCalendar file contents
+ */
+function buildCalendarInvite(appointment, method = 'REQUEST') {
+    const { id, customer, service, date, time, status, updated_at } = appointment;
+    const [hours, minutes] = time.split(':').map(Number);
+    const startMinutes = hours * 60 + minutes;
+    const duration = appointment.duration || DEFAULT_DURATION_MINUTES;
+    const domain = new URL(buildSiteUrl('')).hostname;
+
+    // Later updates need a higher sequence number or calendars ignore them
+    const updatedAt = updated_at ? Date.parse(updated_at) : NaN;
+    const sequence = Number.isNaN(updatedAt) ? 0 : Math.floor(updatedAt / 1000);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${BUSINESS_NAME}//Booking//EN`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:appointment-${id}@${domain}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')}`,
+        `DTSTART:${formatIcsLocalTime(date, startMinutes)}`,
+        `DTEND:${formatIcsLocalTime(date, startMinutes + duration)}`,
+        `SUMMARY:${escapeIcsText(`${service} - ${BUSINESS_NAME}`)}`,
+        `DESCRIPTION:${escapeIcsText(`${service} (${duration} minutes)`)}`,
+        method === 'CANCEL' ? 'STATUS:CANCELLED' : `STATUS:${status === 'accepted' ? 'CONFIRMED' : 'TENTATIVE'}`
+    ];
+    if (businessAddress) {
+        lines.push(`LOCATION:${escapeIcsText(businessAddress)}`);
+    }
+    if (organizerEmail) {
+        lines.push(`ORGANIZER;CN=${BUSINESS_NAME}:mailto:${organizerEmail}`);
+    }
+    if (customer && customer.email) {
+        lines.push(`ATTENDEE;CN="${String(customer.name || '').replace(/"/g, '')}";ROLE=REQ-PARTICIPANT:mailto:${customer.email}`);
+    }
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+// ============================================
+// EMAIL LAYOUT
+// ============================================
+
+/**
+ * Wrap content in the branded email layout
+ * @param {Object} content - { heading, paragraphs: [text], appointment, action: { label, url } (optional) }
+ * @returns {string} - HTML document
+ */
+function renderEmailHtml({ heading, paragraphs, appointment, action }) {
+    const details = appointment ? `
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border: 1px solid #2a2a2a; margin: 24px 0;">
+                    <tr><td style="padding: 12px 16px; color: #888;">Service</td><td style="padding: 12px 16px; color: #e0e0e0; text-align: right;">${escapeHtml(appointment.service)}</td></tr>
+                    <tr><td style="padding: 12px 16px; color: #888; border-top: 1px solid #2a2a2a;">Date</td><td style="padding: 12px 16px; color: #e0e0e0; text-align: right; border-top: 1px solid #2a2a2a;">${escapeHtml(formatDisplayDate(appointment.date))}</td></tr>
+                    <tr><td style="padding: 12px 16px; color: #888; border-top: 1px solid #2a2a2a;">Time</td><td style="padding: 12px 16px; color: #e0e0e0; text-align: right; border-top: 1px solid #2a2a2a;">${escapeHtml(formatDisplayTime(appointment.time))}</td></tr>
+                </table>` : '';
+
+    const button = action ? `
+                <p style="margin: 24px 0;">
+                    <a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 12px 28px; border: 1px solid #ffffff; color: #ffffff; text-decoration: none;">${escapeHtml(action.label)}</a>
+                </p>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(heading)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #0a0a0a; font-family: 'Inter', Helvetica, Arial, sans-serif;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #0a0a0a;">
+        <tr>
+            <td align="center" style="padding: 32px 16px;">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width: 560px; background: #151515; border: 1px solid #2a2a2a;">
+                    <tr>
+                        <td style="padding: 24px 32px; border-bottom: 1px solid #2a2a2a; color: #ffffff; font-size: 22px; letter-spacing: 1px;">${BUSINESS_NAME}</td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 32px; color: #e0e0e0; font-size: 15px; line-height: 1.6;">
+                <h1 style="margin: 0 0 16px; color: #ffffff; font-size: 20px; font-weight: 400;">${escapeHtml(heading)}</h1>
+                ${paragraphs.map(text => `<p style="margin: 0 0 12px;">${escapeHtml(text)}</p>`).join('\n                ')}${details}${button}
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 16px 32px; border-top: 1px solid #2a2a2a; color: #888; font-size: 12px;">${escapeHtml(businessAddress || BUSINESS_NAME)}</td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+}
+
+/**
+ * Plain text version of the same email for clients that don't show HTML
+ */
+function renderEmailText({ heading, paragraphs, appointment, action }) {
+    const lines = [heading, '', ...paragraphs];
+    if (appointment) {
+        lines.push(
+            '',
+            `Service: ${appointment.service}`,
+            `Date: ${formatDisplayDate(appointment.date)}`,
+            `Time: ${formatDisplayTime(appointment.time)}`
+        );
+    }
+    if (action) {
+        lines.push('', `${action.label}: ${action.url}`);
+    }
+    lines.push('', `- ${BUSINESS_NAME}`);
+    return lines.join('\n');
+}
+
+/**
+ * Send an appointment email
+ * @param {Object} appointment - Appointment in frontend format (customer.email is the recipient)
+ * @param {string} type - Notification type recorded with the message
+ * @param {Object} content - { subject, heading, paragraphs, action, invite: "REQUEST" | "CANCEL" (optional) }
+ * @returns {Promise<Object>}
+ */
+async function sendEmail(appointment, type, content) {
+    const { customer } = appointment;
+    if (!customer || !customer.email) {
+        return { success: false, error: 'No email address' };
+    }
+
+    const layout = { ...content, appointment };
+    const message = {
+        channel: 'email',
+        to: customer.email,
+        subject: content.subject,
+        body: renderEmailText(layout),
+        html: renderEmailHtml(layout),
+        type,
+        meta: { appointmentId: appointment.id }
+    };
+
+    if (content.invite) {
+        message.attachments = [{
+            filename: 'appointment.ics',
+            content: buildCalendarInvite(appointment, content.invite),
+            contentType: `text/calendar; charset=utf-8; method=${content.invite}`
+        }];
+    }
+
+    return await sendNotification(message);
+}
+
+// ============================================
+// APPOINTMENT EMAILS
+// ============================================
+
+/**
+ * Email confirmation (when appointment is created)
+ */
+async function sendAppointmentConfirmationEmail(appointment) {
+    const { customer, service } = appointment;
+
+    return await sendEmail(appointment, 'confirmation', {
+        subject: `Booking received: ${service}`,
+        heading: `Thanks, ${customer.name}!`,
+        paragraphs: [
+            "Your appointment has been received and is pending confirmation. We'll let you know once it's been reviewed.",
+            'The attached invite adds it to your calendar.'
+        ],
+        action: appointment.manageUrl ? { label: 'Cancel or reschedule', url: appointment.manageUrl } : null,
+        invite: 'REQUEST'
+    });
+}
+
+/**
+ * Email status update (accepted or declined)
+ */
+async function sendAppointmentStatusUpdateEmail(appointment) {
+    const { customer, service, status } = appointment;
+
+    if (status === 'accepted') {
+        return await sendEmail(appointment, 'status_update', {
+            subject: `Confirmed: ${service}`,
+            heading: `You're booked, ${customer.name}!`,
+            paragraphs: ['Your appointment has been confirmed. See you then!'],
+            action: appointment.manageUrl ? { label: 'Manage your booking', url: appointment.manageUrl } : null,
+            invite: 'REQUEST'
+        });
+    }
+
+    if (status === 'declined') {
+        return await sendEmail(appointment, 'status_update', {
+            subject: `We couldn't fit you in: ${service}`,
+            heading: `Sorry, ${customer.name}`,
+            paragraphs: ["Unfortunately we're unable to accommodate this appointment. Please book a different time."],
+            action: { label: 'Book another time', url: buildSiteUrl('booking.html') },
+            invite: 'CANCEL'
+        });
+    }
+
+    return { success: false, error: 'Unknown status' };
+}
+
+/**
+ * Email reminder (sent at each reminder stage)
+ */
+async function sendAppointmentReminderEmail(appointment) {
+    const timeUntil = appointment.timeUntil || 'coming up soon';
+
+    return await sendEmail(appointment, 'reminder', {
+        subject: `Reminder: ${appointment.service} ${timeUntil === 'tomorrow' ? 'tomorrow' : formatDisplayDate(appointment.date)} at ${formatDisplayTime(appointment.time)}`,
+        heading: 'See you soon',
+        paragraphs: [`This is a reminder that your appointment with ${BUSINESS_NAME} is ${timeUntil}.`]
+    });
+}
+
+/**
+ * Email cancellation notification (cancelled by the shop)
+ */
+async function sendAppointmentCancellationEmail(appointment) {
+    const { customer, service } = appointment;
+
+    return await sendEmail(appointment, 'cancellation', {
+        subject: `Cancelled: ${service}`,
+        heading: `Sorry, ${customer.name}`,
+        paragraphs: ["We're sorry to let you know your appointment has been cancelled. Please reschedule at your earliest convenience."],
+        action: { label: 'Book a new time', url: buildSiteUrl('booking.html') },
+        invite: 'CANCEL'
+    });
+}
+
+/**
+ * Email confirming a cancellation the customer made from the manage page
+ */
+async function sendCustomerCancellationConfirmationEmail(appointment) {
+    const { customer, service } = appointment;
+
+    return await sendEmail(appointment, 'customer_cancellation', {
+        subject: `Cancelled: ${service}`,
+        heading: `All set, ${customer.name}`,
+        paragraphs: ['Your appointment has been cancelled as requested.'],
+        action: { label: 'Book again', url: buildSiteUrl('booking.html') },
+        invite: 'CANCEL'
+    });
+}
+
+module.exports = {
+    buildCalendarInvite,
+    sendAppointmentConfirmationEmail,
+    sendAppointmentStatusUpdateEmail,
+    sendAppointmentReminderEmail,
+    sendAppointmentCancellationEmail,
+    sendCustomerCancellationConfirmationEmail
+};
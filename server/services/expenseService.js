@@ -0,0 +1,33 @@
+// Expense Service
+// The shop's running costs, recorded from the Revenue view of the admin Analytics tab
+// (see migrations/021_expenses.sql); GET /api/analytics/profit-loss subtracts them from revenue
+
+// What an expense was for - the expenses table in migrations/021_expenses.sql only takes these categories
+const EXPENSE_CATEGORIES = ['rent', 'products', 'tools', 'utilities', 'marketing', 'other'];
+
+// How often a recurring expense is paid again after its date (a one-off has recurring = null); same list as the table
+const EXPENSE_RECURRENCES = ['weekly', 'monthly', 'yearly'];
+
+/**
+ * Convert an expenses row to the frontend format
+ * Database: { amount: "1200.00", recurring: 'monthly', end_date, created_at, ... }
+ * Frontend: { amount: 1200, recurring: 'monthly', endDate, createdAt, ... }
+ */
+function formatExpense(row) {
+    return {
+        id: row.id,
+        date: row.date,
+        category: row.category,
+        amount: Math.round(parseFloat(row.amount) * 100) / 100,
+        notes: row.notes || '',
+        recurring: row.recurring || null,
+        endDate: row.end_date || null,
+        createdAt: row.created_at
+    };
+}
+
+module.exports = {
+    EXPENSE_CATEGORIES,
+    EXPENSE_RECURRENCES,
+    formatExpense
+};
@@ -0,0 +1,107 @@
+// Inbound SMS Service
+// Parses customers' replies to our texts and checks that webhook requests really came from Twilio
+const twilio = require('twilio');
+const { buildSiteUrl } = require('./manageLinkService');
+
+// Twilio signs each webhook with the account's auth token and the exact URL it called
+// Set SMS_WEBHOOK_URL when the public URL differs from PUBLIC_SITE_URL (e.g. behind a tunnel)
+const webhookUrl = process.env.SMS_WEBHOOK_URL || buildSiteUrl('api/sms/inbound');
+
+// First word of the reply -> what the customer wants
+const REPLY_COMMANDS = {
+    CONFIRM: 'confirm',
+    CONFIRMED: 'confirm',
+    YES: 'confirm',
+    CANCEL: 'cancel',
+    RESCHEDULE: 'reschedule',
+    CHANGE: 'reschedule'
+};
+
+// Carrier opt-out keywords - these take priority over everything else
+// CANCEL is left out because it cancels the appointment here (remove it from Twilio's opt-out keywords too),
+// and YES is left out of the opt-in words because it confirms
+const CONSENT_KEYWORDS = {
+    STOP: 'opt_out',
+    STOPALL: 'opt_out',
+    UNSUBSCRIBE: 'opt_out',
+    END: 'opt_out',
+    QUIT: 'opt_out',
+    REVOKE: 'opt_out',
+    OPTOUT: 'opt_out',
+    START: 'opt_in',
+    UNSTOP: 'opt_in',
+    HELP: 'help',
+    INFO: 'help'
+};
+
+/**
+ * First word of a message, in capitals with punctuation removed
+ */
+function getFirstWord(body) {
+    return String(body || '').trim().split(/\s+/)[0].replace(/[^a-z]/gi, '').toUpperCase();
+}
+
+/**
+ * Work out what a reply is asking for
+ * Only the first word counts, so "Cancel please" and "confirm!" both work
+ * @param {string} body - Message text
+ * @returns {string|null} - "confirm", "cancel", "reschedule" or null if not recognised
+ */
+function parseReplyCommand(body) {
+    return REPLY_COMMANDS[getFirstWord(body)] || null;
+}
+
+/**
+ * Check a message for STOP, START or HELP
+ * @param {string} body - Message text
+ * @returns {{ action: string, keyword: string }|null} - action is "opt_out", "opt_in" or "help"
+ */
+function parseConsentKeyword(body) {
+    const keyword = getFirstWord(body);
+    return CONSENT_KEYWORDS[keyword] ? { action: CONSENT_KEYWORDS[keyword], keyword } : null;
+}
+
+/**
+ * Check the X-Twilio-Signature header of a webhook request
+ * @param {Object} req - Express request with the form fields parsed into req.body
+ * @returns {boolean}
+ */
+function isValidTwilioRequest(req) {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const signature = req.get('X-Twilio-Signature');
+
+    if (!authToken || !signature) {
+        return false;
+    }
+
+    return twilio.validateRequest(authToken, signature, webhookUrl, req.body || {});
+}
+
+/**
+ * Signature Twilio would send for a payload - used by scripts/replay-inbound-sms.js
+ * @param {Object} params - Form fields
+ * @returns {string}
+ */
+function signWebhookPayload(params) {
+    return twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, webhookUrl, params);
+}
+
+/**
+ * TwiML response that texts `message` back to the sender
+ * @param {string} message - Reply text
+ * @returns {string} - XML
+ */
+function buildReply(message) {
+    const response = new twilio.twiml.MessagingResponse();
+    response.message(message);
+    return response.toString();
+}
+
+module.exports = {
+    webhookUrl,
+    parseReplyCommand,
+    parseConsentKeyword,
+    isValidTwilioRequest,
+    signWebhookPayload,
+    buildReply
+};
@@ -0,0 +1,242 @@
+// Customer Manage Link Service
+// Signed tokens so customers can cancel, reschedule or claim a waitlist offer without an account,
+// and sign back in as a returning customer with a texted code
+const crypto = require('crypto');
+const { getAppointmentStart } = require('./dateService');
+
+// Secret used to sign manage links
+let manageLinkSecret = process.env.MANAGE_LINK_SECRET;
+
+if (!manageLinkSecret) {
+    // Fall back to a random secret so the server still starts
+    // Links already sent to customers stop working after a restart in this case
+    console.warn('⚠️  MANAGE_LINK_SECRET not set. Using a temporary secret - manage links will break on restart.');
+    manageLinkSecret = crypto.randomBytes(32).toString('hex');
+}
+
+// Public address of the site, used to build links in messages
+const siteUrl = (process.env.PUBLIC_SITE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// Customers can't cancel or reschedule within this many hours of the appointment
+const CHANGE_CUTOFF_HOURS = parseFloat(process.env.CUSTOMER_CHANGE_CUTOFF_HOURS || '24');
+
+// Manage links can still show the appointment for this long after it starts, then expire
+const MANAGE_LINK_GRACE_HOURS = parseFloat(process.env.MANAGE_LINK_GRACE_HOURS || '24');
+
+// Statuses that end an appointment - its manage link can still show it, but can't change it
+const CLOSED_STATUSES = ['declined', 'cancelled', 'completed', 'no_show'];
+
+/**
+ * Sign a payload with the manage link secret
+ * @param {string} data - Data to sign
+ * @returns {string} - Base64url signature
+ */
+function sign(data) {
+    return crypto.createHmac('sha256', manageLinkSecret).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed token
+ * @param {Object} data - Payload, including a `purpose` so tokens can't be reused for something else
+ * @returns {string} - Token in the format "<payload>.<signature>"
+ */
+function createSignedToken(data) {
+    const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a signed token and read its payload
+ * @param {string} token - Token created by createSignedToken()
+ * @param {string} purpose - Expected purpose
+ * @returns {Object|null} - The payload, or null if the token is invalid, for another purpose, or past its `exp`
+ */
+function readSignedToken(token, purpose) {
+    if (!token || typeof token !== 'string' || !token.includes('.')) {
+        return null;
+    }
+
+    const [payload, signature] = token.split('.');
+    const expectedSignature = sign(payload);
+
+    // Compare signatures in constant time
+    const a = Buffer.from(signature || '');
+    const b = Buffer.from(expectedSignature);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+        return null;
+    }
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (data.purpose !== purpose || !data.id) return null;
+        if (data.exp && Date.now() > data.exp) return null;
+        return data;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * The time a manage link was made for, e.g. "2024-01-15 14:30" - a reschedule changes it
+ */
+function getManagedSlot(apt) {
+    return `${apt.date} ${String(apt.time).slice(0, 5)}`;
+}
+
+/**
+ * When an appointment's manage link stops working
+ * @param {Object} apt - { date, time }
+ * @returns {Date}
+ */
+function getManageLinkExpiry(apt) {
+    return new Date(getAppointmentStart(apt).getTime() + MANAGE_LINK_GRACE_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Create a manage token for an appointment
+ * The token is tied to the appointment's current time and expires MANAGE_LINK_GRACE_HOURS after it,
+ * so a link for a time the appointment was moved away from can't change it
+ * @param {Object} apt - { id, date, time }
+ * @returns {string} - Token in the format "<payload>.<signature>"
+ */
+function createManageToken(apt) {
+    return createSignedToken({ id: apt.id, purpose: 'manage', slot: getManagedSlot(apt), exp: getManageLinkExpiry(apt).getTime() });
+}
+
+/**
+ * Verify a manage token
+ * @param {string} token - Token created by createManageToken()
+ * @returns {Object|null} - { id, slot, exp }, or null if the token is invalid or expired
+ */
+function verifyManageToken(token) {
+    return readSignedToken(token, 'manage');
+}
+
+/**
+ * Whether a manage link was made for the appointment's current time
+ * @param {Object} claim - From verifyManageToken()
+ * @param {Object} apt - appointments row
+ */
+function isCurrentManageLink(claim, apt) {
+    return claim.slot === getManagedSlot(apt);
+}
+
+/**
+ * Check whether a manage link can still change its appointment (cancel, reschedule, pay the deposit)
+ * Viewing doesn't go through this - a link keeps showing the appointment until it expires, even once it's over
+ * @param {Object} claim - From verifyManageToken()
+ * @param {Object} apt - appointments row
+ * @returns {string|null} - Why the link can't change it, or null if it can
+ */
+function getManageLinkError(claim, apt) {
+    if (CLOSED_STATUSES.includes(apt.status)) {
+        return `This appointment is ${apt.status.replace('_', ' ')}, so this link can no longer change it`;
+    }
+    if (!isCurrentManageLink(claim, apt)) {
+        return 'This appointment has been moved. Please use the link from your latest message.';
+    }
+    return null;
+}
+
+/**
+ * Build the claim page URL for a waitlist offer
+ * The link stops working at expiresAt, and only for the date and time that were offered
+ * @param {Object} entry - { id, offered_date, offered_time }
+ * @param {Date} expiresAt - When the offer runs out
+ * @returns {string} - e.g. "https://example.com/waitlist.html?token=..."
+ */
+function buildWaitlistClaimUrl(entry, expiresAt) {
+    const token = createSignedToken({
+        id: entry.id,
+        purpose: 'waitlist',
+        date: entry.offered_date,
+        time: String(entry.offered_time).slice(0, 5),
+        exp: expiresAt.getTime()
+    });
+    return `${siteUrl}/waitlist.html?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Verify a waitlist claim token
+ * @returns {Object|null} - { id, date, time, exp }, or null if the token is invalid or expired
+ */
+function verifyWaitlistClaimToken(token) {
+    return readSignedToken(token, 'waitlist');
+}
+
+/**
+ * Create a token for a returning customer who entered the code texted to them
+ * @param {string} customerId - Customer ID
+ * @param {Date} expiresAt - When the customer has to sign in again
+ * @returns {string} - Token in the format "<payload>.<signature>"
+ */
+function createCustomerToken(customerId, expiresAt) {
+    return createSignedToken({ id: customerId, purpose: 'customer', exp: expiresAt.getTime() });
+}
+
+/**
+ * Verify a returning customer's token
+ * @returns {string|null} - The customer ID, or null if the token is invalid or expired
+ */
+function verifyCustomerToken(token) {
+    const data = readSignedToken(token, 'customer');
+    return data ? data.id : null;
+}
+
+/**
+ * Keyed hash of a one-time login code, so codes stored in the database can't be tried elsewhere
+ * The phone number is included so a code only works for the number it was texted to
+ * @param {string} phone - E.164 number
+ * @param {string} code - The digits texted to the customer
+ * @returns {string}
+ */
+function hashLoginCode(phone, code) {
+    return sign(`login-code:${phone}:${code}`);
+}
+
+/**
+ * Build the full manage page URL for an appointment
+ * @param {Object} apt - { id, date, time }
+ * @returns {string} - e.g. "https://example.com/manage.html?token=..."
+ */
+function buildManageUrl(apt) {
+    return `${siteUrl}/manage.html?token=${encodeURIComponent(createManageToken(apt))}`;
+}
+
+/**
+ * Build a full URL for a page on the site
+ * @param {string} pagePath - e.g. "booking.html"
+ */
+function buildSiteUrl(pagePath) {
+    return `${siteUrl}/${pagePath.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Check whether an appointment can still be changed by the customer
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {{ allowed: boolean, deadline: Date }}
+ */
+function getChangeWindow(date, time, now = new Date()) {
+    const start = getAppointmentStart({ date, time });
+    const deadline = new Date(start.getTime() - CHANGE_CUTOFF_HOURS * 60 * 60 * 1000);
+
+    return { allowed: now.getTime() < deadline.getTime(), deadline };
+}
+
+module.exports = {
+    CHANGE_CUTOFF_HOURS,
+    createManageToken,
+    verifyManageToken,
+    isCurrentManageLink,
+    getManageLinkError,
+    buildManageUrl,
+    buildWaitlistClaimUrl,
+    verifyWaitlistClaimToken,
+    createCustomerToken,
+    verifyCustomerToken,
+    hashLoginCode,
+    buildSiteUrl,
+    getChangeWindow
+};
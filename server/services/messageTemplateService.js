@@ -0,0 +1,361 @@
+// Message Template Service
+// Text message wording with {placeholders}, editable from the admin panel
+// Saved edits live in the message_templates table; server.js loads them in with setTemplateOverrides
+const { buildSiteUrl } = require('./manageLinkService');
+const { formatDisplayDate, formatDisplayTime } = require('./dateService');
+
+// Signature used in every message
+const BUSINESS_NAME = process.env.BUSINESS_NAME || 'GJ Fadezz';
+
+// Twilio rejects messages longer than this
+const MAX_TEMPLATE_LENGTH = 1600;
+
+const APPOINTMENT_VARIABLES = ['name', 'service', 'date', 'time', 'manageUrl', 'bookingUrl', 'business'];
+const BUSINESS_VARIABLES = ['bookingUrl', 'business'];
+
+// Every message the server sends, with the wording used until an admin edits it
+const TEMPLATE_DEFINITIONS = {
+    confirmation: {
+        label: 'Booking received',
+        description: 'Sent when a customer books or reschedules',
+        variables: APPOINTMENT_VARIABLES,
+        body: "Hi {name}! Your appointment for {service} on {date} at {time} has been received and is pending confirmation. We'll notify you once it's been reviewed. Need to cancel or reschedule? {manageUrl} - {business}"
+    },
+    status_accepted: {
+        label: 'Appointment confirmed',
+        description: 'Sent when you accept a booking',
+        variables: APPOINTMENT_VARIABLES,
+        body: 'Great news {name}! Your appointment for {service} on {date} at {time} has been confirmed. See you then! Manage your booking: {manageUrl} - {business}'
+    },
+    status_declined: {
+        label: 'Appointment declined',
+        description: 'Sent when you decline a booking',
+        variables: APPOINTMENT_VARIABLES,
+        body: "Hi {name}, unfortunately we're unable to accommodate your appointment for {service} on {date} at {time}. Please book a different time. - {business}"
+    },
+    reminder: {
+        label: 'Reminder',
+        description: 'Sent ahead of the appointment at each REMINDER_OFFSETS stage (e.g. 24 hours and 2 hours before)',
+        variables: [...APPOINTMENT_VARIABLES, 'timeUntil'],
+        body: 'Reminder: Your {service} appointment with {business} is {timeUntil}, {date} at {time}. Reply CONFIRM, CANCEL or RESCHEDULE.'
+    },
+    cancellation: {
+        label: 'Cancelled by the shop',
+        description: 'Sent when you cancel a booking from the admin panel',
+        variables: APPOINTMENT_VARIABLES,
+        body: "Hi {name}, we're sorry to inform you that your appointment for {service} on {date} at {time} has been cancelled. Please reschedule at your earliest convenience: {bookingUrl} - {business}"
+    },
+    customer_cancellation: {
+        label: 'Cancelled by the customer',
+        description: 'Sent when a customer cancels from their manage link',
+        variables: APPOINTMENT_VARIABLES,
+        body: 'Hi {name}, your appointment for {service} on {date} at {time} has been cancelled as requested. Book again anytime: {bookingUrl} - {business}'
+    },
+    waitlist_offer: {
+        label: 'Waitlist offer',
+        description: 'Sent to the next person on the waitlist when a time frees up',
+        variables: ['name', 'service', 'date', 'time', 'claimUrl', 'expiresAt', 'business'],
+        body: "Good news {name}! A {service} spot just opened on {date} at {time}. It's yours if you claim it by {expiresAt}: {claimUrl} - {business}"
+    },
+    login_code: {
+        label: 'Returning customer code',
+        description: "Sent when a returning customer asks to fill in their details on the booking page - keep {code} in the message",
+        variables: ['code', 'minutes', 'business'],
+        body: '{code} is your {business} booking code. It expires in {minutes} minutes. If you didn\'t ask for it, ignore this text.'
+    },
+    reply_confirmed: {
+        label: 'Reply: confirmed',
+        description: 'Texted back when a customer replies CONFIRM',
+        variables: APPOINTMENT_VARIABLES,
+        body: "Thanks {name}, you're confirmed for {service} on {date} at {time}. See you then! - {business}"
+    },
+    reply_pending: {
+        label: 'Reply: not accepted yet',
+        description: "Texted back when a customer replies CONFIRM but you haven't accepted the booking yet",
+        variables: APPOINTMENT_VARIABLES,
+        body: "Thanks {name}! Your {service} booking on {date} at {time} is still being reviewed - we'll text you once it's confirmed. - {business}"
+    },
+    reply_cancelled: {
+        label: 'Reply: cancelled',
+        description: 'Texted back when a customer replies CANCEL',
+        variables: APPOINTMENT_VARIABLES,
+        body: 'Your {service} appointment on {date} at {time} has been cancelled. Book again anytime: {bookingUrl} - {business}'
+    },
+    reply_too_late: {
+        label: 'Reply: too late to change',
+        description: 'Texted back when a customer replies CANCEL inside the cutoff window',
+        variables: APPOINTMENT_VARIABLES,
+        body: 'Sorry {name}, your appointment on {date} at {time} is too close to cancel by text. Please contact us directly. - {business}'
+    },
+    reply_reschedule: {
+        label: 'Reply: reschedule link',
+        description: 'Texted back when a customer replies RESCHEDULE',
+        variables: APPOINTMENT_VARIABLES,
+        body: 'Pick a new time for your {service} appointment here: {manageUrl} - {business}'
+    },
+    reply_no_appointment: {
+        label: 'Reply: no appointment found',
+        description: 'Texted back when a reply comes from a number with no upcoming appointment',
+        variables: BUSINESS_VARIABLES,
+        body: "We couldn't find an upcoming appointment for this number. Book online: {bookingUrl} - {business}"
+    },
+    reply_opted_out: {
+        label: 'Reply: unsubscribed',
+        description: 'Texted back when a customer replies STOP - the last text they get until they reply START',
+        variables: BUSINESS_VARIABLES,
+        body: "You've been unsubscribed and won't get any more texts from {business}. Reply START to resubscribe."
+    },
+    reply_opted_in: {
+        label: 'Reply: resubscribed',
+        description: 'Texted back when a customer replies START',
+        variables: BUSINESS_VARIABLES,
+        body: "You're resubscribed to appointment texts from {business}. Reply STOP to opt out, HELP for help."
+    },
+    reply_help: {
+        label: 'Reply: help',
+        description: 'Texted back when a customer replies HELP',
+        variables: BUSINESS_VARIABLES,
+        body: '{business} appointment texts. Reply CONFIRM, CANCEL or RESCHEDULE about your next appointment, or STOP to opt out. Book online: {bookingUrl}. Msg & data rates may apply.'
+    },
+    reply_unrecognised: {
+        label: 'Reply: not understood',
+        description: "Texted back when a reply isn't CONFIRM, CANCEL or RESCHEDULE",
+        variables: BUSINESS_VARIABLES,
+        body: "Sorry, we didn't understand that. Reply CONFIRM, CANCEL or RESCHEDULE about your next appointment. - {business}"
+    }
+};
+
+// Saved edits by key - { body, updatedAt }
+const overrides = new Map();
+
+// GSM-7 characters fit 160 to a text; anything else switches the whole message to UCS-2 (70 per text)
+const GSM_BASIC_CHARS = new Set(
+    '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+// These take two GSM-7 characters each
+const GSM_EXTENDED_CHARS = new Set('^{}\\[~]|€');
+
+/**
+ * Count the characters and SMS segments a message will be billed as
+ * @param {string} text - Message text
+ * @returns {Object} - { length, segments, encoding: "GSM-7" | "UCS-2" }
+ */
+function countSegments(text) {
+    let gsmLength = 0;
+    let isGsm = true;
+
+    for (const char of text) {
+        if (GSM_BASIC_CHARS.has(char)) {
+            gsmLength += 1;
+        } else if (GSM_EXTENDED_CHARS.has(char)) {
+            gsmLength += 2;
+        } else {
+            isGsm = false;
+            break;
+        }
+    }
+
+    if (isGsm) {
+        return {
+            length: gsmLength,
+            segments: gsmLength === 0 ? 0 : gsmLength <= 160 ? 1 : Math.ceil(gsmLength / 153),
+            encoding: 'GSM-7'
+        };
+    }
+
+    // UCS-2 counts UTF-16 code units, so an emoji takes two
+    const length = text.length;
+    return {
+        length,
+        segments: length <= 70 ? 1 : Math.ceil(length / 67),
+        encoding: 'UCS-2'
+    };
+}
+
+/**
+ * Placeholder values that don't depend on an appointment
+ * @returns {Object} - { bookingUrl, business }
+ */
+function buildBusinessVariables() {
+    return {
+        // PUBLIC_SITE_URL sets the domain for this link
+        bookingUrl: buildSiteUrl('booking.html'),
+        business: BUSINESS_NAME
+    };
+}
+
+/**
+ * Placeholder values for an appointment or waitlist offer
+ * @param {Object} data - { customer, service, date, time, manageUrl, claimUrl, expiresAt (Date) }
+ * @returns {Object} - { name, service, date, time, ... }
+ */
+function buildMessageVariables(data) {
+    const variables = {
+        name: data.customer ? data.customer.name : '',
+        service: data.service,
+        date: formatDisplayDate(data.date),
+        time: formatDisplayTime(data.time),
+        manageUrl: data.manageUrl || buildSiteUrl('manage.html'),
+        ...buildBusinessVariables()
+    };
+
+    // "in 2 hours", "tomorrow" - set by the reminder job
+    if (data.timeUntil) {
+        variables.timeUntil = data.timeUntil;
+    }
+    if (data.claimUrl) {
+        variables.claimUrl = data.claimUrl;
+    }
+    if (data.expiresAt) {
+        variables.expiresAt = data.expiresAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    }
+
+    return variables;
+}
+
+/**
+ * Placeholder values for the admin preview and test sends
+ * Uses tomorrow at 3:30 PM so the dates look realistic
+ */
+function buildSampleVariables() {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const date = `${tomorrow.getFullYear()}-${String(tomorrow.getMonth() + 1).padStart(2, '0')}-${String(tomorrow.getDate()).padStart(2, '0')}`;
+
+    const variables = buildMessageVariables({
+        customer: { name: 'Jordan' },
+        service: 'Haircut',
+        date,
+        time: '15:30',
+        manageUrl: buildSiteUrl('manage.html?token=SAMPLE'),
+        timeUntil: 'tomorrow',
+        claimUrl: buildSiteUrl('waitlist.html?token=SAMPLE'),
+        expiresAt: new Date(Date.now() + 30 * 60 * 1000)
+    });
+
+    return { ...variables, code: '482913', minutes: '10' };
+}
+
+/**
+ * Replace {placeholders} with their values
+ * Unknown placeholders are left as they are so typos show up in the preview
+ * @param {string} body - Template text
+ * @param {Object} variables - Placeholder values
+ * @returns {string}
+ */
+function renderTemplate(body, variables) {
+    return body.replace(/\{(\w+)\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(variables, name) && variables[name] != null ? String(variables[name]) : match
+    );
+}
+
+/**
+ * Placeholders in a template body that the template doesn't support
+ * @param {string} key - Template key
+ * @param {string} body - Template text
+ * @returns {string[]}
+ */
+function findUnknownVariables(key, body) {
+    const allowed = TEMPLATE_DEFINITIONS[key].variables;
+    const found = [...body.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    return [...new Set(found.filter(name => !allowed.includes(name)))];
+}
+
+/**
+ * Check a template body before saving it
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateTemplateBody(key, body) {
+    if (typeof body !== 'string' || !body.trim()) {
+        return 'Message text is required';
+    }
+    if (body.length > MAX_TEMPLATE_LENGTH) {
+        return `Message text must be ${MAX_TEMPLATE_LENGTH} characters or fewer`;
+    }
+    const unknown = findUnknownVariables(key, body);
+    if (unknown.length > 0) {
+        return `Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(name => `{${name}}`).join(', ')}. Available: ${TEMPLATE_DEFINITIONS[key].variables.map(name => `{${name}}`).join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Replace the saved edits with rows from the message_templates table
+ * @param {Array} rows - [{ key, body, updated_at }]
+ */
+function setTemplateOverrides(rows) {
+    overrides.clear();
+    rows.forEach(row => {
+        if (TEMPLATE_DEFINITIONS[row.key]) {
+            overrides.set(row.key, { body: row.body, updatedAt: row.updated_at });
+        }
+    });
+}
+
+/**
+ * Record one saved edit, or drop it (body = null) to go back to the default wording
+ */
+function setTemplateOverride(key, body, updatedAt = new Date().toISOString()) {
+    if (body == null) {
+        overrides.delete(key);
+    } else {
+        overrides.set(key, { body, updatedAt });
+    }
+}
+
+/**
+ * Current text for a template - the saved edit if there is one, otherwise the default
+ */
+function getTemplateBody(key) {
+    const override = overrides.get(key);
+    return override ? override.body : TEMPLATE_DEFINITIONS[key].body;
+}
+
+/**
+ * Render a template with the given values
+ * @param {string} key - Template key (see TEMPLATE_DEFINITIONS)
+ * @param {Object} variables - From buildMessageVariables
+ * @returns {string}
+ */
+function renderMessage(key, variables) {
+    return renderTemplate(getTemplateBody(key), variables);
+}
+
+/**
+ * A template in the admin format, with a preview against the sample appointment
+ */
+function describeTemplate(key) {
+    const definition = TEMPLATE_DEFINITIONS[key];
+    const override = overrides.get(key);
+    const body = getTemplateBody(key);
+    const text = renderTemplate(body, buildSampleVariables());
+
+    return {
+        key,
+        label: definition.label,
+        description: definition.description,
+        variables: definition.variables,
+        body,
+        defaultBody: definition.body,
+        customized: Boolean(override),
+        updatedAt: override ? override.updatedAt : null,
+        preview: { text, ...countSegments(text) }
+    };
+}
+
+module.exports = {
+    BUSINESS_NAME,
+    TEMPLATE_DEFINITIONS,
+    countSegments,
+    buildBusinessVariables,
+    buildMessageVariables,
+    buildSampleVariables,
+    renderTemplate,
+    findUnknownVariables,
+    validateTemplateBody,
+    setTemplateOverrides,
+    setTemplateOverride,
+    renderMessage,
+    describeTemplate
+};
@@ -0,0 +1,155 @@
+// Notification Service
+// Routes outgoing messages to a provider per channel (SMS or email), chosen by environment variables
+const path = require('path');
+const { createTwilioProvider } = require('./providers/twilioProvider');
+const { createSmtpProvider } = require('./providers/smtpProvider');
+const { createOutboxProvider, getOutbox, clearOutbox } = require('./providers/outboxProvider');
+
+// Optional JSON Lines file the outbox appends to (in-memory only when unset)
+// It holds login codes and manage links, so server.js refuses to start if it's inside the folder it serves
+const outboxFile = process.env.OUTBOX_FILE ? path.resolve(process.env.OUTBOX_FILE) : null;
+
+const PROVIDER_FACTORIES = {
+    sms: {
+        twilio: () => createTwilioProvider({
+            accountSid: process.env.TWILIO_ACCOUNT_SID,
+            authToken: process.env.TWILIO_AUTH_TOKEN,
+            fromNumber: process.env.TWILIO_PHONE_NUMBER
+        }),
+        outbox: () => createOutboxProvider({ channel: 'sms', file: outboxFile })
+    },
+    email: {
+        smtp: () => createSmtpProvider({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587', 10),
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+            from: process.env.SMTP_FROM
+        }),
+        outbox: () => createOutboxProvider({ channel: 'email', file: outboxFile })
+    }
+};
+
+/**
+ * Pick the provider for a channel
+ * An explicit setting wins; otherwise use the live provider when its credentials are present and the outbox when not
+ * @param {string} channel - 'sms' or 'email'
+ * @param {string} setting - Value of SMS_PROVIDER / EMAIL_PROVIDER
+ * @param {string} liveName - Provider used when credentials are present
+ * @param {boolean} hasCredentials - Whether the live provider's credentials are set
+ * @returns {Object} - Provider
+ */
+function selectProvider(channel, setting, liveName, hasCredentials) {
+    const factories = PROVIDER_FACTORIES[channel];
+    let name = (setting || '').trim().toLowerCase();
+
+    if (name && !factories[name]) {
+        console.warn(`⚠️  Unknown ${channel} provider "${setting}". Expected one of: ${Object.keys(factories).join(', ')}. Using the outbox instead.`);
+        name = 'outbox';
+    }
+
+    if (!name) {
+        name = hasCredentials ? liveName : 'outbox';
+        if (name === 'outbox') {
+            console.warn(`⚠️  No ${channel} provider configured. ${channel.toUpperCase()} messages will be recorded in the outbox, not sent.`);
+        }
+    }
+
+    const provider = factories[name]();
+    if (provider.configError) {
+        console.warn(`⚠️  ${channel.toUpperCase()} provider "${name}" is not fully configured (${provider.configError}). Sends will fail.`);
+    }
+    return provider;
+}
+
+const providers = {
+    sms: selectProvider('sms', process.env.SMS_PROVIDER, 'twilio', Boolean(process.env.TWILIO_ACCOUNT_SID)),
+    email: selectProvider('email', process.env.EMAIL_PROVIDER, 'smtp', Boolean(process.env.SMTP_HOST))
+};
+
+// Always-available outbox for admin test sends, whatever the live providers are
+const testOutbox = {
+    sms: providers.sms.name === 'outbox' ? providers.sms : createOutboxProvider({ channel: 'sms', file: outboxFile }),
+    email: providers.email.name === 'outbox' ? providers.email : createOutboxProvider({ channel: 'email', file: outboxFile })
+};
+
+/**
+ * Hand a message to a provider and log the outcome
+ * @returns {Promise<Object>} - { success, provider, id } or { success: false, provider, error }
+ */
+async function deliver(provider, channel, message) {
+    try {
+        const result = await provider.send(message);
+        if (result.success) {
+            console.log(`[Notify] ${channel} "${message.type || 'message'}" sent to ${message.to} via ${provider.name}. ID: ${result.id}`);
+        } else {
+            console.error(`[Notify] ${channel} "${message.type || 'message'}" to ${message.to} not sent via ${provider.name}: ${result.error}`);
+        }
+        return { ...result, provider: provider.name };
+    } catch (error) {
+        console.error(`[Notify] Error sending ${channel} via ${provider.name}:`, error.message);
+        return { success: false, provider: provider.name, error: error.message };
+    }
+}
+
+/**
+ * Send a message through the provider for its channel
+ * @param {Object} message - { channel, to, body, subject (email), html (email), type, meta }
+ *   `type` names the notification (e.g. "confirmation", "reminder") so the outbox can be filtered by it
+ * @returns {Promise<Object>} - { success, provider, id } or { success: false, provider, error }
+ */
+async function sendNotification(message) {
+    const { channel = 'sms', ...rest } = message;
+    const provider = providers[channel];
+
+    if (!provider) {
+        return { success: false, error: `Unknown notification channel: ${channel}` };
+    }
+
+    return await deliver(provider, channel, rest);
+}
+
+/**
+ * Record a message in the local outbox without sending it, even when a live provider is configured
+ * Used by the admin panel's test sends
+ * @param {Object} message - Same shape as sendNotification
+ * @returns {Promise<Object>}
+ */
+async function sendToOutbox(message) {
+    const { channel = 'sms', ...rest } = message;
+    const provider = testOutbox[channel];
+
+    if (!provider) {
+        return { success: false, error: `Unknown notification channel: ${channel}` };
+    }
+
+    return await deliver(provider, channel, rest);
+}
+
+/**
+ * Names of the providers in use, e.g. { sms: 'twilio', email: 'outbox' }
+ * @returns {Object}
+ */
+function getProviderNames() {
+    return {
+        sms: providers.sms.name,
+        email: providers.email.name
+    };
+}
+
+/**
+ * Absolute path of the outbox file, or null when messages are only kept in memory
+ */
+function getOutboxFile() {
+    return outboxFile;
+}
+
+module.exports = {
+    sendNotification,
+    sendToOutbox,
+    getProviderNames,
+    getOutbox,
+    clearOutbox,
+    getOutboxFile
+};
@@ -0,0 +1,160 @@
+// Payment Service
+// Takes booking deposits through the provider picked by environment variables (Stripe, or the fake one)
+// With no provider configured deposits are off: services with a deposit are booked without one
+// Every call returns { success, ... } or { success: false, error } instead of throwing, like notificationService
+const { createStripePaymentProvider } = require('./providers/stripePaymentProvider');
+const { createFakePaymentProvider } = require('./providers/fakePaymentProvider');
+
+// ISO currency code for deposits
+const DEPOSIT_CURRENCY = (process.env.DEPOSIT_CURRENCY || 'usd').toLowerCase();
+
+const PROVIDER_FACTORIES = {
+    stripe: () => createStripePaymentProvider({
+        secretKey: process.env.STRIPE_SECRET_KEY,
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+    }),
+    fake: () => createFakePaymentProvider({ outcome: (process.env.FAKE_PAYMENT_OUTCOME || 'succeed').trim().toLowerCase() })
+};
+
+/**
+ * Pick the payment provider
+ * An explicit PAYMENT_PROVIDER wins; otherwise use Stripe when its key is set
+ * The fake provider marks every deposit paid, so it's only used when asked for by name
+ * @returns {Object|null} - Provider, or null when deposits are off
+ */
+function selectProvider(setting, hasCredentials) {
+    const name = (setting || '').trim().toLowerCase() || (hasCredentials ? 'stripe' : '');
+
+    if (!name) {
+        console.warn('⚠️  No payment provider configured (set STRIPE_SECRET_KEY). Deposits are off - services with a deposit are booked without one.');
+        return null;
+    }
+
+    if (!PROVIDER_FACTORIES[name]) {
+        console.warn(`⚠️  Unknown payment provider "${setting}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}. Deposits are off.`);
+        return null;
+    }
+
+    if (name === 'fake') {
+        console.warn('⚠️  Using the fake payment provider. Deposits will be marked paid without charging anyone - never use it in production.');
+    }
+
+    const provider = PROVIDER_FACTORIES[name]();
+    if (provider.configError) {
+        console.warn(`⚠️  Payment provider "${name}" is not fully configured (${provider.configError}).`);
+    }
+    return provider;
+}
+
+const provider = selectProvider(process.env.PAYMENT_PROVIDER, Boolean(process.env.STRIPE_SECRET_KEY));
+
+/**
+ * Run a provider call and log failures
+ * @returns {Promise<Object>} - The provider's result, or { success: false, error }
+ */
+async function call(action, fn) {
+    if (!provider) {
+        console.error(`[Payments] ${action} failed: no payment provider configured`);
+        return { success: false, error: 'No payment provider configured' };
+    }
+
+    try {
+        const result = await fn();
+        if (!result.success) {
+            console.error(`[Payments] ${action} failed via ${provider.name}: ${result.error}`);
+        }
+        return result;
+    } catch (error) {
+        console.error(`[Payments] Error during ${action} via ${provider.name}:`, error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * "10.00" -> 1000
+ * @param {string|number} amount - Amount in dollars
+ * @returns {number} - Amount in cents
+ */
+function toMinorUnits(amount) {
+    return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Start a checkout for an appointment's deposit
+ * @param {Object} appointment - appointments row (needs id, service, deposit_amount, customer_email)
+ * @param {Object} options - { successUrl, cancelUrl, expiresAt (Date) }
+ * @returns {Promise<Object>} - { success, id, url } or { success: false, error }
+ */
+function createDepositCheckout(appointment, { successUrl, cancelUrl, expiresAt }) {
+    return call('checkout', () => provider.createCheckout({
+        reference: appointment.id,
+        amount: toMinorUnits(appointment.deposit_amount),
+        currency: DEPOSIT_CURRENCY,
+        description: `Deposit: ${appointment.service}`,
+        customerEmail: appointment.customer_email,
+        successUrl,
+        cancelUrl,
+        expiresAt
+    }));
+}
+
+/**
+ * @returns {Promise<Object>} - { success, paid, open, paymentId } or { success: false, error }
+ */
+function getCheckout(checkoutId) {
+    return call('checkout lookup', () => provider.getCheckout(checkoutId));
+}
+
+/**
+ * Stop an unpaid checkout from being paid later
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+function cancelCheckout(checkoutId) {
+    return call('checkout cancel', () => provider.cancelCheckout(checkoutId));
+}
+
+/**
+ * Refund some or all of a payment
+ * @param {string} paymentId - From getCheckout
+ * @param {string|number} [amount] - Amount in dollars; leave out to refund the whole payment
+ * @returns {Promise<Object>} - { success, id } or { success: false, error }
+ */
+function refundPayment(paymentId, amount) {
+    return call('refund', () => provider.refund(paymentId, amount === undefined ? undefined : toMinorUnits(amount)));
+}
+
+/**
+ * Check a payment webhook and pick out the checkout it's about
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signature - Signature header
+ * @returns {{ valid: boolean, checkoutId?: string }}
+ */
+function parseWebhook(rawBody, signature) {
+    if (!provider) return { valid: false };
+    return provider.parseWebhook(rawBody, signature);
+}
+
+/**
+ * Whether deposits can be taken - false when no payment provider is configured
+ */
+function isEnabled() {
+    return provider !== null;
+}
+
+/**
+ * Name of the provider in use, e.g. 'stripe', or 'none' when deposits are off
+ */
+function getProviderName() {
+    return provider ? provider.name : 'none';
+}
+
+module.exports = {
+    DEPOSIT_CURRENCY,
+    createDepositCheckout,
+    getCheckout,
+    cancelCheckout,
+    refundPayment,
+    parseWebhook,
+    isEnabled,
+    getProviderName
+};
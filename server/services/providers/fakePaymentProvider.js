@@ -0,0 +1,79 @@
+// Fake payment provider
+// Takes "payments" in memory so deposits can be tried in dev and tests without a Stripe account
+// The checkout link goes straight to the success page, already paid - or, with outcome 'decline',
+// straight to the cancel page, unpaid
+const crypto = require('crypto');
+
+// Checkouts since startup - { id, amount, status: 'open' | 'paid' | 'expired', paymentId, refunds: [...] }
+const checkouts = new Map();
+
+/**
+ * Create a provider that records payments in memory
+ * @param {Object} config - { outcome: 'succeed' (default) or 'decline' }
+ * @returns {Object} - Same interface as the Stripe provider
+ */
+function createFakePaymentProvider({ outcome = 'succeed' } = {}) {
+    const declines = outcome === 'decline';
+
+    return {
+        name: 'fake',
+        configError: null,
+
+        async createCheckout(checkout) {
+            const id = `fake_cs_${crypto.randomUUID()}`;
+            checkouts.set(id, {
+                id,
+                reference: checkout.reference,
+                amount: checkout.amount,
+                currency: checkout.currency,
+                status: declines ? 'open' : 'paid',
+                paymentId: declines ? null : `fake_pi_${crypto.randomUUID()}`,
+                refunds: []
+            });
+            return { success: true, id, url: declines ? checkout.cancelUrl : checkout.successUrl };
+        },
+
+        async getCheckout(id) {
+            const checkout = checkouts.get(id);
+            if (!checkout) {
+                return { success: false, error: 'Unknown checkout (fake payments are lost on restart)' };
+            }
+            return { success: true, paid: checkout.status === 'paid', open: checkout.status === 'open', paymentId: checkout.paymentId };
+        },
+
+        async cancelCheckout(id) {
+            const checkout = checkouts.get(id);
+            if (checkout && checkout.status === 'open') {
+                checkout.status = 'expired';
+            }
+            return { success: true };
+        },
+
+        async refund(paymentId, amount) {
+            const checkout = [...checkouts.values()].find(item => item.paymentId === paymentId);
+            if (!checkout) {
+                return { success: false, error: 'Unknown payment' };
+            }
+
+            const refunded = checkout.refunds.reduce((sum, item) => sum + item.amount, 0);
+            if (amount === undefined) amount = checkout.amount - refunded; // Whatever is left
+            if (amount <= 0) {
+                return { success: false, error: 'Nothing left to refund' };
+            }
+            if (refunded + amount > checkout.amount) {
+                return { success: false, error: 'Refund is more than the payment' };
+            }
+
+            const refund = { id: `fake_re_${crypto.randomUUID()}`, amount };
+            checkout.refunds.push(refund);
+            return { success: true, id: refund.id };
+        },
+
+        // Fake checkouts are settled when the customer lands on the success page - there are no webhooks
+        parseWebhook() {
+            return { valid: false };
+        }
+    };
+}
+
+module.exports = { createFakePaymentProvider };
@@ -0,0 +1,76 @@
+// Local outbox provider
+// Records messages instead of sending them so dev and test runs can see exactly what went out
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Oldest messages are dropped from memory past this point (the file keeps everything)
+const MAX_STORED_MESSAGES = 500;
+
+// Shared by every outbox provider so SMS and email land in one list
+const messages = [];
+
+/**
+ * Create a provider that stores messages in memory and optionally appends them to a file
+ * @param {Object} config - { channel: 'sms' | 'email', file: path to a JSON Lines file (optional) }
+ * @returns {Object} - Provider with `name`, `channel` and `send(message)`
+ */
+function createOutboxProvider({ channel, file }) {
+    const filePath = file ? path.resolve(file) : null;
+
+    if (filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    return {
+        name: 'outbox',
+        channel,
+        configError: null,
+
+        async send(message) {
+            const record = {
+                id: crypto.randomUUID(),
+                channel,
+                sentAt: new Date().toISOString(),
+                ...message
+            };
+
+            messages.push(record);
+            if (messages.length > MAX_STORED_MESSAGES) {
+                messages.shift();
+            }
+
+            if (filePath) {
+                await fs.promises.appendFile(filePath, JSON.stringify(record) + '\n');
+            }
+
+            return { success: true, id: record.id };
+        }
+    };
+}
+
+/**
+ * Messages recorded since startup (or the last clear), oldest first
+ * @param {Object} filters - { channel, type, to } (all optional)
+ * @returns {Array}
+ */
+function getOutbox(filters = {}) {
+    return messages.filter(msg =>
+        (!filters.channel || msg.channel === filters.channel) &&
+        (!filters.type || msg.type === filters.type) &&
+        (!filters.to || msg.to === filters.to)
+    );
+}
+
+/**
+ * Forget the in-memory messages (the outbox file is left alone)
+ */
+function clearOutbox() {
+    messages.length = 0;
+}
+
+module.exports = {
+    createOutboxProvider,
+    getOutbox,
+    clearOutbox
+};
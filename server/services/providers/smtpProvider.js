@@ -0,0 +1,47 @@
+// SMTP email provider
+const nodemailer = require('nodemailer');
+
+/**
+ * Create a provider that sends email through an SMTP server
+ * @param {Object} config - { host, port, secure, user, pass, from }
+ * @returns {Object} - Provider with `name`, `channel` and `send(message)`
+ */
+function createSmtpProvider({ host, port, secure, user, pass, from }) {
+    const missing = [];
+    if (!host) missing.push('SMTP_HOST');
+    if (!from) missing.push('SMTP_FROM');
+
+    const transporter = missing.length === 0
+        ? nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass } : undefined
+        })
+        : null;
+
+    return {
+        name: 'smtp',
+        channel: 'email',
+        configError: missing.length > 0 ? `Missing ${missing.join(', ')}` : null,
+
+        async send(message) {
+            if (!transporter) {
+                return { success: false, error: `SMTP is not configured (missing ${missing.join(', ')})` };
+            }
+
+            const result = await transporter.sendMail({
+                from,
+                to: message.to,
+                subject: message.subject,
+                text: message.body,
+                html: message.html,
+                attachments: message.attachments
+            });
+
+            return { success: true, id: result.messageId };
+        }
+    };
+}
+
+module.exports = { createSmtpProvider };
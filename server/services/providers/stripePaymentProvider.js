@@ -0,0 +1,106 @@
+// Stripe payment provider
+// Deposits are taken on a Stripe Checkout page, so card details never reach this server
+const Stripe = require('stripe');
+
+// Stripe won't let a Checkout Session expire sooner than this
+const MIN_CHECKOUT_MINUTES = 30;
+
+/**
+ * Create a provider that takes payments through Stripe Checkout
+ * @param {Object} config - { secretKey, webhookSecret }
+ * @returns {Object} - Provider with `name`, `createCheckout`, `getCheckout`, `cancelCheckout`, `refund` and `parseWebhook`
+ */
+function createStripePaymentProvider({ secretKey, webhookSecret }) {
+    const missing = [];
+    if (!secretKey) missing.push('STRIPE_SECRET_KEY');
+    if (!webhookSecret) missing.push('STRIPE_WEBHOOK_SECRET');
+
+    const stripe = secretKey ? new Stripe(secretKey) : null;
+    const notConfigured = { success: false, error: 'Stripe is not configured (missing STRIPE_SECRET_KEY)' };
+
+    return {
+        name: 'stripe',
+        configError: missing.length > 0 ? `Missing ${missing.join(', ')}` : null,
+
+        /**
+         * @param {Object} checkout - { reference, amount (smallest currency unit), currency, description, customerEmail, successUrl, cancelUrl, expiresAt }
+         */
+        async createCheckout(checkout) {
+            if (!stripe) return notConfigured;
+
+            const earliestExpiry = Date.now() + (MIN_CHECKOUT_MINUTES * 60 + 60) * 1000;
+            const session = await stripe.checkout.sessions.create({
+                mode: 'payment',
+                line_items: [{
+                    quantity: 1,
+                    price_data: {
+                        currency: checkout.currency,
+                        unit_amount: checkout.amount,
+                        product_data: { name: checkout.description }
+                    }
+                }],
+                customer_email: checkout.customerEmail || undefined,
+                client_reference_id: checkout.reference,
+                metadata: { reference: checkout.reference },
+                success_url: checkout.successUrl,
+                cancel_url: checkout.cancelUrl,
+                expires_at: Math.floor(Math.max(checkout.expiresAt.getTime(), earliestExpiry) / 1000)
+            });
+
+            return { success: true, id: session.id, url: session.url };
+        },
+
+        async getCheckout(id) {
+            if (!stripe) return notConfigured;
+
+            const session = await stripe.checkout.sessions.retrieve(id);
+            return {
+                success: true,
+                paid: session.payment_status === 'paid',
+                open: session.status === 'open',
+                paymentId: session.payment_intent || null
+            };
+        },
+
+        // Stop an unpaid checkout from being paid later
+        async cancelCheckout(id) {
+            if (!stripe) return notConfigured;
+
+            const session = await stripe.checkout.sessions.retrieve(id);
+            if (session.status === 'open') {
+                await stripe.checkout.sessions.expire(id);
+            }
+            return { success: true };
+        },
+
+        // Leave out amount to refund the whole payment
+        async refund(paymentId, amount) {
+            if (!stripe) return notConfigured;
+
+            const refund = await stripe.refunds.create({ payment_intent: paymentId, amount });
+            return { success: true, id: refund.id };
+        },
+
+        /**
+         * Check a webhook's signature and pick out the checkout it's about
+         * @returns {{ valid: boolean, checkoutId?: string }} - checkoutId is missing for events we don't use
+         */
+        parseWebhook(rawBody, signature) {
+            if (!stripe || !webhookSecret) return { valid: false };
+
+            let event;
+            try {
+                event = stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
+            } catch (err) {
+                return { valid: false };
+            }
+
+            const checkoutEvents = ['checkout.session.completed', 'checkout.session.async_payment_succeeded', 'checkout.session.expired'];
+            return checkoutEvents.includes(event.type)
+                ? { valid: true, checkoutId: event.data.object.id }
+                : { valid: true };
+        }
+    };
+}
+
+module.exports = { createStripePaymentProvider };
@@ -0,0 +1,38 @@
+// Twilio SMS provider
+const twilio = require('twilio');
+
+/**
+ * Create a provider that sends text messages through Twilio
+ * @param {Object} config - { accountSid, authToken, fromNumber }
+ * @returns {Object} - Provider with `name`, `channel` and `send(message)`
+ */
+function createTwilioProvider({ accountSid, authToken, fromNumber }) {
+    const missing = [];
+    if (!accountSid) missing.push('TWILIO_ACCOUNT_SID');
+    if (!authToken) missing.push('TWILIO_AUTH_TOKEN');
+    if (!fromNumber) missing.push('TWILIO_PHONE_NUMBER');
+
+    const client = missing.length === 0 ? twilio(accountSid, authToken) : null;
+
+    return {
+        name: 'twilio',
+        channel: 'sms',
+        configError: missing.length > 0 ? `Missing ${missing.join(', ')}` : null,
+
+        async send(message) {
+            if (!client) {
+                return { success: false, error: `Twilio is not configured (missing ${missing.join(', ')})` };
+            }
+
+            const result = await client.messages.create({
+                body: message.body,
+                from: fromNumber,
+                to: message.to
+            });
+
+            return { success: true, id: result.sid };
+        }
+    };
+}
+
+module.exports = { createTwilioProvider };
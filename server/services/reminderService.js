@@ -0,0 +1,323 @@
+// Reminder Service
+// Sends appointment reminders at configurable offsets (e.g. 24 hours and 2 hours before)
+// Every stage is recorded in notifications_sent so it goes out exactly once per channel,
+// and failed sends are retried with exponential backoff
+// A run that claims a send holds it for SEND_LEASE_MINUTES; if the server stops before recording the outcome,
+// the lease runs out and the send counts as a failed attempt
+// The clock is injectable so the schedule can be tested without waiting
+const { toDateString, getAppointmentStart } = require('./dateService');
+
+const DEFAULT_REMINDER_OFFSETS = '24h,2h';
+
+// Failed sends are retried after 1, 2, 4, 8... minutes, up to this many attempts in total
+const MAX_REMINDER_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 1;
+const MAX_RETRY_DELAY_MINUTES = 60;
+
+// How long a claimed ("sending") row is held before another run may treat it as failed
+// Longer than any send takes, so a slow provider isn't sent to twice
+const SEND_LEASE_MINUTES = 10;
+
+/**
+ * Parse a list of reminder offsets
+ * @param {string} value - e.g. "24h,2h" or "90m" (m = minutes, h = hours, d = days)
+ * @returns {number[]|null} - Offsets in minutes, largest first, or null if any part is invalid
+ */
+function parseReminderOffsets(value) {
+    const parts = String(value || '').split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const units = { m: 1, h: 60, d: 1440 };
+    const offsets = [];
+
+    for (const part of parts) {
+        const match = /^(\d+(?:\.\d+)?)\s*([mhd])$/i.exec(part);
+        if (!match) return null;
+
+        const minutes = Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+        if (minutes <= 0) return null;
+        offsets.push(minutes);
+    }
+
+    return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * How far away the appointment is, for the reminder text - "in 2 hours", "tomorrow", "in 3 days"
+ */
+function describeTimeUntil(start, now) {
+    const minutesUntil = Math.round((start.getTime() - now.getTime()) / 60000);
+
+    if (minutesUntil < 90) {
+        return `in ${minutesUntil} minutes`;
+    }
+
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    if (toDateString(start) === toDateString(tomorrow)) {
+        return 'tomorrow';
+    }
+
+    const hoursUntil = Math.round(minutesUntil / 60);
+    if (hoursUntil < 24) {
+        return `in ${hoursUntil} hours`;
+    }
+
+    return `in ${Math.round(minutesUntil / 1440)} days`;
+}
+
+/**
+ * "1440" -> "24h", "90" -> "90m" (for logs)
+ */
+function formatOffset(minutes) {
+    return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+/**
+ * Create the reminder job
+ * @param {Object} options
+ * @param {Object} options.supabase - Supabase client
+ * @param {number[]} options.offsets - Minutes before the appointment to remind, largest first
+ * @param {Function} options.formatAppointment - Database row -> frontend format
+ * @param {Function} options.getChannels - Appointment -> channels to remind on, e.g. ['sms', 'email']
+ * @param {Function} options.sendReminder - (channel, appointment) -> Promise<{ success, error, skipped }>
+ * @param {Function} options.now - Returns the current time (default: new Date())
+ * @returns {Object} - { runOnce, sendDueReminders, retryFailedReminders }
+ */
+function createReminderScheduler({ supabase, offsets, formatAppointment, getChannels, sendReminder, now = () => new Date() }) {
+    const largestOffset = offsets[0];
+
+    /**
+     * Delay before the next attempt after `attempts` failures
+     */
+    function getRetryDelayMinutes(attempts) {
+        return Math.min(RETRY_BASE_MINUTES * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MINUTES);
+    }
+
+    /**
+     * When a send claimed now stops being held, stored in next_attempt_at while the row is "sending"
+     * @returns {string} - ISO timestamp
+     */
+    function getLeaseExpiry(currentTime) {
+        return new Date(currentTime.getTime() + SEND_LEASE_MINUTES * 60000).toISOString();
+    }
+
+    /**
+     * Send a claimed reminder and record the outcome
+     * @param {Object} record - notifications_sent row, already marked "sending" with a lease in next_attempt_at
+     * @param {Object} apt - appointments row
+     * @param {Date} currentTime
+     */
+    async function deliver(record, apt, currentTime) {
+        const appointment = {
+            ...formatAppointment(apt),
+            timeUntil: describeTimeUntil(getAppointmentStart(apt), currentTime)
+        };
+        const attempts = record.attempts + 1;
+
+        let result;
+        try {
+            result = await sendReminder(record.channel, appointment);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        const update = { attempts, updated_at: currentTime.toISOString() };
+        if (result.success) {
+            update.status = 'sent';
+            update.sent_at = currentTime.toISOString();
+            update.next_attempt_at = null;
+            update.last_error = null;
+        } else if (result.skipped) {
+            // Deliberately not sent (e.g. the customer texted STOP) - retrying wouldn't change that
+            update.status = 'skipped';
+            update.next_attempt_at = null;
+            update.last_error = result.error || null;
+        } else {
+            update.status = 'failed';
+            update.last_error = result.error || 'Unknown error';
+            // No next attempt once the limit is reached or the retry would land after the appointment
+            const retryAt = new Date(currentTime.getTime() + getRetryDelayMinutes(attempts) * 60000);
+            update.next_attempt_at = attempts < MAX_REMINDER_ATTEMPTS && retryAt < getAppointmentStart(apt) ? retryAt.toISOString() : null;
+        }
+
+        const { error } = await supabase
+            .from('notifications_sent')
+            .update(update)
+            .eq('id', record.id);
+
+        if (error) {
+            console.error(`[Reminders] Error recording ${record.channel} reminder for appointment ${apt.id}:`, error);
+        }
+
+        if (result.success) {
+            console.log(`[Reminders] Sent ${formatOffset(record.offset_minutes)} ${record.channel} reminder for appointment ${apt.id}`);
+        } else if (result.skipped) {
+            console.log(`[Reminders] Skipped ${formatOffset(record.offset_minutes)} ${record.channel} reminder for appointment ${apt.id}: ${update.last_error}`);
+        } else {
+            console.error(`[Reminders] ${formatOffset(record.offset_minutes)} ${record.channel} reminder for appointment ${apt.id} failed (attempt ${attempts}): ${update.last_error}${update.next_attempt_at ? ` - retrying at ${update.next_attempt_at}` : ' - giving up'}`);
+        }
+    }
+
+    /**
+     * Claim a stage by inserting its row - the unique key means only one run ever gets it
+     * @returns {Promise<Object|null>} - The new row, or null if it was already recorded
+     */
+    async function claimStage(apt, offsetMinutes, channel, status, currentTime) {
+        const { data, error } = await supabase
+            .from('notifications_sent')
+            .upsert({
+                appointment_id: apt.id,
+                kind: 'reminder',
+                offset_minutes: offsetMinutes,
+                channel,
+                status,
+                attempts: 0,
+                next_attempt_at: status === 'sending' ? getLeaseExpiry(currentTime) : null,
+                created_at: currentTime.toISOString(),
+                updated_at: currentTime.toISOString()
+            }, { onConflict: 'appointment_id,kind,offset_minutes,channel', ignoreDuplicates: true })
+            .select();
+
+        if (error) {
+            console.error(`[Reminders] Error claiming reminder for appointment ${apt.id}:`, error);
+            return null;
+        }
+
+        return data && data.length > 0 ? data[0] : null;
+    }
+
+    /**
+     * Send every reminder stage that has come due
+     * When several stages are due at once (e.g. the server was down), only the closest one is sent and the
+     * rest are recorded as skipped. Stages that had already passed when the booking was made are skipped too.
+     */
+    async function sendDueReminders() {
+        const currentTime = now();
+        const horizon = new Date(currentTime.getTime() + largestOffset * 60000);
+
+        const { data: upcoming, error } = await supabase
+            .from('appointments')
+            .select('*')
+            .eq('status', 'accepted')
+            .gte('date', toDateString(currentTime))
+            .lte('date', toDateString(horizon));
+
+        if (error) {
+            console.error('[Reminders] Error fetching appointments:', error);
+            return;
+        }
+
+        for (const apt of upcoming || []) {
+            const start = getAppointmentStart(apt);
+            const minutesUntil = (start.getTime() - currentTime.getTime()) / 60000;
+            if (minutesUntil <= 0) continue;
+
+            const dueOffsets = offsets.filter(offset => offset >= minutesUntil);
+            if (dueOffsets.length === 0) continue;
+
+            const createdAt = apt.created_at ? new Date(apt.created_at) : null;
+            const closest = dueOffsets[dueOffsets.length - 1];
+
+            for (const channel of getChannels(formatAppointment(apt))) {
+                for (const offset of dueOffsets) {
+                    const bookedAfterStage = createdAt && createdAt > new Date(start.getTime() - offset * 60000);
+                    const status = offset === closest && !bookedAfterStage ? 'sending' : 'skipped';
+
+                    const record = await claimStage(apt, offset, channel, status, currentTime);
+                    if (record && status === 'sending') {
+                        await deliver(record, apt, currentTime);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Retry failed reminders whose backoff has passed, and sends whose lease ran out before their outcome was recorded
+     * (the server stopped mid-send) - those count as a failed attempt, since it's not known whether they went out
+     * Appointments that were cancelled or have started in the meantime are marked skipped instead
+     */
+    async function retryFailedReminders() {
+        const currentTime = now();
+
+        const { data: failed, error } = await supabase
+            .from('notifications_sent')
+            .select('*, appointments(*)')
+            .eq('kind', 'reminder')
+            .in('status', ['failed', 'sending'])
+            .not('next_attempt_at', 'is', null)
+            .lte('next_attempt_at', currentTime.toISOString());
+
+        if (error) {
+            console.error('[Reminders] Error fetching failed reminders:', error);
+            return;
+        }
+
+        for (const record of failed || []) {
+            const apt = record.appointments;
+            const stillDue = apt && apt.status === 'accepted' && getAppointmentStart(apt) > currentTime;
+
+            const update = {
+                status: stillDue ? 'sending' : 'skipped',
+                next_attempt_at: stillDue ? getLeaseExpiry(currentTime) : null,
+                updated_at: currentTime.toISOString()
+            };
+
+            if (record.status === 'sending') {
+                update.attempts = record.attempts + 1;
+                update.last_error = 'Interrupted before the outcome was recorded';
+                if (update.attempts >= MAX_REMINDER_ATTEMPTS && stillDue) {
+                    update.status = 'failed';
+                    update.next_attempt_at = null;
+                }
+            }
+
+            // Only one run gets to move the row on - whoever does pushes next_attempt_at past now
+            const { data: claimed, error: claimError } = await supabase
+                .from('notifications_sent')
+                .update(update)
+                .eq('id', record.id)
+                .eq('status', record.status)
+                .lte('next_attempt_at', currentTime.toISOString())
+                .select()
+                .maybeSingle();
+
+            if (claimError) {
+                console.error(`[Reminders] Error claiming retry ${record.id}:`, claimError);
+                continue;
+            }
+            if (!claimed) continue;
+
+            if (record.status === 'sending') {
+                console.error(`[Reminders] ${formatOffset(record.offset_minutes)} ${record.channel} reminder for appointment ${record.appointment_id} was interrupted mid-send (attempt ${claimed.attempts})${claimed.status === 'sending' ? ' - retrying' : claimed.status === 'failed' ? ' - giving up' : ''}`);
+            }
+            if (claimed.status !== 'sending') continue;
+
+            await deliver(claimed, apt, currentTime);
+        }
+    }
+
+    /**
+     * One pass of the job - retries first so they aren't delayed behind new sends
+     */
+    async function runOnce() {
+        await retryFailedReminders();
+        await sendDueReminders();
+    }
+
+    return {
+        runOnce,
+        sendDueReminders,
+        retryFailedReminders
+    };
+}
+
+module.exports = {
+    DEFAULT_REMINDER_OFFSETS,
+    MAX_REMINDER_ATTEMPTS,
+    SEND_LEASE_MINUTES,
+    parseReminderOffsets,
+    describeTimeUntil,
+    formatOffset,
+    createReminderScheduler
+};
@@ -0,0 +1,50 @@
+// SMS Consent Service
+// Tracks which phone numbers have opted out of text messages, so sendSMS can skip them
+// The list lives in the sms_consent table; server.js loads it with setOptedOutNumbers and keeps it
+// up to date as customers opt in (booking form checkbox, START) or out (STOP)
+
+// Shown next to the checkbox on the booking and waitlist forms, and stored with each opt-in
+const CONSENT_WORDING = 'Text me about my appointments. Msg & data rates may apply. Reply STOP to opt out, HELP for help.';
+
+// Opted-out numbers (E.164) -> when they opted out
+const optedOut = new Map();
+
+/**
+ * Replace the opt-out list with the rows from sms_consent
+ * @param {Object[]} rows - [{ phone, opted_out_at }]
+ */
+function setOptedOutNumbers(rows) {
+    optedOut.clear();
+    for (const row of rows) {
+        optedOut.set(row.phone, row.opted_out_at || null);
+    }
+}
+
+/**
+ * Record a change for one number
+ * @param {string} phone - E.164 number
+ * @param {boolean} isOptedOut - true after STOP, false after START or a new opt-in
+ * @param {string} at - ISO timestamp of the change
+ */
+function setOptedOut(phone, isOptedOut, at = new Date().toISOString()) {
+    if (isOptedOut) {
+        optedOut.set(phone, at);
+    } else {
+        optedOut.delete(phone);
+    }
+}
+
+/**
+ * @param {string} phone - E.164 number
+ * @returns {boolean} - true if texts to this number must not be sent
+ */
+function isOptedOut(phone) {
+    return optedOut.has(phone);
+}
+
+module.exports = {
+    CONSENT_WORDING,
+    setOptedOutNumbers,
+    setOptedOut,
+    isOptedOut
+};
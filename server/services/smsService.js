@@ -1,196 +1,116 @@
-// SMS Notification Service using Twilio
-const twilio = require('twilio');
-
-// Initialize Twilio client
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const fromNumber = process.env.TWILIO_PHONE_NUMBER; // Your Twilio phone number
-
-let twilioClient = null;
-
-if (accountSid && authToken) {
-    twilioClient = twilio(accountSid, authToken);
-} else {
-    console.warn('⚠️  Twilio credentials not found. SMS notifications will be disabled.');
-}
-
-/**
- * Format phone number for Twilio (E.164 format)
- * @param {string} phone - Phone number in any format
- * @returns {string} - Formatted phone number
- */
-function formatPhoneNumber(phone) {
-    // Remove all non-digit characters
-    let cleaned = phone.replace(/\D/g, '');
-    
-    // If it starts with 1 and has 11 digits, it's already US format
-    if (cleaned.length === 11 && cleaned[0] === '1') {
-        return `+${cleaned}`;
-    }
-    
-    // If it has 10 digits, assume US number and add +1
-    if (cleaned.length === 10) {
-        return `+1${cleaned}`;
-    }
-    
-    // Otherwise, try to add + if missing
-    if (!cleaned.startsWith('+')) {
-        return `+${cleaned}`;
-    }
-    
-    return cleaned;
-}
+// SMS Notification Service
+// Fills in the customer text message templates; delivery goes through the provider picked in notificationService
+const { sendNotification } = require('./notificationService');
+const { buildBusinessVariables, buildMessageVariables, renderMessage } = require('./messageTemplateService');
+const { isOptedOut } = require('./smsConsentService');
+const { normalizePhone } = require('../../js/phone');
 
 /**
  * Send SMS notification
+ * Every text goes through here, so numbers that replied STOP are never messaged
  * @param {string} to - Recipient phone number
  * @param {string} message - Message to send
- * @returns {Promise<Object>} - Twilio message result
+ * @param {Object} details - { type, meta } recorded with the message (optional)
+ * @returns {Promise<Object>} - { success, provider, id }, or { success: false, error } with `skipped: true` when retrying can't help (invalid or opted-out number)
  */
-async function sendSMS(to, message) {
-    if (!twilioClient) {
-        console.log('[SMS] Twilio not configured. Would send:', { to, message });
-        return { success: false, error: 'SMS service not configured' };
+async function sendSMS(to, message, details = {}) {
+    if (!to) {
+        return { success: false, error: 'No phone number' };
     }
 
-    try {
-        const formattedNumber = formatPhoneNumber(to);
-        
-        const result = await twilioClient.messages.create({
-            body: message,
-            from: fromNumber,
-            to: formattedNumber
-        });
+    // Twilio needs E.164; numbers that can't be real are never sent
+    const number = normalizePhone(to);
+    if (!number) {
+        console.error(`[Notify] sms "${details.type || 'message'}" to ${to} not sent: invalid phone number`);
+        return { success: false, skipped: true, error: 'Invalid phone number' };
+    }
 
-        console.log(`[SMS] Message sent successfully to ${formattedNumber}. SID: ${result.sid}`);
-        return { success: true, sid: result.sid };
-    } catch (error) {
-        console.error('[SMS] Error sending message:', error.message);
-        return { success: false, error: error.message };
+    if (isOptedOut(number)) {
+        console.log(`[Notify] sms "${details.type || 'message'}" to ${number} not sent: opted out`);
+        return { success: false, skipped: true, error: 'Recipient has opted out of text messages' };
     }
+
+    return await sendNotification({
+        channel: 'sms',
+        to: number,
+        body: message,
+        type: details.type || 'message',
+        meta: details.meta || {}
+    });
 }
 
 /**
  * Send appointment confirmation (when appointment is created)
  */
 async function sendAppointmentConfirmation(appointment) {
-    const { customer, service, date, time } = appointment;
-    
-    // Format date and time for display
-    // Parse date string to avoid timezone issues
-    const [year, month, day] = date.split('-').map(Number);
-    const dateObj = new Date(year, month - 1, day); // month is 0-indexed
-    const formattedDate = dateObj.toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-    });
-    
-    const [hours, minutes] = time.split(':');
-    const hour = parseInt(hours);
-    const ampm = hour >= 12 ? 'PM' : 'AM';
-    const displayHour = hour % 12 || 12;
-    const formattedTime = `${displayHour}:${minutes} ${ampm}`;
-    
-    const message = `Hi ${customer.name}! Your appointment for ${service} on ${formattedDate} at ${formattedTime} has been received and is pending confirmation. We'll notify you once it's been reviewed. - GJ Fadezz`;
+    const message = renderMessage('confirmation', buildMessageVariables(appointment));
     
-    return await sendSMS(customer.phone, message);
+    return await sendSMS(appointment.customer.phone, message, { type: 'confirmation', meta: { appointmentId: appointment.id } });
 }
 
 /**
  * Send appointment status update (accepted or declined)
  */
 async function sendAppointmentStatusUpdate(appointment) {
-    const { customer, service, date, time, status } = appointment;
+    const { status } = appointment;
     
-    // Format date and time for display
-    // Parse date string to avoid timezone issues
-    const [year, month, day] = date.split('-').map(Number);
-    const dateObj = new Date(year, month - 1, day); // month is 0-indexed
-    const formattedDate = dateObj.toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-    });
-    
-    const [hours, minutes] = time.split(':');
-    const hour = parseInt(hours);
-    const ampm = hour >= 12 ? 'PM' : 'AM';
-    const displayHour = hour % 12 || 12;
-    const formattedTime = `${displayHour}:${minutes} ${ampm}`;
-    
-    let message;
-    if (status === 'accepted') {
-        message = `Great news ${customer.name}! Your appointment for ${service} on ${formattedDate} at ${formattedTime} has been confirmed. See you then! - GJ Fadezz`;
-    } else if (status === 'declined') {
-        message = `Hi ${customer.name}, unfortunately we're unable to accommodate your appointment for ${service} on ${formattedDate} at ${formattedTime}. Please book a different time. - GJ Fadezz`;
-    } else {
+    if (status !== 'accepted' && status !== 'declined') {
         return { success: false, error: 'Unknown status' };
     }
     
-    return await sendSMS(customer.phone, message);
+    const message = renderMessage(`status_${status}`, buildMessageVariables(appointment));
+    
+    return await sendSMS(appointment.customer.phone, message, { type: 'status_update', meta: { appointmentId: appointment.id, status } });
 }
 
 /**
- * Send appointment reminder (2 hours before)
+ * Send appointment reminder
+ * @param {Object} appointment - Appointment in frontend format, with `timeUntil` (e.g. "tomorrow")
  */
 async function sendAppointmentReminder(appointment) {
-    const { customer, service, date, time } = appointment;
-    
-    // Format date and time for display
-    // Parse date string to avoid timezone issues
-    const [year, month, day] = date.split('-').map(Number);
-    const dateObj = new Date(year, month - 1, day); // month is 0-indexed
-    const formattedDate = dateObj.toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-    });
+    const message = renderMessage('reminder', buildMessageVariables(appointment));
     
-    const [hours, minutes] = time.split(':');
-    const hour = parseInt(hours);
-    const ampm = hour >= 12 ? 'PM' : 'AM';
-    const displayHour = hour % 12 || 12;
-    const formattedTime = `${displayHour}:${minutes} ${ampm}`;
-    
-    const message = `Reminder: You have an appointment for ${service} with GJ Fadezz today (${formattedDate}) at ${formattedTime}. See you in 2 hours!`;
-    
-    return await sendSMS(customer.phone, message);
+    return await sendSMS(appointment.customer.phone, message, { type: 'reminder', meta: { appointmentId: appointment.id } });
 }
 
 /**
  * Send appointment cancellation notification
- * TODO: Replace 'YOUR_WEBSITE_URL.com' with actual domain when available
  */
 async function sendAppointmentCancellation(appointment) {
-    const { customer, service, date, time } = appointment;
+    const message = renderMessage('cancellation', buildMessageVariables(appointment));
     
-    // Format date and time for display
-    // Parse date string to avoid timezone issues
-    const [year, month, day] = date.split('-').map(Number);
-    const dateObj = new Date(year, month - 1, day); // month is 0-indexed
-    const formattedDate = dateObj.toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-    });
-    
-    const [hours, minutes] = time.split(':');
-    const hour = parseInt(hours);
-    const ampm = hour >= 12 ? 'PM' : 'AM';
-    const displayHour = hour % 12 || 12;
-    const formattedTime = `${displayHour}:${minutes} ${ampm}`;
+    return await sendSMS(appointment.customer.phone, message, { type: 'cancellation', meta: { appointmentId: appointment.id } });
+}
+
+/**
+ * Confirm a cancellation the customer made themselves from the manage page
+ */
+async function sendCustomerCancellationConfirmation(appointment) {
+    const message = renderMessage('customer_cancellation', buildMessageVariables(appointment));
     
-    // TODO: Replace 'YOUR_WEBSITE_URL.com' with actual domain when available
-    const bookingUrl = 'https://YOUR_WEBSITE_URL.com/booking.html';
+    return await sendSMS(appointment.customer.phone, message, { type: 'customer_cancellation', meta: { appointmentId: appointment.id } });
+}
+
+/**
+ * Offer a freed-up time to someone on the waitlist
+ * @param {Object} offer - { entryId, customer, service, date, time, claimUrl, expiresAt }
+ */
+async function sendWaitlistOffer(offer) {
+    const message = renderMessage('waitlist_offer', buildMessageVariables(offer));
     
-    const message = `Hi ${customer.name}, we're sorry to inform you that your appointment for ${service} on ${formattedDate} at ${formattedTime} has been cancelled. Please reschedule at your earliest convenience: ${bookingUrl} - GJ Fadezz`;
+    return await sendSMS(offer.customer.phone, message, { type: 'waitlist_offer', meta: { entryId: offer.entryId } });
+}
+
+/**
+ * Text a returning customer the code that fills in their details on the booking page
+ * @param {string} phone - E.164 number
+ * @param {string} code - One-time code
+ * @param {number} minutes - How long the code works for
+ */
+async function sendLoginCode(phone, code, minutes) {
+    const message = renderMessage('login_code', { ...buildBusinessVariables(), code, minutes });
     
-    return await sendSMS(customer.phone, message);
+    return await sendSMS(phone, message, { type: 'login_code' });
 }
 
 module.exports = {
@@ -198,6 +118,9 @@ module.exports = {
     sendAppointmentConfirmation,
     sendAppointmentStatusUpdate,
     sendAppointmentReminder,
-    sendAppointmentCancellation
+    sendAppointmentCancellation,
+    sendCustomerCancellationConfirmation,
+    sendWaitlistOffer,
+    sendLoginCode
 };
 
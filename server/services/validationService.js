@@ -0,0 +1,223 @@
+// Validation Service
+// Checks request bodies and query strings against a per-route schema: unknown fields are rejected,
+// dates and times are type-checked, and camelCase API fields are mapped to their database columns
+// server.js sends the errors back as 422 { error, details: [{ field, message }] }
+const { normalizePhone } = require('../../js/phone');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * A schema maps each allowed field to a rule:
+ * {
+ *   type: 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'time' | 'uuid' | 'phone' | 'enum' | 'array' | 'object' | 'map' | 'custom',
+ *   required: true,          // must be given (not checked for partial updates)
+ *   column: 'day_of_week',   // where the value goes in the result (defaults to the field name)
+ *   nullable: true,          // null is allowed and kept as null
+ *   readOnly: true,          // allowed because GET responses include it, but left out of the result
+ *   min / max,               // numbers: value range; strings and arrays: length
+ *   decimals: 2,             // numbers: rounded to this many places
+ *   emptyAsNull: true,       // "" becomes null (an empty form field) instead of failing
+ *   trim: false,             // strings: keep surrounding spaces (e.g. passwords)
+ *   values: [...],           // enum: allowed values
+ *   items: { ...rule },      // array: rule for each item
+ *   fields: { ...schema },   // object: schema of the nested object
+ *   keys / entries: rule,    // map: rules for each key and value of an object used as a dictionary
+ *   parse: value => ...,     // custom: returns the converted value, or null if it's invalid
+ *   message: '...'           // replaces the generic message when the value is invalid
+ * }
+ */
+
+/**
+ * Real calendar date in "YYYY-MM-DD" format (rejects 2024-02-30)
+ */
+function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Check and convert one value
+ * @param {*} value - Value from the request (query values are strings)
+ * @param {Object} rule - Field rule (see above)
+ * @param {string} field - Field path for messages, e.g. "customer.phone"
+ * @param {Object} options - { coerce: true for query strings }
+ * @returns {{ value?: *, errors?: Object[] }}
+ */
+function checkValue(value, rule, field, options) {
+    const fail = (message) => ({ errors: [{ field, message: rule.message || message }] });
+
+    if (value === null && rule.nullable) {
+        return { value: null };
+    }
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return fail(`${field} must be text`);
+            const text = rule.trim === false ? value : value.trim();
+            if (text === '' && rule.emptyAsNull) return { value: null };
+            if (text === '' && rule.required) return fail(`${field} is required`);
+            if (rule.min !== undefined && text.length < rule.min) return fail(`${field} must be at least ${rule.min} characters`);
+            if (rule.max !== undefined && text.length > rule.max) return fail(`${field} can be at most ${rule.max} characters`);
+            return { value: text };
+        }
+
+        case 'number':
+        case 'integer': {
+            if (value === '' && rule.emptyAsNull) return { value: null };
+            // Form inputs send numbers as strings
+            const number = typeof value === 'number' ? value
+                : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+            if (!Number.isFinite(number)) return fail(`${field} must be a number`);
+            if (rule.type === 'integer' && !Number.isInteger(number)) return fail(`${field} must be a whole number`);
+            if (rule.min !== undefined && number < rule.min) return fail(`${field} must be at least ${rule.min}`);
+            if (rule.max !== undefined && number > rule.max) return fail(`${field} must be at most ${rule.max}`);
+            const factor = 10 ** (rule.decimals ?? 0);
+            return { value: rule.decimals !== undefined ? Math.round(number * factor) / factor : number };
+        }
+
+        case 'boolean': {
+            if (typeof value === 'boolean') return { value };
+            if (options.coerce && (value === 'true' || value === 'false')) return { value: value === 'true' };
+            return fail(`${field} must be true or false`);
+        }
+
+        case 'date':
+            return isValidDate(value) ? { value } : fail(`${field} must be a date in YYYY-MM-DD format`);
+
+        case 'time':
+            // "14:15:00" from the database is accepted and shortened to "14:15"
+            return typeof value === 'string' && TIME_PATTERN.test(value)
+                ? { value: value.slice(0, 5) }
+                : fail(`${field} must be a time in HH:MM format`);
+
+        case 'uuid':
+            return typeof value === 'string' && UUID_PATTERN.test(value) ? { value } : fail(`${field} must be a valid ID`);
+
+        case 'phone': {
+            if (typeof value !== 'string') return fail(`${field} must be text`);
+            if (value.trim() === '' && rule.emptyAsNull) return { value: null };
+            const phone = normalizePhone(value);
+            return phone ? { value: phone } : fail('Please enter a valid phone number, including the area code');
+        }
+
+        case 'enum':
+            return rule.values.includes(value) ? { value } : fail(`${field} must be one of: ${rule.values.join(', ')}`);
+
+        case 'array': {
+            if (!Array.isArray(value)) return fail(`${field} must be a list`);
+            if (rule.min !== undefined && value.length < rule.min) return fail(`${field} needs at least ${rule.min} item${rule.min === 1 ? '' : 's'}`);
+            if (rule.max !== undefined && value.length > rule.max) return fail(`${field} can have at most ${rule.max} items`);
+            if (!rule.items) return { value };
+
+            const items = [];
+            const errors = [];
+            value.forEach((item, index) => {
+                const result = checkValue(item, rule.items, `${field}[${index}]`, options);
+                if (result.errors) errors.push(...result.errors);
+                else items.push(result.value);
+            });
+            return errors.length > 0 ? { errors } : { value: items };
+        }
+
+        case 'object': {
+            const result = validateFields(value, rule.fields, { ...options, partial: false, path: `${field}.` });
+            return result.errors.length > 0 ? { errors: result.errors } : { value: result.data };
+        }
+
+        case 'map': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(`${field} must be an object`);
+
+            const entries = {};
+            const errors = [];
+            for (const [key, entry] of Object.entries(value)) {
+                const keyResult = rule.keys ? checkValue(key, rule.keys, `${field}.${key}`, options) : { value: key };
+                const entryResult = checkValue(entry, rule.entries, `${field}.${key}`, options);
+                errors.push(...(keyResult.errors || []), ...(entryResult.errors || []));
+                if (!keyResult.errors && !entryResult.errors) entries[keyResult.value] = entryResult.value;
+            }
+            return errors.length > 0 ? { errors } : { value: entries };
+        }
+
+        case 'custom': {
+            const parsed = rule.parse(value);
+            return parsed === null || parsed === undefined ? fail(`${field} is not valid`) : { value: parsed };
+        }
+
+        default:
+            throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+    }
+}
+
+/**
+ * Check an object against a schema
+ * @param {Object} input - Request body or query
+ * @param {Object} schema - Field name -> rule
+ * @param {Object} options - { partial: true for PATCH (only given fields are checked), coerce: true for query strings, path: prefix for nested fields }
+ * @returns {{ data: Object, errors: Object[] }} - data is keyed by each rule's column; errors are [{ field, message }]
+ */
+function validateFields(input, schema, { partial = false, coerce = false, path = '' } = {}) {
+    const data = {};
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { data, errors: [{ field: path.replace(/\.$/, '') || 'body', message: `${path.replace(/\.$/, '') || 'Request body'} must be an object` }] };
+    }
+
+    for (const field of Object.keys(input)) {
+        if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+            errors.push({ field: `${path}${field}`, message: `Unknown field "${path}${field}"` });
+        }
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = input[field];
+
+        if (value === undefined) {
+            if (rule.required && !partial) {
+                errors.push({ field: `${path}${field}`, message: rule.message || `${path}${field} is required` });
+            }
+            continue;
+        }
+        if (rule.readOnly) continue;
+
+        const result = checkValue(value, rule, `${path}${field}`, { coerce });
+        if (result.errors) {
+            errors.push(...result.errors);
+        } else {
+            data[rule.column || field] = result.value;
+        }
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Check a JSON request body
+ * @returns {{ data: Object, errors: Object[] }}
+ */
+function validateBody(body, schema, { partial = false } = {}) {
+    const result = validateFields(body, schema, { partial });
+
+    if (partial && result.errors.length === 0 && Object.keys(body).every(field => schema[field].readOnly)) {
+        result.errors.push({ field: 'body', message: 'Nothing to update' });
+    }
+
+    return result;
+}
+
+/**
+ * Check query string parameters (strings are converted to numbers and booleans)
+ * @returns {{ data: Object, errors: Object[] }}
+ */
+function validateQuery(query, schema) {
+    return validateFields(query || {}, schema, { coerce: true });
+}
+
+module.exports = {
+    validateBody,
+    validateQuery
+};